@@ -12,6 +12,7 @@ import { DebugProvider, useDebug } from './contexts/DebugContext';
 import { ThemeProvider, useTheme } from './contexts/ThemeContext';
 import { LanguageProvider } from './contexts/LanguageContext';
 import { NotificationProvider } from './contexts/NotificationContext';
+import { FavoritesProvider } from './contexts/FavoritesContext';
 import ErrorBoundary from './components/ErrorBoundary';
 import MapScreen from './screens/MapScreen';
 import RoutesScreen from './screens/RoutesScreen';
@@ -22,6 +23,9 @@ import BusRouteAdminScreen from './screens/BusRouteAdminScreen';
 import BusManagementScreen from './screens/BusManagementScreen';
 import AirQualityDashboardScreen from './screens/AirQualityDashboardScreen';
 import AboutScreen from './screens/AboutScreen';
+import TripPlannerScreen from './screens/TripPlannerScreen';
+import StopDirectoryScreen from './screens/StopDirectoryScreen';
+import AnnouncementAdminScreen from './screens/AnnouncementAdminScreen';
 import { createStackNavigator } from '@react-navigation/stack';
 import { loadDefaultRoutes } from './utils/defaultRoutes';
 import { fetchAndSyncMappings } from './utils/busRouteMapping';
@@ -76,6 +80,9 @@ const AppNavigator = () => {
       <Stack.Screen name="BusManagement" component={BusManagementScreen} />
       <Stack.Screen name="AirQualityDashboard" component={AirQualityDashboardScreen} />
       <Stack.Screen name="About" component={AboutScreen} />
+      <Stack.Screen name="TripPlanner" component={TripPlannerScreen} />
+      <Stack.Screen name="StopDirectory" component={StopDirectoryScreen} />
+      <Stack.Screen name="AnnouncementAdmin" component={AnnouncementAdminScreen} />
     </Stack.Navigator>
   );
 };
@@ -94,7 +101,7 @@ const ThemedApp = () => {
     });
   }, []);
 
-  // Show splash/loading screen while initial data is fetching
+  // Show splash/loading screen only on first install (no cached snapshot yet)
   if (loading) {
     return (
       <View style={{ flex: 1, backgroundColor: theme.background, justifyContent: 'center', alignItems: 'center' }}>
@@ -120,9 +127,11 @@ const App = () => (
       <NotificationProvider>
         <DebugProvider>
           <DataProvider>
-            <ErrorBoundary>
-              <ThemedApp />
-            </ErrorBoundary>
+            <FavoritesProvider>
+              <ErrorBoundary>
+                <ThemedApp />
+              </ErrorBoundary>
+            </FavoritesProvider>
           </DataProvider>
         </DebugProvider>
       </NotificationProvider>
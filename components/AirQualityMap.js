@@ -53,7 +53,7 @@ const AnimatedMapMarker = ({ bus, airQualityColor, destination }) => {
                     style={{
                         width: 32,
                         height: 32,
-                        tintColor: bus.bus_mac === "FAKE-PM-BUS" ? '#ef4444' : undefined
+                        tintColor: bus.id === "FAKE-PM-BUS" ? '#ef4444' : undefined
                     }}
                     resizeMode="contain"
                 />
@@ -145,16 +145,17 @@ const AirQualityMap = forwardRef(({
                 const next = { ...prev };
                 const grid_size = 0.001;
                 buses.forEach(bus => {
-                    if (bus.current_lat && bus.current_lon && bus.pm2_5 !== undefined) {
+                    const pm25 = bus.sensors?.pm2_5;
+                    if (bus.current_lat && bus.current_lon && pm25 !== null && pm25 !== undefined) {
                         const snap = (val) => Math.floor(val / grid_size) * grid_size + (grid_size / 2);
                         const lat = snap(bus.current_lat);
                         const lon = snap(bus.current_lon);
                         const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
                         if (!next[key]) {
-                            next[key] = { latitude: lat, longitude: lon, avg_pm2_5: bus.pm2_5, count: 1 };
+                            next[key] = { latitude: lat, longitude: lon, avg_pm2_5: pm25, count: 1 };
                         } else {
                             const newCount = next[key].count + 1;
-                            next[key].avg_pm2_5 = (next[key].avg_pm2_5 * next[key].count + bus.pm2_5) / newCount;
+                            next[key].avg_pm2_5 = (next[key].avg_pm2_5 * next[key].count + pm25) / newCount;
                             next[key].count = newCount;
                         }
                     }
@@ -260,16 +261,16 @@ const AirQualityMap = forwardRef(({
                 {buses.map((bus) => (
                     bus.current_lat && bus.current_lon && (
                         <AnimatedMapMarker
-                            key={bus.mac_address}
+                            key={bus.id}
                             bus={bus}
-                            airQualityColor={getAirQualityStatus(bus.pm2_5).color}
-                            destination={destinationMarkers[bus.mac_address]}
+                            airQualityColor={getAirQualityStatus(bus.sensors?.pm2_5).color}
+                            destination={destinationMarkers[bus.id]}
                         />
                     )
                 ))}
 
                 {PolylineComponent && MarkerComponent && Object.entries(destinationMarkers).map(([busId, dest]) => {
-                    const bus = buses.find(b => b.mac_address === busId);
+                    const bus = buses.find(b => b.id === busId);
                     if (!bus || !bus.current_lat) return null;
                     return (
                         <React.Fragment key={`path-${busId}`}>
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Pressable, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useAnnouncements } from '../hooks/useBusStore';
+import { getActiveAnnouncements, markAnnouncementsRead, ANNOUNCEMENT_SEVERITY } from '../utils/announcements';
+
+const SEVERITY_STYLES = {
+  [ANNOUNCEMENT_SEVERITY.INFO]: { icon: 'information-circle', color: '#1d4ed8', background: '#dbeafe' },
+  [ANNOUNCEMENT_SEVERITY.WARNING]: { icon: 'warning', color: '#92400e', background: '#fef3c7' },
+  [ANNOUNCEMENT_SEVERITY.CRITICAL]: { icon: 'alert-circle', color: '#991b1b', background: '#fee2e2' },
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * Unread service announcements for the given scope (route the user is
+ * looking at, stop they are waiting at); tap to read them all
+ */
+const AnnouncementBanner = ({ routeId, stopNames, style }) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const announcements = useAnnouncements();
+  const [listVisible, setListVisible] = useState(false);
+
+  // Re-evaluate start/end times every minute
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    const interval = setInterval(() => setTick(t => t + 1), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const active = useMemo(
+    () => getActiveAnnouncements(announcements, { routeId, stopNames }),
+    [announcements, routeId, stopNames, tick]
+  );
+  const unread = active.filter(a => !a.read);
+  if (unread.length === 0 && !listVisible) return null;
+
+  const first = unread[0];
+  const severity = first ? SEVERITY_STYLES[first.severity] : SEVERITY_STYLES.info;
+
+  const closeList = () => {
+    markAnnouncementsRead(active.map(a => a.id));
+    setListVisible(false);
+  };
+
+  return (
+    <>
+      {first && (
+        <TouchableOpacity
+          style={[styles.banner, { backgroundColor: severity.background }, style]}
+          onPress={() => setListVisible(true)}
+          activeOpacity={0.8}
+        >
+          <Ionicons name={severity.icon} size={18} color={severity.color} />
+          <View style={styles.bannerText}>
+            <Text style={[styles.title, { color: severity.color }]} numberOfLines={1}>
+              {first.title || first.message}
+            </Text>
+            {unread.length > 1 && (
+              <Text style={[styles.more, { color: severity.color }]}>{t('moreAnnouncements', { count: unread.length - 1 })}</Text>
+            )}
+          </View>
+          <TouchableOpacity
+            onPress={() => markAnnouncementsRead([first.id])}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="close" size={18} color={severity.color} />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      )}
+
+      <Modal visible={listVisible} transparent animationType="fade" onRequestClose={closeList}>
+        <Pressable style={styles.overlay} onPress={closeList}>
+          <Pressable style={[styles.list, { backgroundColor: theme.card }]}>
+            <Text style={[styles.listTitle, { color: theme.text }]}>{t('announcements')}</Text>
+            <ScrollView>
+              {active.map(item => {
+                const itemSeverity = SEVERITY_STYLES[item.severity];
+                return (
+                  <View key={item.id} style={[styles.item, { borderBottomColor: theme.border }]}>
+                    <Ionicons name={itemSeverity.icon} size={20} color={itemSeverity.color} />
+                    <View style={styles.itemText}>
+                      {!!item.title && <Text style={[styles.itemTitle, { color: theme.text }]}>{item.title}</Text>}
+                      <Text style={[styles.itemMessage, { color: theme.textSecondary }]}>{item.message}</Text>
+                      <Text style={[styles.itemMeta, { color: theme.textMuted }]}>
+                        {item.endsAt ? t('announcementUntil', { time: formatTime(item.endsAt) }) : formatTime(item.startsAt)}
+                      </Text>
+                    </View>
+                    {!item.read && <View style={[styles.unreadDot, { backgroundColor: theme.primary }]} />}
+                  </View>
+                );
+              })}
+            </ScrollView>
+            <TouchableOpacity style={[styles.doneButton, { backgroundColor: theme.primary }]} onPress={closeList}>
+              <Text style={styles.doneButtonText}>{t('markAllRead')}</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'stretch',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    gap: 8,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  bannerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  more: {
+    fontSize: 11,
+    marginTop: 1,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    width: '85%',
+    maxHeight: '75%',
+    borderRadius: 16,
+    padding: 20,
+  },
+  listTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    gap: 10,
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  itemMessage: {
+    fontSize: 14,
+  },
+  itemMeta: {
+    fontSize: 11,
+    marginTop: 4,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginTop: 6,
+  },
+  doneButton: {
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  doneButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
+
+export default AnnouncementBanner;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Animated, PanResponder } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useFavorites } from '../contexts/FavoritesContext';
+import { useBuses, useBusRouteMappings, useRouteProgress, useBusMotion, useOccupancy } from '../hooks/useBusStore';
+import { getFavoriteStatus, FAVORITE_TYPE } from '../utils/favorites';
+import { getOccupancyLevel, OCCUPANCY_COLORS } from '../utils/occupancy';
+
+const CARD_WIDTH = 150;
+const CARD_GAP = 8;
+const SLOT_WIDTH = CARD_WIDTH + CARD_GAP;
+
+/**
+ * Horizontal strip of favorite stops and routes with the next live bus
+ * and its occupancy. Tap a card to open it (onSelect), long-press and drag
+ * it sideways to reorder.
+ * routes: local routes (ETAs need the waypoints)
+ * onSelect(favorite, route): route is the local route for route favorites
+ */
+const FavoritesStrip = ({ routes, userLocation, onSelect, showHint = false, style }) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const { favorites, reorderFavorites } = useFavorites();
+  const buses = useBuses();
+  const mappings = useBusRouteMappings();
+  const routeProgress = useRouteProgress();
+  const busMotion = useBusMotion();
+  const occupancy = useOccupancy();
+
+  // Buses drop out after a minute without updates
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    const interval = setInterval(() => setTick(t => t + 1), 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const routesById = useMemo(
+    () => Object.fromEntries((routes || []).map(r => [r.routeId, r])),
+    [routes]
+  );
+
+  const statuses = useMemo(() => {
+    const fleet = { buses, mappings, routeProgress, busMotion, occupancy };
+    return Object.fromEntries(favorites.map(f => [f.id, getFavoriteStatus(f, routesById, fleet, userLocation)]));
+  }, [favorites, routesById, buses, mappings, routeProgress, busMotion, occupancy, userLocation, tick]);
+
+  // Drag to reorder: a long-press lifts the card, the pan responder then
+  // captures the move from the touchable and the drop index follows dx
+  const [dragIndex, setDragIndex] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const dragIndexRef = useRef(null);
+  const hoverIndexRef = useRef(null);
+  const draggedRef = useRef(false);
+  const countRef = useRef(0);
+  const reorderRef = useRef(reorderFavorites);
+  const dragX = useRef(new Animated.Value(0)).current;
+  countRef.current = favorites.length;
+  reorderRef.current = reorderFavorites;
+
+  const endDrag = () => {
+    const from = dragIndexRef.current;
+    const to = hoverIndexRef.current;
+    dragIndexRef.current = null;
+    hoverIndexRef.current = null;
+    draggedRef.current = false;
+    dragX.setValue(0);
+    setDragIndex(null);
+    setHoverIndex(null);
+    if (from !== null && to !== null && from !== to) reorderRef.current(from, to);
+  };
+  const endDragRef = useRef(endDrag);
+  endDragRef.current = endDrag;
+
+  useEffect(() => {
+    const id = dragX.addListener(({ value }) => {
+      const from = dragIndexRef.current;
+      if (from === null) return;
+      const target = Math.max(0, Math.min(countRef.current - 1, from + Math.round(value / SLOT_WIDTH)));
+      if (target !== hoverIndexRef.current) {
+        hoverIndexRef.current = target;
+        setHoverIndex(target);
+      }
+    });
+    return () => dragX.removeListener(id);
+  }, [dragX]);
+
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponderCapture: () => dragIndexRef.current !== null,
+    onPanResponderGrant: () => {
+      draggedRef.current = true;
+    },
+    onPanResponderMove: Animated.event([null, { dx: dragX }], { useNativeDriver: false }),
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderRelease: () => endDragRef.current(),
+    onPanResponderTerminate: () => endDragRef.current(),
+  })).current;
+
+  const startDrag = (index) => {
+    dragIndexRef.current = index;
+    hoverIndexRef.current = index;
+    setDragIndex(index);
+    setHoverIndex(index);
+  };
+
+  if (favorites.length === 0) {
+    if (!showHint) return null;
+    return (
+      <View style={[styles.hint, { backgroundColor: theme.card }, style]}>
+        <Ionicons name="star-outline" size={16} color={theme.textMuted} />
+        <Text style={[styles.hintText, { color: theme.textMuted }]}>{t('favoritesHint')}</Text>
+      </View>
+    );
+  }
+
+  // Cards between the lifted card and the drop position make room for it
+  const getShift = (index) => {
+    if (dragIndex === null || hoverIndex === null || index === dragIndex) return 0;
+    if (dragIndex < hoverIndex && index > dragIndex && index <= hoverIndex) return -SLOT_WIDTH;
+    if (dragIndex > hoverIndex && index < dragIndex && index >= hoverIndex) return SLOT_WIDTH;
+    return 0;
+  };
+
+  const renderCard = (favorite, index) => {
+    const status = statuses[favorite.id];
+    const isStop = favorite.type === FAVORITE_TYPE.STOP;
+    const nextBus = status?.nextBus;
+    const busOccupancy = status?.occupancy;
+    const accent = isStop ? (nextBus?.route.routeColor || theme.primary) : favorite.routeColor;
+    const dragging = index === dragIndex;
+
+    let detail;
+    if (nextBus) {
+      detail = isStop ? nextBus.route.routeName : status.stopName;
+    } else if (!isStop && status?.liveBuses > 0) {
+      detail = t('favoriteLiveBuses', { count: status.liveBuses });
+    } else {
+      detail = t('favoriteNoBus');
+    }
+
+    return (
+      <Animated.View
+        key={favorite.id}
+        style={[
+          styles.cardWrapper,
+          dragging
+            ? { transform: [{ translateX: dragX }, { scale: 1.05 }], zIndex: 2, elevation: 8 }
+            : { transform: [{ translateX: getShift(index) }] },
+        ]}
+      >
+        <TouchableOpacity
+          style={[styles.card, { backgroundColor: theme.card, borderLeftColor: accent }]}
+          activeOpacity={0.8}
+          onPress={() => onSelect?.(favorite, routesById[favorite.routeId] || null)}
+          onLongPress={() => startDrag(index)}
+          onPressOut={() => {
+            // Long-press released without moving: put the card back
+            if (dragIndexRef.current !== null && !draggedRef.current) endDrag();
+          }}
+        >
+          <View style={styles.cardHeader}>
+            <Ionicons name={isStop ? 'location' : 'git-branch'} size={14} color={accent} />
+            <Text style={[styles.name, { color: theme.text }]} numberOfLines={1}>{favorite.name}</Text>
+          </View>
+          <View style={styles.etaRow}>
+            {nextBus && (
+              <Text style={[styles.eta, { color: theme.primary }]}>{t('tripMinutes', { minutes: nextBus.eta.etaMinutes })}</Text>
+            )}
+            <Text style={[styles.detail, { color: theme.textSecondary }]} numberOfLines={1}>{detail}</Text>
+          </View>
+          {busOccupancy && (
+            <View style={styles.occupancyRow}>
+              <Ionicons name="people" size={12} color={OCCUPANCY_COLORS[getOccupancyLevel(busOccupancy)]} />
+              <Text style={[styles.detail, { color: theme.textSecondary }]}>
+                {busOccupancy.onBoard}/{busOccupancy.capacity}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </Animated.View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, style]} {...panResponder.panHandlers}>
+      <ScrollView
+        horizontal
+        scrollEnabled={dragIndex === null}
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.content}
+      >
+        {favorites.map(renderCard)}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignSelf: 'stretch',
+  },
+  content: {
+    gap: CARD_GAP,
+    paddingVertical: 4,
+  },
+  cardWrapper: {
+    width: CARD_WIDTH,
+  },
+  card: {
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  name: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  etaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 4,
+  },
+  eta: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  detail: {
+    flexShrink: 1,
+    fontSize: 11,
+  },
+  occupancyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
+  hint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'stretch',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    gap: 8,
+  },
+  hintText: {
+    flex: 1,
+    fontSize: 12,
+  },
+});
+
+export default FavoritesStrip;
@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useData } from '../contexts/DataContext';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// Data older than this (with no live connection) is flagged as stale
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const formatAge = (timestamp, t) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return t('justNow');
+  if (minutes < 60) return t('minutesAgo', { minutes });
+  return t('hoursAgo', { hours: Math.floor(minutes / 60) });
+};
+
+/**
+ * Small pill shown while the app is running on cached or outdated data
+ */
+const StaleDataBanner = ({ style }) => {
+  const { lastUpdated, isFromCache, isLive } = useData();
+  const { t } = useLanguage();
+
+  // Re-render periodically so the age stays current
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    const interval = setInterval(() => setTick(t => t + 1), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const isStale = !isLive && lastUpdated > 0 && (Date.now() - lastUpdated) > STALE_AFTER_MS;
+  if (!isFromCache && !isStale) return null;
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Ionicons name="cloud-offline" size={14} color="#92400e" />
+      <Text style={styles.text} numberOfLines={1}>
+        {lastUpdated ? t('staleData', { age: formatAge(lastUpdated, t) }) : t('waitingForLiveData')}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    backgroundColor: '#fef3c7',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    gap: 6,
+  },
+  text: {
+    color: '#92400e',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
+
+export default StaleDataBanner;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useFavorites } from '../contexts/FavoritesContext';
+import { ALERT_LEAD_MINUTES } from '../utils/stopSubscriptions';
+
+// Long-press menu for a stop: pick a route serving it and how early to be notified, or star it
+// stop: stop directory entry { name, routes: [{ routeId, routeName, routeColor, waypointIndex, stopName }] }
+const StopAlertSheet = ({ stop, onClose, onPlanTrip }) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const { stopSubscriptions, subscribeToStop, unsubscribeFromStop } = useNotifications();
+  const { isFavoriteStop, toggleFavoriteStop } = useFavorites();
+  const [routeIndex, setRouteIndex] = useState(0);
+  const [minutes, setMinutes] = useState(ALERT_LEAD_MINUTES[1]);
+
+  useEffect(() => {
+    setRouteIndex(0);
+  }, [stop]);
+
+  if (!stop) return null;
+
+  const selected = stop.routes[routeIndex] || stop.routes[0];
+  const existing = stop.routes
+    .map(r => stopSubscriptions.find(s => s.routeId === r.routeId && s.waypointIndex === r.waypointIndex))
+    .filter(Boolean);
+
+  const handleSubscribe = async () => {
+    await subscribeToStop(selected, minutes);
+    onClose();
+  };
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <Pressable style={styles.overlay} onPress={onClose}>
+        <Pressable style={[styles.sheet, { backgroundColor: theme.card }]}>
+          <View style={styles.titleRow}>
+            <Text style={[styles.title, { color: theme.text }]}>{stop.name}</Text>
+            <TouchableOpacity onPress={() => toggleFavoriteStop(stop)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+              <Ionicons name={isFavoriteStop(stop) ? 'star' : 'star-outline'} size={24} color="#f59e0b" />
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.subtitle, { color: theme.textSecondary }]}>{t('notifyWhenBusNear')}</Text>
+
+          {/* Routes serving the stop */}
+          <View style={styles.chips}>
+            {stop.routes.map((r, i) => (
+              <TouchableOpacity
+                key={r.routeId}
+                style={[
+                  styles.chip,
+                  { borderColor: r.routeColor || theme.border },
+                  i === routeIndex && { backgroundColor: r.routeColor || theme.primary },
+                ]}
+                onPress={() => setRouteIndex(i)}
+              >
+                <Text style={[styles.chipText, { color: i === routeIndex ? 'white' : theme.text }]}>{r.routeName}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Lead time */}
+          <View style={styles.chips}>
+            {ALERT_LEAD_MINUTES.map(m => (
+              <TouchableOpacity
+                key={m}
+                style={[
+                  styles.chip,
+                  { borderColor: theme.border },
+                  m === minutes && { backgroundColor: theme.primary, borderColor: theme.primary },
+                ]}
+                onPress={() => setMinutes(m)}
+              >
+                <Text style={[styles.chipText, { color: m === minutes ? 'white' : theme.text }]}>
+                  {t('notifyMinutesBefore', { minutes: m })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {existing.map(sub => (
+            <View key={sub.id} style={[styles.existingRow, { backgroundColor: theme.primaryLight }]}>
+              <Ionicons name="notifications" size={16} color={theme.primary} />
+              <Text style={[styles.existingText, { color: theme.text }]}>
+                {t('stopAlertActive', { route: sub.routeName, minutes: sub.minutes })}
+              </Text>
+              <TouchableOpacity onPress={() => unsubscribeFromStop(sub.id)}>
+                <Ionicons name="close-circle" size={20} color={theme.textMuted} />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TouchableOpacity style={[styles.primaryButton, { backgroundColor: theme.primary }]} onPress={handleSubscribe}>
+            <Ionicons name="notifications-outline" size={18} color="white" />
+            <Text style={styles.primaryButtonText}>{t('notifyMe')}</Text>
+          </TouchableOpacity>
+
+          {onPlanTrip && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={onPlanTrip}>
+              <Ionicons name="trail-sign" size={18} color={theme.primary} />
+              <Text style={[styles.secondaryButtonText, { color: theme.primary }]}>{t('planTrip')}</Text>
+            </TouchableOpacity>
+          )}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  subtitle: {
+    fontSize: 14,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  existingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 8,
+    gap: 8,
+  },
+  existingText: {
+    flex: 1,
+    fontSize: 13,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 12,
+    paddingVertical: 14,
+    marginTop: 16,
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    marginTop: 4,
+    gap: 8,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default StopAlertSheet;
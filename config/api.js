@@ -32,9 +32,49 @@ export const MQTT_CONFIG = isTunnelMode
       : (ENV.MQTT_BROKER_HOST || ENV.EXPO_PUBLIC_SERVER_IP),
     port: ENV.MQTT_BROKER_PORT || 1883,
     wsPort: ENV.MQTT_WEBSOCKET_PORT || 9001,
-    useSecure: false,
+    useSecure: !!ENV.MQTT_USE_TLS,
   };
 
+// Resolve the MQTT WebSocket URL for the current connection mode
+// Local mode honors the server IP override saved from the Testing screen
+export const getMqttUrl = async (serverIpOverride = null) => {
+  if (isTunnelMode) return MQTT_CONFIG.wsUrl || null;
+
+  let host = serverIpOverride;
+  if (!host) {
+    try {
+      host = await AsyncStorage.getItem('serverIp');
+    } catch (e) {
+      host = null;
+    }
+  }
+  host = host || MQTT_CONFIG.host;
+  if (!host) return null;
+
+  const scheme = MQTT_CONFIG.useSecure ? 'wss' : 'ws';
+  return `${scheme}://${host}:${MQTT_CONFIG.wsPort}`;
+};
+
+// MQTT broker credentials (optional)
+// A token is sent as the MQTT password, which is how token-auth brokers expect it
+export const getMqttAuthOptions = () => {
+  const options = {};
+  if (ENV.MQTT_USERNAME) options.username = ENV.MQTT_USERNAME;
+  if (ENV.MQTT_TOKEN) {
+    options.username = options.username || 'token';
+    options.password = ENV.MQTT_TOKEN;
+  } else if (ENV.MQTT_PASSWORD) {
+    options.password = ENV.MQTT_PASSWORD;
+  }
+  return options;
+};
+
+// Full MQTT connection config ({ url, options }) used by every MQTT client in the app
+export const getMqttConnectionConfig = async (serverIpOverride = null) => ({
+  url: await getMqttUrl(serverIpOverride),
+  options: getMqttAuthOptions(),
+});
+
 // Get headers for API requests (includes auth if configured)
 export const getApiHeaders = () => {
   const headers = {
@@ -39,6 +39,19 @@ export const ENV = {
     MQTT_BROKER_PORT: 1883,
     MQTT_WEBSOCKET_PORT: 9001,
 
+    // Use wss:// instead of ws:// for the local broker
+    MQTT_USE_TLS: false,
+
+    // ===========================================
+    // MQTT Authentication (Optional, both modes)
+    // ===========================================
+    // Username/password if your broker requires login
+    MQTT_USERNAME: '',
+    MQTT_PASSWORD: '',
+
+    // Access token (sent as the MQTT password; overrides MQTT_PASSWORD)
+    MQTT_TOKEN: '',
+
     // ===========================================
     // API Authentication (Optional)
     // ===========================================
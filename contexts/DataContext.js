@@ -1,12 +1,62 @@
 
-import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback, useMemo } from 'react';
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as mqtt from 'mqtt';
-import { API_BASE, getApiUrl, checkApiKey, getApiHeaders, MQTT_CONFIG } from '../config/api';
+import { API_BASE, getApiUrl, checkApiKey, getApiHeaders } from '../config/api';
 import { getAllMappings, getRouteIdForBus } from '../utils/busRouteMapping';
-import { loadRoute, downloadRoutesFromServer } from '../utils/routeStorage';
-import { findNextStop } from '../utils/routeHelpers';
+import { loadRoute, getAllRoutes, downloadRoutesFromServer, subscribeRouteChanges } from '../utils/routeStorage';
+import { normalizeBus, upsertBus, applySignal } from '../utils/busModel';
+import { createMqttConnection, MQTT_STATUS } from '../utils/mqttConnection';
+import {
+    createOccupancy,
+    getOccupancyBusId,
+    applyDetection,
+    applyDoorEvent,
+    applyResync,
+} from '../utils/occupancy';
+import { updateMotionFromBuses } from '../utils/busMotion';
+import { loadSnapshot, saveSnapshot } from '../utils/dataSnapshot';
+import { getBusStoreState, setBusStoreState, setStoreSlice, subscribeBusStore } from '../utils/busStore';
+import { createBusSyncState, buildBusPollRequest, parseBusPollResponse } from '../utils/busSync';
+import { validateMqttMessage } from '../utils/mqttValidation';
+import { loadTravelTimes, learnFromStopEvents } from '../utils/travelTimes';
+import { loadStopEvents, detectStopEvents, recordStopEvents } from '../utils/stopEvents';
+import { updateProgressFromBuses } from '../utils/routeProgress';
+import { updateDeviationFromBuses, loadDeviationLog, appendDeviationEvents } from '../utils/routeDeviation';
+import { updateInferencesFromBuses } from '../utils/routeInference';
+import { loadAnnouncements, mergeAnnouncements } from '../utils/announcements';
+
+const MQTT_TOPICS = [
+    'sut/app/bus/location',
+    'sut/bus/gps/fast',
+    'sut/bus/gps',
+    'sut/person-detection',
+    'bus/door/count',
+    'sut/bus/+/status',
+    'sut/app/announcements',
+];
+
+// REST polling fallback: fast while MQTT is down, slow while live updates flow
+const POLL_INTERVAL_FAST_MS = 5000;
+const POLL_INTERVAL_NORMAL_MS = 10000;
+const POLL_INTERVAL_SLOW_MS = 60000;
+// MQTT counts as "flowing" if a message arrived within this window
+const LIVE_STREAM_WINDOW_MS = 30000;
+// Cached snapshot is written at most this often
+const SNAPSHOT_SAVE_INTERVAL_MS = 10000;
+// lastUpdated only needs this resolution; avoids a context update per MQTT message
+const LAST_UPDATED_RESOLUTION_MS = 5000;
+
+// Fleet data lives in the bus store (read it with the hooks in hooks/useBusStore.js).
+// Motion is derived here so every position fix is recorded exactly once.
+const setBuses = (updater) => {
+    setBusStoreState(state => {
+        const buses = updater(state.buses);
+        if (buses === state.buses) return null;
+        return { buses, busMotion: updateMotionFromBuses(state.busMotion, buses) };
+    });
+};
+const setRoutes = (valueOrUpdater) => setStoreSlice('routes', valueOrUpdater);
+const setOccupancy = (updater) => setStoreSlice('occupancy', updater);
 
 const DataContext = createContext();
 
@@ -15,280 +65,420 @@ export const useData = () => {
 };
 
 export const DataProvider = ({ children }) => {
-    const [buses, setBuses] = useState([]);
-    const [routes, setRoutes] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [lastUpdated, setLastUpdated] = useState(Date.now());
-
-    // MQTT Client Ref
-    const mqttClientRef = useRef(null);
+    const [lastUpdated, setLastUpdated] = useState(0); // Last live bus data (REST or MQTT)
+    const [routesUpdatedAt, setRoutesUpdatedAt] = useState(0);
+    const [isFromCache, setIsFromCache] = useState(false); // Showing the persisted snapshot only
+    const [mqttStatus, setMqttStatus] = useState(MQTT_STATUS.CONNECTING);
+
+    // MQTT connection + polling refs
+    const mqttConnectionRef = useRef(null);
+    const mqttStatusRef = useRef(MQTT_STATUS.CONNECTING);
+    const lastMqttMessageRef = useRef(0);
+    const pollTimerRef = useRef(null);
+    const hydratedRef = useRef(false);
+    const hasLiveDataRef = useRef(false);
+    const lastUpdatedRef = useRef(0);
+    const lastPublishedUpdateRef = useRef(0);
+    const routesUpdatedAtRef = useRef(0);
+    const snapshotTimerRef = useRef(null);
+    const busSyncRef = useRef(createBusSyncState()); // ETag / cursor for /api/buses
+    const localRoutesRef = useRef({}); // routeId -> local route (travel time learning)
+    const localRoutesLoadRef = useRef(0); // Latest loadLocalRoutes call; older reads are dropped
 
     // Initial Data Load
+    // Hydrate from the cached snapshot first; only a true first install
+    // (no snapshot yet) blocks on the network
     useEffect(() => {
         let isMounted = true;
 
-        const loadInitialData = async () => {
-            try {
-                setLoading(true);
-                await downloadRoutesFromServer(); // Sync routes to local storage
-
-                // 1. Fetch Routes (with stops)
-                const apiUrl = await getApiUrl();
-                const routesRes = await axios.get(`${apiUrl}/api/routes`, { timeout: 5000 });
-                const routesData = routesRes.data || [];
-
-                // Fetch stops for each route
-                const fullRoutes = await Promise.all(routesData.map(async (r) => {
-                    try {
-                        const stopsRes = await axios.get(`${apiUrl}/api/routes/${r.id}/stops`);
-                        return { ...r, waypoints: stopsRes.data || [] };
-                    } catch (e) {
-                        return { ...r, waypoints: [] };
-                    }
-                }));
-
-                if (isMounted) setRoutes(fullRoutes);
-
-                // 2. Fetch Buses
-                await fetchBuses();
+        const hydrateFromSnapshot = async () => {
+            const snapshot = await loadSnapshot();
+            if (!isMounted || !snapshot) return false;
+
+            // Live data may already have arrived; it wins over the cache
+            setBuses(prevBuses => snapshot.buses.reduce((list, bus) => upsertBus(list, bus), prevBuses));
+            setRoutes(prevRoutes => (prevRoutes.length > 0 ? prevRoutes : snapshot.routes));
+            lastUpdatedRef.current = Math.max(lastUpdatedRef.current, snapshot.busesUpdatedAt);
+            routesUpdatedAtRef.current = Math.max(routesUpdatedAtRef.current, snapshot.routesUpdatedAt);
+            setLastUpdated(lastUpdatedRef.current);
+            setRoutesUpdatedAt(routesUpdatedAtRef.current);
+            if (!hasLiveDataRef.current) setIsFromCache(true);
+            console.log(`[DataContext] Restored ${snapshot.buses.length} buses and ${snapshot.routes.length} routes from cache`);
+            return true;
+        };
 
-                // 3. Connect MQTT
-                connectMqtt();
+        const loadInitialData = async () => {
+            setStoreSlice('mappings', await getAllMappings());
+            await loadTravelTimes();
+            await loadDeviationLog();
+            await loadStopEvents();
+            await loadAnnouncements();
+            const hasSnapshot = await hydrateFromSnapshot();
+            hydratedRef.current = true;
+            if (hasSnapshot && isMounted) setLoading(false);
 
+            try {
+                await fetchRoutes();
             } catch (err) {
-                console.error("[DataContext] Initial load error:", err);
+                console.error("[DataContext] Route refresh error:", err);
                 if (isMounted) setError(err.message);
-            } finally {
-                if (isMounted) setLoading(false);
             }
+
+            await fetchBuses();
+            await fetchOccupancy();
+            await fetchAnnouncements();
+            if (isMounted) setLoading(false);
         };
 
         loadInitialData();
 
-        // Polling fallback every 10 seconds
-        const interval = setInterval(() => {
-            fetchBuses();
-        }, 10000);
+        // MQTT connects independently of the REST load so live updates
+        // still arrive when the API is unreachable
+        connectMqtt();
+        schedulePoll(POLL_INTERVAL_NORMAL_MS);
 
         return () => {
             isMounted = false;
-            clearInterval(interval);
-            if (mqttClientRef.current) {
-                mqttClientRef.current.end();
+            clearTimeout(pollTimerRef.current);
+            clearTimeout(snapshotTimerRef.current);
+            if (mqttConnectionRef.current) {
+                mqttConnectionRef.current.end();
+                mqttConnectionRef.current = null;
             }
         };
     }, []);
 
-    const fetchBuses = async () => {
+    // Edited, imported or downloaded routes: progress, deviation, inference
+    // and stop events must use the new waypoints right away
+    useEffect(() => subscribeRouteChanges(() => {
+        loadLocalRoutes();
+    }), []);
+
+    // Persist the latest fleet/routes (throttled, reads the newest data when it fires)
+    useEffect(() => {
+        let lastSaved = getBusStoreState();
+
+        const unsubscribe = subscribeBusStore(() => {
+            const { buses, routes } = getBusStoreState();
+            if (buses === lastSaved.buses && routes === lastSaved.routes) return;
+            if (!hydratedRef.current || snapshotTimerRef.current) return;
+            if (buses.length === 0 && routes.length === 0) return;
+
+            snapshotTimerRef.current = setTimeout(() => {
+                snapshotTimerRef.current = null;
+                lastSaved = getBusStoreState();
+                saveSnapshot({
+                    buses: lastSaved.buses,
+                    routes: lastSaved.routes,
+                    busesUpdatedAt: lastUpdatedRef.current,
+                    routesUpdatedAt: routesUpdatedAtRef.current,
+                });
+            }, SNAPSHOT_SAVE_INTERVAL_MS);
+        });
+
+        return unsubscribe;
+    }, []);
+
+    // On every new position fix: advance route progress and off-route
+    // checks, guess routes for unmapped buses, then detect stop arrivals/
+    // departures and learn stop-to-stop travel and dwell times from them
+    useEffect(() => {
+        let lastMotion = getBusStoreState().busMotion;
+
+        return subscribeBusStore(() => {
+            const { buses, busMotion, mappings } = getBusStoreState();
+            if (busMotion === lastMotion) return;
+            const previousMotion = lastMotion;
+            lastMotion = busMotion;
+
+            const getRoute = (bus) => localRoutesRef.current[mappings[bus.id] || bus.route_id] || null;
+            setStoreSlice('routeProgress', prev => updateProgressFromBuses(prev, buses, getRoute, busMotion));
+            const { routeProgress } = getBusStoreState();
+
+            const { deviation, events: deviationEvents } = updateDeviationFromBuses(getBusStoreState().routeDeviation, buses, getRoute, busMotion);
+            appendDeviationEvents(deviationEvents);
+            setStoreSlice('routeDeviation', deviation);
+            setStoreSlice('routeInference', prev =>
+                updateInferencesFromBuses(prev, buses, Object.values(localRoutesRef.current), mappings, busMotion)
+            );
+
+            const stopEvents = [];
+            buses.forEach(bus => {
+                const motion = busMotion[bus.id];
+                if (!motion || motion === previousMotion[bus.id]) return;
+                const route = getRoute(bus);
+                if (!route) return;
+
+                const events = detectStopEvents(bus.id, route, {
+                    latitude: bus.current_lat,
+                    longitude: bus.current_lon,
+                    heading: motion.heading,
+                    distanceAlong: routeProgress[bus.id]?.onRoute ? routeProgress[bus.id].distanceAlong : undefined,
+                    timestamp: bus.last_updated,
+                });
+                if (events.length === 0) return;
+                learnFromStopEvents(route, events);
+                stopEvents.push(...events);
+            });
+            recordStopEvents(stopEvents);
+        });
+    }, []);
+
+    const markLive = () => {
+        const now = Date.now();
+        const isFirstLiveData = !hasLiveDataRef.current;
+        hasLiveDataRef.current = true;
+        lastUpdatedRef.current = now;
+
+        if (isFirstLiveData || now - lastPublishedUpdateRef.current >= LAST_UPDATED_RESOLUTION_MS) {
+            lastPublishedUpdateRef.current = now;
+            setLastUpdated(now);
+            setIsFromCache(false);
+        }
+    };
+
+    // 1. Routes (with stops); keeps the cached routes if the server is unreachable
+    const fetchRoutes = async () => {
+        await downloadRoutesFromServer(); // Sync routes to local storage
+        await loadLocalRoutes();
+
+        const apiUrl = await getApiUrl();
+        const routesRes = await axios.get(`${apiUrl}/api/routes`, { timeout: 5000 });
+        const routesData = routesRes.data || [];
+
+        // Fetch stops for each route
+        const fullRoutes = await Promise.all(routesData.map(async (r) => {
+            try {
+                const stopsRes = await axios.get(`${apiUrl}/api/routes/${r.id}/stops`);
+                return { ...r, waypoints: stopsRes.data || [] };
+            } catch (e) {
+                return { ...r, waypoints: [] };
+            }
+        }));
+
+        setRoutes(fullRoutes);
+        routesUpdatedAtRef.current = Date.now();
+        setRoutesUpdatedAt(routesUpdatedAtRef.current);
+    };
+
+    // Local routes (same format the ETA screens use), keyed by routeId
+    const loadLocalRoutes = async () => {
+        const load = ++localRoutesLoadRef.current;
+        try {
+            const routes = await getAllRoutes();
+            if (load !== localRoutesLoadRef.current) return;
+            localRoutesRef.current = Object.fromEntries(routes.map(r => [r.routeId, r]));
+        } catch (error) {
+            console.log("[DataContext] Error loading local routes:", error.message);
+        }
+    };
+
+    // Pick the REST polling interval from the MQTT state
+    const getPollInterval = () => {
+        if (mqttStatusRef.current !== MQTT_STATUS.CONNECTED) {
+            return POLL_INTERVAL_FAST_MS;
+        }
+        const isStreaming = (Date.now() - lastMqttMessageRef.current) < LIVE_STREAM_WINDOW_MS;
+        return isStreaming ? POLL_INTERVAL_SLOW_MS : POLL_INTERVAL_NORMAL_MS;
+    };
+
+    const schedulePoll = (delay) => {
+        clearTimeout(pollTimerRef.current);
+        pollTimerRef.current = setTimeout(async () => {
+            await fetchBuses();
+            schedulePoll(getPollInterval());
+        }, delay);
+    };
+
+    // Conditional/delta poll (see busSync); only buses that changed are touched
+    const fetchBuses = async ({ full = false } = {}) => {
         try {
             const apiUrl = await getApiUrl();
-            const response = await axios.get(`${apiUrl}/api/buses`, { timeout: 5000 });
+            // Validators and cursors belong to one server
+            if (busSyncRef.current.apiUrl !== apiUrl) {
+                busSyncRef.current = createBusSyncState(apiUrl);
+            }
 
-            if (response.data && Array.isArray(response.data)) {
-                setBuses(prevBuses => {
-                    // Flatten API data and parse timestamps
-                    const apiBuses = response.data.map(b => {
-                        let timeVal = 0;
-                        if (b.last_updated) {
-                            let dateStr = b.last_updated;
-                            if (typeof dateStr === 'string' && !dateStr.endsWith('Z') && !dateStr.includes('+')) {
-                                dateStr += 'Z';
-                            }
-                            timeVal = new Date(dateStr).getTime();
-                            if (isNaN(timeVal)) timeVal = 0;
-                        }
-                        return { ...b, last_updated: timeVal };
-                    });
-
-                    const mergedBuses = [...prevBuses];
-
-                    apiBuses.forEach(apiBus => {
-                        const apiId = apiBus.bus_mac || apiBus.mac_address || apiBus.id;
-                        const existingIdx = mergedBuses.findIndex(b => {
-                            const localId = b.bus_mac || b.mac_address || b.id;
-                            return localId === apiId;
-                        });
-
-                        let finalName = apiBus.bus_name;
-
-                        if (existingIdx > -1) {
-                            const existing = mergedBuses[existingIdx];
-
-                            // Name protection
-                            if (existing.bus_name && existing.bus_name !== 'Bus' && !existing.bus_name.startsWith('Bus-')) {
-                                if (!apiBus.bus_name || apiBus.bus_name.startsWith('Bus-')) {
-                                    finalName = existing.bus_name;
-                                }
-                            }
-
-                            // Smart Merge
-                            const localIsFresher = (existing.last_updated || 0) > (apiBus.last_updated || 0);
-
-                            if (localIsFresher) {
-                                mergedBuses[existingIdx] = {
-                                    ...apiBus,
-                                    ...existing,
-                                    bus_name: finalName
-                                };
-                            } else {
-                                // API is fresher - merge but preserve existing values if API has null/0
-                                const getValidValue = (apiVal, existingVal) => {
-                                    // Keep existing if API value is null, undefined, or 0 (no GPS fix)
-                                    if (apiVal === null || apiVal === undefined || apiVal === 0) {
-                                        return existingVal;
-                                    }
-                                    return apiVal;
-                                };
-
-                                mergedBuses[existingIdx] = {
-                                    ...existing,
-                                    ...apiBus,
-                                    bus_name: finalName,
-                                    rssi: existing.rssi,
-                                    isOnline: existing.isOnline,
-                                    lastSignalUpdate: existing.lastSignalUpdate,
-                                    // Preserve location if API returns null/0
-                                    current_lat: getValidValue(apiBus.current_lat, existing.current_lat),
-                                    current_lon: getValidValue(apiBus.current_lon, existing.current_lon),
-                                    // Preserve sensor data if API returns null/0
-                                    pm2_5: getValidValue(apiBus.pm2_5, existing.pm2_5),
-                                    pm10: getValidValue(apiBus.pm10, existing.pm10),
-                                    temp: getValidValue(apiBus.temp, existing.temp),
-                                    hum: getValidValue(apiBus.hum, existing.hum),
-                                    seats_available: getValidValue(apiBus.seats_available, existing.seats_available),
-                                };
-                            }
-                        } else {
-                            mergedBuses.push({ ...apiBus, bus_name: finalName });
-                        }
-                    });
-                    return mergedBuses;
-                });
-                setLastUpdated(Date.now());
+            const sync = busSyncRef.current;
+            const request = buildBusPollRequest(sync, { full });
+            const response = await axios.get(`${apiUrl}/api/buses`, {
+                params: request.params,
+                headers: request.headers,
+                timeout: 5000,
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+            });
+
+            const result = parseBusPollResponse(sync, request, response);
+            busSyncRef.current = result.sync;
+
+            if (!result.notModified) {
+                const apiBuses = result.buses
+                    .map(b => normalizeBus(b, { source: 'rest' }))
+                    .filter(Boolean);
+
+                // We DO NOT remove buses that are missing from the API.
+                // They stay in the list (possibly offline) so MQTT updates keep them alive.
+                setBuses(prevBuses => apiBuses.reduce((list, apiBus) => upsertBus(list, apiBus), prevBuses));
             }
+            // A 304 / empty delta still confirms the data is current
+            markLive();
         } catch (error) {
+            // Expired or unknown cursor: start over with a full download
+            if (error.response && busSyncRef.current.cursor) {
+                busSyncRef.current = createBusSyncState(busSyncRef.current.apiUrl);
+            }
             console.log("[DataContext] Error fetching buses:", error.message);
         }
     };
 
-    const connectMqtt = async () => {
+    // Counter payloads without a bus id come from single-camera setups;
+    // they are only attributed when exactly one bus is known
+    const resolveOccupancyBusId = (data) => {
+        const busId = getOccupancyBusId(data);
+        if (busId) return busId;
+        const { buses } = getBusStoreState();
+        return buses.length === 1 ? buses[0].id : null;
+    };
+
+    const updateOccupancy = (busId, apply) => {
+        setOccupancy(prev => {
+            const current = prev[busId] || createOccupancy(busId);
+            const next = apply(current);
+            return next === current ? prev : { ...prev, [busId]: next };
+        });
+    };
+
+    // REST /count is only used to resync (startup, reconnect, pull to refresh);
+    // live occupancy comes from the MQTT counters
+    const fetchOccupancy = async () => {
         try {
-            const overrideIp = await AsyncStorage.getItem('serverIp');
-            const host = overrideIp || MQTT_CONFIG.host;
-            const mqttUrl = `ws://${host}:${MQTT_CONFIG.wsPort}`;
-
-            // Prevent multiple connections
-            if (mqttClientRef.current?.connected) return;
-
-            console.log('[DataContext] Connecting to MQTT...', mqttUrl);
-            const client = mqtt.connect(mqttUrl);
-            mqttClientRef.current = client;
-
-            client.on('connect', () => {
-                console.log('[DataContext] Connected to MQTT Broker');
-                client.subscribe('sut/app/bus/location');
-                client.subscribe('sut/bus/gps/fast');
-                client.subscribe('sut/bus/gps');
-                client.subscribe('sut/person-detection');
-                client.subscribe('sut/bus/+/status');
+            const apiUrl = await getApiUrl();
+            const response = await axios.get(`${apiUrl}/count`, { headers: getApiHeaders(), timeout: 5000 });
+            const data = response.data;
+            if (!data) return;
+
+            const receivedAt = Date.now();
+            const entries = Array.isArray(data.buses) ? data.buses : [data];
+            entries.forEach(entry => {
+                const busId = resolveOccupancyBusId(entry);
+                if (!busId) return;
+                updateOccupancy(busId, current => applyResync(current, entry, receivedAt));
             });
+        } catch (error) {
+            console.log("[DataContext] Error fetching passenger count:", error.message);
+        }
+    };
 
-            client.on('message', (topic, message) => {
-                try {
-                    const data = JSON.parse(message.toString());
-                    handleMqttMessage(topic, data);
-                } catch (e) {
-                    console.log("[DataContext] MQTT Parse Error", e);
-                }
-            });
+    // Backlog of announcements; new ones arrive over MQTT
+    const fetchAnnouncements = async () => {
+        try {
+            const apiUrl = await getApiUrl();
+            const response = await axios.get(`${apiUrl}/api/announcements`, { headers: getApiHeaders(), timeout: 5000 });
+            const list = Array.isArray(response.data) ? response.data : response.data?.announcements;
+            if (Array.isArray(list)) mergeAnnouncements(list, { replace: true });
+        } catch (error) {
+            console.log("[DataContext] Error fetching announcements:", error.message);
+        }
+    };
 
-            client.on('error', (err) => console.error('[DataContext] MQTT Error:', err));
+    const refreshData = useCallback(async () => {
+        await Promise.all([fetchBuses({ full: true }), fetchOccupancy(), loadLocalRoutes()]);
+    }, []);
 
-        } catch (e) {
-            console.error("[DataContext] MQTT Setup Error:", e);
-        }
+    const connectMqtt = () => {
+        // Prevent multiple connections
+        if (mqttConnectionRef.current) return;
+
+        mqttConnectionRef.current = createMqttConnection({
+            topics: MQTT_TOPICS,
+            onMessage: (topic, message) => {
+                lastMqttMessageRef.current = Date.now();
+                // Malformed payloads are counted and logged by the validator (see mqttValidation)
+                const result = validateMqttMessage(topic, message);
+                if (result.ok) handleMqttMessage(topic, result.data);
+            },
+            onStatusChange: (status) => {
+                console.log(`[DataContext] MQTT ${status}`);
+                const wasConnected = mqttStatusRef.current === MQTT_STATUS.CONNECTED;
+                mqttStatusRef.current = status;
+                setMqttStatus(status);
+
+                // Connection dropped: fall back to fast polling right away
+                if (wasConnected && status !== MQTT_STATUS.CONNECTED) {
+                    schedulePoll(0);
+                }
+                // Counter events and announcements may have been missed while disconnected
+                if (!wasConnected && status === MQTT_STATUS.CONNECTED) {
+                    fetchOccupancy();
+                    fetchAnnouncements();
+                }
+            },
+        });
     };
 
+    const reconnectMqtt = useCallback(() => {
+        mqttConnectionRef.current?.reconnectNow();
+    }, []);
+
+    // data has already been validated and coerced for its topic
     const handleMqttMessage = (topic, data) => {
         // console.log(`[DataContext] MQTT Update: ${topic}`);
+        const receivedAt = Date.now();
 
         if (topic === 'sut/app/bus/location' || topic === 'sut/bus/gps') {
-            setBuses(prevBuses => {
-                const apiId = data.bus_mac; // Assuming data always has bus_mac
-                const existingIdx = prevBuses.findIndex(b => (b.bus_mac || b.mac_address || b.id) === apiId);
-
-                if (existingIdx > -1) {
-                    const updated = [...prevBuses];
-                    const oldBus = updated[existingIdx];
-                    updated[existingIdx] = {
-                        ...oldBus,
-                        bus_name: data.bus_name || oldBus.bus_name,
-                        current_lat: (data.lat !== null && data.lat !== undefined) ? data.lat : oldBus.current_lat,
-                        current_lon: (data.lon !== null && data.lon !== undefined) ? data.lon : oldBus.current_lon,
-                        seats_available: data.seats_available ?? oldBus.seats_available,
-                        pm2_5: data.pm2_5 ?? oldBus.pm2_5,
-                        pm10: data.pm10 ?? oldBus.pm10,
-                        temp: data.temp ?? oldBus.temp,
-                        hum: data.hum ?? oldBus.hum,
-                        last_updated: Date.now() // Instant Wake up
-                    };
-                    return updated;
-                } else {
-                    return [...prevBuses, {
-                        id: data.bus_mac,
-                        bus_mac: data.bus_mac,
-                        mac_address: data.bus_mac,
-                        bus_name: data.bus_name || `Bus-${data.bus_mac?.slice(-4)}`,
-                        current_lat: data.lat,
-                        current_lon: data.lon,
-                        last_updated: Date.now()
-                    }];
-                }
-            });
+            const incoming = normalizeBus(data, { source: 'mqtt', receivedAt });
+            if (!incoming) return;
+            setBuses(prevBuses => upsertBus(prevBuses, incoming));
+            markLive();
         }
         else if (topic === 'sut/bus/gps/fast') {
-            setBuses(prevBuses => {
-                const idx = prevBuses.findIndex(b => (b.bus_mac || b.mac_address || b.id) === data.bus_mac);
-                if (idx > -1 && data.lat != null && data.lon != null) {
-                    const updated = [...prevBuses];
-                    updated[idx] = {
-                        ...updated[idx],
-                        current_lat: data.lat,
-                        current_lon: data.lon,
-                        last_updated: Date.now()
-                    };
-                    return updated;
-                }
-                return prevBuses;
-            });
+            const incoming = normalizeBus(data, { source: 'mqtt', receivedAt });
+            // Fast GPS only moves buses we already know about
+            if (!incoming || incoming.current_lat === null || incoming.current_lon === null) return;
+            setBuses(prevBuses => upsertBus(prevBuses, incoming, { allowInsert: false }));
+            markLive();
+        }
+        else if (topic === 'sut/person-detection' || topic === 'bus/door/count') {
+            const busId = resolveOccupancyBusId(data);
+            if (!busId) return;
+            const apply = topic === 'bus/door/count' ? applyDoorEvent : applyDetection;
+            updateOccupancy(busId, current => apply(current, data, receivedAt));
+        }
+        else if (topic === 'sut/app/announcements') {
+            mergeAnnouncements([data]);
         }
         else if (topic.includes('/status')) {
-            const parts = topic.split('/');
-            const busId = parts[2];
+            const busId = data.bus_mac;
 
-            if (busId && data.rssi !== undefined) {
+            if (data.rssi !== undefined) {
                 setBuses(prevBuses => {
-                    const idx = prevBuses.findIndex(b => (b.bus_mac || b.mac_address || b.id) === busId);
-                    if (idx > -1) {
-                        const updated = [...prevBuses];
-                        updated[idx] = {
-                            ...updated[idx],
-                            rssi: data.rssi,
-                            isOnline: true,
-                            lastSignalUpdate: Date.now(),
-                            last_updated: Date.now()
-                        };
-                        return updated;
-                    }
-                    return prevBuses;
+                    const idx = prevBuses.findIndex(b => b.id === busId);
+                    if (idx === -1) return prevBuses;
+                    const updated = [...prevBuses];
+                    updated[idx] = applySignal(updated[idx], data.rssi, receivedAt);
+                    return updated;
                 });
             }
         }
     };
 
+    // Connection/freshness state only; bus data is read through the bus store hooks
+    const value = useMemo(() => ({
+        loading,
+        error,
+        lastUpdated,
+        routesUpdatedAt,
+        isFromCache,
+        refreshBuses: refreshData,
+        mqttStatus,
+        isLive: mqttStatus === MQTT_STATUS.CONNECTED,
+        reconnectMqtt,
+    }), [loading, error, lastUpdated, routesUpdatedAt, isFromCache, refreshData, mqttStatus, reconnectMqtt]);
+
     return (
-        <DataContext.Provider value={{ buses, routes, loading, error, refreshBuses: fetchBuses }}>
+        <DataContext.Provider value={value}>
             {children}
         </DataContext.Provider>
     );
@@ -0,0 +1,87 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import {
+    loadFavorites,
+    saveFavorites,
+    createStopFavorite,
+    createRouteFavorite,
+    findStopFavorite,
+    getRouteFavoriteId,
+    moveFavorite,
+} from '../utils/favorites';
+
+const FavoritesContext = createContext();
+
+export const useFavorites = () => {
+    const context = useContext(FavoritesContext);
+    if (!context) {
+        throw new Error('useFavorites must be used within a FavoritesProvider');
+    }
+    return context;
+};
+
+export const FavoritesProvider = ({ children }) => {
+    const [favorites, setFavorites] = useState([]);
+    const favoritesRef = useRef([]);
+
+    useEffect(() => {
+        const init = async () => {
+            const saved = await loadFavorites();
+            favoritesRef.current = saved;
+            setFavorites(saved);
+        };
+        init();
+    }, []);
+
+    const update = (next) => {
+        favoritesRef.current = next;
+        setFavorites(next);
+        saveFavorites(next);
+    };
+
+    const isFavorite = (id) => favorites.some(f => f.id === id);
+
+    // existing: the saved favorite for the same stop/route, if any
+    const toggle = (favorite, existing) => {
+        const current = favoritesRef.current;
+        if (existing) {
+            update(current.filter(f => f.id !== existing.id));
+            console.log(`[Favorites] Removed ${existing.id}`);
+        } else {
+            update([...current, favorite]);
+            console.log(`[Favorites] Added ${favorite.id}`);
+        }
+    };
+
+    // entry: stop directory entry; matched by location, its id is not stable
+    const toggleFavoriteStop = (entry) => toggle(createStopFavorite(entry), findStopFavorite(favoritesRef.current, entry));
+    const toggleFavoriteRoute = (route) => {
+        const favorite = createRouteFavorite(route);
+        toggle(favorite, favoritesRef.current.find(f => f.id === favorite.id));
+    };
+    const isFavoriteStop = (entry) => !!findStopFavorite(favorites, entry);
+    const isFavoriteRoute = (routeId) => isFavorite(getRouteFavoriteId(routeId));
+
+    const removeFavorite = (id) => {
+        update(favoritesRef.current.filter(f => f.id !== id));
+    };
+
+    // Drag and drop in the favorites strip
+    const reorderFavorites = (from, to) => {
+        const next = moveFavorite(favoritesRef.current, from, to);
+        if (next !== favoritesRef.current) update(next);
+    };
+
+    return (
+        <FavoritesContext.Provider value={{
+            favorites,
+            isFavoriteStop,
+            isFavoriteRoute,
+            toggleFavoriteStop,
+            toggleFavoriteRoute,
+            removeFavorite,
+            reorderFavorites,
+        }}>
+            {children}
+        </FavoritesContext.Provider>
+    );
+};
@@ -27,9 +27,99 @@ const translations = {
 
         // Notifications
         notificationsEnabled: 'Notifications Enabled',
-        busArriving: 'Bus arriving in {minutes} minutes',
-        approachingStop: 'Approaching your stop',
-        arrivedAtStop: 'You have arrived at your destination',
+        busArrivingTitle: '🚌 Bus Arriving Soon',
+        busArriving: '{bus} arriving at {stop} in {minutes} minutes',
+        approachingStop: '📍 Approaching your stop',
+        approachingStopBody: "You're approaching {stop}. Get ready!",
+        arrivedAtStop: '🎯 You have arrived',
+        arrivedAtStopBody: "You've arrived at {stop}",
+        airQualityAlertTitle: '😷 Poor Air Quality',
+        airQualityRidingBody: '{pollutant} on {bus} is {value} µg/m³ (your limit is {limit})',
+        airQualityPlaceBody: '{bus} reports {pollutant} {value} µg/m³ near {place}',
+        announcementTitle: '📢 Service announcement',
+        notificationPreferences: 'Notification Preferences',
+        notifCategory_arrivals: 'Bus arrivals',
+        notifCategory_ride: 'Ride progress',
+        notifCategory_airQuality: 'Air quality',
+        notifCategory_announcements: 'Announcements',
+        quietHours: 'Quiet hours',
+        quietHoursHint: 'No notifications between {start} and {end}',
+        quietFrom: 'From',
+        quietUntil: 'Until',
+
+        // Data freshness
+        staleData: 'Showing saved data from {age}',
+        waitingForLiveData: 'Waiting for live data...',
+        justNow: 'just now',
+        minutesAgo: '{minutes} min ago',
+        hoursAgo: '{hours} h ago',
+
+        // Trip planner
+        tripPlanner: 'Trip Planner',
+        planTrip: 'Plan trip',
+        from: 'From',
+        to: 'To',
+        yourLocation: 'Your location',
+        locationUnavailable: 'Location unavailable',
+        droppedPin: 'Dropped pin',
+        searchStops: 'Search stops',
+        change: 'Change',
+        noTripsFound: 'No trips found',
+        arriveAt: 'Arrive {time}',
+        tripMinutes: '{minutes} min',
+        walkOnly: 'Walk all the way',
+        transferCount: '{count} change',
+        walkTo: 'Walk {distance} m to {place}',
+        takeRoute: 'Take {route}',
+        busArrivesIn: '{bus} arrives in {minutes} min',
+        noLiveBus: 'No live bus right now',
+        rideStops: 'Ride {stops} stops, get off at {stop}',
+        showOnMap: 'Show on map',
+
+        // Stop directory
+        stopDirectory: 'Bus Stops',
+        stopCount: '{count} stops',
+        noStopsFound: 'No stops found',
+
+        // Route schedules
+        scheduledService: 'Scheduled service',
+        nextDeparture: 'Next departure {time}',
+        notInService: 'Not in service',
+        inServiceNoBus: 'In service until {time} · no bus reporting',
+        noUpcomingService: 'No service in the next 7 days',
+        bunchedWith: 'Bunched with {bus}',
+        largeGapAhead: 'Large gap · {minutes} min behind the bus ahead',
+        busAheadMinutes: '{minutes} min behind the bus ahead',
+        inferredRoute: 'inferred',
+        atStopSince: 'At {stop} · arrived {age}',
+        lastSeenAtStop: 'Last seen at {stop}, {age}',
+        stopAlerts: 'Stop Alerts',
+        notifyWhenBusNear: 'Notify me when a bus is near this stop',
+        notifyMinutesBefore: '{minutes} min before',
+        notifyMe: 'Notify me',
+        stopAlertActive: '{route}: alert {minutes} min before',
+        noStopAlerts: 'No stop alerts yet. Long-press a stop on the map to add one.',
+        airQualityAlerts: 'Air Quality Alerts',
+        aqAlertsEnabled: 'Warn me about poor air',
+        aqProfile: 'Sensitivity',
+        aqProfile_standard: 'Standard',
+        aqProfile_sensitive: 'Sensitive',
+        aqProfile_asthma: 'Asthma',
+        aqProfile_custom: 'Custom',
+        aqThresholds: 'Alert above PM2.5 {pm25} · PM10 {pm10} µg/m³',
+        aqWatch: 'Watch',
+        aqWatchRiding: 'The bus I am riding',
+        aqWatchSavedStops: 'Buses at my saved stops ({count})',
+        aqNoZones: 'No PM zones available',
+        off: 'Off',
+        announcements: 'Announcements',
+        moreAnnouncements: '+{count} more',
+        announcementUntil: 'Until {time}',
+        markAllRead: 'Mark all as read',
+        favorites: 'Favorites',
+        favoritesHint: 'Star a stop or route to pin it here. Long-press a card to move it.',
+        favoriteNoBus: 'No live bus',
+        favoriteLiveBuses: '{count} buses running',
 
         // About
         version: 'Version',
@@ -64,9 +154,99 @@ const translations = {
 
         // Notifications
         notificationsEnabled: 'เปิดการแจ้งเตือน',
-        busArriving: 'รถบัสจะมาถึงใน {minutes} นาที',
-        approachingStop: 'กำลังเข้าใกล้ป้ายของคุณ',
-        arrivedAtStop: 'คุณมาถึงจุดหมายปลายทางแล้ว',
+        busArrivingTitle: '🚌 รถบัสใกล้มาถึง',
+        busArriving: '{bus} จะถึง {stop} ใน {minutes} นาที',
+        approachingStop: '📍 กำลังเข้าใกล้ป้ายของคุณ',
+        approachingStopBody: 'ใกล้ถึง {stop} แล้ว เตรียมตัวลงรถ',
+        arrivedAtStop: '🎯 ถึงจุดหมายแล้ว',
+        arrivedAtStopBody: 'คุณมาถึง {stop} แล้ว',
+        airQualityAlertTitle: '😷 คุณภาพอากาศไม่ดี',
+        airQualityRidingBody: '{pollutant} บน {bus} อยู่ที่ {value} µg/m³ (เกณฑ์ของคุณ {limit})',
+        airQualityPlaceBody: '{bus} วัด {pollutant} ได้ {value} µg/m³ ใกล้ {place}',
+        announcementTitle: '📢 ประกาศจากผู้ให้บริการ',
+        notificationPreferences: 'ตั้งค่าการแจ้งเตือน',
+        notifCategory_arrivals: 'รถใกล้มาถึง',
+        notifCategory_ride: 'ความคืบหน้าการเดินทาง',
+        notifCategory_airQuality: 'คุณภาพอากาศ',
+        notifCategory_announcements: 'ประกาศ',
+        quietHours: 'ช่วงเวลางดแจ้งเตือน',
+        quietHoursHint: 'ไม่แจ้งเตือนระหว่าง {start} ถึง {end}',
+        quietFrom: 'ตั้งแต่',
+        quietUntil: 'จนถึง',
+
+        // Data freshness
+        staleData: 'แสดงข้อมูลที่บันทึกไว้เมื่อ {age}',
+        waitingForLiveData: 'กำลังรอข้อมูลสด...',
+        justNow: 'เมื่อสักครู่',
+        minutesAgo: '{minutes} นาทีที่แล้ว',
+        hoursAgo: '{hours} ชั่วโมงที่แล้ว',
+
+        // Trip planner
+        tripPlanner: 'วางแผนการเดินทาง',
+        planTrip: 'วางแผนเดินทาง',
+        from: 'จาก',
+        to: 'ไปยัง',
+        yourLocation: 'ตำแหน่งของคุณ',
+        locationUnavailable: 'ไม่พบตำแหน่ง',
+        droppedPin: 'หมุดที่ปักไว้',
+        searchStops: 'ค้นหาป้ายรถ',
+        change: 'เปลี่ยน',
+        noTripsFound: 'ไม่พบเส้นทางการเดินทาง',
+        arriveAt: 'ถึง {time}',
+        tripMinutes: '{minutes} นาที',
+        walkOnly: 'เดินไปทั้งหมด',
+        transferCount: 'ต่อรถ {count} ครั้ง',
+        walkTo: 'เดิน {distance} ม. ไปยัง {place}',
+        takeRoute: 'ขึ้นรถสาย {route}',
+        busArrivesIn: '{bus} จะมาถึงใน {minutes} นาที',
+        noLiveBus: 'ขณะนี้ไม่มีรถให้บริการ',
+        rideStops: 'นั่ง {stops} ป้าย ลงที่ {stop}',
+        showOnMap: 'ดูบนแผนที่',
+
+        // Stop directory
+        stopDirectory: 'ป้ายรถบัส',
+        stopCount: '{count} ป้าย',
+        noStopsFound: 'ไม่พบป้ายรถ',
+
+        // Route schedules
+        scheduledService: 'ตารางเดินรถ',
+        nextDeparture: 'เที่ยวถัดไป {time}',
+        notInService: 'ไม่อยู่ในเวลาให้บริการ',
+        inServiceNoBus: 'ให้บริการถึง {time} · ไม่มีรถส่งสัญญาณ',
+        noUpcomingService: 'ไม่มีบริการใน 7 วันข้างหน้า',
+        bunchedWith: 'วิ่งติดกับ {bus}',
+        largeGapAhead: 'ระยะห่างมาก · ตามคันหน้า {minutes} นาที',
+        busAheadMinutes: 'ตามคันหน้า {minutes} นาที',
+        inferredRoute: 'คาดการณ์',
+        atStopSince: 'อยู่ที่ {stop} · ถึงเมื่อ {age}',
+        lastSeenAtStop: 'ผ่าน {stop} ล่าสุด {age}',
+        stopAlerts: 'แจ้งเตือนป้ายรถ',
+        notifyWhenBusNear: 'แจ้งเตือนเมื่อรถใกล้ถึงป้ายนี้',
+        notifyMinutesBefore: 'ก่อน {minutes} นาที',
+        notifyMe: 'แจ้งเตือนฉัน',
+        stopAlertActive: '{route}: แจ้งเตือนก่อน {minutes} นาที',
+        noStopAlerts: 'ยังไม่มีการแจ้งเตือน กดค้างที่ป้ายบนแผนที่เพื่อเพิ่ม',
+        airQualityAlerts: 'แจ้งเตือนคุณภาพอากาศ',
+        aqAlertsEnabled: 'เตือนเมื่ออากาศไม่ดี',
+        aqProfile: 'ความไวต่อฝุ่น',
+        aqProfile_standard: 'ทั่วไป',
+        aqProfile_sensitive: 'กลุ่มเสี่ยง',
+        aqProfile_asthma: 'โรคหอบหืด',
+        aqProfile_custom: 'กำหนดเอง',
+        aqThresholds: 'เตือนเมื่อ PM2.5 เกิน {pm25} · PM10 เกิน {pm10} µg/m³',
+        aqWatch: 'ติดตาม',
+        aqWatchRiding: 'รถที่ฉันกำลังนั่ง',
+        aqWatchSavedStops: 'รถที่ป้ายที่บันทึกไว้ ({count})',
+        aqNoZones: 'ไม่มีโซน PM',
+        off: 'ปิด',
+        announcements: 'ประกาศ',
+        moreAnnouncements: 'และอีก {count} รายการ',
+        announcementUntil: 'ถึง {time}',
+        markAllRead: 'อ่านทั้งหมดแล้ว',
+        favorites: 'รายการโปรด',
+        favoritesHint: 'กดดาวที่ป้ายหรือเส้นทางเพื่อปักหมุดไว้ที่นี่ กดค้างที่การ์ดเพื่อย้าย',
+        favoriteNoBus: 'ไม่มีรถวิ่งอยู่',
+        favoriteLiveBuses: 'มีรถวิ่ง {count} คัน',
 
         // About
         version: 'เวอร์ชัน',
@@ -1,7 +1,37 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Alert } from 'react-native';
+import { Alert, Platform } from 'react-native';
 import * as Notifications from 'expo-notifications';
+import axios from 'axios';
+import { getApiUrl, getApiHeaders } from '../config/api';
+import { getEtaToStop } from '../utils/routeEta';
+import { getBusStoreState, subscribeBusStore } from '../utils/busStore';
+import { getEtaOptions } from '../utils/travelTimes';
+import { getAllRoutes, subscribeRouteChanges } from '../utils/routeStorage';
+import {
+    loadStopSubscriptions,
+    saveStopSubscriptions,
+    createStopSubscription,
+    findDueStopAlerts,
+} from '../utils/stopSubscriptions';
+import {
+    loadAirQualitySettings,
+    saveAirQualitySettings,
+    normalizePmZones,
+    getWatchedPlaces,
+    evaluateAirQualityAlerts,
+    DEFAULT_AIR_QUALITY_SETTINGS,
+} from '../utils/airQualityAlerts';
+import {
+    loadNotificationPreferences,
+    saveNotificationPreferences,
+    shouldDeliverNotification,
+    NOTIFICATION_CATEGORY,
+    NOTIFICATION_CHANNELS,
+    DEFAULT_NOTIFICATION_PREFERENCES,
+} from '../utils/notificationPreferences';
+import { getActiveAnnouncements } from '../utils/announcements';
+import { useLanguage } from './LanguageContext';
 
 const NOTIFICATIONS_KEY = '@notifications_enabled';
 
@@ -29,8 +59,22 @@ export const useNotifications = () => {
 };
 
 export const NotificationProvider = ({ children }) => {
+    const { t, language } = useLanguage();
+    // Alerts fire from store subscriptions set up earlier; always use the current language
+    const tRef = useRef(t);
+    tRef.current = t;
     const [enabled, setEnabled] = useState(false);
+    const [preferences, setPreferences] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
+    const preferencesRef = useRef(DEFAULT_NOTIFICATION_PREFERENCES);
     const [permissionGranted, setPermissionGranted] = useState(false);
+    const [stopSubscriptions, setStopSubscriptions] = useState([]);
+    const notifiedRef = useRef({}); // 'subscriptionId:busId' -> epoch ms
+    const [localRoutes, setLocalRoutes] = useState(null); // null until loaded
+    const routesLoadRef = useRef(0); // Latest route load; older reads are dropped
+    const [airQualitySettings, setAirQualitySettings] = useState(DEFAULT_AIR_QUALITY_SETTINGS);
+    const [pmZones, setPmZones] = useState([]);
+    const airQualityStateRef = useRef({ streaks: {}, lastAlertAt: {} });
+    const ridingBusIdRef = useRef(null); // Set by MapScreen while the user rides a bus
 
     // Load saved preference
     useEffect(() => {
@@ -40,6 +84,11 @@ export const NotificationProvider = ({ children }) => {
                 if (saved === 'true') {
                     setEnabled(true);
                 }
+                setStopSubscriptions(await loadStopSubscriptions());
+                setAirQualitySettings(await loadAirQualitySettings());
+                const savedPreferences = await loadNotificationPreferences();
+                preferencesRef.current = savedPreferences;
+                setPreferences(savedPreferences);
 
                 // Try to check permission status
                 try {
@@ -79,9 +128,41 @@ export const NotificationProvider = ({ children }) => {
         }
     };
 
+    // One Android channel per category, named in the app language
+    useEffect(() => {
+        if (Platform.OS !== 'android') return;
+        NOTIFICATION_CHANNELS.forEach(({ category, importance }) => {
+            Notifications.setNotificationChannelAsync(category, {
+                name: t(`notifCategory_${category}`),
+                importance: importance === 'high'
+                    ? Notifications.AndroidImportance.HIGH
+                    : Notifications.AndroidImportance.DEFAULT,
+            }).catch(e => console.log('Notification channel setup skipped:', e.message));
+        });
+    }, [language]);
+
+    // changes: { categories?, quietHours? }, or (current) => changes when they depend on
+    // the current values; merged onto the ref so quick successive taps all count
+    const updateNotificationPreferences = async (changes) => {
+        const current = preferencesRef.current;
+        const patch = typeof changes === 'function' ? changes(current) : changes;
+        const updated = {
+            categories: { ...current.categories, ...patch.categories },
+            quietHours: { ...current.quietHours, ...patch.quietHours },
+        };
+        preferencesRef.current = updated;
+        setPreferences(updated);
+        await saveNotificationPreferences(updated);
+    };
+
     // Send a local notification
-    const sendNotification = async (title, body, data = {}) => {
+    // category: NOTIFICATION_CATEGORY value; decides the Android channel and the preference toggle
+    const sendNotification = async (title, body, data = {}, category = undefined) => {
         if (!enabled) return;
+        if (!shouldDeliverNotification(preferencesRef.current, category)) {
+            console.log(`[Notification] Suppressed (${category || 'general'}, preferences/quiet hours): ${title}`);
+            return;
+        }
 
         try {
             await Notifications.scheduleNotificationAsync({
@@ -91,7 +172,8 @@ export const NotificationProvider = ({ children }) => {
                     data,
                     sound: true,
                 },
-                trigger: null,
+                // Immediate; Android shows it on the category's channel
+                trigger: Platform.OS === 'android' && category ? { channelId: category } : null,
             });
         } catch (e) {
             // Just log in Expo Go - this is expected
@@ -102,27 +184,197 @@ export const NotificationProvider = ({ children }) => {
     // Notify when bus is arriving at stop
     const notifyBusArriving = async (busName, stopName, minutes) => {
         await sendNotification(
-            '🚌 Bus Arriving Soon',
-            `${busName} arriving at ${stopName} in ${minutes} minutes`,
-            { type: 'bus_arriving', busName, stopName, minutes }
+            tRef.current('busArrivingTitle'),
+            tRef.current('busArriving', { bus: busName, stop: stopName, minutes }),
+            { type: 'bus_arriving', busName, stopName, minutes },
+            NOTIFICATION_CATEGORY.ARRIVALS
+        );
+    };
+
+    // Notify with the along-route ETA (same minutes the map and routes list show)
+    // Returns false if the bus is not heading to that stop
+    const notifyBusEta = async (bus, route, stopName) => {
+        const eta = getEtaToStop(route, {
+            latitude: bus.current_lat,
+            longitude: bus.current_lon,
+            heading: getBusStoreState().busMotion[bus.id]?.heading,
+        }, stopName, { ...getEtaOptions(route.routeId), progress: getBusStoreState().routeProgress[bus.id] });
+        if (!eta) return false;
+
+        await notifyBusArriving(bus.bus_name, eta.stopName, eta.etaMinutes);
+        return true;
+    };
+
+    // Stop alerts: "notify me when a bus on this route is N minutes away"
+    const subscribeToStop = async (stop, minutes) => {
+        // Subscribing is pointless with notifications off, so switch them on
+        if (!enabled) await toggleNotifications();
+
+        const subscription = createStopSubscription(stop, minutes);
+        const updated = [...stopSubscriptions.filter(s => s.id !== subscription.id), subscription];
+        setStopSubscriptions(updated);
+        await saveStopSubscriptions(updated);
+        return subscription;
+    };
+
+    const unsubscribeFromStop = async (subscriptionId) => {
+        const updated = stopSubscriptions.filter(s => s.id !== subscriptionId);
+        setStopSubscriptions(updated);
+        await saveStopSubscriptions(updated);
+    };
+
+    // Local routes for the alert checks, reloaded whenever one is saved, deleted or downloaded
+    useEffect(() => {
+        const loadRoutes = async () => {
+            const load = ++routesLoadRef.current;
+            const routes = await getAllRoutes();
+            if (load === routesLoadRef.current) setLocalRoutes(routes);
+        };
+        loadRoutes();
+        return subscribeRouteChanges(loadRoutes);
+    }, []);
+
+    // Check stop alerts against live ETAs whenever buses move
+    useEffect(() => {
+        if (!enabled || stopSubscriptions.length === 0 || !localRoutes) return undefined;
+
+        const routesById = Object.fromEntries(localRoutes.map(r => [r.routeId, r]));
+        let lastMotion = null;
+
+        return subscribeBusStore(() => {
+            const state = getBusStoreState();
+            if (state.busMotion === lastMotion) return;
+            lastMotion = state.busMotion;
+
+            const { due, notified } = findDueStopAlerts(stopSubscriptions, routesById, state, notifiedRef.current);
+            notifiedRef.current = notified;
+            due.forEach(({ subscription, bus, eta }) => {
+                console.log(`[StopAlerts] ${bus.bus_name || bus.id} is ${eta.etaMinutes} min from ${subscription.stopName}`);
+                notifyBusArriving(bus.bus_name || bus.id, subscription.stopName, eta.etaMinutes);
+            });
+        });
+    }, [enabled, stopSubscriptions, localRoutes]);
+
+    // Air quality alerts: thresholds from a profile or custom values
+    const updateAirQualitySettings = async (changes) => {
+        const updated = { ...airQualitySettings, ...changes };
+        if (updated.enabled && !enabled) await toggleNotifications();
+        setAirQualitySettings(updated);
+        await saveAirQualitySettings(updated);
+    };
+
+    // The bus the user is riding (null when not riding)
+    const setCurrentRide = (busId) => {
+        ridingBusIdRef.current = busId;
+    };
+
+    // PM zones drawn by admins (PMZoneEditorScreen) that users can watch
+    const refreshPmZones = async () => {
+        try {
+            const apiUrl = await getApiUrl();
+            const res = await axios.get(`${apiUrl}/api/pm-zones`, { headers: getApiHeaders(), timeout: 10000 });
+            const zones = normalizePmZones(res.data.zones || res.data);
+            setPmZones(zones);
+            return zones;
+        } catch (e) {
+            console.log('[AirQualityAlerts] Could not load PM zones:', e.message);
+            return pmZones;
+        }
+    };
+
+    const notifyAirQuality = async ({ bus, pollutant, value, threshold, where }) => {
+        const params = {
+            pollutant: pollutant === 'pm2_5' ? 'PM2.5' : 'PM10',
+            bus: bus.bus_name || bus.id,
+            value,
+            limit: threshold,
+            place: where.name,
+        };
+        await sendNotification(
+            tRef.current('airQualityAlertTitle'),
+            tRef.current(where.type === 'riding' ? 'airQualityRidingBody' : 'airQualityPlaceBody', params),
+            { type: 'air_quality', busId: bus.id, pollutant, value, where },
+            NOTIFICATION_CATEGORY.AIR_QUALITY
         );
     };
 
+    useEffect(() => {
+        if (airQualitySettings.enabled && airQualitySettings.zoneIds.length > 0) refreshPmZones();
+    }, [airQualitySettings.enabled]);
+
+    // Check air quality readings whenever buses report
+    useEffect(() => {
+        if (!enabled || !airQualitySettings.enabled) return undefined;
+
+        // Saved stops join once the routes are loaded (the effect re-runs then)
+        const stopLocations = {};
+        (localRoutes || []).forEach(route => (route.waypoints || []).forEach((wp, i) => {
+            stopLocations[`${route.routeId}:${i}`] = { latitude: wp.latitude, longitude: wp.longitude };
+        }));
+        const places = getWatchedPlaces(airQualitySettings, stopSubscriptions, stopLocations, pmZones);
+        let lastBuses = null;
+
+        return subscribeBusStore(() => {
+            const { buses } = getBusStoreState();
+            if (buses === lastBuses) return;
+            lastBuses = buses;
+
+            const { alerts, state } = evaluateAirQualityAlerts(
+                airQualitySettings,
+                { buses, ridingBusId: ridingBusIdRef.current, places },
+                airQualityStateRef.current
+            );
+            airQualityStateRef.current = state;
+            alerts.forEach(alert => {
+                console.log(`[AirQualityAlerts] ${alert.key}: ${alert.value} > ${alert.threshold}`);
+                notifyAirQuality(alert);
+            });
+        });
+    }, [enabled, airQualitySettings, stopSubscriptions, pmZones, localRoutes]);
+
+    // Announcements published while the app runs (older ones are in the map banner)
+    useEffect(() => {
+        if (!enabled) return undefined;
+
+        const startedAt = Date.now();
+        const notifiedIds = new Set();
+        let lastAnnouncements = null;
+        return subscribeBusStore(() => {
+            const { announcements } = getBusStoreState();
+            if (announcements === lastAnnouncements) return;
+            lastAnnouncements = announcements;
+
+            getActiveAnnouncements(announcements)
+                .filter(a => !a.read && a.createdAt >= startedAt && !notifiedIds.has(a.id))
+                .forEach(a => {
+                    notifiedIds.add(a.id);
+                    sendNotification(
+                        a.title || tRef.current('announcementTitle'),
+                        a.message,
+                        { type: 'announcement', id: a.id },
+                        NOTIFICATION_CATEGORY.ANNOUNCEMENTS
+                    );
+                });
+        });
+    }, [enabled]);
+
     // Notify when approaching destination (Grab-style)
     const notifyApproachingStop = async (stopName) => {
         await sendNotification(
-            '📍 Approaching Your Stop',
-            `You're approaching ${stopName}. Get ready!`,
-            { type: 'approaching_stop', stopName }
+            tRef.current('approachingStop'),
+            tRef.current('approachingStopBody', { stop: stopName }),
+            { type: 'approaching_stop', stopName },
+            NOTIFICATION_CATEGORY.RIDE
         );
     };
 
     // Notify when arrived at destination
     const notifyArrived = async (stopName) => {
         await sendNotification(
-            '🎯 You Have Arrived',
-            `You've arrived at ${stopName}`,
-            { type: 'arrived', stopName }
+            tRef.current('arrivedAtStop'),
+            tRef.current('arrivedAtStopBody', { stop: stopName }),
+            { type: 'arrived', stopName },
+            NOTIFICATION_CATEGORY.RIDE
         );
     };
 
@@ -131,10 +383,21 @@ export const NotificationProvider = ({ children }) => {
             enabled,
             permissionGranted,
             toggleNotifications,
+            preferences,
+            updateNotificationPreferences,
             sendNotification,
             notifyBusArriving,
+            notifyBusEta,
             notifyApproachingStop,
             notifyArrived,
+            stopSubscriptions,
+            subscribeToStop,
+            unsubscribeFromStop,
+            airQualitySettings,
+            updateAirQualitySettings,
+            pmZones,
+            refreshPmZones,
+            setCurrentRide,
         }}>
             {children}
         </NotificationContext.Provider>
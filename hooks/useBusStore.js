@@ -0,0 +1,99 @@
+import { useRef, useCallback, useSyncExternalStore } from 'react';
+import { getBusStoreState, subscribeBusStore } from '../utils/busStore';
+
+// Element-wise (arrays) or key-wise (objects) reference equality
+export const shallowEqual = (a, b) => {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.is(a[key], b[key]));
+};
+
+/**
+ * Subscribe to a slice of the bus store
+ * The component only re-renders when the selected value changes according to isEqual.
+ * @param {Function} selector - (state) => value
+ * @param {Function} isEqual - (prev, next) => boolean
+ */
+export const useBusStore = (selector, isEqual = Object.is) => {
+    const cacheRef = useRef(null);
+
+    const getSnapshot = () => {
+        const next = selector(getBusStoreState());
+        if (cacheRef.current && isEqual(cacheRef.current.value, next)) {
+            return cacheRef.current.value;
+        }
+        cacheRef.current = { value: next };
+        return next;
+    };
+
+    const subscribe = useCallback(subscribeBusStore, []);
+    return useSyncExternalStore(subscribe, getSnapshot);
+};
+
+const matchesRouteId = (route, routeId) =>
+    route.routeId === routeId || (route.id !== undefined && String(route.id) === String(routeId));
+
+/** All buses (re-renders on any bus change) */
+export const useBuses = () => useBusStore(state => state.buses);
+
+/** A single bus by MAC address */
+export const useBus = (busMac) => useBusStore(state => state.buses.find(b => b.id === busMac) || null);
+
+/** Buses assigned to a route (via the admin mapping, falling back to the server's route_id) */
+export const useBusesOnRoute = (routeId) => useBusStore(
+    state => (routeId
+        ? state.buses.filter(b => (state.mappings[b.id] || b.route_id) === routeId)
+        : []),
+    shallowEqual
+);
+
+/** All server routes */
+export const useRoutes = () => useBusStore(state => state.routes);
+
+/** A single route by routeId (or server id) */
+export const useRoute = (routeId) => useBusStore(
+    state => (routeId ? state.routes.find(r => matchesRouteId(r, routeId)) || null : null)
+);
+
+/** Bus MAC -> routeId mappings */
+export const useBusRouteMappings = () => useBusStore(state => state.mappings);
+
+/** Occupancy for every bus, or for one bus when busMac is given */
+export const useOccupancy = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.occupancy : state.occupancy[busMac] || null)
+);
+
+/** Motion (speed/heading/moving) for every bus, or for one bus when busMac is given */
+export const useBusMotion = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.busMotion : state.busMotion[busMac] || null)
+);
+
+/** Progress along the assigned route for every bus, or for one bus when busMac is given */
+export const useRouteProgress = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.routeProgress : state.routeProgress[busMac] || null)
+);
+
+/** Off-route state for every bus, or for one bus when busMac is given */
+export const useRouteDeviation = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.routeDeviation : state.routeDeviation[busMac] || null)
+);
+
+/** Inferred route for every unmapped bus, or for one bus when busMac is given */
+export const useRouteInference = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.routeInference : state.routeInference[busMac] || null)
+);
+
+/** Service announcements, newest first (filter with getActiveAnnouncements) */
+export const useAnnouncements = () => useBusStore(state => state.announcements);
+
+/** Latest stop arrival/departure for every bus, or for one bus when busMac is given */
+export const useLastStopEvent = (busMac) => useBusStore(
+    state => (busMac === undefined ? state.lastStopEvents : state.lastStopEvents[busMac] || null)
+);
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getMqttValidationStats, subscribeMqttValidationStats } from '../utils/mqttValidation';
+
+/**
+ * MQTT payload rejection statistics (re-renders on every rejection)
+ */
+export const useMqttDiagnostics = () => useSyncExternalStore(subscribeMqttValidationStats, getMqttValidationStats);
@@ -17,9 +17,7 @@ import axios from 'axios';
 import { getApiUrl, getApiHeaders } from '../config/api';
 import { useTheme } from '../contexts/ThemeContext';
 import { getAirQualityStatus } from '../utils/airQuality';
-import { MQTT_CONFIG, getConnectionMode } from '../config/api';
-import { useServerConfig } from '../hooks/useServerConfig';
-import * as mqtt from 'mqtt';
+import { useBuses, useBus } from '../hooks/useBusStore';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -29,7 +27,6 @@ let MapView, Circle, Heatmap;
 const AirQualityDashboardScreen = ({ route }) => {
     const navigation = useNavigation();
     const { theme, isDark } = useTheme();
-    const { serverIp } = useServerConfig();
     const mapRef = useRef(null);
 
     const [loading, setLoading] = useState(true);
@@ -42,75 +39,10 @@ const AirQualityDashboardScreen = ({ route }) => {
     const [stats, setStats] = useState(null);
     const [timeRange, setTimeRange] = useState(0); // 0 = Now, others = Hours
 
-    // Get passed bus data
-    const initialBuses = route.params?.buses || [];
-    const [selectedBus, setSelectedBus] = useState(null); // null = All Buses
-    const [liveBusData, setLiveBusData] = useState(null); // Data for the "Now" view
-
-    // MQTT Connection for Real-time Updates
-    useEffect(() => {
-        let client;
-
-        const connectMqtt = async () => {
-            // Only connect if we are in "Now" mode (timeRange === 0)
-            if (timeRange !== 0 || Platform.OS === 'web') return;
-
-            try {
-                const isTunnelMode = getConnectionMode() === 'tunnel';
-                let mqttUrl;
-
-                if (isTunnelMode && MQTT_CONFIG.wsUrl) {
-                    mqttUrl = MQTT_CONFIG.wsUrl;
-                } else if (serverIp) {
-                    mqttUrl = `ws://${serverIp}:${MQTT_CONFIG.wsPort || 9001}`;
-                } else {
-                    return;
-                }
-
-                client = mqtt.connect(mqttUrl);
-
-                client.on('connect', () => {
-                    client.subscribe('sut/app/bus/location');
-                    client.subscribe('sut/bus/gps/fast');
-                });
-
-                client.on('message', (topic, message) => {
-                    try {
-                        const data = JSON.parse(message.toString());
-                        // Check if this message is for our current selected/live bus
-                        if (timeRange === 0) {
-                            const targetMac = selectedBus ? (selectedBus.bus_mac || selectedBus.mac_address) : data.bus_mac;
-
-                            if (data.bus_mac === targetMac) {
-                                setLiveBusData(prev => ({
-                                    ...prev,
-                                    // Defensive updates
-                                    pm2_5: (data.pm2_5 !== undefined && data.pm2_5 !== null) ? data.pm2_5 : (prev?.pm2_5),
-                                    pm10: (data.pm10 !== undefined && data.pm10 !== null) ? data.pm10 : (prev?.pm10),
-                                    temp: (data.temp !== undefined && data.temp !== null) ? data.temp : (prev?.temp),
-                                    hum: (data.hum !== undefined && data.hum !== null) ? data.hum : (prev?.hum),
-                                    // Always update location/name
-                                    bus_mac: data.bus_mac,
-                                    bus_name: data.bus_name || prev?.bus_name || 'Bus',
-                                }));
-                            }
-                        }
-                    } catch (e) {
-                        console.error('[Dashboard] MQTT Parse Error', e);
-                    }
-                });
-
-            } catch (e) {
-                console.error('[Dashboard] MQTT Error', e);
-            }
-        };
-
-        connectMqtt();
-
-        return () => {
-            if (client) client.end();
-        };
-    }, [timeRange, serverIp, selectedBus]);
+    // Live bus data from the shared bus store (kept current by DataContext over MQTT)
+    const buses = useBuses();
+    const [selectedBusId, setSelectedBusId] = useState(null); // null = All Buses
+    const selectedBus = useBus(selectedBusId);
 
     // Load map components
     useEffect(() => {
@@ -129,7 +61,7 @@ const AirQualityDashboardScreen = ({ route }) => {
             const apiUrl = await getApiUrl();
             const headers = getApiHeaders();
 
-            const queryParams = `?hours=${timeRange === 0 ? 24 : timeRange}${selectedBus ? `&bus_mac=${selectedBus.bus_mac || selectedBus.mac_address}` : ''}`;
+            const queryParams = `?hours=${timeRange === 0 ? 24 : timeRange}${selectedBusId ? `&bus_mac=${selectedBusId}` : ''}`;
 
             const requests = [
                 axios.get(`${apiUrl}/api/analytics/zones${queryParams}`, { headers, timeout: 10000 }),
@@ -155,13 +87,7 @@ const AirQualityDashboardScreen = ({ route }) => {
 
     useEffect(() => {
         fetchData();
-        // Reset live data when changing bus
-        if (selectedBus) {
-            setLiveBusData({ ...selectedBus, pm2_5: selectedBus.pm2_5 ?? 0, temp: selectedBus.temp ?? 0, hum: selectedBus.hum ?? 0 });
-        } else {
-            setLiveBusData(null);
-        }
-    }, [timeRange, selectedBus]);
+    }, [timeRange, selectedBusId]);
 
     const onRefresh = () => {
         setRefreshing(true);
@@ -426,10 +352,12 @@ const AirQualityDashboardScreen = ({ route }) => {
 
     // Render Current Status ("Now" view)
     const renderCurrentStatus = () => {
-        // Use live data if available, otherwise fallback to selected bus or first available bus
-        const displayData = liveBusData || selectedBus || (initialBuses.length > 0 ? initialBuses[0] : null);
+        // Selected bus, otherwise the first bus with a PM reading
+        const displayBus = selectedBus
+            || buses.find(b => b.sensors?.pm2_5 !== null && b.sensors?.pm2_5 !== undefined)
+            || buses[0];
 
-        if (!displayData) {
+        if (!displayBus) {
             return (
                 <View style={[styles.emptyCard, { backgroundColor: theme.card }]}>
                     <Text style={[styles.emptyText, { color: theme.textSecondary }]}>No live bus data</Text>
@@ -437,7 +365,8 @@ const AirQualityDashboardScreen = ({ route }) => {
             );
         }
 
-        const { status, color } = getAirQualityStatus(displayData.pm2_5 !== undefined ? displayData.pm2_5 : 0);
+        const displayData = { bus_name: displayBus.bus_name, ...displayBus.sensors };
+        const { status, color } = getAirQualityStatus(displayData.pm2_5 ?? 0);
 
         return (
             <View style={styles.currentStatusContainer}>
@@ -486,30 +415,30 @@ const AirQualityDashboardScreen = ({ route }) => {
             <TouchableOpacity
                 style={[
                     styles.busChip,
-                    { backgroundColor: !selectedBus ? theme.primary : theme.card, borderColor: theme.border }
+                    { backgroundColor: !selectedBusId ? theme.primary : theme.card, borderColor: theme.border }
                 ]}
-                onPress={() => setSelectedBus(null)}
+                onPress={() => setSelectedBusId(null)}
             >
-                <Text style={[styles.busChipText, { color: !selectedBus ? '#fff' : theme.text }]}>All Buses</Text>
+                <Text style={[styles.busChipText, { color: !selectedBusId ? '#fff' : theme.text }]}>All Buses</Text>
             </TouchableOpacity>
 
-            {initialBuses.map((bus, index) => (
+            {buses.map((bus) => (
                 <TouchableOpacity
-                    key={index}
+                    key={bus.id}
                     style={[
                         styles.busChip,
                         {
-                            backgroundColor: (selectedBus && (selectedBus.mac_address === bus.mac_address)) ? theme.primary : theme.card,
+                            backgroundColor: selectedBusId === bus.id ? theme.primary : theme.card,
                             borderColor: theme.border
                         }
                     ]}
-                    onPress={() => setSelectedBus(bus)}
+                    onPress={() => setSelectedBusId(bus.id)}
                 >
                     <Text style={[
                         styles.busChipText,
-                        { color: (selectedBus && (selectedBus.mac_address === bus.mac_address)) ? '#fff' : theme.text }
+                        { color: selectedBusId === bus.id ? '#fff' : theme.text }
                     ]}>
-                        {bus.bus_name || bus.mac_address.slice(-4)}
+                        {bus.bus_name || bus.id.slice(-4)}
                     </Text>
                 </TouchableOpacity>
             ))}
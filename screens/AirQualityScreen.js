@@ -7,8 +7,9 @@ import { Ionicons } from '@expo/vector-icons';
 import { getApiUrl, checkApiKey, getApiHeaders } from '../config/api'; // Removed MQTT_CONFIG, getConnectionMode
 import { useDebug } from '../contexts/DebugContext';
 // import { useServerConfig } from '../hooks/useServerConfig'; // Removed unused hook
-import { useData } from '../contexts/DataContext'; // <-- ADDED
+import { useBuses, useBusMotion } from '../hooks/useBusStore';
 import { getAirQualityStatus } from '../utils/airQuality';
+import { getHeadingDifference } from '../utils/busMotion';
 import AirQualityMap from '../components/AirQualityMap';
 
 
@@ -16,14 +17,14 @@ const AirQualityScreen = () => {
   const navigation = useNavigation();
   const { debugMode } = useDebug();
   // const { serverIp } = useServerConfig(); // Removed: Not needed for local MQTT anymore
-  const { buses } = useData(); // <-- ADDED: Consume Context
+  const buses = useBuses();
+  const busMotion = useBusMotion();
   const [error, setError] = useState(null);
   const mapRef = useRef(null);
 
   // Destination marker states (for debug mode)
   const [destinationMarkers, setDestinationMarkers] = useState({});
-  const [busDirections, setBusDirections] = useState({}); // Track bus movement directions
-  const previousBusPositions = useRef({});
+  const lastHeadings = useRef({}); // Last seen heading per bus, to detect turns
   const [userLocation, setUserLocation] = useState(null);
 
   // Time filter state for heatmap
@@ -82,65 +83,22 @@ const AirQualityScreen = () => {
     }
   }, [debugMode]);
 
-  // Use DataContext buses to update directions
+  // Clear a bus's destination marker when it turns sharply (heading from DataContext)
   useEffect(() => {
-    if (buses && buses.length > 0) {
-      buses.forEach(bus => {
-        if (bus.current_lat && bus.current_lon) {
-          handleDirectionUpdate({
-            bus_mac: bus.bus_mac || bus.mac_address || bus.id,
-            lat: bus.current_lat,
-            lon: bus.current_lon
-          });
-        }
-      });
-    }
-  }, [buses]);
-
-  // Reload buses when screen gains focus (sync deletion) -> No longer needed, Context handles it
-  // But we might want to refresh? Context handles auto-refresh.
-
-  // Helper to handle direction updates from single data points
-  const handleDirectionUpdate = (data) => {
-    const busId = data.bus_mac;
-    const prevPos = previousBusPositions.current[busId];
-
-    // If we have a previous position and it's different
-    if (prevPos && (prevPos.lat !== data.lat || prevPos.lon !== data.lon)) {
-      const direction = {
-        lat: data.lat - prevPos.lat,
-        lon: data.lon - prevPos.lon,
-      };
-
-      setBusDirections(prev => {
-        const prevDirection = prev[busId];
-        if (prevDirection) {
-          const dotProduct = direction.lat * prevDirection.lat + direction.lon * prevDirection.lon;
-          const magnitude1 = Math.sqrt(direction.lat ** 2 + direction.lon ** 2);
-          const magnitude2 = Math.sqrt(prevDirection.lat ** 2 + prevDirection.lon ** 2);
-          // Avoid division by zero
-          if (magnitude1 > 0 && magnitude2 > 0) {
-            const cosAngle = dotProduct / (magnitude1 * magnitude2);
-            if (cosAngle < 0.7) {
-              setDestinationMarkers(d => {
-                const updated = { ...d };
-                delete updated[busId];
-                return updated;
-              });
-            }
-          }
-        }
-        return { ...prev, [busId]: direction };
-      });
-    }
-
-    // Update the ref
-    previousBusPositions.current[busId] = {
-      lat: data.lat,
-      lon: data.lon
-    };
-  };
-
+    Object.entries(busMotion).forEach(([busId, motion]) => {
+      if (motion.heading === null) return;
+      const prevHeading = lastHeadings.current[busId];
+      if (prevHeading !== undefined && getHeadingDifference(prevHeading, motion.heading) > 45) {
+        setDestinationMarkers(d => {
+          if (!d[busId]) return d;
+          const updated = { ...d };
+          delete updated[busId];
+          return updated;
+        });
+      }
+      lastHeadings.current[busId] = motion.heading;
+    });
+  }, [busMotion]);
 
   const handleLongPress = (e) => {
     if (!debugMode) return;
@@ -221,8 +179,9 @@ const AirQualityScreen = () => {
   };
 
   const renderBusItem = ({ item }) => {
-    const { status, solidColor } = getAirQualityStatus(item.pm2_5);
-    const hasDestination = destinationMarkers[item.mac_address];
+    const { pm2_5, pm10, temp, hum } = item.sensors || {};
+    const { status, solidColor } = getAirQualityStatus(pm2_5);
+    const hasDestination = destinationMarkers[item.id];
 
     // Check if offline (> 1 minute silence)
     // Use (item.last_updated || 0) to handle null/undefined/0.
@@ -236,7 +195,7 @@ const AirQualityScreen = () => {
         activeOpacity={0.7}
       >
         <View style={styles.cardHeader}>
-          <Text style={styles.busName}>{item.bus_name || `Bus ${item.mac_address.slice(-5)}`}</Text>
+          <Text style={styles.busName}>{item.bus_name || `Bus ${item.id.slice(-5)}`}</Text>
           <View style={{ flexDirection: 'row', gap: 5 }}>
             {/* Show OFFLINE badge if offline */}
             {isOffline && (
@@ -248,7 +207,7 @@ const AirQualityScreen = () => {
                 onPress={() => {
                   setDestinationMarkers(prev => {
                     const updated = { ...prev };
-                    delete updated[item.mac_address];
+                    delete updated[item.id];
                     return updated;
                   });
                 }}
@@ -260,12 +219,12 @@ const AirQualityScreen = () => {
           </View>
         </View>
         <View style={styles.cardBody}>
-          <Text style={styles.metric}>PM2.5: <Text style={styles.bold}>{item.pm2_5 !== undefined && item.pm2_5 !== null ? item.pm2_5.toFixed(1) : '--'}</Text> µg/m³</Text>
-          <Text style={styles.metric}>PM10: <Text style={styles.bold}>{item.pm10 !== undefined && item.pm10 !== null ? item.pm10.toFixed(1) : '--'}</Text> µg/m³</Text>
+          <Text style={styles.metric}>PM2.5: <Text style={styles.bold}>{pm2_5 !== undefined && pm2_5 !== null ? pm2_5.toFixed(1) : '--'}</Text> µg/m³</Text>
+          <Text style={styles.metric}>PM10: <Text style={styles.bold}>{pm10 !== undefined && pm10 !== null ? pm10.toFixed(1) : '--'}</Text> µg/m³</Text>
         </View>
         <View style={[styles.cardBody, { marginTop: 5 }]}>
-          <Text style={styles.metric}>Temp: <Text style={styles.bold}>{item.temp !== undefined && item.temp !== null ? item.temp.toFixed(1) : '--'}</Text> °C</Text>
-          <Text style={styles.metric}>Hum: <Text style={styles.bold}>{item.hum !== undefined && item.hum !== null ? item.hum.toFixed(0) : '--'}</Text> %</Text>
+          <Text style={styles.metric}>Temp: <Text style={styles.bold}>{temp !== undefined && temp !== null ? temp.toFixed(1) : '--'}</Text> °C</Text>
+          <Text style={styles.metric}>Hum: <Text style={styles.bold}>{hum !== undefined && hum !== null ? hum.toFixed(0) : '--'}</Text> %</Text>
         </View>
         {hasDestination && (
           <Text style={styles.destinationText}>🎯 Destination set</Text>
@@ -283,7 +242,7 @@ const AirQualityScreen = () => {
         <FlatList
           data={buses}
           renderItem={renderBusItem}
-          keyExtractor={(item) => item.mac_address}
+          keyExtractor={(item) => item.id}
           contentContainerStyle={styles.listContainer}
         />
       </View>
@@ -358,7 +317,7 @@ const AirQualityScreen = () => {
         <FlatList
           data={buses}
           renderItem={renderBusItem}
-          keyExtractor={(item) => item.mac_address}
+          keyExtractor={(item) => item.id}
           style={styles.list}
         />
       </View>
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+    View, Text, ScrollView, StyleSheet, TouchableOpacity, Alert,
+    TextInput, ActivityIndicator
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import axios from 'axios';
+
+import { getApiUrl, getApiHeaders } from '../config/api';
+import { useTheme } from '../contexts/ThemeContext';
+import { useAnnouncements } from '../hooks/useBusStore';
+import { getAllRoutes } from '../utils/routeStorage';
+import { mergeAnnouncements, isAnnouncementActive, ANNOUNCEMENT_SEVERITY } from '../utils/announcements';
+
+const SEVERITY_OPTIONS = [
+    { value: ANNOUNCEMENT_SEVERITY.INFO, label: 'Info', color: '#2563eb' },
+    { value: ANNOUNCEMENT_SEVERITY.WARNING, label: 'Warning', color: '#f59e0b' },
+    { value: ANNOUNCEMENT_SEVERITY.CRITICAL, label: 'Critical', color: '#ef4444' },
+];
+
+const endOfToday = () => {
+    const end = new Date();
+    end.setHours(23, 59, 59, 999);
+    return end.getTime();
+};
+
+// How long the announcement stays up (null = until deleted)
+const DURATION_OPTIONS = [
+    { label: '1 hour', endsAt: () => Date.now() + 60 * 60 * 1000 },
+    { label: '4 hours', endsAt: () => Date.now() + 4 * 60 * 60 * 1000 },
+    { label: 'Today', endsAt: endOfToday },
+    { label: '3 days', endsAt: () => Date.now() + 3 * 24 * 60 * 60 * 1000 },
+    { label: 'No end', endsAt: () => null },
+];
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+const AnnouncementAdminScreen = () => {
+    const navigation = useNavigation();
+    const { theme } = useTheme();
+    const announcements = useAnnouncements();
+    const [routes, setRoutes] = useState([]);
+    const [publishing, setPublishing] = useState(false);
+
+    // Form fields
+    const [title, setTitle] = useState('');
+    const [message, setMessage] = useState('');
+    const [severity, setSeverity] = useState(ANNOUNCEMENT_SEVERITY.INFO);
+    const [routeIds, setRouteIds] = useState([]);
+    const [stopNames, setStopNames] = useState([]);
+    const [durationIndex, setDurationIndex] = useState(2);
+
+    useEffect(() => {
+        getAllRoutes().then(setRoutes);
+    }, []);
+
+    // Stops of the selected routes (shared stops listed once)
+    const stopChoices = useMemo(() => {
+        const names = new Set();
+        routes
+            .filter(route => routeIds.includes(route.routeId))
+            .forEach(route => (route.waypoints || [])
+                .filter(wp => wp.isStop && wp.stopName)
+                .forEach(wp => names.add(wp.stopName)));
+        return [...names];
+    }, [routes, routeIds]);
+
+    const activeAnnouncements = announcements.filter(a => isAnnouncementActive(a) || a.startsAt > Date.now());
+
+    const resetForm = () => {
+        setTitle('');
+        setMessage('');
+        setSeverity(ANNOUNCEMENT_SEVERITY.INFO);
+        setRouteIds([]);
+        setStopNames([]);
+        setDurationIndex(2);
+    };
+
+    const handlePublish = async () => {
+        if (!message.trim()) {
+            Alert.alert('Error', 'Message is required');
+            return;
+        }
+
+        setPublishing(true);
+        try {
+            const apiUrl = await getApiUrl();
+            const payload = {
+                title: title.trim(),
+                message: message.trim(),
+                severity,
+                route_ids: routeIds,
+                // Only stops of routes that are still selected
+                stop_names: stopNames.filter(name => stopChoices.includes(name)),
+                starts_at: Date.now(),
+                ends_at: DURATION_OPTIONS[durationIndex].endsAt(),
+            };
+            const response = await axios.post(`${apiUrl}/api/announcements`, payload, { headers: getApiHeaders() });
+            // The server also broadcasts it over MQTT; show it here right away
+            if (response.data?.id !== undefined) mergeAnnouncements([response.data]);
+            Alert.alert('Success', 'Announcement published');
+            resetForm();
+        } catch (error) {
+            console.error('Publish error:', error);
+            Alert.alert('Error', error.response?.data?.detail || 'Could not publish announcement');
+        } finally {
+            setPublishing(false);
+        }
+    };
+
+    const handleDelete = (announcement) => {
+        Alert.alert(
+            'Remove Announcement',
+            `Remove "${announcement.title || announcement.message}" for everyone?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Remove',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            const apiUrl = await getApiUrl();
+                            await axios.delete(`${apiUrl}/api/announcements/${announcement.id}`, {
+                                headers: getApiHeaders()
+                            });
+                            mergeAnnouncements([{ id: announcement.id, deleted: true }]);
+                        } catch (error) {
+                            Alert.alert('Error', 'Could not remove announcement');
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    const Chip = ({ label, selected, color, onPress }) => (
+        <TouchableOpacity
+            style={[
+                styles.chip,
+                { borderColor: color || theme.border },
+                selected && { backgroundColor: color || theme.primary, borderColor: color || theme.primary },
+            ]}
+            onPress={onPress}
+        >
+            <Text style={{ color: selected ? '#fff' : theme.text, fontSize: 13 }}>{label}</Text>
+        </TouchableOpacity>
+    );
+
+    return (
+        <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
+            {/* Header */}
+            <View style={[styles.header, { borderBottomColor: theme.border }]}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.title, { color: theme.text }]}>Announcements</Text>
+                <View style={styles.backButton} />
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content}>
+                {/* Publish form */}
+                <View style={[styles.card, { backgroundColor: theme.card }]}>
+                    <Text style={[styles.label, { color: theme.textSecondary }]}>Title</Text>
+                    <TextInput
+                        style={[styles.input, { backgroundColor: theme.surface, color: theme.text, borderColor: theme.border }]}
+                        placeholder="e.g. Red route detour"
+                        placeholderTextColor={theme.textMuted}
+                        value={title}
+                        onChangeText={setTitle}
+                    />
+
+                    <Text style={[styles.label, { color: theme.textSecondary }]}>Message *</Text>
+                    <TextInput
+                        style={[styles.input, styles.messageInput, { backgroundColor: theme.surface, color: theme.text, borderColor: theme.border }]}
+                        placeholder="e.g. Detoured around building F9 today"
+                        placeholderTextColor={theme.textMuted}
+                        value={message}
+                        onChangeText={setMessage}
+                        multiline
+                    />
+
+                    <Text style={[styles.label, { color: theme.textSecondary }]}>Severity</Text>
+                    <View style={styles.chips}>
+                        {SEVERITY_OPTIONS.map(option => (
+                            <Chip
+                                key={option.value}
+                                label={option.label}
+                                color={option.color}
+                                selected={severity === option.value}
+                                onPress={() => setSeverity(option.value)}
+                            />
+                        ))}
+                    </View>
+
+                    <Text style={[styles.label, { color: theme.textSecondary }]}>Affected routes (none = everyone)</Text>
+                    <View style={styles.chips}>
+                        {routes.map(route => (
+                            <Chip
+                                key={route.routeId}
+                                label={route.routeName || route.routeId}
+                                color={route.routeColor}
+                                selected={routeIds.includes(route.routeId)}
+                                onPress={() => setRouteIds(toggle(routeIds, route.routeId))}
+                            />
+                        ))}
+                    </View>
+
+                    {stopChoices.length > 0 && (
+                        <>
+                            <Text style={[styles.label, { color: theme.textSecondary }]}>Affected stops (none = whole route)</Text>
+                            <View style={styles.chips}>
+                                {stopChoices.map(name => (
+                                    <Chip
+                                        key={name}
+                                        label={name}
+                                        selected={stopNames.includes(name)}
+                                        onPress={() => setStopNames(toggle(stopNames, name))}
+                                    />
+                                ))}
+                            </View>
+                        </>
+                    )}
+
+                    <Text style={[styles.label, { color: theme.textSecondary }]}>Show for</Text>
+                    <View style={styles.chips}>
+                        {DURATION_OPTIONS.map((option, i) => (
+                            <Chip
+                                key={option.label}
+                                label={option.label}
+                                selected={durationIndex === i}
+                                onPress={() => setDurationIndex(i)}
+                            />
+                        ))}
+                    </View>
+
+                    <TouchableOpacity
+                        style={[styles.publishBtn, { backgroundColor: theme.primary }, publishing && { opacity: 0.6 }]}
+                        onPress={handlePublish}
+                        disabled={publishing}
+                    >
+                        {publishing
+                            ? <ActivityIndicator color="#fff" />
+                            : <Text style={styles.publishBtnText}>Publish</Text>}
+                    </TouchableOpacity>
+                </View>
+
+                {/* Current announcements */}
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                    Active ({activeAnnouncements.length})
+                </Text>
+                {activeAnnouncements.length === 0 && (
+                    <Text style={[styles.emptyText, { color: theme.textMuted }]}>No active announcements</Text>
+                )}
+                {activeAnnouncements.map(item => {
+                    const option = SEVERITY_OPTIONS.find(o => o.value === item.severity);
+                    return (
+                        <View key={item.id} style={[styles.item, { backgroundColor: theme.card, borderLeftColor: option.color }]}>
+                            <View style={styles.itemInfo}>
+                                {!!item.title && <Text style={[styles.itemTitle, { color: theme.text }]}>{item.title}</Text>}
+                                <Text style={[styles.itemMessage, { color: theme.textSecondary }]}>{item.message}</Text>
+                                <Text style={[styles.itemMeta, { color: theme.textMuted }]}>
+                                    {item.routeIds.length > 0 ? item.routeIds.join(', ') : 'All routes'}
+                                    {item.stopNames.length > 0 ? ` · ${item.stopNames.join(', ')}` : ''}
+                                    {item.endsAt ? ` · until ${new Date(item.endsAt).toLocaleString()}` : ''}
+                                </Text>
+                            </View>
+                            <TouchableOpacity
+                                style={[styles.actionBtn, { backgroundColor: '#fee2e2' }]}
+                                onPress={() => handleDelete(item)}
+                            >
+                                <Ionicons name="trash" size={18} color="#ef4444" />
+                            </TouchableOpacity>
+                        </View>
+                    );
+                })}
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+    },
+    backButton: { padding: 4, width: 32 },
+    title: { fontSize: 18, fontWeight: 'bold' },
+    content: { padding: 16 },
+    card: { borderRadius: 12, padding: 16, marginBottom: 20 },
+    label: { fontSize: 14, marginBottom: 6, marginTop: 12 },
+    input: { borderWidth: 1, borderRadius: 10, padding: 12, fontSize: 16 },
+    messageInput: { minHeight: 80, textAlignVertical: 'top' },
+    chips: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+    chip: { borderWidth: 1, borderRadius: 16, paddingHorizontal: 12, paddingVertical: 6 },
+    publishBtn: { padding: 14, borderRadius: 10, alignItems: 'center', marginTop: 20 },
+    publishBtnText: { color: '#fff', fontWeight: '600', fontSize: 16 },
+    sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 8 },
+    emptyText: { textAlign: 'center', marginTop: 8 },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 12,
+        borderRadius: 12,
+        borderLeftWidth: 4,
+        marginBottom: 10,
+    },
+    itemInfo: { flex: 1, marginRight: 8 },
+    itemTitle: { fontSize: 15, fontWeight: '600' },
+    itemMessage: { fontSize: 14, marginTop: 2 },
+    itemMeta: { fontSize: 11, marginTop: 4 },
+    actionBtn: { padding: 8, borderRadius: 8 },
+});
+
+export default AnnouncementAdminScreen;
@@ -1,7 +1,7 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View, Text, FlatList, StyleSheet, TouchableOpacity, Alert,
-    ActivityIndicator, TextInput, Modal, Platform
+    TextInput, Modal, Platform
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
@@ -11,14 +11,17 @@ import axios from 'axios';
 import { getApiUrl, checkApiKey, getApiHeaders } from '../config/api';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useData } from '../contexts/DataContext';
+import { useBuses } from '../hooks/useBusStore';
+import { removeBusFromStore } from '../utils/busStore';
 
 const BusManagementScreen = () => {
     const navigation = useNavigation();
     const { theme } = useTheme();
     const { t } = useLanguage();
 
-    const [buses, setBuses] = useState([]);
-    const [loading, setLoading] = useState(true);
+    const { refreshBuses } = useData();
+    const buses = useBuses();
     const [modalVisible, setModalVisible] = useState(false);
     const [editingBus, setEditingBus] = useState(null);
 
@@ -26,31 +29,10 @@ const BusManagementScreen = () => {
     const [busName, setBusName] = useState('');
     const [macAddress, setMacAddress] = useState('');
 
-    const loadBuses = useCallback(async () => {
-        setLoading(true);
-        try {
-            const apiKey = await checkApiKey();
-            const apiUrl = await getApiUrl();
-
-            const response = await axios.get(`${apiUrl}/api/buses`, {
-                headers: getApiHeaders(),
-                timeout: 5000
-            });
-
-            if (response.data && Array.isArray(response.data)) {
-                setBuses(response.data);
-            }
-        } catch (error) {
-            console.log('Error fetching buses:', error.message);
-            Alert.alert('Error', 'Could not load buses. Is the server running?');
-        } finally {
-            setLoading(false);
-        }
-    }, []);
-
+    // Bus list comes from the shared bus store; just ask for a fresh copy
     useEffect(() => {
-        loadBuses();
-    }, [loadBuses]);
+        refreshBuses();
+    }, [refreshBuses]);
 
     const openAddModal = () => {
         setEditingBus(null);
@@ -62,7 +44,7 @@ const BusManagementScreen = () => {
     const openEditModal = (bus) => {
         setEditingBus(bus);
         setBusName(bus.bus_name || '');
-        setMacAddress(bus.mac_address || '');
+        setMacAddress(bus.id || '');
         setModalVisible(true);
     };
 
@@ -79,10 +61,12 @@ const BusManagementScreen = () => {
 
             if (editingBus) {
                 // Update existing bus
-                await axios.put(`${apiUrl}/api/buses/${editingBus.mac_address}`, {
+                await axios.put(`${apiUrl}/api/buses/${editingBus.id}`, {
                     bus_name: busName,
                     mac_address: macAddress,
                 }, { headers });
+                // The old MAC no longer exists on the server
+                if (macAddress !== editingBus.id) removeBusFromStore(editingBus.id);
                 Alert.alert('Success', 'Bus updated');
             } else {
                 // Create new bus
@@ -99,7 +83,7 @@ const BusManagementScreen = () => {
             }
 
             setModalVisible(false);
-            loadBuses();
+            refreshBuses();
         } catch (error) {
             console.error('Save error:', error);
             Alert.alert('Error', error.response?.data?.detail || 'Could not save bus');
@@ -109,7 +93,7 @@ const BusManagementScreen = () => {
     const handleDelete = (bus) => {
         Alert.alert(
             'Delete Bus',
-            `Are you sure you want to delete "${bus.bus_name || bus.mac_address}"?`,
+            `Are you sure you want to delete "${bus.bus_name || bus.id}"?`,
             [
                 { text: 'Cancel', style: 'cancel' },
                 {
@@ -119,11 +103,11 @@ const BusManagementScreen = () => {
                         try {
                             const apiKey = await checkApiKey();
                             const apiUrl = await getApiUrl();
-                            await axios.delete(`${apiUrl}/api/buses/${bus.mac_address}`, {
+                            await axios.delete(`${apiUrl}/api/buses/${bus.id}`, {
                                 headers: getApiHeaders()
                             });
+                            removeBusFromStore(bus.id);
                             Alert.alert('Success', 'Bus deleted');
-                            loadBuses();
                         } catch (error) {
                             Alert.alert('Error', 'Could not delete bus');
                         }
@@ -142,7 +126,7 @@ const BusManagementScreen = () => {
                         {bus.bus_name || 'Unnamed Bus'}
                     </Text>
                     <Text style={[styles.busMac, { color: theme.textMuted }]}>
-                        {bus.mac_address}
+                        {bus.id}
                     </Text>
                     {bus.current_lat && bus.current_lon && (
                         <Text style={[styles.busLocation, { color: theme.textSecondary }]}>
@@ -169,15 +153,6 @@ const BusManagementScreen = () => {
         </View>
     );
 
-    if (loading) {
-        return (
-            <SafeAreaView style={[styles.loadingContainer, { backgroundColor: theme.background }]}>
-                <ActivityIndicator size="large" color={theme.primary} />
-                <Text style={[styles.loadingText, { color: theme.textSecondary }]}>Loading buses...</Text>
-            </SafeAreaView>
-        );
-    }
-
     return (
         <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
             {/* Header */}
@@ -211,7 +186,7 @@ const BusManagementScreen = () => {
             ) : (
                 <FlatList
                     data={buses}
-                    keyExtractor={(item) => item.mac_address || item._id}
+                    keyExtractor={(item) => item.id}
                     renderItem={renderBusItem}
                     contentContainerStyle={styles.listContent}
                     showsVerticalScrollIndicator={false}
@@ -278,8 +253,6 @@ const BusManagementScreen = () => {
 
 const styles = StyleSheet.create({
     container: { flex: 1 },
-    loadingContainer: { flex: 1, justifyContent: 'center', alignItems: 'center' },
-    loadingText: { marginTop: 10 },
     header: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
     View, Text, FlatList, StyleSheet, TouchableOpacity, Alert,
     ActivityIndicator, Platform
@@ -7,63 +7,80 @@ import { Picker } from '@react-native-picker/picker';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
-import axios from 'axios';
 
-import { getApiUrl, checkApiKey, getApiHeaders } from '../config/api';
 import { getAllRoutes, syncAllRoutesToServer, deleteRoute, deleteRouteFromServer } from '../utils/routeStorage';
-import { getAllMappings, assignRouteToBus } from '../utils/busRouteMapping';
+import { assignRouteToBus } from '../utils/busRouteMapping';
+import { useData } from '../contexts/DataContext';
+import { useBuses, useBusRouteMappings, useRouteProgress, useBusMotion, useRouteDeviation, useRouteInference } from '../hooks/useBusStore';
+import { computeHeadways, HEADWAY_STATUS } from '../utils/headway';
+import { getDeviationLog, clearDeviationLog, DEVIATION_EVENT } from '../utils/routeDeviation';
+
+const HEADWAY_STATUS_STYLE = {
+    [HEADWAY_STATUS.BUNCHED]: { label: 'Bunched', color: '#f59e0b' },
+    [HEADWAY_STATUS.GAP]: { label: 'Gap', color: '#ef4444' },
+    [HEADWAY_STATUS.OK]: { label: 'On target', color: '#10b981' },
+    [HEADWAY_STATUS.SINGLE]: { label: 'One bus', color: '#9ca3af' },
+    [HEADWAY_STATUS.NONE]: { label: 'No live buses', color: '#9ca3af' },
+};
+// Flagged routes first
+const HEADWAY_SORT_ORDER = [HEADWAY_STATUS.BUNCHED, HEADWAY_STATUS.GAP, HEADWAY_STATUS.OK, HEADWAY_STATUS.SINGLE, HEADWAY_STATUS.NONE];
 
 const BusRouteAdminScreen = () => {
     const navigation = useNavigation();
-    const [activeTab, setActiveTab] = useState('assignments'); // 'assignments' | 'routes'
-    const [buses, setBuses] = useState([]);
+    const [activeTab, setActiveTab] = useState('assignments'); // 'assignments' | 'routes' | 'headways' | 'offRoute'
+    const { refreshBuses } = useData();
+    const buses = useBuses();
+    const mappings = useBusRouteMappings();
+    const routeProgress = useRouteProgress();
+    const busMotion = useBusMotion();
+    const routeDeviation = useRouteDeviation();
+    const routeInference = useRouteInference();
     const [routes, setRoutes] = useState([]);
-    const [mappings, setMappings] = useState({});
+    const [deviationLog, setDeviationLog] = useState(getDeviationLog());
     const [loading, setLoading] = useState(true);
     const [syncing, setSyncing] = useState(false);
 
-    // Fetch buses from API and routes from local storage
+    // Buses and mappings come from the shared bus store; routes from local storage
     const loadData = useCallback(async () => {
         setLoading(true);
         try {
-            // Fetch buses from server
-            const apiKey = await checkApiKey();
-            const apiUrl = await getApiUrl();
-
-            try {
-                const busResponse = await axios.get(`${apiUrl}/api/buses`, {
-                    headers: getApiHeaders(),
-                    timeout: 5000
-                });
-                if (busResponse.data && Array.isArray(busResponse.data)) {
-                    setBuses(busResponse.data);
-                } else {
-                    setBuses([]);
-                }
-            } catch (e) {
-                console.log('Could not fetch buses from server', e);
-                setBuses([]);
-            }
+            // Ask DataContext for fresh bus data instead of fetching it here
+            refreshBuses();
 
             // Fetch local routes
             const localRoutes = await getAllRoutes();
             setRoutes(localRoutes);
-
-            // Fetch current mappings
-            const currentMappings = await getAllMappings();
-            setMappings(currentMappings);
         } catch (error) {
             console.error('Error loading data:', error);
             Alert.alert('Error', 'Failed to load data');
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [refreshBuses]);
 
     useEffect(() => {
         loadData();
     }, [loadData]);
 
+    // New off/on route events are logged as the deviation state changes
+    useEffect(() => {
+        setDeviationLog(getDeviationLog());
+    }, [routeDeviation]);
+
+    const offRouteBuses = useMemo(
+        () => buses.filter(bus => routeDeviation[bus.id]?.offRoute),
+        [buses, routeDeviation]
+    );
+
+    // Live headway per route, worst first
+    const headwayReports = useMemo(() => {
+        const reports = computeHeadways(routes, { buses, mappings, progressById: routeProgress, motionById: busMotion });
+        return routes
+            .map(route => ({ route, report: reports[route.routeId] }))
+            .sort((a, b) => (HEADWAY_SORT_ORDER.indexOf(a.report.status) - HEADWAY_SORT_ORDER.indexOf(b.report.status))
+                || ((b.report.worstDeviation || 0) - (a.report.worstDeviation || 0)));
+    }, [routes, buses, mappings, routeProgress, busMotion]);
+
     // Sync all local routes to server
     const handleSyncToServer = async () => {
         if (routes.length === 0) {
@@ -94,22 +111,27 @@ const BusRouteAdminScreen = () => {
 
     // Handle route selection for a bus
     const handleRouteChange = async (busMac, routeId) => {
+        // assignRouteToBus also updates the bus store, which re-renders this list
         const success = await assignRouteToBus(busMac, routeId || null);
-        if (success) {
-            setMappings(prev => {
-                const updated = { ...prev };
-                if (routeId) {
-                    updated[busMac] = routeId;
-                } else {
-                    delete updated[busMac];
-                }
-                return updated;
-            });
-        } else {
+        if (!success) {
             Alert.alert('Error', 'Failed to save assignment');
         }
     };
 
+    const handleClearDeviationLog = () => {
+        Alert.alert('Clear Log', 'Remove all off-route events?', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Clear',
+                style: 'destructive',
+                onPress: async () => {
+                    await clearDeviationLog();
+                    setDeviationLog(getDeviationLog());
+                },
+            },
+        ]);
+    };
+
     // Handle Delete Route
     const handleDeleteRoute = (route) => {
         Alert.alert(
@@ -143,13 +165,14 @@ const BusRouteAdminScreen = () => {
         );
     };
 
-    const getBusMac = (bus) => bus.bus_mac || bus.mac_address || bus.id;
-
     // --- Renders ---
 
     const renderBusItem = ({ item: bus }) => {
-        const busMac = getBusMac(bus);
+        const busMac = bus.id;
         const assignedRouteId = mappings[busMac] || '';
+        // Route guessed from the bus's GPS trace (unassigned buses only)
+        const suggestion = !assignedRouteId ? routeInference[busMac] : null;
+        const runnerUp = suggestion?.runnerUpId ? routes.find(r => r.routeId === suggestion.runnerUpId) : null;
 
         return (
             <View style={styles.busItem}>
@@ -178,6 +201,26 @@ const BusRouteAdminScreen = () => {
                         ))}
                     </Picker>
                 </View>
+
+                {suggestion && (
+                    <View style={styles.suggestionRow}>
+                        <Ionicons name="bulb-outline" size={18} color="#b45309" />
+                        <View style={styles.suggestionInfo}>
+                            <Text style={styles.suggestionText}>
+                                Looks like {suggestion.routeName} ({Math.round(suggestion.score * 100)}% match)
+                            </Text>
+                            {suggestion.ambiguous && runnerUp && (
+                                <Text style={styles.suggestionHint}>Also close: {runnerUp.routeName}</Text>
+                            )}
+                        </View>
+                        <TouchableOpacity
+                            style={styles.suggestionButton}
+                            onPress={() => handleRouteChange(busMac, suggestion.routeId)}
+                        >
+                            <Text style={styles.suggestionButtonText}>Assign</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
             </View>
         );
     };
@@ -200,6 +243,69 @@ const BusRouteAdminScreen = () => {
         </View>
     );
 
+    const getBusName = (busMac) => buses.find(b => b.id === busMac)?.bus_name || busMac;
+
+    const renderHeadwayItem = ({ item: { route, report } }) => {
+        const statusStyle = HEADWAY_STATUS_STYLE[report.status];
+        const target = report.targetSeconds
+            ? `Target every ${Math.round(report.targetSeconds / 60)} min (${report.targetSource === 'schedule' ? 'scheduled' : 'even spacing'})`
+            : 'No target headway';
+
+        return (
+            <View style={styles.headwayItem}>
+                <View style={styles.headwayHeader}>
+                    <View style={[styles.routeColorDot, { backgroundColor: route.routeColor || '#2563eb' }]} />
+                    <Text style={[styles.routeName, { flex: 1 }]}>{route.routeName}</Text>
+                    <View style={[styles.statusPill, { backgroundColor: statusStyle.color }]}>
+                        <Text style={styles.statusPillText}>{statusStyle.label}</Text>
+                    </View>
+                </View>
+                <Text style={styles.routeId}>
+                    {target}
+                    {report.worstDeviation !== null && ` • worst ${Math.round(report.worstDeviation * 100)}% off`}
+                </Text>
+                {report.gaps.map(gap => (
+                    <View key={`${gap.leaderId}-${gap.followerId}`} style={styles.gapRow}>
+                        <View style={[styles.gapDot, { backgroundColor: HEADWAY_STATUS_STYLE[gap.status].color }]} />
+                        <Text style={styles.gapText}>
+                            {gap.leaderId === gap.followerId
+                                ? `${getBusName(gap.leaderId)}: one lap`
+                                : `${getBusName(gap.followerId)} behind ${getBusName(gap.leaderId)}`}
+                        </Text>
+                        <Text style={[styles.gapMinutes, { color: HEADWAY_STATUS_STYLE[gap.status].color }]}>
+                            {Math.round(gap.seconds / 60)} min
+                        </Text>
+                    </View>
+                ))}
+            </View>
+        );
+    };
+
+    const renderDeviationItem = ({ item: event }) => {
+        const isOff = event.type === DEVIATION_EVENT.OFF_ROUTE;
+        const time = new Date(event.timestamp).toLocaleString();
+        const detail = isOff
+            ? `${event.offset} m from ${event.routeName}`
+            : `Back on ${event.routeName} after ${Math.max(1, Math.round(event.durationMs / 60000))} min (max ${event.maxOffset} m off)`;
+
+        return (
+            <View style={styles.routeItem}>
+                <View style={styles.routeInfo}>
+                    <Ionicons
+                        name={isOff ? 'warning' : 'checkmark-circle'}
+                        size={24}
+                        color={isOff ? '#f97316' : '#10b981'}
+                    />
+                    <View style={[styles.routeDetails, { flex: 1 }]}>
+                        <Text style={styles.routeName}>{event.busName} {isOff ? 'left its route' : 'back on route'}</Text>
+                        <Text style={styles.routeId}>{detail}</Text>
+                        <Text style={styles.routeId}>{time}</Text>
+                    </View>
+                </View>
+            </View>
+        );
+    };
+
     if (loading) {
         return (
             <SafeAreaView style={styles.loadingContainer}>
@@ -238,6 +344,20 @@ const BusRouteAdminScreen = () => {
                 >
                     <Text style={[styles.tabText, activeTab === 'routes' && styles.activeTabText]}>Manage Routes</Text>
                 </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.tab, activeTab === 'headways' && styles.activeTab]}
+                    onPress={() => setActiveTab('headways')}
+                >
+                    <Text style={[styles.tabText, activeTab === 'headways' && styles.activeTabText]}>Headways</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.tab, activeTab === 'offRoute' && styles.activeTab]}
+                    onPress={() => setActiveTab('offRoute')}
+                >
+                    <Text style={[styles.tabText, activeTab === 'offRoute' && styles.activeTabText]}>
+                        Off Route{offRouteBuses.length > 0 ? ` (${offRouteBuses.length})` : ''}
+                    </Text>
+                </TouchableOpacity>
             </View>
 
             {/* Content */}
@@ -258,13 +378,64 @@ const BusRouteAdminScreen = () => {
                         ) : (
                             <FlatList
                                 data={buses}
-                                keyExtractor={(item, index) => getBusMac(item) || `bus-${index}`}
+                                keyExtractor={(item) => item.id}
                                 renderItem={renderBusItem}
                                 contentContainerStyle={styles.listContent}
                                 showsVerticalScrollIndicator={false}
                             />
                         )}
                     </>
+                ) : activeTab === 'offRoute' ? (
+                    <>
+                        <View style={[styles.infoBanner, { backgroundColor: '#fff7ed' }]}>
+                            <Ionicons name="warning-outline" size={20} color="#c2410c" />
+                            <Text style={[styles.infoText, { color: '#c2410c' }]}>
+                                {offRouteBuses.length > 0
+                                    ? `Off route now: ${offRouteBuses.map(bus => bus.bus_name || bus.id).join(', ')}`
+                                    : 'All assigned buses are on their routes.'}
+                            </Text>
+                            {deviationLog.length > 0 && (
+                                <TouchableOpacity onPress={handleClearDeviationLog} style={styles.clearLogButton}>
+                                    <Text style={styles.clearLogText}>Clear Log</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                        <FlatList
+                            data={deviationLog}
+                            keyExtractor={(item) => item.id}
+                            renderItem={renderDeviationItem}
+                            contentContainerStyle={styles.listContent}
+                            showsVerticalScrollIndicator={false}
+                            ListEmptyComponent={
+                                <View style={styles.emptyState}>
+                                    <Ionicons name="navigate-outline" size={48} color="#ccc" />
+                                    <Text style={styles.emptyText}>No off-route events</Text>
+                                </View>
+                            }
+                        />
+                    </>
+                ) : activeTab === 'headways' ? (
+                    <>
+                        <View style={[styles.infoBanner, { backgroundColor: '#fffbeb' }]}>
+                            <Ionicons name="timer-outline" size={20} color="#b45309" />
+                            <Text style={[styles.infoText, { color: '#b45309' }]}>
+                                Time between consecutive buses, live. Routes off their target headway are listed first.
+                            </Text>
+                        </View>
+                        <FlatList
+                            data={headwayReports}
+                            keyExtractor={(item) => item.route.routeId}
+                            renderItem={renderHeadwayItem}
+                            contentContainerStyle={styles.listContent}
+                            showsVerticalScrollIndicator={false}
+                            ListEmptyComponent={
+                                <View style={styles.emptyState}>
+                                    <Ionicons name="map-outline" size={48} color="#ccc" />
+                                    <Text style={styles.emptyText}>No routes found</Text>
+                                </View>
+                            }
+                        />
+                    </>
                 ) : (
                     <>
                         <View style={[styles.infoBanner, { backgroundColor: '#f0fdf4' }]}>
@@ -397,6 +568,17 @@ const styles = StyleSheet.create({
         fontSize: 12,
         fontWeight: '600',
     },
+    clearLogButton: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: '#fee2e2',
+    },
+    clearLogText: {
+        color: '#ef4444',
+        fontSize: 12,
+        fontWeight: '600',
+    },
     listContent: {
         paddingHorizontal: 16,
         paddingBottom: 20,
@@ -430,6 +612,24 @@ const styles = StyleSheet.create({
         overflow: 'hidden',
     },
     picker: { height: 50 },
+    suggestionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fffbeb',
+        borderRadius: 8,
+        padding: 10,
+        marginTop: 10,
+    },
+    suggestionInfo: { flex: 1, marginLeft: 8 },
+    suggestionText: { fontSize: 13, color: '#92400e', fontWeight: '500' },
+    suggestionHint: { fontSize: 12, color: '#b45309', marginTop: 2 },
+    suggestionButton: {
+        backgroundColor: '#f59e0b',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+    },
+    suggestionButtonText: { color: '#fff', fontSize: 12, fontWeight: '600' },
     // Route Items
     routeItem: {
         flexDirection: 'row',
@@ -457,6 +657,52 @@ const styles = StyleSheet.create({
         backgroundColor: '#fee2e2',
         borderRadius: 8,
     },
+    // Headway Items
+    headwayItem: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 12,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.1,
+        shadowRadius: 2,
+        elevation: 2,
+    },
+    headwayHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 4,
+    },
+    routeColorDot: {
+        width: 12,
+        height: 12,
+        borderRadius: 6,
+        marginRight: 8,
+    },
+    statusPill: {
+        paddingHorizontal: 10,
+        paddingVertical: 3,
+        borderRadius: 12,
+    },
+    statusPillText: {
+        color: '#fff',
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    gapRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    gapDot: {
+        width: 8,
+        height: 8,
+        borderRadius: 4,
+        marginRight: 8,
+    },
+    gapText: { flex: 1, fontSize: 13, color: '#333' },
+    gapMinutes: { fontSize: 13, fontWeight: '600' },
     // Empty State
     emptyState: {
         flex: 1,
@@ -6,12 +6,26 @@ import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useDebug } from '../contexts/DebugContext';
 import { useTheme } from '../contexts/ThemeContext';
-import { useData } from '../contexts/DataContext'; // <-- ADDED
-import { API_BASE, getApiUrl, checkApiKey, getApiHeaders } from '../config/api';
+import { useNotifications } from '../contexts/NotificationContext';
+import { useBuses, useRoutes, useOccupancy, useBusMotion, useRouteProgress, useRouteDeviation, useRouteInference, useLastStopEvent } from '../hooks/useBusStore';
+import { API_BASE } from '../config/api';
 import { getRouteIdForBus } from '../utils/busRouteMapping';
 import { loadRoute, getAllRoutes } from '../utils/routeStorage';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { whiteMapStyle, darkMapStyle } from '../utils/mapStyles';
+import { getBusId, createBus } from '../utils/busModel';
+import { BUS_CAPACITY, getOccupancyLevel, OCCUPANCY_COLORS } from '../utils/occupancy';
+import { getEtaToStop } from '../utils/routeEta';
+import { getEtaOptions } from '../utils/travelTimes';
+import { advanceRouteProgress, getStopsPassed } from '../utils/routeProgress';
+import { getRideProgress, getDestinationChoices, hasPassedDestination, RIDE_PHASE } from '../utils/rideProgress';
+import { getServiceStatus, formatDeparture } from '../utils/routeSchedule';
+import StaleDataBanner from '../components/StaleDataBanner';
+import AnnouncementBanner from '../components/AnnouncementBanner';
+import FavoritesStrip from '../components/FavoritesStrip';
+import StopAlertSheet from '../components/StopAlertSheet';
+import { buildStopDirectory, findNearestStop } from '../utils/stopDirectory';
+import { FAVORITE_TYPE } from '../utils/favorites';
 
 // Import custom bus icon
 const busIcon = require('../assets/W-bus-icon.png');
@@ -148,16 +162,27 @@ if (Platform.OS !== 'web') {
 // import PMZoneMarker from '../components/PMZoneMarker'; // Removed
 // import { Heatmap } from 'react-native-maps'; // Moved to AirQualityScreen
 
+// Long-presses this close to a stop open its alert menu instead of the trip planner
+const STOP_LONG_PRESS_RADIUS_M = 40;
+
 let client = null;
 
 const MapScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
-  const { selectedRoute, focusBus } = route.params || {};
+  const { selectedRoute, focusBus, focusStop } = route.params || {};
 
   const { debugMode } = useDebug();
   const { isDark } = useTheme();
-  const { buses, routes } = useData(); // <-- ADDED: Consume Context
+  const { notifyApproachingStop, notifyArrived, setCurrentRide } = useNotifications();
+  // Fleet data from the shared bus store (DataContext keeps it up to date)
+  const buses = useBuses();
+  const routes = useRoutes();
+  const occupancy = useOccupancy();
+  const busMotion = useBusMotion();
+  const routeProgress = useRouteProgress();
+  const routeDeviation = useRouteDeviation();
+  const routeInference = useRouteInference();
   const mapStyle = isDark ? darkMapStyle : whiteMapStyle;
   // Local state for UI only
   const [userLocation, setUserLocation] = useState(null);
@@ -184,7 +209,9 @@ const MapScreen = () => {
     }, [userLocation, debugMode, debugLocationEnabled, debugLocation])
   );
   const [ridingBus, setRidingBus] = useState(null); // Track which bus user is on
-  const [personCounts, setPersonCounts] = useState({ entering: 0, exiting: 0 }); // Real-time counts
+  const [rideDestination, setRideDestination] = useState(null); // { waypointIndex, stopName, startedAt } stop the rider gets off at
+  const [showDestinationPicker, setShowDestinationPicker] = useState(false);
+  const ridingStopEvent = useLastStopEvent(ridingBus ? ridingBus.id : null);
   const [showControls, setShowControls] = useState(false); // Toggle debug controls
   const [showGrid, setShowGrid] = useState(false); // Grid overlay state
   const [animatingBus, setAnimatingBus] = useState(null);
@@ -213,6 +240,8 @@ const MapScreen = () => {
   // All routes for displaying all stops on map load
   const [allRoutes, setAllRoutes] = useState([]);
   const [highlightedRouteId, setHighlightedRouteId] = useState(null);
+  const [alertStop, setAlertStop] = useState(null); // Stop long-pressed for arrival alerts
+  const stopDirectory = useMemo(() => buildStopDirectory(allRoutes), [allRoutes]);
 
   // PERFORMANCE: Track map region for viewport culling
   const [mapRegion, setMapRegion] = useState({
@@ -244,16 +273,15 @@ const MapScreen = () => {
   const busesWithFake = useMemo(() => {
     if (!debugMode || !fakeBusEnabled || !fakeBusLocation) return buses;
 
-    const fakeBus = {
-      id: 'FAKE-BUS-TEST',
-      bus_mac: 'FAKE-BUS-TEST',
+    const fakeBus = createBus('FAKE-BUS-TEST', {
       bus_name: 'Fake Test Bus',
       current_lat: fakeBusLocation.latitude,
       current_lon: fakeBusLocation.longitude,
+      last_updated: Date.now(),
       seats_available: 30,
-      pm2_5: 12,
+      sensors: { pm2_5: 12 },
       isFake: true
-    };
+    });
 
     return [...buses, fakeBus];
   }, [buses, debugMode, fakeBusEnabled, fakeBusLocation]);
@@ -277,7 +305,7 @@ const MapScreen = () => {
 
     // Check if this route is for the fake bus (no assigned bus_id or bus_id is FAKE-BUS-TEST)
     // OR if we have a focusBus (passed from RoutesScreen)
-    const targetBusId = activeRoute.bus_id || activeRoute.busId || (focusBus?.bus_mac || focusBus?.id);
+    const targetBusId = activeRoute.bus_id || activeRoute.busId || getBusId(focusBus);
 
     // If no bus_id and fake bus is enabled, use fake bus location from busesWithFake
     if (!targetBusId && debugMode && fakeBusEnabled) {
@@ -291,9 +319,7 @@ const MapScreen = () => {
       }
     }
 
-    const routeBus = buses.find(b =>
-      (b.bus_mac || b.mac_address || b.id) === targetBusId
-    );
+    const routeBus = buses.find(b => b.id === targetBusId);
 
     if (!routeBus || !routeBus.current_lat || !routeBus.current_lon) {
       // Fallback: if focusBus itself has coords, use them directly (even if not found in list yet)
@@ -312,81 +338,22 @@ const MapScreen = () => {
     };
   }, [activeRoute, buses, busesWithFake, debugMode, fakeBusEnabled, fakeBusLocation, focusBus]);
 
-  // Throttle busBasedStopIndex to only update when bus moves significantly
-  // Also track routeId to invalidate cache when switching routes
-  const lastBusStopCalc = useRef({ lat: 0, lon: 0, result: 0, routeId: null });
+  // Stops the displayed bus has passed, from the shared progress tracker in the store
+  // (forward-only, so the stop index doesn't flip back where the path overlaps itself).
+  // The debug fake bus and buses not tracked on this route get a fresh lock instead.
+  const targetBusId = activeRoute ? (activeRoute.bus_id || activeRoute.busId || getBusId(focusBus)) : null;
+  const targetBusProgress = targetBusId ? routeProgress[targetBusId] : null;
 
   const busBasedStopIndex = useMemo(() => {
-    if (!activeRoute?.waypoints || activeRoute.waypoints.length < 2 || !targetBusLocation) {
-      return 0;
-    }
-
-    // Skip recalculation if same route and bus hasn't moved more than 20 meters
-    const lastCalc = lastBusStopCalc.current;
-    const isSameRoute = lastCalc.routeId === activeRoute.routeId;
-    const moveDist = getDistanceFromLatLonInM_Static(
-      lastCalc.lat, lastCalc.lon,
-      targetBusLocation.latitude, targetBusLocation.longitude
-    );
-    if (isSameRoute && moveDist < 20 && lastCalc.result > 0) {
-      return lastCalc.result;
-    }
-
-    const fullPath = activeRoute.waypoints;
+    if (!activeRoute?.waypoints || activeRoute.waypoints.length < 2 || !targetBusLocation) return 0;
 
-    // Find the closest segment on the route to the bus
-    let minDistance = Infinity;
-    let closestSegmentIndex = 0;
-
-    for (let i = 0; i < fullPath.length - 1; i++) {
-      const segStart = fullPath[i];
-      const segEnd = fullPath[i + 1];
-
-      // Calculate perpendicular distance from bus to segment
-      const dx = segEnd.latitude - segStart.latitude;
-      const dy = segEnd.longitude - segStart.longitude;
-      const lenSq = dx * dx + dy * dy;
-
-      if (lenSq === 0) continue;
-
-      // Project bus onto segment
-      const t = Math.max(0, Math.min(1, (
-        ((targetBusLocation.latitude - segStart.latitude) * dx) +
-        ((targetBusLocation.longitude - segStart.longitude) * dy)
-      ) / lenSq));
-
-      const projLat = segStart.latitude + t * dx;
-      const projLon = segStart.longitude + t * dy;
-
-      // Approximate distance (faster than haversine for short distances)
-      const dLat = targetBusLocation.latitude - projLat;
-      const dLon = targetBusLocation.longitude - projLon;
-      const dist = dLat * dLat + dLon * dLon; // Squared distance for comparison
-
-      if (dist < minDistance) {
-        minDistance = dist;
-        closestSegmentIndex = i;
-      }
-    }
-
-    // Count how many stops are BEFORE or AT the current segment
-    let passedStopsCount = 0;
-    for (let i = 0; i <= closestSegmentIndex; i++) {
-      if (fullPath[i].isStop && fullPath[i].stopName) {
-        passedStopsCount++;
-      }
-    }
-
-    // Cache result with routeId to invalidate when switching routes
-    lastBusStopCalc.current = {
-      lat: targetBusLocation.latitude,
-      lon: targetBusLocation.longitude,
-      result: passedStopsCount,
-      routeId: activeRoute.routeId
-    };
-
-    return passedStopsCount;
-  }, [activeRoute, targetBusLocation]);
+    const usesFakeBus = debugMode && fakeBusEnabled && (fakeBusLocation || !targetBusId);
+    const tracked = !usesFakeBus && targetBusProgress?.routeId === activeRoute.routeId;
+    const progress = tracked
+      ? targetBusProgress
+      : advanceRouteProgress(null, activeRoute, targetBusLocation, Date.now());
+    return getStopsPassed(activeRoute, progress);
+  }, [activeRoute, targetBusLocation, targetBusId, targetBusProgress, debugMode, fakeBusEnabled, fakeBusLocation]);
 
   // Calculate user's closest stop index based on their (or debug) location
   // This is only used when debug location is enabled (for testing)
@@ -442,9 +409,6 @@ const MapScreen = () => {
   const [snappedLocation, setSnappedLocation] = useState(null); // For visual snapping
   const [snappedBusId, setSnappedBusId] = useState(null); // ID of the bus currently snapping
 
-  // Track progress to prevent backward jumps
-  const lastProgressRef = useRef(0);
-  const lastSnappedIndexRef = useRef(0); // <-- ADDED: Track route index
   const busesRef = useRef([]);
   const selectedRouteRef = useRef(null);
   const ridingBusRef = useRef(null);
@@ -462,15 +426,22 @@ const MapScreen = () => {
   const AUTO_EXIT_CONSECUTIVE_NEEDED = 4; // Need 4 consecutive far readings to auto-exit
   const lastNetworkCheckRef = useRef(Date.now()); // Track when we last had good network
 
-  // Bus movement tracking: only auto-board if bus is moving
-  // Format: { busId: { lat, lon, timestamp } }
-  const prevBusPositionsRef = useRef({});
-  const BUS_MOVING_THRESHOLD_M = 5; // Bus must have moved at least 5 meters to be considered "moving"
 
   useEffect(() => {
     busesRef.current = buses;
   }, [buses]);
 
+  // Stop picked in the stop directory: fly there (MapView may still be loading on first open)
+  useEffect(() => {
+    if (!focusStop || !MapView || !mapRef.current) return;
+    mapRef.current.animateToRegion({
+      latitude: focusStop.latitude,
+      longitude: focusStop.longitude,
+      latitudeDelta: 0.003,
+      longitudeDelta: 0.003,
+    }, 500);
+  }, [focusStop, MapView]);
+
   useEffect(() => {
     selectedRouteRef.current = selectedRoute;
   }, [selectedRoute]);
@@ -479,6 +450,85 @@ const MapScreen = () => {
     ridingBusRef.current = ridingBus;
   }, [ridingBus]);
 
+  // --- RIDE TO DESTINATION ---
+  // Progress of the riding bus towards the destination the rider picked
+  const ridePhaseRef = useRef(null); // Last phase notified, so each alert fires once
+  const lastRideProgressRef = useRef(null); // Last progress that was not null
+  const missedRideFixesRef = useRef(0); // Fixes in a row without ride progress
+  const lastRideMotionRef = useRef(null);
+
+  useEffect(() => {
+    if (!ridingBus) {
+      setRideDestination(null);
+      setShowDestinationPicker(false);
+    }
+  }, [ridingBus]);
+
+  // Air quality alerts watch the bus being ridden
+  useEffect(() => {
+    setCurrentRide(ridingBus ? ridingBus.id : null);
+  }, [ridingBus?.id]);
+
+  useEffect(() => {
+    ridePhaseRef.current = null;
+    lastRideProgressRef.current = null;
+    missedRideFixesRef.current = 0;
+  }, [rideDestination]);
+
+  const ridingBusPosition = ridingBus && ridingBus.current_lat ? {
+    latitude: ridingBus.current_lat,
+    longitude: ridingBus.current_lon,
+    heading: busMotion[ridingBus.id]?.heading,
+  } : null;
+
+  const rideProgress = useMemo(() => {
+    if (!rideDestination || !activeRoute || !ridingBusPosition) return null;
+    return getRideProgress(activeRoute, ridingBusPosition, rideDestination.waypointIndex, {
+      ...getEtaOptions(activeRoute.routeId),
+      progress: routeProgress[ridingBus.id],
+      lastStopEvent: ridingStopEvent,
+      startedAt: rideDestination.startedAt,
+    });
+  }, [rideDestination, activeRoute, ridingBus, busMotion, routeProgress, ridingStopEvent]);
+
+  const destinationChoices = useMemo(() => {
+    if (!showDestinationPicker || !activeRoute || !ridingBusPosition) return [];
+    return getDestinationChoices(activeRoute, ridingBusPosition, {
+      ...getEtaOptions(activeRoute.routeId),
+      progress: routeProgress[ridingBus.id],
+    });
+  }, [showDestinationPicker, activeRoute, ridingBus, busMotion, routeProgress]);
+
+  // Approaching / arrived alerts; the ride ends by itself at the destination
+  const ridingBusMotion = ridingBus ? busMotion[ridingBus.id] : null;
+  useEffect(() => {
+    if (!rideDestination) return;
+    // Count fixes (not re-renders) without progress: one alone may be a GPS glitch
+    if (rideProgress) {
+      missedRideFixesRef.current = 0;
+    } else if (ridingBusMotion !== lastRideMotionRef.current) {
+      missedRideFixesRef.current += 1;
+    }
+    lastRideMotionRef.current = ridingBusMotion;
+    const passed = hasPassedDestination(lastRideProgressRef.current, rideProgress, missedRideFixesRef.current);
+    if (rideProgress) lastRideProgressRef.current = rideProgress;
+    if (!rideProgress && !passed) return;
+    const phase = passed ? RIDE_PHASE.ARRIVED : rideProgress.phase;
+    if (phase === ridePhaseRef.current) return;
+
+    if (phase === RIDE_PHASE.APPROACHING) {
+      console.log(`[Ride] Approaching ${rideDestination.stopName}`);
+      notifyApproachingStop(rideDestination.stopName);
+    } else if (phase === RIDE_PHASE.ARRIVED) {
+      console.log(`[Ride] Arrived at ${rideDestination.stopName}, ending ride`);
+      notifyArrived(rideDestination.stopName);
+      setRidingBus(null);
+      setBusSignal(null);
+      exitCountRef.current = 0;
+    }
+    ridePhaseRef.current = phase;
+  }, [rideProgress, rideDestination, ridingBusMotion]);
+
   // Memoize route segments for performance
   // Uses remainingRoute for real-time eating ONLY during simulation
   // Otherwise uses effectiveStopIndex for stop-based calculation
@@ -646,18 +696,16 @@ const MapScreen = () => {
       });
     }
 
-    const fakeBus = {
-      id: 'FAKE-BUS-TEST',
-      bus_mac: 'FAKE-BUS-TEST',
+    const fakeBus = createBus('FAKE-BUS-TEST', {
       bus_name: '[Fake] Test Bus',
       current_lat: fakeBusLocation.latitude,
       current_lon: fakeBusLocation.longitude,
+      last_updated: Date.now(),
       seats_available: 30,
-      pm2_5: 12,
+      sensors: { pm2_5: 12 },
       isFake: true, // Mark as fake for special handling
       route_id: assignedRouteId, // Assign to nearest route
-      routeId: assignedRouteId
-    };
+    });
 
     return [...buses, fakeBus];
   }, [buses, fakeBusEnabled, fakeBusLocation, allStopMarkers]);
@@ -686,79 +734,67 @@ const MapScreen = () => {
     return closestStop;
   }, [effectiveUserLocation, allStopMarkers]);
 
+  // Announcements shown for the route being viewed and the stop the user is at
+  // (no route selected: every active announcement)
+  const announcementStopNames = useMemo(
+    () => (activeRoute && nearbyStop ? [nearbyStop.stopName] : undefined),
+    [activeRoute, nearbyStop?.stopName]
+  );
+
+  // Favorites strip: stops fly the map there (same as the stop directory), routes get selected
+  const handleFavoriteSelect = (favorite, favoriteRoute) => {
+    if (favorite.type === FAVORITE_TYPE.STOP) {
+      navigation.setParams({
+        focusStop: {
+          name: favorite.name,
+          latitude: favorite.latitude,
+          longitude: favorite.longitude,
+          routeNames: favorite.routes.map(r => r.routeName),
+        },
+      });
+    } else if (favoriteRoute) {
+      setBusSelectedRoute(null);
+      navigation.setParams({ selectedRoute: favoriteRoute, focusBus: null });
+    }
+  };
+
   // INCOMING BUSES: Calculate which buses are heading to the nearby stop
   const incomingBuses = useMemo(() => {
     if (!nearbyStop || effectiveBuses.length === 0 || allRoutes.length === 0) return [];
 
     const incoming = [];
-    const AVG_BUS_SPEED_MS = 25 * 1000 / 3600; // 25 km/h in m/s
 
     for (const bus of effectiveBuses) {
-      const busLat = bus.current_lat || bus.lat;
-      const busLon = bus.current_lon || bus.lon;
-      if (!busLat || !busLon) continue;
+      if (!bus.current_lat || !bus.current_lon) continue;
 
       // 1. Get the route this bus is on
-      const busRoute = allRoutes.find(r => r.routeId === bus.route_id || r.routeId === bus.routeId);
+      const busRoute = allRoutes.find(r => r.routeId === bus.route_id);
       if (!busRoute || !busRoute.waypoints) continue;
 
-      // 2. Check if this route actually stops at the nearby stop (Match by NAME)
-      // This handles the case where nearbyStop is "Main Gate (Red)" but bus is on "Main Gate (Blue)"
-      const stopIdx = busRoute.waypoints.findIndex(wp =>
-        wp.isStop && wp.stopName === nearbyStop.stopName
-      );
-
-      if (stopIdx === -1) continue; // This bus's route doesn't go to this stop
-
-      // 3. Find bus position on its route
-      let busSegmentIdx = -1;
-      let minBusDist = Infinity;
-
-      // OPTIMIZATION: Only search segments near the bus? For now searching all is safer.
-      for (let i = 0; i < busRoute.waypoints.length - 1; i++) {
-        const wp = busRoute.waypoints[i];
-        const dist = getDistanceFromLatLonInM_Static(busLat, busLon, wp.latitude, wp.longitude);
-        if (dist < minBusDist) {
-          minBusDist = dist;
-          busSegmentIdx = i;
-        }
-      }
-
-      // 4. Only include if bus is BEFORE the stop (heading toward it)
-      // 4. Only include if bus is BEFORE the stop (heading toward it)
-      // NOTE: For circular routes, we might need to handle bus > stopIdx. 
-      // For now, we assume simple linear progression for "incoming".
-      if (busSegmentIdx >= stopIdx) continue;
-
-      // 5. Calculate distance along route
-      let routeDistance = 0;
-      for (let i = busSegmentIdx; i < stopIdx; i++) {
-        const wp1 = busRoute.waypoints[i];
-        const wp2 = busRoute.waypoints[i + 1];
-        routeDistance += getDistanceFromLatLonInM_Static(
-          wp1.latitude, wp1.longitude,
-          wp2.latitude, wp2.longitude
-        );
-      }
-
-      // Calculate ETA
-      const etaSeconds = routeDistance / AVG_BUS_SPEED_MS;
-      const etaMinutes = Math.round(etaSeconds / 60);
+      // 2. Distance along the route to the nearby stop (Match by NAME)
+      // This handles the case where nearbyStop is "Main Gate (Red)" but bus is on "Main Gate (Blue)".
+      // null = the route doesn't stop there, or the bus already passed it (one-way routes)
+      const eta = getEtaToStop(busRoute, {
+        latitude: bus.current_lat,
+        longitude: bus.current_lon,
+        heading: busMotion[bus.id]?.heading,
+      }, nearbyStop.stopName, { ...getEtaOptions(busRoute.routeId), progress: routeProgress[bus.id] });
+      if (!eta) continue;
 
       incoming.push({
         bus,
         routeName: busRoute.routeName,
         routeColor: busRoute.routeColor || '#2563eb',
-        distanceM: Math.round(routeDistance),
-        etaMinutes: etaMinutes < 1 ? 1 : etaMinutes, // At least 1 minute
-        stopsAway: stopIdx - busSegmentIdx,
+        distanceM: eta.distance,
+        etaMinutes: eta.etaMinutes,
+        stopsAway: eta.stopsAway,
       });
     }
 
     // Sort by ETA
     incoming.sort((a, b) => a.etaMinutes - b.etaMinutes);
     return incoming;
-  }, [nearbyStop, buses, allRoutes]);
+  }, [nearbyStop, effectiveBuses, busMotion, routeProgress, allRoutes]);
 
   // PERFORMANCE: Debounced region change handler
   const handleRegionChange = (region) => {
@@ -812,7 +848,6 @@ const MapScreen = () => {
       // Clear previous snap state when route changes
       setSnappedLocation(null);
       setSnappedBusId(null);
-      lastSnappedIndexRef.current = 0; // Reset index tracker
       return () => clearTimeout(timer);
     }
   }, [activeRoute]);
@@ -822,44 +857,16 @@ const MapScreen = () => {
     getLocation();
   }, []);
 
-  // --- FETCH INITIAL PERSON COUNT ---
-  // Fetch current count from API on start/resume to ensure sync
-  const lastCountRef = React.useRef(null);
-  useEffect(() => {
-    const fetchCount = async () => {
-      try {
-        const response = await fetch(`${API_BASE}/count`, { headers: getApiHeaders() });
-        if (response.ok) {
-          const data = await response.json();
-          // Only update if value changed (prevents unnecessary re-renders)
-          if (data.passengers !== undefined && data.passengers !== lastCountRef.current) {
-            lastCountRef.current = data.passengers;
-            console.log("Passenger count updated:", data.passengers);
-            setPersonCounts({ entering: data.passengers, exiting: 0 });
-            setBuses(prev => prev.map(b => ({ ...b, seats_occupied: data.passengers })));
-          }
-        }
-      } catch (err) {
-        // Silent fail
-      }
-    };
-
-    fetchCount();
-    // Poll every 15 seconds (reduced from 5s for performance)
-    const interval = setInterval(fetchCount, 15000);
-    return () => clearInterval(interval);
-  }, []);
-
   // Ensure ridingBus state stays fresh when server sends updates (e.g. seats, pm2.5)
   useEffect(() => {
     if (ridingBus) {
-      const liveBus = buses.find(b => b.id === ridingBus.id || b.bus_mac === ridingBus.bus_mac);
+      const liveBus = buses.find(b => b.id === ridingBus.id);
       // Determine if we need to update (simple ref check might be enough if setBuses returns new objects)
       if (liveBus && liveBus !== ridingBus) {
         setRidingBus(liveBus);
         // Also sync signal if available in liveBus (from MQTT status)
-        if (liveBus.rssi !== undefined) {
-          setBusSignal(liveBus.rssi);
+        if (liveBus.signal?.rssi !== null && liveBus.signal?.rssi !== undefined) {
+          setBusSignal(liveBus.signal.rssi);
         }
       }
     }
@@ -927,7 +934,7 @@ const MapScreen = () => {
     }
 
     // Find current position of the riding bus (streaming updates)
-    const currentBus = buses.find(b => b.id === ridingBus.id || b.bus_mac === ridingBus.bus_mac);
+    const currentBus = buses.find(b => b.id === ridingBus.id);
     if (!currentBus || !currentBus.current_lat) {
       // Bus not found or no location - don't count (might be network issue)
       return;
@@ -936,9 +943,9 @@ const MapScreen = () => {
     // Check if bus location is fresh (updated within last 10 seconds)
     // This indicates we have good network connectivity
     const now = Date.now();
-    const busLastUpdate = currentBus.lastUpdate || currentBus.updated_at;
+    const busLastUpdate = currentBus.last_updated;
     const isBusLocationFresh = busLastUpdate
-      ? (now - new Date(busLastUpdate).getTime()) < 10000
+      ? (now - busLastUpdate) < 10000
       : true; // Assume fresh if no timestamp (conservative)
 
     if (!isBusLocationFresh) {
@@ -984,14 +991,12 @@ const MapScreen = () => {
 
     // Get buses to check (including fake bus if enabled)
     const busesToCheck = fakeBusEnabled && fakeBusLocation
-      ? [...buses, {
-        id: 'FAKE-BUS-TEST',
-        bus_mac: 'FAKE-BUS-TEST',
+      ? [...buses, createBus('FAKE-BUS-TEST', {
         bus_name: 'Fake Test Bus',
         current_lat: fakeBusLocation.latitude,
         current_lon: fakeBusLocation.longitude,
         isFake: true,
-      }]
+      })]
       : buses;
 
     if (busesToCheck.length === 0) return;
@@ -1003,28 +1008,10 @@ const MapScreen = () => {
     busesToCheck.forEach(bus => {
       if (!bus.current_lat || !bus.current_lon) return;
 
-      const busId = bus.id || bus.bus_mac;
+      const busId = bus.id;
 
-      // Check if bus is moving (skip for fake bus - always allow for testing)
-      const prevPos = prevBusPositionsRef.current[busId];
-      const now = Date.now();
-      let isBusMoving = bus.isFake; // Fake buses are always "moving" for testing
-
-      if (!bus.isFake && prevPos) {
-        const busMoveDistance = getDistanceFromLatLonInM_Static(
-          prevPos.lat, prevPos.lon,
-          bus.current_lat, bus.current_lon
-        );
-        isBusMoving = busMoveDistance >= BUS_MOVING_THRESHOLD_M;
-        // Removed spammy log: stationary bus detection is working as intended
-      }
-
-      // Update previous position
-      prevBusPositionsRef.current[busId] = {
-        lat: bus.current_lat,
-        lon: bus.current_lon,
-        timestamp: now,
-      };
+      // Only auto-board moving buses (fake buses are always "moving" for testing)
+      const isBusMoving = bus.isFake || !!busMotion[busId]?.isMoving;
 
       const dist = getDistanceFromLatLonInM_Static(
         currentUserLoc.latitude, currentUserLoc.longitude,
@@ -1054,7 +1041,7 @@ const MapScreen = () => {
 
     // Auto-board if threshold reached
     if (boardedBus) {
-      const busId = boardedBus.id || boardedBus.bus_mac;
+      const busId = boardedBus.id;
       console.log(`[ProximityBoarding] âœ… Auto-boarding bus ${busId}!`);
       setRidingBus(boardedBus);
 
@@ -1078,7 +1065,8 @@ const MapScreen = () => {
       // Reset all counts after boarding
       proximityCountRef.current = {};
     }
-  }, [effectiveUserLocation, buses, ridingBus, fakeBusEnabled, fakeBusLocation]);
+  // busMotion (not buses) so each new position fix is counted exactly once
+  }, [effectiveUserLocation, busMotion, ridingBus, fakeBusEnabled, fakeBusLocation]);
 
   useFocusEffect(
     React.useCallback(() => {
@@ -1104,143 +1092,6 @@ const MapScreen = () => {
   };
 
 
-  const fetchBuses = async () => {
-    try {
-      const apiKey = await checkApiKey();
-      if (!apiKey) return;
-      const apiUrl = await getApiUrl();
-      const response = await axios.get(`${apiUrl}/api/buses`, {
-        headers: getApiHeaders(),
-        timeout: 5000
-      });
-      if (response.data && Array.isArray(response.data)) {
-        setBuses(prevBuses => {
-          // Flatten API data and parse timestamps
-          const apiBuses = response.data.map(b => {
-            // Ensure UTC parsing if string doesn't specify timezone
-            let timeVal = 0;
-            if (b.last_updated) {
-              // If it looks like "2023-01-01T12:00:00" with no Z/offset, append Z
-              let dateStr = b.last_updated;
-              if (typeof dateStr === 'string' && !dateStr.endsWith('Z') && !dateStr.includes('+')) {
-                dateStr += 'Z';
-              }
-              timeVal = new Date(dateStr).getTime();
-            }
-            return {
-              ...b,
-              last_updated: timeVal
-            };
-          });
-
-          const mergedBuses = [...prevBuses];
-
-          // 1. Update existing buses or Add new ones from API
-          apiBuses.forEach(apiBus => {
-            const apiId = apiBus.bus_mac || apiBus.mac_address || apiBus.id;
-
-            const existingIdx = mergedBuses.findIndex(b => {
-              const localId = b.bus_mac || b.mac_address || b.id;
-              return localId === apiId;
-            });
-
-            // Logic to preserve non-API fields
-            let finalName = apiBus.bus_name;
-
-            if (existingIdx > -1) {
-              const existing = mergedBuses[existingIdx];
-
-              // Protect Bus Name: Keep existing name if API sends generic "Bus-XX"
-              if (existing.bus_name && existing.bus_name !== 'Bus' && !existing.bus_name.startsWith('Bus-')) {
-                if (!apiBus.bus_name || apiBus.bus_name.startsWith('Bus-')) {
-                  finalName = existing.bus_name;
-                }
-              }
-
-              // SMART MERGE: Check if local sensor data is fresher
-              const localIsFresher = (existing.last_updated || 0) > (apiBus.last_updated || 0);
-
-              if (localIsFresher) {
-                // Keep local sensor values, only update static info from API
-                mergedBuses[existingIdx] = {
-                  ...apiBus, // Take structure
-                  ...existing, // Overlay local values
-                  bus_name: finalName
-                };
-              } else {
-                // Update with API data
-                mergedBuses[existingIdx] = {
-                  ...existing, // Keep local state (like RSSI, isOnline)
-                  ...apiBus,   // Overwrite with server data (lat/lon, counts)
-                  bus_name: finalName,
-                  // Explicitly preserve these local-only fields that API might not have or might be null
-                  rssi: existing.rssi,
-                  isOnline: existing.isOnline,
-                  lastSignalUpdate: existing.lastSignalUpdate,
-                  // If API is offline (no lat/lon), keep local lat/lon
-                  current_lat: (apiBus.current_lat || apiBus.lat) || existing.current_lat,
-                  current_lon: (apiBus.current_lon || apiBus.lon) || existing.current_lon,
-                };
-              }
-            } else {
-              // Add new bus from API
-              mergedBuses.push({
-                ...apiBus,
-                bus_name: finalName
-              });
-            }
-          });
-
-          // 2. We DO NOT remove buses that are missing from API.
-          // They stay in the list (possibly offline). 
-          // This prevents flickering if independent MQTT updates keep them alive.
-
-          return mergedBuses;
-        });
-      }
-    } catch (error) {
-      console.log('Error fetching buses (server may be offline):', error.message);
-      // Don't crash - just leave buses empty
-    }
-  };
-
-  const fetchRoutes = async () => {
-    try {
-      const apiKey = await checkApiKey();
-      if (!apiKey) return;
-      const apiUrl = await getApiUrl();
-      const response = await axios.get(`${apiUrl}/api/routes`, {
-        headers: getApiHeaders(),
-        timeout: 5000
-      });
-      const routesData = response.data;
-      if (!routesData || !Array.isArray(routesData)) {
-        console.log('No routes data received');
-        return;
-      }
-      const routesWithStops = await Promise.all(
-        routesData.map(async (route) => {
-          try {
-            const stopsResponse = await axios.get(`${apiUrl}/api/routes/${route.id}/stops`, {
-              headers: getApiHeaders(),
-              timeout: 5000
-            });
-            return {
-              ...route,
-              stops: stopsResponse.data || [],
-            };
-          } catch (e) {
-            return { ...route, stops: [] };
-          }
-        })
-      );
-      setRoutes(routesWithStops);
-    } catch (error) {
-      console.log('Error fetching routes (server may be offline):', error.message);
-      // Don't crash - just leave routes empty
-    }
-  };
-
   const SUT_COORDINATES = {
     latitude: 14.8820,
     longitude: 102.0207,
@@ -1363,7 +1214,6 @@ const MapScreen = () => {
         // Construct a fake bus object with the assigned route
         const fakeBusObj = {
           id: 'FAKE-BUS-TEST',
-          bus_mac: 'FAKE-BUS-TEST',
           bus_name: '[Fake] Test Bus',
           route_id: closestStop.routeId,
           isFake: true
@@ -1407,22 +1257,51 @@ const MapScreen = () => {
           navigation.setParams({ selectedRoute: null, focusBus: null });
         }
       }
+      if (focusStop) {
+        navigation.setParams({ focusStop: null });
+      }
     }
 
     // If ridingBus is set, do nothing - keep route tracking
   };
 
+  // Long-press anywhere (e.g. on a building) to plan a trip there
+  const handleMapLongPress = (e) => {
+    if (pathMode || ridingBus) return;
+    const { latitude, longitude } = e.nativeEvent.coordinate;
+
+    // Long-press on a stop: offer arrival alerts for it
+    const stop = findNearestStop(stopDirectory, { latitude, longitude }, STOP_LONG_PRESS_RADIUS_M);
+    if (stop) {
+      setAlertStop(stop);
+      return;
+    }
+
+    navigation.navigate('TripPlanner', {
+      origin: effectiveUserLocation,
+      destination: { name: null, latitude, longitude },
+    });
+  };
+
   // Handle bus marker press - load and display assigned route
   const handleBusPress = async (bus) => {
     if (!bus) return; // Safety check
 
     try {
-      console.log('[BusPress] Tapped bus:', bus.bus_mac || bus.id);
-      const busMac = bus.bus_mac || bus.mac_address || bus.id;
+      const busMac = getBusId(bus);
+      console.log('[BusPress] Tapped bus:', busMac);
 
       let routeId = await getRouteIdForBus(busMac);
       console.log('[BusPress] Assigned route ID:', routeId);
 
+      // No assignment yet: fall back to the route inferred from the bus's GPS trace
+      let isInferred = false;
+      if (!routeId && routeInference[busMac]?.provisional) {
+        routeId = routeInference[busMac].routeId;
+        isInferred = true;
+        console.log('[BusPress] Using inferred route ID:', routeId);
+      }
+
       // For fake bus, use the first available route if none assigned
       if (bus.isFake) {
         // Selector logic REMOVED - moved to debug button
@@ -1440,7 +1319,8 @@ const MapScreen = () => {
           const enrichedRoute = {
             ...route,
             busId: busMac,
-            bus_id: busMac
+            bus_id: busMac,
+            inferred: isInferred,
           };
 
           console.log('[BusPress] Loaded route:', route.routeName);
@@ -1480,10 +1360,9 @@ const MapScreen = () => {
     // We use simulationBus for the ID/metadata, but position is controlled by simulationAnim
     setSimulationBus({
       id: busId,
-      bus_mac: 'SIMULATED',
       bus_name: 'Test Bus',
       seats_available: 25,
-      pm2_5: 15,
+      sensors: { pm2_5: 15 },
     });
 
     // 2. Initialize Position
@@ -1575,107 +1454,13 @@ const MapScreen = () => {
     setRemainingRoute([]);
   };
 
-  const updateRouteProgress = (busLocation, busId) => {
-    // 1. Get current full path
-    const fullPath = selectedRoute?.waypoints;
-    if (!fullPath || fullPath.length < 2) {
-      return;
-    }
-
-    // 2. Find closest segment
-    let minDistance = Infinity;
-    let closestSegmentIndex = -1;
-    let projectedPoint = null;
-
-    // Optimization: Start from last known index to avoid backward jumps? 
-    // For now, scan all (route isn't huge) or scan localized window.
-    // Scan all is safer for "skipping" stops.
-
-    // Optimization: Lookahead Window
-    // Start slightly back (-2) to catch corners, look forward (+15)
-    // If we have no lock (0), we still scan the first 15 segments.
-    // This PREVENTS jumping to index 100 which might be physically close but logically far.
-    const startIndex = Math.max(0, lastSnappedIndexRef.current - 2);
-    const searchWindow = 15;
-    const endIndex = Math.min(fullPath.length - 1, startIndex + searchWindow);
-
-    // console.log(`[DEBUG-SNAP] Searching segments ${startIndex} to ${endIndex}`);
-
-    for (let i = startIndex; i < endIndex; i++) {
-      const start = fullPath[i];
-      const end = fullPath[i + 1];
-
-      const p = getProjectedPoint(busLocation, start, end);
-      const dist = getDistanceFromLatLonInM_Static(busLocation.latitude, busLocation.longitude, p.latitude, p.longitude);
-
-      if (dist < minDistance) {
-        minDistance = dist;
-        closestSegmentIndex = i;
-        projectedPoint = p;
-      }
-    }
-
-    // 3. Update remaining route
-    if (closestSegmentIndex !== -1 && minDistance < 100) { // Increased threshold slightly for corner cutting
-
-      // Update our anchor point so we don't look back or too far forward next time
-      lastSnappedIndexRef.current = closestSegmentIndex;
-
-      // --- FORWARD ONLY & SMOOTHNESS CHECK ---
-      let currentProgress = 0;
-      // Sum distance of previous segments
-      for (let i = 0; i < closestSegmentIndex; i++) {
-        currentProgress += getDistanceFromLatLonInM_Static(fullPath[i].latitude, fullPath[i].longitude, fullPath[i + 1].latitude, fullPath[i + 1].longitude);
-      }
-      // Add distance on current segment
-      currentProgress += getDistanceFromLatLonInM_Static(fullPath[closestSegmentIndex].latitude, fullPath[closestSegmentIndex].longitude, projectedPoint.latitude, projectedPoint.longitude);
-
-      const lastProgress = lastProgressRef.current;
-      const delta = currentProgress - lastProgress;
-
-      // Rule 1: Must be moving forward (delta > 0) or essentially same spot
-      // Rule 2: Must move at least 2m (lowered from 10m) to register walking, but filter pure noise
-      if (delta < -5) { // Allow tiny noise, but reject real backward jumps
-        return;
-      }
-      if (Math.abs(delta) < 2 && lastProgress > 0) {
-        // console.log(`[DEBUG-SNAP] Ignored Micro-Move: Delta=${delta}m`);
-        return;
-      }
-
-      // Valid Update
-      lastProgressRef.current = currentProgress;
-      // ---------------------------------------
-
-      // Snap Bus Visual
-      setSnappedLocation(projectedPoint);
-      setSnappedBusId(busId);
-
-      // Update current stop index for opacity highlighting
-      // Count how many stops are before the current segment
-      let passedStopsCount = 0;
-      for (let i = 0; i <= closestSegmentIndex; i++) {
-        if (fullPath[i].isStop) {
-          passedStopsCount++;
-        }
-      }
-      setCurrentStopIndex(passedStopsCount);
-
-      // New route starts from projected point
-      const newRoute = [projectedPoint, ...fullPath.slice(closestSegmentIndex + 1)];
-      setRemainingRoute(newRoute);
-    } else {
-      // STRICT LOCK - Out of range, maintain current state
-    }
-  };
-
   // ------------------------------
 
   const handleRing = async () => {
     if (!ridingBus) return;
     try {
       const apiUrl = API_BASE; // Use centralized config
-      const targetMac = ridingBus.bus_mac || ridingBus.id || 'ESP32-CAM-01';
+      const targetMac = ridingBus.id || 'ESP32-CAM-01';
 
       const response = await axios.post(`${apiUrl}/api/ring`, {
         bus_mac: targetMac
@@ -1722,6 +1507,7 @@ const MapScreen = () => {
         style={styles.map}
         initialRegion={SUT_COORDINATES}
         onPress={handleMapPress}
+        onLongPress={handleMapLongPress}
         onRegionChangeComplete={handleRegionChange}
         showsUserLocation={!(debugMode && debugLocationEnabled)}
         showsMyLocationButton={false}
@@ -1731,32 +1517,36 @@ const MapScreen = () => {
         {busesWithFake.map((bus, i) => {
           // ... (Existing Bus Rendering Code)
           // Use snapped location if this is the active bus and we have one
-          const busMac = bus.bus_mac || bus.mac_address || bus.id;
-          const isRiding = ridingBus && (ridingBus.id === bus.id || ridingBus.bus_mac === busMac);
+          const busMac = bus.id;
+          const isRiding = ridingBus && ridingBus.id === busMac;
           const targetBusId = selectedRoute?.bus_id || selectedRoute?.busId;
           const isLinkedRouteBus = selectedRoute && targetBusId === busMac;
 
           let latitude = bus.lat || bus.current_lat;
           let longitude = bus.lon || bus.current_lon;
+          // Confirmed off its assigned route (detour / wrong assignment)
+          const isOffRoute = !!routeDeviation[busMac]?.offRoute;
 
           // SNAP LOGIC: If this is the route bus and we have a snap point, use it!
           // Constraint: Only snap if the IDs match explicitly
-          if (snappedLocation && snappedBusId && (busMac == snappedBusId)) {
-            // console.log(`[DEBUG-SNAP] Rendering SNAPPED loc for ${bus.bus_mac}`);
+          // (never snap an off-route bus back onto the line it has left)
+          if (!isOffRoute && snappedLocation && snappedBusId && (busMac == snappedBusId)) {
+            // console.log(`[DEBUG-SNAP] Rendering SNAPPED loc for ${bus.id}`);
             latitude = snappedLocation.latitude;
             longitude = snappedLocation.longitude;
           } else if (isLinkedRouteBus) {
-            // console.log(`[DEBUG-SNAP] Rendering RAW loc for ${bus.bus_mac} (No snap/ID mismatch: SnapID=${snappedBusId})`);
+            // console.log(`[DEBUG-SNAP] Rendering RAW loc for ${bus.id} (No snap/ID mismatch: SnapID=${snappedBusId})`);
           }
 
           if (!latitude || !longitude) return null;
-          // Show Occupancy (Synced from MQTT/API)
-          let occupied = bus.seats_occupied;
-          if (occupied === undefined || occupied === null) {
-            // Fallback to personCounts if not synced
-            occupied = personCounts?.entering || 0;
-          }
-          const description = `Passengers: ${occupied}/33`;
+          // Show this bus's own occupancy (door counter / camera via DataContext)
+          const busOccupancy = occupancy[bus.id];
+          const passengers = busOccupancy
+            ? `Passengers: ${busOccupancy.onBoard}/${busOccupancy.capacity}`
+            : 'Passengers: -';
+          const description = isOffRoute
+            ? `Off route (${Math.round(routeDeviation[busMac].offset)} m) · ${passengers}`
+            : passengers;
 
           // Highlight the bus that belongs to the selected/highlighted route
           const isHighlightedBus = highlightedRouteId && (
@@ -1771,7 +1561,7 @@ const MapScreen = () => {
 
           return (
             <Marker.Animated
-              key={`bus-${i}-${bus.id || bus.bus_mac}`}
+              key={`bus-${bus.id}`}
               coordinate={{ latitude, longitude }}
               title={bus.bus_name || "Bus"}
               description={description}
@@ -1793,6 +1583,11 @@ const MapScreen = () => {
                   style={{ width: 40 * busScale, height: 40 * busScale }}
                   resizeMode="contain"
                 />
+                {isOffRoute && (
+                  <View style={styles.offRouteBadge}>
+                    <Ionicons name="warning" size={10} color="white" />
+                  </View>
+                )}
               </View>
             </Marker.Animated>
           );
@@ -1860,6 +1655,21 @@ const MapScreen = () => {
 
         {/* Render VISIBLE bus stops from ALL routes (viewport culling) */}
         {/* Only renders markers in current map bounds */}
+        {/* Stop picked in the stop directory */}
+        {focusStop && (
+          <Marker
+            key="focus-stop"
+            coordinate={{ latitude: focusStop.latitude, longitude: focusStop.longitude }}
+            title={focusStop.name}
+            description={(focusStop.routeNames || []).join(', ')}
+            zIndex={200}
+          >
+            <View style={styles.focusStopMarker}>
+              <Ionicons name="location" size={20} color="white" />
+            </View>
+          </Marker>
+        )}
+
         {visibleStopMarkers.map((stop, idx) => {
           const isFromHighlightedRoute = stop.isHighlighted;
           // When activeRoute is set, its stops are rendered with more detail below
@@ -2336,7 +2146,7 @@ const MapScreen = () => {
                             setRidingBus(testBus);
                             setBusSignal(-55);
                             handleBusPress(testBus);
-                            Alert.alert('Debug', `Now riding: ${testBus.bus_name || testBus.bus_mac}`);
+                            Alert.alert('Debug', `Now riding: ${testBus.bus_name || testBus.id}`);
                           } else {
                             Alert.alert('No Buses', 'No buses available. Make sure the server is running.');
                           }
@@ -2360,8 +2170,32 @@ const MapScreen = () => {
         <Ionicons name="navigate" size={24} color="white" />
       </TouchableOpacity>
 
+      {/* Stop directory: search every stop */}
+      <TouchableOpacity
+        style={[styles.locationButton, styles.stopSearchButton]}
+        onPress={() => navigation.navigate('StopDirectory')}
+      >
+        <Ionicons name="search" size={24} color="white" />
+      </TouchableOpacity>
+
+      {/* Trip planner: from the rider's (or debug) location */}
+      <TouchableOpacity
+        style={[styles.locationButton, styles.plannerButton]}
+        onPress={() => navigation.navigate('TripPlanner', { origin: effectiveUserLocation })}
+      >
+        <Ionicons name="trail-sign" size={24} color="white" />
+      </TouchableOpacity>
+
       {/* Time Filter Bar moved to AirQualityScreen */}
 
+      <View style={styles.topBanners} pointerEvents="box-none">
+        <StaleDataBanner />
+        <AnnouncementBanner routeId={activeRoute?.routeId} stopNames={announcementStopNames} />
+        {!ridingBus && !pathMode && (
+          <FavoritesStrip routes={allRoutes} userLocation={effectiveUserLocation} onSelect={handleFavoriteSelect} />
+        )}
+      </View>
+
       {
         errorMsg && (
           <View style={styles.errorContainer}>
@@ -2388,6 +2222,8 @@ const MapScreen = () => {
         !ridingBus && nearbyStop && (() => {
           const nextBus = incomingBuses[0];
           const routeColor = nearbyStop.routeColor || '#e11d48';
+          // No live bus: fall back to the route's timetable, if it has one
+          const service = nextBus ? null : getServiceStatus(allRoutes.find(r => r.routeId === nearbyStop.routeId));
 
           return (
             <TouchableOpacity
@@ -2458,9 +2294,13 @@ const MapScreen = () => {
                   </>
                 ) : (
                   <View style={[styles.infoItem, { flex: 1, alignItems: 'center' }]}>
-                    <Text style={styles.infoLabel}>NO INCOMING BUSES</Text>
+                    <Text style={styles.infoLabel}>
+                      {service && !service.inService ? 'NOT IN SERVICE' : 'NO INCOMING BUSES'}
+                    </Text>
                     <Text style={[styles.infoValue, { fontSize: 12, color: '#9ca3af' }]}>
-                      Buses will appear here
+                      {service?.nextDeparture
+                        ? `Next scheduled departure ${formatDeparture(service.nextDeparture)}`
+                        : 'Buses will appear here'}
                     </Text>
                   </View>
                 )}
@@ -2498,15 +2338,17 @@ const MapScreen = () => {
       {
         ridingBus && (() => {
           const busName = ridingBus.bus_name || ridingBus.id || "Bus";
-          const passengerCount = personCounts?.entering || 0;
-          const isCrowded = passengerCount > 20;
-          const pmValue = ridingBus.pm2_5 || 0;
+          const ridingOccupancy = occupancy[ridingBus.id];
+          const passengerCount = ridingOccupancy ? ridingOccupancy.onBoard : '-';
+          const passengerCapacity = ridingOccupancy ? ridingOccupancy.capacity : BUS_CAPACITY;
+          const occupancyColor = getOccupancyLevel(ridingOccupancy) === 'high' ? OCCUPANCY_COLORS.high : '#333';
+          const pmValue = ridingBus.sensors?.pm2_5 || 0;
           const { solidColor: pmSolidColor } = getAirQualityStatus(pmValue);
 
           // Next stop logic
           const nextStop = stopMarkers.find(s => !s.isPassed && s.isUpcoming) || stopMarkers.find(s => !s.isPassed);
           const nextStopName = nextStop ? (nextStop.stopName || `Stop #${nextStop.stopNumber}`) : 'Terminus';
-          const isLowSignal = ridingBus.rssi === null || ridingBus.rssi === undefined || ridingBus.rssi < -85;
+          const isLowSignal = ridingBus.signal?.rssi === null || ridingBus.signal?.rssi === undefined || ridingBus.signal.rssi < -85;
 
           return (
             <TouchableOpacity
@@ -2525,11 +2367,13 @@ const MapScreen = () => {
               <View style={styles.ridingHeader}>
                 <View>
                   <Text style={styles.ridingTitle}>{busName}</Text>
-                  <Text style={styles.ridingSubtitle}>{activeRoute ? activeRoute.routeName : 'No Route Selected'}</Text>
+                  <Text style={styles.ridingSubtitle}>
+                    {activeRoute ? `${activeRoute.routeName}${activeRoute.inferred ? ' (inferred)' : ''}` : 'No Route Selected'}
+                  </Text>
                 </View>
                 <View style={styles.signalContainer}>
                   {(() => {
-                    const signal = ridingBus.rssi ?? busSignal;
+                    const signal = ridingBus.signal?.rssi ?? busSignal;
                     let iconName = 'wifi-strength-outline';
                     let color = '#ef4444';
                     let label = 'Offline';
@@ -2559,7 +2403,7 @@ const MapScreen = () => {
                 </View>
                 <View style={[styles.infoItem, { flex: 1, alignItems: 'center', borderRightWidth: 1, borderColor: '#eee' }]}>
                   <Text style={styles.infoLabel}>PASSENGERS</Text>
-                  <Text style={[styles.infoValue, { color: isCrowded ? '#ef4444' : '#333' }]}>{passengerCount}/33</Text>
+                  <Text style={[styles.infoValue, { color: occupancyColor }]}>{passengerCount}/{passengerCapacity}</Text>
                 </View>
                 <View style={[styles.infoItem, { flex: 1, alignItems: 'flex-end' }]}>
                   <Text style={styles.infoLabel}>PM 2.5</Text>
@@ -2570,6 +2414,40 @@ const MapScreen = () => {
                 </View>
               </View>
 
+              {/* Destination: stops remaining and along-route ETA */}
+              <TouchableOpacity
+                style={styles.destinationRow}
+                onPress={() => setShowDestinationPicker(true)}
+                disabled={!activeRoute}
+              >
+                <Ionicons name="flag" size={18} color={rideDestination ? '#2563eb' : '#9ca3af'} style={{ marginRight: 8 }} />
+                <View style={{ flex: 1 }}>
+                  {rideDestination ? (
+                    <>
+                      <Text style={styles.destinationName} numberOfLines={1}>{rideDestination.stopName}</Text>
+                      <Text style={styles.destinationDetail}>
+                        {!rideProgress
+                          ? 'Waiting for bus position...'
+                          : rideProgress.phase === RIDE_PHASE.APPROACHING
+                            ? 'Next stop - get ready!'
+                            : `${rideProgress.stopsRemaining} ${rideProgress.stopsRemaining === 1 ? 'stop' : 'stops'} · ${rideProgress.etaMinutes} min`}
+                      </Text>
+                    </>
+                  ) : (
+                    <Text style={styles.destinationDetail}>
+                      {activeRoute ? 'Set your destination stop' : 'No route to pick a destination from'}
+                    </Text>
+                  )}
+                </View>
+                {rideDestination ? (
+                  <TouchableOpacity onPress={() => setRideDestination(null)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                    <Ionicons name="close-circle" size={20} color="#9ca3af" />
+                  </TouchableOpacity>
+                ) : (
+                  <Ionicons name="chevron-forward" size={18} color="#9ca3af" />
+                )}
+              </TouchableOpacity>
+
               <TouchableOpacity
                 style={[
                   styles.ringButton,
@@ -2593,40 +2471,13 @@ const MapScreen = () => {
           // 1. Calculate Target Bus and Data
           const routeColor = activeRoute.routeColor || '#e11d48';
 
-          // Find nearest bus on this route
-          let targetBus = null;
-          let minTime = Infinity;
-          let stopsCount = 0;
-
           // Determine destination stop (Next stop for the bus)
           const nextStop = stopMarkers.find(s => !s.isPassed);
           // Note: stopMarkers calculation depends on 'effectiveStopIndex' which tracks the *bus* if available
 
-          if (nextStop && effectiveBuses.length > 0) {
-            // Filter buses on this route
-            const routeBuses = effectiveBuses.filter(b => {
-              const bId = b.bus_mac || b.mac_address || b.id;
-              // Check if bus is assigned to this route or we selected it
-              return (activeRoute.busId && (activeRoute.busId === bId)) ||
-                (b.route_id === activeRoute.routeId);
-            });
-
-            // If specific bus selected, use it. Else find closest.
-            if (activeRoute.busId) {
-              targetBus = routeBuses.find(b => (b.bus_mac || b.mac_address || b.id) === activeRoute.busId);
-            } else if (routeBuses.length > 0) {
-              // Find closest to Next Stop? Or closest to User?
-              // "Tracking" usually implies watching the bus come to the stop.
-              // Let's pick the one closest to the next stop (since we track its ETA)
-              // simplified: just pick first for now or closest
-              targetBus = routeBuses[0];
-            }
-          }
-
           // Calculate Metrics if bus found
           let etaText = "--";
           let stopsText = "--";
-          // let busLabel = "Scanning..."; // Removed as we use Next Stop Name now
 
           // User's Target Stop (Closest stop to user on this route)
           // We default to the 'nearbyStop' if it matches the route, otherwise find closest in stopMarkers
@@ -2645,52 +2496,35 @@ const MapScreen = () => {
             });
           }
 
-          if (targetBus && userTargetStop) {
-            // busLabel = targetBus.bus_name || targetBus.id || "Bus";
-
-            // Calculate distance bus -> userTargetStop
-            // Approximation: Dist bus->next + Dist next->...->user
-
-            // 1. Bus to its immediate next stop (nextStop)
-            let distBusToNext = 0;
-            if (nextStop) {
-              distBusToNext = getDistanceFromLatLonInM_Static(
-                targetBus.current_lat || targetBus.lat,
-                targetBus.current_lon || targetBus.lon,
-                nextStop.latitude,
-                nextStop.longitude
-              );
-            }
-
-            // 2. Next Stop to User Target Stop
-            let distNextToUser = 0;
-            let stopsCount = 0;
-
-            if (nextStop && userTargetStop.index >= nextStop.index) {
-              // Calculate waypoints distance
-              // userTargetStop.index is the index in stopMarkers
-              // We need waypoint indices
+          if (nextStop && userTargetStop && effectiveBuses.length > 0) {
+            // Buses on this route (assigned to it, or the one we selected)
+            const routeBuses = effectiveBuses.filter(b => {
+              const bId = b.id;
+              return (activeRoute.busId && (activeRoute.busId === bId)) ||
+                (b.route_id === activeRoute.routeId);
+            });
 
-              // Simple approach: sum distances between stops
-              for (let i = nextStop.index; i < userTargetStop.index; i++) {
-                const s1 = stopMarkers[i];
-                const s2 = stopMarkers[i + 1];
-                distNextToUser += getDistanceFromLatLonInM_Static(s1.latitude, s1.longitude, s2.latitude, s2.longitude);
-              }
-              stopsCount = userTargetStop.index - nextStop.index; // 0 if user is at next stop
-            } else {
-              // User is behind bus?
-              stopsCount = -1; // Passed
-            }
+            // If specific bus selected, use it. Else track the bus that reaches the user's stop first
+            const candidates = activeRoute.busId
+              ? routeBuses.filter(b => b.id === activeRoute.busId)
+              : routeBuses;
+
+            const etaOptions = getEtaOptions(activeRoute.routeId);
+            let bestEta = null;
+            candidates.forEach(b => {
+              const eta = getEtaToStop(activeRoute, {
+                latitude: b.current_lat,
+                longitude: b.current_lon,
+                heading: busMotion[b.id]?.heading,
+              }, userTargetStop.stopName, { ...etaOptions, progress: routeProgress[b.id] });
+              if (eta && (!bestEta || eta.etaSeconds < bestEta.etaSeconds)) bestEta = eta;
+            });
 
-            if (stopsCount >= 0) {
-              const totalDist = distBusToNext + distNextToUser;
-              // ETA (Speed ~400 m/min)
-              const speedMmin = 400;
-              const mins = Math.ceil(totalDist / speedMmin);
-              etaText = `${mins} min`;
-              stopsText = `${stopsCount}`;
-            } else {
+            if (bestEta) {
+              etaText = `${bestEta.etaMinutes} min`;
+              stopsText = `${bestEta.stopsAway}`;
+            } else if (candidates.length > 0) {
+              // Bus already passed the user's stop (one-way route)
               etaText = "Passed";
               stopsText = "-";
             }
@@ -2712,7 +2546,9 @@ const MapScreen = () => {
               <View style={styles.ridingHeader}>
                 <View>
                   <Text style={styles.ridingTitle}>{nextStopName}</Text>
-                  <Text style={styles.ridingSubtitle}>{activeRoute.routeName}</Text>
+                  <Text style={styles.ridingSubtitle}>
+                    {activeRoute.routeName}{activeRoute.inferred ? ' (inferred)' : ''}
+                  </Text>
                 </View>
                 {/* Distance Badge */}
                 <View style={styles.signalContainer}>
@@ -2753,6 +2589,54 @@ const MapScreen = () => {
         })()
       }
 
+      {/* Destination picker - stops ahead of the riding bus */}
+      <Modal
+        visible={showDestinationPicker}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowDestinationPicker(false)}
+      >
+        <View style={{ flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <View style={{ backgroundColor: 'white', borderTopLeftRadius: 20, borderTopRightRadius: 20, height: '60%', padding: 20 }}>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 15 }}>
+              <Text style={{ fontSize: 20, fontWeight: 'bold' }}>Where are you getting off?</Text>
+              <TouchableOpacity onPress={() => setShowDestinationPicker(false)}>
+                <Ionicons name="close-circle" size={30} color="#666" />
+              </TouchableOpacity>
+            </View>
+
+            <FlatList
+              data={destinationChoices}
+              keyExtractor={(item) => `destination-${item.waypointIndex}`}
+              ListEmptyComponent={
+                <Text style={{ color: '#666', textAlign: 'center', marginTop: 20 }}>Bus position not on the route yet.</Text>
+              }
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={{
+                    padding: 15,
+                    borderBottomWidth: 1,
+                    borderBottomColor: '#eee',
+                    flexDirection: 'row',
+                    alignItems: 'center'
+                  }}
+                  onPress={() => {
+                    setRideDestination({ waypointIndex: item.waypointIndex, stopName: item.stopName, startedAt: Date.now() });
+                    setShowDestinationPicker(false);
+                  }}
+                >
+                  <Ionicons name="flag-outline" size={20} color={activeRoute?.routeColor || '#2563eb'} style={{ marginRight: 10 }} />
+                  <Text style={{ flex: 1, fontSize: 16 }} numberOfLines={1}>{item.stopName}</Text>
+                  <Text style={{ color: '#6b7280' }}>
+                    {item.stopsAway + 1} {item.stopsAway === 0 ? 'stop' : 'stops'} · {item.etaMinutes} min
+                  </Text>
+                </TouchableOpacity>
+              )}
+            />
+          </View>
+        </View>
+      </Modal>
+
       {/* FAKE BUS STOP SELECTOR MODAL (Debug Only) */}
       <Modal
         visible={showFakeBusSelector}
@@ -2790,7 +2674,6 @@ const MapScreen = () => {
                     // Auto-assign route
                     const fakeBusObj = {
                       id: 'FAKE-BUS-TEST',
-                      bus_mac: 'FAKE-BUS-TEST',
                       bus_name: '[Fake] Test Bus',
                       route_id: item.routeId,
                       isFake: true,
@@ -2818,6 +2701,20 @@ const MapScreen = () => {
           </View>
         </View>
       </Modal>
+
+      {/* Stop long-press: arrival alerts / plan a trip there */}
+      <StopAlertSheet
+        stop={alertStop}
+        onClose={() => setAlertStop(null)}
+        onPlanTrip={() => {
+          const stop = alertStop;
+          setAlertStop(null);
+          navigation.navigate('TripPlanner', {
+            origin: effectiveUserLocation,
+            destination: { name: stop.name, latitude: stop.latitude, longitude: stop.longitude },
+          });
+        }}
+      />
     </View >
   );
 };
@@ -2835,6 +2732,14 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  topBanners: {
+    position: 'absolute',
+    top: 50,
+    left: 15,
+    right: 15,
+    alignItems: 'center',
+    gap: 6,
+  },
   errorContainer: {
     position: 'absolute',
     top: 50,
@@ -2864,6 +2769,35 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.25,
     shadowRadius: 3.84,
   },
+  plannerButton: {
+    bottom: 160,
+  },
+  stopSearchButton: {
+    bottom: 220,
+  },
+  offRouteBadge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#f97316',
+    borderWidth: 1.5,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  focusStopMarker: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#e11d48',
+    borderWidth: 3,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   ridingCard: {
     position: 'absolute',
     bottom: 20, // Lower
@@ -2941,6 +2875,25 @@ const styles = StyleSheet.create({
     elevation: 4,
     marginBottom: 0, // No exit button below
   },
+  destinationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  destinationName: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1f2937',
+  },
+  destinationDetail: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
   disabledButton: {
     backgroundColor: '#e5e7eb',
     shadowOpacity: 0,
@@ -3084,45 +3037,3 @@ const styles = StyleSheet.create({
 });
 
 export default MapScreen;
-
-
-// --- VECTOR MATH HELPERS ---
-
-const getProjectedPoint = (P, A, B) => {
-  // Use static helper from top of file
-  const lat1 = deg2rad_Static(A.latitude);
-  const lon1 = deg2rad_Static(A.longitude);
-  const lat2 = deg2rad_Static(B.latitude);
-  const lon2 = deg2rad_Static(B.longitude);
-  const lat3 = deg2rad_Static(P.latitude);
-  const lon3 = deg2rad_Static(P.longitude);
-
-  const x = (lon3 - lon1) * Math.cos((lat1 + lat3) / 2);
-  const y = lat3 - lat1;
-  const dx = (lon2 - lon1) * Math.cos((lat1 + lat2) / 2);
-  const dy = lat2 - lat1;
-
-  const dot = x * dx + y * dy;
-  const len_sq = dx * dx + dy * dy;
-
-  let param = -1;
-  if (len_sq !== 0) param = dot / len_sq;
-
-  let lat, lon;
-  if (param < 0) {
-    lat = A.latitude;
-    lon = A.longitude;
-  } else if (param > 1) {
-    lat = B.latitude;
-    lon = B.longitude;
-  } else {
-    lat = A.latitude + param * (B.latitude - A.latitude);
-    lon = A.longitude + param * (B.longitude - A.longitude);
-  }
-
-  return { latitude: lat, longitude: lon };
-};
-
-const dist2 = (v, w) => {
-  return (v.x - w.x) * (v.x - w.x) + (v.y - w.y) * (v.y - w.y);
-};
@@ -1,12 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, StyleSheet, TouchableOpacity, Text, Alert, Platform, TextInput, ActivityIndicator, Modal, Switch, KeyboardAvoidingView, Dimensions } from 'react-native';
+import { View, StyleSheet, TouchableOpacity, Text, Alert, Platform, TextInput, ActivityIndicator, Modal, Switch, KeyboardAvoidingView, Dimensions, ScrollView } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import * as Location from 'expo-location';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { saveRoute, loadRoute, generateRouteId, syncRouteToServer } from '../utils/routeStorage';
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useBuses, useBus, useRoutes } from '../hooks/useBusStore';
+import { normalizeSchedule, DAY_LABELS } from '../utils/routeSchedule';
+
+// Editable form of a schedule period (numbers and lists as text)
+const toPeriodForm = (period) => ({
+    days: period.days || [],
+    start: period.start || '',
+    end: period.end || '',
+    headwayMinutes: period.headwayMinutes ? String(period.headwayMinutes) : '',
+    departures: (period.departures || []).join(', '),
+});
+
+const NEW_PERIOD = { days: [1, 2, 3, 4, 5], start: '07:00', end: '18:00', headwayMinutes: '15', departures: '' };
 
 const RouteEditorScreen = () => {
     const navigation = useNavigation();
@@ -31,18 +42,24 @@ const RouteEditorScreen = () => {
     const [tempStopName, setTempStopName] = useState('');
     const [tempIsStop, setTempIsStop] = useState(false);
 
-    // Existing Routes for Reference
-    const [existingRoutes, setExistingRoutes] = useState([]);
+    // Existing Routes for Reference (shared bus store)
+    const existingRoutes = useRoutes();
 
     // Bus Linking State
-    const [buses, setBuses] = useState([]);
-    const [selectedBus, setSelectedBus] = useState(null);
+    const buses = useBuses();
+    const [selectedBusId, setSelectedBusId] = useState(null);
+    const selectedBus = useBus(selectedBusId);
     const [busModalVisible, setBusModalVisible] = useState(false);
 
     // Route Color State (Default Blue)
     const [routeColor, setRouteColor] = useState('#2563eb');
     const availableColors = ['#2563eb', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4'];
 
+    // Timetable / service hours
+    const [schedulePeriods, setSchedulePeriods] = useState([]);
+    const [noServiceDates, setNoServiceDates] = useState('');
+    const [scheduleModalVisible, setScheduleModalVisible] = useState(false);
+
     const mapRef = useRef(null);
 
     useEffect(() => {
@@ -65,37 +82,14 @@ const RouteEditorScreen = () => {
                     setRouteName(existingRoute.routeName);
                     setWaypoints(existingRoute.waypoints);
                     if (existingRoute.routeColor) setRouteColor(existingRoute.routeColor);
-
-                    // Fetch buses to find the linked one
-                    try {
-                        const ip = await AsyncStorage.getItem('serverIp');
-                        const port = await AsyncStorage.getItem('apiPort');
-                        const host = ip || '183.89.203.247';
-                        const apiPort = port || '8000';
-                        const response = await axios.get(`http://${host}:${apiPort}/api/buses`);
-                        const busList = response.data;
-
-                        if (isMounted) {
-                            setBuses(busList);
-                            if (existingRoute.busId) {
-                                const linkedBus = busList.find(b => (b.mac_address || b.bus_mac) === existingRoute.busId);
-                                if (linkedBus) {
-                                    setSelectedBus(linkedBus);
-                                }
-                            }
-                        }
-                    } catch (err) {
-                        console.log("Error fetching buses in init:", err);
+                    if (existingRoute.busId) setSelectedBusId(existingRoute.busId);
+                    if (existingRoute.schedule?.periods) {
+                        setSchedulePeriods(existingRoute.schedule.periods.map(toPeriodForm));
+                        setNoServiceDates((existingRoute.schedule.noServiceDates || []).join(', '));
                     }
                 }
-            } else {
-                // New route - just fetch buses
-                fetchBuses();
             }
 
-            // Fetch existing routes for reference layer
-            fetchExistingRoutes();
-
             // Get user location for initial map region
             try {
                 const { status } = await Location.requestForegroundPermissionsAsync();
@@ -112,53 +106,7 @@ const RouteEditorScreen = () => {
             if (isMounted) setLoading(false);
         };
 
-        const fetchBuses = async () => {
-            try {
-                const ip = await AsyncStorage.getItem('serverIp');
-                const port = await AsyncStorage.getItem('apiPort');
-                const host = ip || '183.89.203.247'; // Default fallback
-                const apiPort = port || '8000';
-                const apiUrl = `http://${host}:${apiPort}`;
-
-                const response = await axios.get(`${apiUrl}/api/buses`);
-                if (isMounted) {
-                    setBuses(response.data);
-                }
-            } catch (error) {
-                console.log("Error fetching buses:", error);
-            }
-        };
-
-        const fetchExistingRoutes = async () => {
-            try {
-                const ip = await AsyncStorage.getItem('serverIp');
-                const port = await AsyncStorage.getItem('apiPort');
-                const host = ip || '183.89.203.247'; // Default fallback
-                const apiPort = port || '8000';
-                const apiUrl = `http://${host}:${apiPort}`;
-
-                const response = await axios.get(`${apiUrl}/api/routes`);
-                if (response.data && Array.isArray(response.data)) {
-                    // Fetch stops for each route
-                    const fullRoutes = await Promise.all(response.data.map(async (r) => {
-                        try {
-                            const stopsRes = await axios.get(`${apiUrl}/api/routes/${r.id}/stops`);
-                            return { ...r, waypoints: stopsRes.data || [] };
-                        } catch (e) {
-                            return { ...r, waypoints: [] };
-                        }
-                    }));
-                    if (isMounted) {
-                        setExistingRoutes(fullRoutes);
-                    }
-                }
-            } catch (error) {
-                console.log("Error fetching reference routes:", error);
-            }
-        }
-
         init();
-        fetchBuses();
 
         return () => { isMounted = false; };
     }, [routeId]);
@@ -190,6 +138,15 @@ const RouteEditorScreen = () => {
         }
     };
 
+    const updatePeriod = (index, changes) => {
+        setSchedulePeriods(periods => periods.map((p, i) => (i === index ? { ...p, ...changes } : p)));
+    };
+
+    const togglePeriodDay = (index, day) => {
+        const days = schedulePeriods[index].days;
+        updatePeriod(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day] });
+    };
+
     const handleMarkerLongPress = (index) => {
         const newWaypoints = [...waypoints];
         newWaypoints.splice(index, 1);
@@ -208,12 +165,20 @@ const RouteEditorScreen = () => {
         //     return;
         // }
 
+        const { schedule, errors: scheduleErrors } = normalizeSchedule({
+            periods: schedulePeriods,
+            noServiceDates: noServiceDates.split(/[,\s]+/),
+        });
+        if (scheduleErrors.length > 0) {
+            Alert.alert('Schedule', scheduleErrors.join('\n'));
+            return;
+        }
+
         setSaving(true);
         try {
             const id = routeId || generateRouteId();
-            // Handle mac_address vs bus_mac mismatch (API vs MQTT)
-            const busIdToSave = selectedBus?.mac_address || selectedBus?.bus_mac;
-            const success = await saveRoute(id, routeName, waypoints, busIdToSave, routeColor);
+            const busIdToSave = selectedBusId;
+            const success = await saveRoute(id, routeName, waypoints, busIdToSave, routeColor, schedule);
 
             if (success) {
                 // Build the full route object for server sync
@@ -223,6 +188,7 @@ const RouteEditorScreen = () => {
                     waypoints: waypoints,
                     busId: busIdToSave,
                     routeColor: routeColor,
+                    schedule,
                 };
 
                 // Sync to server (non-blocking, but we show status)
@@ -296,7 +262,7 @@ const RouteEditorScreen = () => {
             >
                 <Ionicons name="bus-outline" size={20} color="#333" />
                 <Text style={styles.busSelectorText}>
-                    {selectedBus ? `Linked: ${selectedBus.bus_name || selectedBus.bus_mac}` : "Link to Bus (Optional)"}
+                    {selectedBusId ? `Linked: ${selectedBus?.bus_name || selectedBusId}` : "Link to Bus (Optional)"}
                 </Text>
                 <Ionicons name="chevron-down" size={16} color="#666" />
             </TouchableOpacity>
@@ -319,6 +285,20 @@ const RouteEditorScreen = () => {
                 </View>
             </View>
 
+            {/* Schedule Row */}
+            <TouchableOpacity
+                style={styles.busSelector}
+                onPress={() => setScheduleModalVisible(true)}
+            >
+                <Ionicons name="time-outline" size={20} color="#333" />
+                <Text style={styles.busSelectorText}>
+                    {schedulePeriods.length > 0
+                        ? `Schedule: ${schedulePeriods.length} service period${schedulePeriods.length === 1 ? '' : 's'}`
+                        : 'Schedule: not set (Optional)'}
+                </Text>
+                <Ionicons name="chevron-forward" size={16} color="#666" />
+            </TouchableOpacity>
+
             <MapView
                 ref={mapRef}
                 style={styles.map}
@@ -503,8 +483,8 @@ const RouteEditorScreen = () => {
                             <Text style={{ marginBottom: 20 }}>No buses found online.</Text>
                         ) : (
                             buses.map(bus => {
-                                const busId = bus.mac_address || bus.bus_mac;
-                                const isSelected = (selectedBus?.mac_address || selectedBus?.bus_mac) === busId;
+                                const busId = bus.id;
+                                const isSelected = selectedBusId === busId;
                                 return (
                                     <TouchableOpacity
                                         key={busId}
@@ -513,7 +493,7 @@ const RouteEditorScreen = () => {
                                             isSelected && styles.selectedBusOption
                                         ]}
                                         onPress={() => {
-                                            setSelectedBus(bus);
+                                            setSelectedBusId(busId);
                                             setBusModalVisible(false);
                                         }}
                                     >
@@ -528,7 +508,7 @@ const RouteEditorScreen = () => {
                         <TouchableOpacity
                             style={[styles.button, styles.buttonClose, { marginTop: 10, width: '100%' }]}
                             onPress={() => {
-                                setSelectedBus(null);
+                                setSelectedBusId(null);
                                 setBusModalVisible(false);
                             }}
                         >
@@ -538,6 +518,118 @@ const RouteEditorScreen = () => {
                 </View>
             </Modal>
 
+            {/* Schedule Modal */}
+            <Modal
+                animationType="slide"
+                transparent={true}
+                visible={scheduleModalVisible}
+                onRequestClose={() => setScheduleModalVisible(false)}
+            >
+                <KeyboardAvoidingView
+                    behavior={Platform.OS === "ios" ? "padding" : "height"}
+                    style={styles.centeredView}
+                >
+                    <View style={[styles.modalView, styles.scheduleModalView]}>
+                        <Text style={styles.modalTitle}>Service Schedule</Text>
+                        <ScrollView style={{ width: '100%' }}>
+                            {schedulePeriods.map((period, index) => (
+                                <View key={`period-${index}`} style={styles.periodCard}>
+                                    <View style={styles.periodHeader}>
+                                        <Text style={styles.periodTitle}>Period {index + 1}</Text>
+                                        <TouchableOpacity
+                                            onPress={() => setSchedulePeriods(periods => periods.filter((_, i) => i !== index))}
+                                        >
+                                            <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                                        </TouchableOpacity>
+                                    </View>
+
+                                    {/* Service days */}
+                                    <View style={styles.dayRow}>
+                                        {DAY_LABELS.map((label, day) => {
+                                            const active = period.days.includes(day);
+                                            return (
+                                                <TouchableOpacity
+                                                    key={label}
+                                                    style={[styles.dayChip, active && styles.dayChipActive]}
+                                                    onPress={() => togglePeriodDay(index, day)}
+                                                >
+                                                    <Text style={[styles.dayChipText, active && styles.dayChipTextActive]}>
+                                                        {label.slice(0, 2)}
+                                                    </Text>
+                                                </TouchableOpacity>
+                                            );
+                                        })}
+                                    </View>
+
+                                    <View style={styles.inputGroup}>
+                                        <Text style={styles.labelSmall}>From</Text>
+                                        <TextInput
+                                            style={styles.modalInput}
+                                            value={period.start}
+                                            onChangeText={text => updatePeriod(index, { start: text })}
+                                            placeholder="07:00"
+                                        />
+                                        <Text style={[styles.labelSmall, { marginLeft: 10 }]}>To</Text>
+                                        <TextInput
+                                            style={styles.modalInput}
+                                            value={period.end}
+                                            onChangeText={text => updatePeriod(index, { end: text })}
+                                            placeholder="18:00"
+                                        />
+                                    </View>
+
+                                    <View style={styles.inputGroup}>
+                                        <Text style={styles.labelSmall}>Every (min)</Text>
+                                        <TextInput
+                                            style={styles.modalInput}
+                                            value={period.headwayMinutes}
+                                            onChangeText={text => updatePeriod(index, { headwayMinutes: text })}
+                                            placeholder="15"
+                                            keyboardType="numeric"
+                                        />
+                                    </View>
+
+                                    {/* Fixed times are used when no headway is set */}
+                                    <View style={styles.inputGroup}>
+                                        <Text style={styles.labelSmall}>or at</Text>
+                                        <TextInput
+                                            style={[styles.modalInput, !!period.headwayMinutes && styles.disabledInput]}
+                                            value={period.departures}
+                                            onChangeText={text => updatePeriod(index, { departures: text })}
+                                            placeholder="08:00, 09:30, 12:00"
+                                            editable={!period.headwayMinutes}
+                                        />
+                                    </View>
+                                </View>
+                            ))}
+
+                            <TouchableOpacity
+                                style={styles.addPeriodButton}
+                                onPress={() => setSchedulePeriods(periods => [...periods, { ...NEW_PERIOD }])}
+                            >
+                                <Ionicons name="add-circle-outline" size={20} color="#2563eb" />
+                                <Text style={styles.addPeriodText}>Add service period</Text>
+                            </TouchableOpacity>
+
+                            <Text style={styles.labelSmall}>No service on (YYYY-MM-DD, comma separated):</Text>
+                            <TextInput
+                                style={[styles.modalInput, { marginTop: 6, marginBottom: 10 }]}
+                                value={noServiceDates}
+                                onChangeText={setNoServiceDates}
+                                placeholder="2025-12-31, 2026-01-01"
+                            />
+                        </ScrollView>
+
+                        <TouchableOpacity
+                            style={[styles.button, styles.buttonSave, { marginTop: 10, width: '100%' }]}
+                            onPress={() => setScheduleModalVisible(false)}
+                        >
+                            <Text style={styles.textStyle}>Done</Text>
+                        </TouchableOpacity>
+                    </View>
+                </KeyboardAvoidingView>
+            </Modal>
+
             <View style={styles.footer}>
                 <Text style={styles.stats}>
                     {waypoints.length} Waypoints
@@ -869,7 +961,71 @@ const styles = StyleSheet.create({
     selectedColorOption: {
         borderColor: '#000',
         transform: [{ scale: 1.1 }],
-    }
+    },
+    scheduleModalView: {
+        padding: 20,
+        width: '90%',
+        maxHeight: '85%',
+    },
+    periodCard: {
+        borderWidth: 1,
+        borderColor: '#eee',
+        borderRadius: 10,
+        padding: 12,
+        marginBottom: 12,
+    },
+    periodHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    periodTitle: {
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    dayRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    dayChip: {
+        width: 34,
+        height: 34,
+        borderRadius: 17,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    dayChipActive: {
+        backgroundColor: '#2563eb',
+        borderColor: '#2563eb',
+    },
+    dayChipText: {
+        fontSize: 12,
+        color: '#333',
+    },
+    dayChipTextActive: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    disabledInput: {
+        backgroundColor: '#f3f4f6',
+        color: '#9ca3af',
+    },
+    addPeriodButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 10,
+        marginBottom: 12,
+    },
+    addPeriodText: {
+        marginLeft: 6,
+        color: '#2563eb',
+        fontWeight: '600',
+    },
 });
 
 export default RouteEditorScreen;
@@ -1,30 +1,54 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { View, Text, FlatList, StyleSheet, TouchableOpacity, Alert, Platform, RefreshControl } from 'react-native';
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_BASE, getApiUrl, checkApiKey, getApiHeaders } from '../config/api';
+import * as Location from 'expo-location';
+import { getApiUrl, checkApiKey } from '../config/api';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import { useDebug } from '../contexts/DebugContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useData } from '../contexts/DataContext'; // <-- ADDED
+import { useFavorites } from '../contexts/FavoritesContext';
+import { useBuses, useOccupancy, useBusMotion, useRouteProgress, useBusRouteMappings, useRouteInference, useLastStopEvent } from '../hooks/useBusStore';
 
-import { getAllRoutes, loadRoute, downloadRoutesFromServer } from '../utils/routeStorage';
-import { getAllMappings, getRouteIdForBus } from '../utils/busRouteMapping';
-import { findNextStop } from '../utils/routeHelpers';
+import { getAllRoutes, downloadRoutesFromServer, subscribeRouteChanges } from '../utils/routeStorage';
+import { getNextStopEta } from '../utils/routeEta';
+import { getEtaOptions } from '../utils/travelTimes';
+import { getServiceStatus, formatDeparture, formatTimeOfDay } from '../utils/routeSchedule';
+import { computeHeadways, getGapAhead, HEADWAY_STATUS } from '../utils/headway';
+import { getOccupancyLevel, OCCUPANCY_COLORS } from '../utils/occupancy';
+import StaleDataBanner from '../components/StaleDataBanner';
+import FavoritesStrip from '../components/FavoritesStrip';
+import { STOP_EVENT } from '../utils/stopEvents';
+import { FAVORITE_TYPE } from '../utils/favorites';
+
+const formatAge = (timestamp, t) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return t('justNow');
+  if (minutes < 60) return t('minutesAgo', { minutes });
+  return t('hoursAgo', { hours: Math.floor(minutes / 60) });
+};
 
 const RoutesScreen = () => {
-  const { buses, refreshBuses } = useData(); // Consume Global Data
-  const [busRoutes, setBusRoutes] = useState({}); // { busMac: { route, nextStop } }
+  const { refreshBuses, mqttStatus, reconnectMqtt } = useData(); // Consume Global Data
+  const buses = useBuses();
+  const occupancy = useOccupancy();
+  const busMotion = useBusMotion();
+  const routeProgress = useRouteProgress();
+  const mappings = useBusRouteMappings();
+  const routeInference = useRouteInference();
+  const lastStopEvents = useLastStopEvent();
   const [refreshing, setRefreshing] = useState(false);
-  const [localRoutes, setLocalRoutes] = useState([]); // For debug mode route management
+  const [localRoutes, setLocalRoutes] = useState([]); // ETAs, headways, schedules and the debug route list
+  const [userLocation, setUserLocation] = useState(null); // Last known fix, for route favorites
   const navigation = useNavigation();
   const { debugMode } = useDebug();
   const { theme } = useTheme();
   const { t } = useLanguage();
-  const [passengerCount, setPassengerCount] = useState(0);
+  const { isFavoriteRoute, toggleFavoriteRoute } = useFavorites();
 
   // Force re-render periodically for offline status
   const [tick, setTick] = useState(0);
@@ -33,73 +57,73 @@ const RoutesScreen = () => {
     return () => clearInterval(interval);
   }, []);
 
-  // Fetch passenger count from API
+  // Local routes (with waypoints); reloaded whenever one is saved, deleted or downloaded
+  const routesLoadRef = useRef(0); // Latest load; older reads are dropped
   useEffect(() => {
-    const fetchCount = async () => {
-      try {
-        const response = await fetch(`${API_BASE}/count`, { headers: getApiHeaders() });
-        if (response.ok) {
-          const data = await response.json();
-          if (data.passengers !== undefined) {
-            setPassengerCount(data.passengers);
-          }
-        }
-      } catch (err) {
-        // Silent fail
-      }
+    const loadSavedRoutes = async () => {
+      const load = ++routesLoadRef.current;
+      const saved = await getAllRoutes();
+      if (load === routesLoadRef.current) setLocalRoutes(saved);
     };
-    fetchCount();
-    const interval = setInterval(fetchCount, 5000);
-    return () => clearInterval(interval);
+    loadSavedRoutes();
+    return subscribeRouteChanges(loadSavedRoutes);
   }, []);
 
-  // Load mappings and calculate next stops whenever BUSES change
+  const routesById = useMemo(
+    () => Object.fromEntries(localRoutes.map(r => [r.routeId, r])),
+    [localRoutes]
+  );
+
+  // { busMac: { route, nextStop } }, recomputed from the store on each update
+  // (routes come from state, so their cached geometry is reused)
+  const busRoutes = useMemo(() => {
+    const routeDataMap = {};
+    buses.forEach(bus => {
+      const busMac = bus.id;
+      // Unassigned buses use a confident inferred route until an admin assigns one
+      const inference = routeInference[busMac];
+      const inferred = !mappings[busMac] && !!inference?.provisional;
+      const routeId = mappings[busMac] || (inferred ? inference.routeId : null);
+      const loaded = routeId ? routesById[routeId] : null;
+      if (!loaded) return;
+
+      const route = inferred ? { ...loaded, inferred: true } : loaded;
+      const nextStop = getNextStopEta(route, {
+        latitude: bus.current_lat,
+        longitude: bus.current_lon,
+        heading: busMotion[busMac]?.heading,
+      }, { ...getEtaOptions(route.routeId), progress: routeProgress[busMac] });
+
+      routeDataMap[busMac] = { route, nextStop };
+    });
+    return routeDataMap;
+  }, [buses, mappings, busMotion, routeProgress, routeInference, routesById]);
+
+  // Gaps between consecutive buses on each route (bunching / long gaps)
+  const headways = useMemo(
+    () => computeHeadways(localRoutes, { buses, mappings, progressById: routeProgress, motionById: busMotion }),
+    [localRoutes, buses, mappings, routeProgress, busMotion, tick]
+  );
+
+  // Route favorites show the next bus at the stop nearest to the user.
+  // MapScreen asks for the permission; only use what is already granted here.
   useEffect(() => {
-    const calculateBusRoutes = async () => {
+    const locate = async () => {
       try {
-        const mappings = await getAllMappings();
-        const routeDataMap = {};
-
-        for (const bus of buses) {
-          const busMac = bus.bus_mac || bus.mac_address || bus.id;
-          const routeId = mappings[busMac];
-
-          if (routeId) {
-            const route = await loadRoute(routeId);
-            if (route) {
-              const busLat = bus.current_lat || bus.lat;
-              const busLon = bus.current_lon || bus.lon;
-              const nextStop = findNextStop(busLat, busLon, route.waypoints);
-
-              routeDataMap[busMac] = {
-                route,
-                nextStop,
-              };
-            }
-          }
-        }
-        setBusRoutes(routeDataMap);
+        const { status } = await Location.getForegroundPermissionsAsync();
+        if (status !== 'granted') return;
+        const location = await Location.getLastKnownPositionAsync({});
+        if (location) setUserLocation(location.coords);
       } catch (error) {
-        console.error('[RoutesScreen] Error calculating routes:', error);
+        console.error('[RoutesScreen] Error getting location:', error);
       }
     };
-
-    calculateBusRoutes();
-  }, [buses]); // Re-run when context data updates
-
-  // Load local saved routes (for debug list)
-  useFocusEffect(
-    useCallback(() => {
-      const loadSavedRoutes = async () => {
-        const saved = await getAllRoutes();
-        setLocalRoutes(saved);
-      };
-      loadSavedRoutes();
-    }, [])
-  );
+    locate();
+  }, []);
 
   const onRefresh = async () => {
     setRefreshing(true);
+    reconnectMqtt(); // Skip MQTT backoff if live updates are down
     await refreshBuses(); // Refresh Context
     await downloadRoutesFromServer(); // Sync routes
     setRefreshing(false);
@@ -107,7 +131,7 @@ const RoutesScreen = () => {
 
   // Navigate to map with bus and route selected
   const handleBusPress = (bus) => {
-    const busMac = bus.bus_mac || bus.mac_address || bus.id;
+    const busMac = bus.id;
     const routeData = busRoutes[busMac];
 
     navigation.navigate('Map', {
@@ -116,17 +140,64 @@ const RoutesScreen = () => {
     });
   };
 
+  // Favorites strip: stops open on the map, routes open like a bus card does
+  const handleFavoriteSelect = (favorite, favoriteRoute) => {
+    if (favorite.type === FAVORITE_TYPE.STOP) {
+      navigation.navigate('Map', {
+        focusStop: {
+          name: favorite.name,
+          latitude: favorite.latitude,
+          longitude: favorite.longitude,
+          routeNames: favorite.routes.map(r => r.routeName),
+        },
+      });
+    } else if (favoriteRoute) {
+      navigation.navigate('Map', { selectedRoute: favoriteRoute, focusBus: null });
+    }
+  };
+
+  const renderFavoriteStar = (route) => (
+    <TouchableOpacity
+      onPress={() => toggleFavoriteRoute(route)}
+      hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+    >
+      <Ionicons name={isFavoriteRoute(route.routeId) ? 'star' : 'star-outline'} size={18} color="#f59e0b" />
+    </TouchableOpacity>
+  );
+
   const renderBusCard = ({ item: bus }) => {
-    const busMac = bus.bus_mac || bus.mac_address || bus.id;
+    const busMac = bus.id;
     const routeData = busRoutes[busMac];
     const hasRoute = !!routeData?.route;
     const nextStop = routeData?.nextStop;
+    const busOccupancy = occupancy[busMac];
 
     // Offline check > 60s
     // Use (bus.last_updated || 0) to handle null/undefined/0.
     const isOffline = (Date.now() - (bus.last_updated || 0)) > 60000;
     const opacity = isOffline ? 0.5 : 1.0;
 
+    // Last stop this bus arrived at / left (geofence events)
+    const lastStopEvent = lastStopEvents[busMac];
+    const lastStopText = lastStopEvent && (lastStopEvent.type === STOP_EVENT.ARRIVAL
+      ? t('atStopSince', { stop: lastStopEvent.stopName, age: formatAge(lastStopEvent.at, t) })
+      : t('lastSeenAtStop', { stop: lastStopEvent.stopName, age: formatAge(lastStopEvent.at, t) }));
+
+    // Gap to the bus ahead on the same route
+    const gapAhead = isOffline ? null : getGapAhead(headways, busMac);
+    let headwayInfo = null;
+    if (gapAhead) {
+      const minutes = Math.round(gapAhead.seconds / 60);
+      const leader = buses.find(b => b.id === gapAhead.leaderId);
+      if (gapAhead.status === HEADWAY_STATUS.BUNCHED) {
+        headwayInfo = { icon: 'git-merge', color: '#f59e0b', text: t('bunchedWith', { bus: leader?.bus_name || gapAhead.leaderId }) };
+      } else if (gapAhead.status === HEADWAY_STATUS.GAP) {
+        headwayInfo = { icon: 'resize', color: '#ef4444', text: t('largeGapAhead', { minutes }) };
+      } else {
+        headwayInfo = { icon: 'swap-vertical', color: theme.textSecondary, text: t('busAheadMinutes', { minutes }) };
+      }
+    }
+
     return (
       <TouchableOpacity
         style={[styles.busCard, { backgroundColor: theme.card, opacity }]}
@@ -140,11 +211,11 @@ const RoutesScreen = () => {
           <View style={styles.busInfo}>
             <View style={{ flexDirection: 'row', alignItems: 'center' }}>
               <Text style={[styles.busName, { color: theme.text, marginRight: 8 }]}>
-                {bus.bus_name || bus.bus_mac || bus.id} {isOffline && "(Offline)"}
+                {bus.bus_name || bus.id} {isOffline && "(Offline)"}
               </Text>
               {/* WiFi Signal Icon */}
               {(() => {
-                const signal = bus.rssi;
+                const signal = bus.signal?.rssi;
                 if (signal === undefined || signal === null) return null;
 
                 let iconName = 'wifi-strength-outline';
@@ -162,9 +233,17 @@ const RoutesScreen = () => {
               })()}
             </View>
             {hasRoute ? (
-              <Text style={[styles.routeName, { color: theme.primary }]}>
-                🛣️ {routeData.route.routeName}
-              </Text>
+              <View style={styles.routeNameRow}>
+                <Text style={[styles.routeName, { color: theme.primary }]}>
+                  🛣️ {routeData.route.routeName}
+                </Text>
+                {routeData.route.inferred && (
+                  <View style={[styles.inferredBadge, { borderColor: theme.textMuted }]}>
+                    <Text style={[styles.inferredText, { color: theme.textMuted }]}>{t('inferredRoute')}</Text>
+                  </View>
+                )}
+                {renderFavoriteStar(routeData.route)}
+              </View>
             ) : (
               <Text style={[styles.noRoute, { color: theme.textMuted }]}>
                 No route assigned
@@ -193,28 +272,90 @@ const RoutesScreen = () => {
           </View>
         )}
 
+        {lastStopText && (
+          <View style={styles.infoRow}>
+            <Ionicons name="flag-outline" size={14} color={theme.textMuted} />
+            <Text style={[styles.infoRowText, { color: theme.textMuted }]}>{lastStopText}</Text>
+          </View>
+        )}
+
+        {headwayInfo && (
+          <View style={styles.infoRow}>
+            <Ionicons name={headwayInfo.icon} size={14} color={headwayInfo.color} />
+            <Text style={[styles.infoRowText, { color: headwayInfo.color }]}>{headwayInfo.text}</Text>
+          </View>
+        )}
+
         {/* Bus stats */}
         <View style={styles.statsRow}>
-          {bus.pm2_5 !== undefined && (
+          {bus.sensors?.pm2_5 !== null && bus.sensors?.pm2_5 !== undefined && (
             <View style={styles.statItem}>
               <Ionicons name="leaf" size={14} color="#22c55e" />
               <Text style={[styles.statText, { color: theme.textSecondary }]}>
-                PM2.5: {bus.pm2_5?.toFixed(1) || '--'}
+                PM2.5: {bus.sensors.pm2_5.toFixed(1)}
+              </Text>
+            </View>
+          )}
+          {/* Live occupancy for this bus (door counter / camera) */}
+          {busOccupancy && (
+            <View style={styles.statItem}>
+              <Ionicons name="people" size={14} color={OCCUPANCY_COLORS[getOccupancyLevel(busOccupancy)]} />
+              <Text style={[styles.statText, { color: theme.textSecondary }]}>
+                Passengers: {busOccupancy.onBoard}/{busOccupancy.capacity} ({busOccupancy.percent}%)
               </Text>
             </View>
           )}
-          {/* Always show passengers from API */}
-          <View style={styles.statItem}>
-            <Ionicons name="people" size={14} color="#8b5cf6" />
-            <Text style={[styles.statText, { color: theme.textSecondary }]}>
-              Passengers: {passengerCount}/33
-            </Text>
-          </View>
         </View>
       </TouchableOpacity>
     );
   };
 
+  // Scheduled routes with no live bus reporting: show the timetable instead
+  const renderScheduleSection = () => {
+    const now = new Date();
+    const items = localRoutes
+      .filter(r => !buses.some(bus =>
+        (mappings[bus.id] || bus.route_id) === r.routeId && (Date.now() - (bus.last_updated || 0)) <= 60000
+      ))
+      .map(r => ({ route: r, status: getServiceStatus(r, now) }))
+      .filter(item => item.status);
+    if (items.length === 0) return null;
+
+    return (
+      <View style={styles.scheduleSection}>
+        <Text style={[styles.scheduleTitle, { color: theme.textSecondary }]}>{t('scheduledService')}</Text>
+        {items.map(({ route: r, status }) => {
+          let text;
+          if (status.inService) {
+            const until = formatTimeOfDay(status.serviceEndsAt.getHours() * 60 + status.serviceEndsAt.getMinutes());
+            text = t('inServiceNoBus', { time: until });
+          } else if (status.nextDeparture) {
+            text = `${t('notInService')} · ${t('nextDeparture', { time: formatDeparture(status.nextDeparture, now) })}`;
+          } else {
+            text = t('noUpcomingService');
+          }
+          return (
+            <View key={r.routeId} style={[styles.scheduleRow, { backgroundColor: theme.card }]}>
+              <View style={[styles.scheduleDot, { backgroundColor: r.routeColor || '#2563eb' }]} />
+              <View style={{ flex: 1 }}>
+                <Text style={[styles.scheduleRoute, { color: theme.text }]}>{r.routeName}</Text>
+                <Text style={[styles.scheduleText, { color: status.inService ? theme.primary : theme.textMuted }]}>
+                  {text}
+                </Text>
+              </View>
+              {status.inService && status.nextDeparture && (
+                <Text style={[styles.scheduleText, { color: theme.textSecondary }]}>
+                  {t('nextDeparture', { time: formatDeparture(status.nextDeparture, now) })}
+                </Text>
+              )}
+              {renderFavoriteStar(r)}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
       {/* Header */}
@@ -238,8 +379,34 @@ const RoutesScreen = () => {
         <Text style={[styles.countText, { color: theme.textSecondary }]}>
           {buses.length} active {buses.length === 1 ? 'bus' : 'buses'}
         </Text>
+        {/* Live update status (MQTT) */}
+        {(() => {
+          const statusMap = {
+            connected: { color: '#10b981', label: 'Live' },
+            connecting: { color: '#f59e0b', label: 'Connecting...' },
+            reconnecting: { color: '#f59e0b', label: 'Reconnecting...' },
+            offline: { color: '#9ca3af', label: 'Updates delayed' },
+          };
+          const { color, label } = statusMap[mqttStatus] || statusMap.offline;
+          return (
+            <View style={styles.liveStatus}>
+              <View style={[styles.liveDot, { backgroundColor: color }]} />
+              <Text style={[styles.liveText, { color }]}>{label}</Text>
+            </View>
+          );
+        })()}
       </View>
 
+      <StaleDataBanner style={styles.staleBanner} />
+
+      <FavoritesStrip
+        routes={localRoutes}
+        userLocation={userLocation}
+        onSelect={handleFavoriteSelect}
+        showHint
+        style={styles.favoritesStrip}
+      />
+
       {/* Bus list */}
       {buses.length === 0 ? (
         <View style={styles.emptyState}>
@@ -257,13 +424,15 @@ const RoutesScreen = () => {
             <Ionicons name="refresh" size={20} color={theme.primary} />
             <Text style={[styles.refreshText, { color: theme.primary }]}>Refresh</Text>
           </TouchableOpacity>
+          {renderScheduleSection()}
         </View>
       ) : (
         <FlatList
           data={buses}
           renderItem={renderBusCard}
-          keyExtractor={(item) => item.bus_mac || item.mac_address || item.id}
+          keyExtractor={(item) => item.id}
           contentContainerStyle={styles.listContent}
+          ListFooterComponent={renderScheduleSection()}
           showsVerticalScrollIndicator={false}
           refreshControl={
             <RefreshControl
@@ -327,6 +496,11 @@ const styles = StyleSheet.create({
     gap: 8,
   },
   countText: { fontSize: 14 },
+  staleBanner: { marginBottom: 12 },
+  favoritesStrip: { marginHorizontal: 20, marginBottom: 12 },
+  liveStatus: { flexDirection: 'row', alignItems: 'center', marginLeft: 'auto', gap: 6 },
+  liveDot: { width: 8, height: 8, borderRadius: 4 },
+  liveText: { fontSize: 12, fontWeight: '600' },
   listContent: { paddingHorizontal: 20, paddingBottom: 20 },
   busCard: {
     borderRadius: 16,
@@ -355,6 +529,15 @@ const styles = StyleSheet.create({
   busName: { fontSize: 18, fontWeight: '600' },
   routeName: { fontSize: 14, marginTop: 2 },
   noRoute: { fontSize: 13, fontStyle: 'italic', marginTop: 2 },
+  routeNameRow: { flexDirection: 'row', alignItems: 'center', gap: 6 },
+  inferredBadge: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    marginTop: 2,
+  },
+  inferredText: { fontSize: 11, fontStyle: 'italic' },
   nextStopContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -373,6 +556,8 @@ const styles = StyleSheet.create({
     borderRadius: 12,
   },
   etaText: { color: '#fff', fontSize: 12, fontWeight: '600' },
+  infoRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginTop: 10 },
+  infoRowText: { fontSize: 13, fontWeight: '500' },
   statsRow: {
     flexDirection: 'row',
     marginTop: 12,
@@ -412,6 +597,19 @@ const styles = StyleSheet.create({
     borderWidth: 1,
   },
   routeChipText: { fontSize: 13 },
+  scheduleSection: { alignSelf: 'stretch', marginTop: 12 },
+  scheduleTitle: { fontSize: 13, fontWeight: '600', marginBottom: 8 },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 8,
+    gap: 10,
+  },
+  scheduleDot: { width: 10, height: 10, borderRadius: 5 },
+  scheduleRoute: { fontSize: 15, fontWeight: '600' },
+  scheduleText: { fontSize: 12, marginTop: 2 },
 });
 
 export default RoutesScreen;
\ No newline at end of file
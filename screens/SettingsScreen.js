@@ -1,11 +1,16 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, Switch, StyleSheet, TouchableOpacity, Platform, Modal, Pressable } from 'react-native';
+import React, { useState } from 'react';
+import { View, Text, Switch, StyleSheet, TouchableOpacity, Platform, Modal, Pressable, ScrollView, TextInput } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useDebug } from '../contexts/DebugContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useNotifications } from '../contexts/NotificationContext';
-import { API_BASE, getApiHeaders } from '../config/api';
+import { useBusStore, useOccupancy, shallowEqual } from '../hooks/useBusStore';
+import { useMqttDiagnostics } from '../hooks/useMqttDiagnostics';
+import { resetMqttValidationStats } from '../utils/mqttValidation';
+import { AIR_QUALITY_PROFILES, getAirQualityThresholds } from '../utils/airQualityAlerts';
+import { NOTIFICATION_CATEGORY, formatHour } from '../utils/notificationPreferences';
+import { API_BASE } from '../config/api';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 
@@ -14,39 +19,56 @@ const SettingsScreen = () => {
   const { debugMode, toggleDebugMode, isDevMachine, deviceId } = useDebug();
   const { theme, isDark, toggleTheme } = useTheme();
   const { language, changeLanguage, t } = useLanguage();
-  const { enabled: notificationsEnabled, toggleNotifications } = useNotifications();
+  const {
+    enabled: notificationsEnabled,
+    toggleNotifications,
+    stopSubscriptions,
+    unsubscribeFromStop,
+    airQualitySettings,
+    updateAirQualitySettings,
+    pmZones,
+    refreshPmZones,
+    preferences: notificationPreferences,
+    updateNotificationPreferences,
+  } = useNotifications();
+  const occupancy = useOccupancy();
+  const mqttDiagnostics = useMqttDiagnostics();
+  // Only bus names are rendered here, so ignore position/sensor updates
+  const busNames = useBusStore(
+    state => Object.fromEntries(state.buses.map(b => [b.id, b.bus_name])),
+    shallowEqual
+  );
 
   const [languageModalVisible, setLanguageModalVisible] = useState(false);
-  const [apiCount, setApiCount] = useState(null);
-  const [apiLoading, setApiLoading] = useState(false);
-
-  // Fetch person count from API when debug mode is enabled
-  useEffect(() => {
-    const fetchCount = async () => {
-      if (!debugMode) {
-        setApiCount(null);
-        return;
-      }
-      setApiLoading(true);
-      try {
-        const response = await fetch(`${API_BASE}/count`, { headers: getApiHeaders() });
-        if (response.ok) {
-          const data = await response.json();
-          setApiCount(data.passengers !== undefined ? data.passengers : 'N/A');
-        } else {
-          setApiCount('Error');
-        }
-      } catch (err) {
-        setApiCount('Offline');
-      }
-      setApiLoading(false);
-    };
-
-    fetchCount();
-    // Also poll every 5 seconds when debug is on
-    const interval = debugMode ? setInterval(fetchCount, 5000) : null;
-    return () => interval && clearInterval(interval);
-  }, [debugMode]);
+  const [stopAlertsModalVisible, setStopAlertsModalVisible] = useState(false);
+  const [airQualityModalVisible, setAirQualityModalVisible] = useState(false);
+  const [preferencesModalVisible, setPreferencesModalVisible] = useState(false);
+  const { quietHours } = notificationPreferences;
+
+  const shiftQuietHour = (key, delta) => {
+    updateNotificationPreferences(current => ({
+      quietHours: { [key]: (current.quietHours[key] + delta + 24) % 24 },
+    }));
+  };
+  const airQualityThresholds = getAirQualityThresholds(airQualitySettings);
+
+  const openAirQualityAlerts = () => {
+    setAirQualityModalVisible(true);
+    refreshPmZones();
+  };
+
+  const setCustomThreshold = (pollutant, text) => {
+    const value = parseInt(text, 10);
+    if (Number.isNaN(value) || value <= 0) return;
+    updateAirQualitySettings({ custom: { ...airQualityThresholds, [pollutant]: value } });
+  };
+
+  const toggleWatchedZone = (zoneId) => {
+    const { zoneIds } = airQualitySettings;
+    updateAirQualitySettings({
+      zoneIds: zoneIds.includes(zoneId) ? zoneIds.filter(id => id !== zoneId) : [...zoneIds, zoneId],
+    });
+  };
 
   const SettingRow = ({ icon, iconColor, label, children, onPress }) => (
     <TouchableOpacity
@@ -101,15 +123,34 @@ const SettingsScreen = () => {
         </SettingRow>
       )}
 
-      {/* API Person Count - Debug Display */}
+      {/* Service Announcements - Only visible when debug mode is on */}
       {debugMode && (
-        <SettingRow icon="people" iconColor="#10b981" label="API Person Count">
-          <Text style={{ color: apiLoading ? theme.textMuted : theme.text, fontSize: 17, fontWeight: 'bold' }}>
-            {apiLoading ? '...' : (apiCount !== null ? apiCount : '-')}
-          </Text>
+        <SettingRow
+          icon="megaphone"
+          iconColor="#0ea5e9"
+          label="Announcements"
+          onPress={() => navigation.navigate('AnnouncementAdmin')}
+        >
+          <Ionicons name="chevron-forward" size={20} color={theme.textMuted} />
         </SettingRow>
       )}
 
+      {/* Live Person Count per bus - Debug Display */}
+      {debugMode && Object.values(occupancy).map(item => {
+        return (
+          <SettingRow
+            key={`occupancy-${item.busId}`}
+            icon="people"
+            iconColor="#10b981"
+            label={`Person Count (${busNames[item.busId] || item.busId})`}
+          >
+            <Text style={{ color: theme.text, fontSize: 17, fontWeight: 'bold' }}>
+              {item.onBoard}/{item.capacity}
+            </Text>
+          </SettingRow>
+        );
+      })}
+
       {/* Dark Mode */}
       <SettingRow icon="moon" iconColor="#6366f1" label={t('darkMode')}>
         <Switch
@@ -128,6 +169,47 @@ const SettingsScreen = () => {
         />
       </SettingRow>
 
+      {/* Notification categories and quiet hours */}
+      <SettingRow
+        icon="options"
+        iconColor="#f59e0b"
+        label={t('notificationPreferences')}
+        onPress={() => setPreferencesModalVisible(true)}
+      >
+        <View style={styles.languageValue}>
+          {quietHours.enabled && <Ionicons name="moon" size={16} color={theme.textSecondary} style={{ marginRight: 4 }} />}
+          <Ionicons name="chevron-forward" size={20} color={theme.textMuted} />
+        </View>
+      </SettingRow>
+
+      {/* Stop arrival alerts (created by long-pressing a stop) */}
+      <SettingRow
+        icon="alarm"
+        iconColor="#ef4444"
+        label={t('stopAlerts')}
+        onPress={() => setStopAlertsModalVisible(true)}
+      >
+        <View style={styles.languageValue}>
+          <Text style={[styles.languageText, { color: theme.textSecondary }]}>{stopSubscriptions.length}</Text>
+          <Ionicons name="chevron-forward" size={20} color={theme.textMuted} />
+        </View>
+      </SettingRow>
+
+      {/* Air quality alerts (PM2.5/PM10 thresholds) */}
+      <SettingRow
+        icon="leaf"
+        iconColor="#10b981"
+        label={t('airQualityAlerts')}
+        onPress={openAirQualityAlerts}
+      >
+        <View style={styles.languageValue}>
+          <Text style={[styles.languageText, { color: theme.textSecondary }]}>
+            {airQualitySettings.enabled ? t(`aqProfile_${airQualitySettings.profile}`) : t('off')}
+          </Text>
+          <Ionicons name="chevron-forward" size={20} color={theme.textMuted} />
+        </View>
+      </SettingRow>
+
       {/* Language */}
       <SettingRow
         icon="language"
@@ -153,6 +235,34 @@ const SettingsScreen = () => {
         <Ionicons name="chevron-forward" size={20} color={theme.textMuted} />
       </SettingRow>
 
+      {/* Rejected MQTT payloads - Debug Display (spots firmware regressions) */}
+      {debugMode && (
+        <View style={[styles.infoContainer, { backgroundColor: theme.surface }]}>
+          <View style={styles.infoHeader}>
+            <Text style={[styles.infoTitle, { color: theme.textSecondary }]}>
+              MQTT Rejected: {mqttDiagnostics.rejected}
+            </Text>
+            {mqttDiagnostics.rejected > 0 && (
+              <TouchableOpacity onPress={resetMqttValidationStats}>
+                <Text style={[styles.infoTitle, { color: theme.primary }]}>Reset</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {Object.entries(mqttDiagnostics.bySchema).map(([schema, reasons]) =>
+            Object.entries(reasons).map(([reason, count]) => (
+              <Text key={`${schema}-${reason}`} style={[styles.infoText, { color: theme.textMuted }]}>
+                {schema}: {reason} × {count}
+              </Text>
+            ))
+          )}
+          {mqttDiagnostics.lastRejection && (
+            <Text style={[styles.infoText, { color: theme.textMuted }]} numberOfLines={3}>
+              Last: {mqttDiagnostics.lastRejection.topic} ({mqttDiagnostics.lastRejection.detail || mqttDiagnostics.lastRejection.reason}) {mqttDiagnostics.lastRejection.payload}
+            </Text>
+          )}
+        </View>
+      )}
+
       {/* Configuration - Only visible for developers */}
       {isDevMachine && (
         <View style={[styles.infoContainer, { backgroundColor: theme.surface }]}>
@@ -162,6 +272,198 @@ const SettingsScreen = () => {
         </View>
       )}
 
+      {/* Stop Alerts Modal */}
+      <Modal
+        visible={stopAlertsModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setStopAlertsModalVisible(false)}
+      >
+        <Pressable
+          style={styles.modalOverlay}
+          onPress={() => setStopAlertsModalVisible(false)}
+        >
+          <Pressable style={[styles.modalContent, { backgroundColor: theme.card }]}>
+            <Text style={[styles.modalTitle, { color: theme.text }]}>{t('stopAlerts')}</Text>
+
+            {stopSubscriptions.length === 0 && (
+              <Text style={[styles.emptyAlertsText, { color: theme.textMuted }]}>{t('noStopAlerts')}</Text>
+            )}
+            {stopSubscriptions.map(sub => (
+              <View key={sub.id} style={[styles.alertRow, { borderBottomColor: theme.border }]}>
+                <View style={[styles.alertDot, { backgroundColor: sub.routeColor }]} />
+                <View style={styles.alertInfo}>
+                  <Text style={[styles.alertStop, { color: theme.text }]}>{sub.stopName}</Text>
+                  <Text style={[styles.alertDetail, { color: theme.textSecondary }]}>
+                    {sub.routeName} · {t('notifyMinutesBefore', { minutes: sub.minutes })}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => unsubscribeFromStop(sub.id)}>
+                  <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Notification Preferences Modal */}
+      <Modal
+        visible={preferencesModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setPreferencesModalVisible(false)}
+      >
+        <Pressable
+          style={styles.modalOverlay}
+          onPress={() => setPreferencesModalVisible(false)}
+        >
+          <Pressable style={[styles.modalContent, { backgroundColor: theme.card }]}>
+            <Text style={[styles.modalTitle, { color: theme.text }]}>{t('notificationPreferences')}</Text>
+
+            {Object.values(NOTIFICATION_CATEGORY).map(category => (
+              <View key={category} style={styles.modalSwitchRow}>
+                <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>{t(`notifCategory_${category}`)}</Text>
+                <Switch
+                  value={notificationPreferences.categories[category]}
+                  onValueChange={value => updateNotificationPreferences({ categories: { [category]: value } })}
+                  trackColor={{ false: theme.border, true: theme.primary }}
+                />
+              </View>
+            ))}
+
+            <Text style={[styles.modalSection, { color: theme.textSecondary }]}>{t('quietHours')}</Text>
+            <View style={styles.modalSwitchRow}>
+              <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>
+                {t('quietHoursHint', { start: formatHour(quietHours.startHour), end: formatHour(quietHours.endHour) })}
+              </Text>
+              <Switch
+                value={quietHours.enabled}
+                onValueChange={value => updateNotificationPreferences({ quietHours: { enabled: value } })}
+                trackColor={{ false: theme.border, true: theme.primary }}
+              />
+            </View>
+            {quietHours.enabled && (
+              <View style={styles.thresholdInputs}>
+                {[['startHour', 'quietFrom'], ['endHour', 'quietUntil']].map(([key, label]) => (
+                  <View key={key} style={styles.thresholdInput}>
+                    <Text style={[styles.alertDetail, { color: theme.textSecondary }]}>{t(label)}</Text>
+                    <View style={styles.hourStepper}>
+                      <TouchableOpacity onPress={() => shiftQuietHour(key, -1)}>
+                        <Ionicons name="remove-circle-outline" size={26} color={theme.primary} />
+                      </TouchableOpacity>
+                      <Text style={[styles.hourText, { color: theme.text }]}>{formatHour(quietHours[key])}</Text>
+                      <TouchableOpacity onPress={() => shiftQuietHour(key, 1)}>
+                        <Ionicons name="add-circle-outline" size={26} color={theme.primary} />
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Air Quality Alerts Modal */}
+      <Modal
+        visible={airQualityModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setAirQualityModalVisible(false)}
+      >
+        <Pressable
+          style={styles.modalOverlay}
+          onPress={() => setAirQualityModalVisible(false)}
+        >
+          <Pressable style={[styles.modalContent, styles.tallModalContent, { backgroundColor: theme.card }]}>
+            <Text style={[styles.modalTitle, { color: theme.text }]}>{t('airQualityAlerts')}</Text>
+            <ScrollView>
+              <View style={styles.modalSwitchRow}>
+                <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>{t('aqAlertsEnabled')}</Text>
+                <Switch
+                  value={airQualitySettings.enabled}
+                  onValueChange={value => updateAirQualitySettings({ enabled: value })}
+                  trackColor={{ false: theme.border, true: theme.primary }}
+                />
+              </View>
+
+              <Text style={[styles.modalSection, { color: theme.textSecondary }]}>{t('aqProfile')}</Text>
+              <View style={styles.profileChips}>
+                {[...Object.keys(AIR_QUALITY_PROFILES), 'custom'].map(profile => (
+                  <TouchableOpacity
+                    key={profile}
+                    style={[
+                      styles.profileChip,
+                      { borderColor: theme.border },
+                      airQualitySettings.profile === profile && { backgroundColor: theme.primary, borderColor: theme.primary },
+                    ]}
+                    onPress={() => updateAirQualitySettings({ profile })}
+                  >
+                    <Text style={{ color: airQualitySettings.profile === profile ? 'white' : theme.text }}>
+                      {t(`aqProfile_${profile}`)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {airQualitySettings.profile === 'custom' ? (
+                <View style={styles.thresholdInputs}>
+                  {[['pm2_5', 'PM2.5'], ['pm10', 'PM10']].map(([pollutant, label]) => (
+                    <View key={pollutant} style={styles.thresholdInput}>
+                      <Text style={[styles.alertDetail, { color: theme.textSecondary }]}>{label} (µg/m³)</Text>
+                      <TextInput
+                        style={[styles.numberInput, { color: theme.text, borderColor: theme.border }]}
+                        keyboardType="number-pad"
+                        defaultValue={String(airQualityThresholds[pollutant])}
+                        onEndEditing={e => setCustomThreshold(pollutant, e.nativeEvent.text)}
+                      />
+                    </View>
+                  ))}
+                </View>
+              ) : (
+                <Text style={[styles.alertDetail, { color: theme.textSecondary }]}>
+                  {t('aqThresholds', { pm25: airQualityThresholds.pm2_5, pm10: airQualityThresholds.pm10 })}
+                </Text>
+              )}
+
+              <Text style={[styles.modalSection, { color: theme.textSecondary }]}>{t('aqWatch')}</Text>
+              <View style={styles.modalSwitchRow}>
+                <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>{t('aqWatchRiding')}</Text>
+                <Switch
+                  value={airQualitySettings.riding}
+                  onValueChange={value => updateAirQualitySettings({ riding: value })}
+                  trackColor={{ false: theme.border, true: theme.primary }}
+                />
+              </View>
+              <View style={styles.modalSwitchRow}>
+                <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>
+                  {t('aqWatchSavedStops', { count: stopSubscriptions.length })}
+                </Text>
+                <Switch
+                  value={airQualitySettings.savedStops}
+                  onValueChange={value => updateAirQualitySettings({ savedStops: value })}
+                  trackColor={{ false: theme.border, true: theme.primary }}
+                />
+              </View>
+              {pmZones.length === 0 && (
+                <Text style={[styles.alertDetail, { color: theme.textMuted }]}>{t('aqNoZones')}</Text>
+              )}
+              {pmZones.map(zone => (
+                <View key={zone.id} style={styles.modalSwitchRow}>
+                  <Text style={[styles.modalSwitchLabel, { color: theme.text }]}>{zone.name}</Text>
+                  <Switch
+                    value={airQualitySettings.zoneIds.includes(zone.id)}
+                    onValueChange={() => toggleWatchedZone(zone.id)}
+                    trackColor={{ false: theme.border, true: theme.primary }}
+                  />
+                </View>
+              ))}
+            </ScrollView>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
       {/* Language Selection Modal */}
       <Modal
         visible={languageModalVisible}
@@ -250,6 +552,10 @@ const styles = StyleSheet.create({
     padding: 16,
     borderRadius: 12,
   },
+  infoHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
   infoTitle: {
     fontSize: 13,
     fontWeight: '600',
@@ -290,6 +596,93 @@ const styles = StyleSheet.create({
   languageOptionText: {
     fontSize: 17,
   },
+  emptyAlertsText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  alertRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  alertDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 10,
+  },
+  alertInfo: {
+    flex: 1,
+  },
+  alertStop: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  alertDetail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  tallModalContent: {
+    maxHeight: '80%',
+  },
+  modalSection: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  modalSwitchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  modalSwitchLabel: {
+    flex: 1,
+    fontSize: 15,
+    marginRight: 8,
+  },
+  profileChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  profileChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  thresholdInputs: {
+    flexDirection: 'row',
+  },
+  thresholdInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  hourStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  hourText: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginHorizontal: 10,
+  },
+  numberInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginTop: 4,
+    fontSize: 15,
+  },
 });
 
 export default SettingsScreen;
\ No newline at end of file
@@ -0,0 +1,247 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, TextInput } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useFavorites } from '../contexts/FavoritesContext';
+import { getAllRoutes } from '../utils/routeStorage';
+import { buildStopDirectory, searchStopDirectory } from '../utils/stopDirectory';
+import StopAlertSheet from '../components/StopAlertSheet';
+
+const StopDirectoryScreen = () => {
+    const navigation = useNavigation();
+    const { theme } = useTheme();
+    const { t } = useLanguage();
+    const { isFavoriteStop, toggleFavoriteStop } = useFavorites();
+
+    const [localRoutes, setLocalRoutes] = useState([]);
+    const [query, setQuery] = useState('');
+    const [alertStop, setAlertStop] = useState(null); // Entry long-pressed for arrival alerts
+
+    // Routes can change in the editor, so rebuild whenever the screen is shown
+    useFocusEffect(
+        useCallback(() => {
+            getAllRoutes().then(setLocalRoutes);
+        }, [])
+    );
+
+    const directory = useMemo(() => buildStopDirectory(localRoutes), [localRoutes]);
+    const results = useMemo(() => searchStopDirectory(directory, query), [directory, query]);
+
+    const focusOnMap = (entry) => {
+        navigation.navigate('MainTabs', {
+            screen: 'Map',
+            params: {
+                focusStop: {
+                    name: entry.name,
+                    latitude: entry.latitude,
+                    longitude: entry.longitude,
+                    routeNames: entry.routes.map(r => r.routeName),
+                },
+            },
+        });
+    };
+
+    const planTripTo = (entry) => {
+        navigation.navigate('TripPlanner', {
+            destination: { name: entry.name, latitude: entry.latitude, longitude: entry.longitude },
+        });
+    };
+
+    const renderEntry = ({ item }) => {
+        const otherNames = item.names.filter(name => name !== item.name);
+        return (
+            <TouchableOpacity
+                style={[styles.stopRow, { backgroundColor: theme.card }]}
+                onPress={() => focusOnMap(item)}
+                onLongPress={() => setAlertStop(item)}
+                activeOpacity={0.7}
+            >
+                <Ionicons name="location" size={22} color={theme.primary} />
+                <View style={styles.stopInfo}>
+                    <Text style={[styles.stopName, { color: theme.text }]}>{item.name}</Text>
+                    {otherNames.length > 0 && (
+                        <Text style={[styles.aliases, { color: theme.textMuted }]} numberOfLines={1}>
+                            {otherNames.join(' · ')}
+                        </Text>
+                    )}
+                    {/* Routes serving this stop */}
+                    <View style={styles.routeChips}>
+                        {item.routes.map(r => (
+                            <View key={r.routeId} style={[styles.routeChip, { borderColor: r.routeColor }]}>
+                                <View style={[styles.routeDot, { backgroundColor: r.routeColor }]} />
+                                <Text style={[styles.routeChipText, { color: theme.textSecondary }]} numberOfLines={1}>
+                                    {r.routeName}
+                                </Text>
+                            </View>
+                        ))}
+                    </View>
+                </View>
+                <TouchableOpacity onPress={() => toggleFavoriteStop(item)} style={styles.planButton}>
+                    <Ionicons name={isFavoriteStop(item) ? 'star' : 'star-outline'} size={20} color="#f59e0b" />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => planTripTo(item)} style={styles.planButton}>
+                    <Ionicons name="trail-sign" size={20} color={theme.primary} />
+                </TouchableOpacity>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
+            {/* Header */}
+            <View style={[styles.header, { borderBottomColor: theme.border }]}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.headerTitle, { color: theme.text }]}>{t('stopDirectory')}</Text>
+                <View style={styles.placeholder} />
+            </View>
+
+            <View style={[styles.searchBar, { backgroundColor: theme.card, borderColor: theme.border }]}>
+                <Ionicons name="search" size={18} color={theme.textMuted} />
+                <TextInput
+                    style={[styles.searchInput, { color: theme.text }]}
+                    placeholder={t('searchStops')}
+                    placeholderTextColor={theme.textMuted}
+                    value={query}
+                    onChangeText={setQuery}
+                    autoCorrect={false}
+                    clearButtonMode="while-editing"
+                />
+            </View>
+
+            <Text style={[styles.countText, { color: theme.textMuted }]}>
+                {t('stopCount', { count: results.length })}
+            </Text>
+
+            <FlatList
+                data={results}
+                keyExtractor={item => item.id}
+                renderItem={renderEntry}
+                keyboardShouldPersistTaps="handled"
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={
+                    <Text style={[styles.emptyText, { color: theme.textMuted }]}>{t('noStopsFound')}</Text>
+                }
+            />
+
+            <StopAlertSheet
+                stop={alertStop}
+                onClose={() => setAlertStop(null)}
+                onPlanTrip={() => {
+                    const entry = alertStop;
+                    setAlertStop(null);
+                    planTripTo(entry);
+                }}
+            />
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+    },
+    backButton: {
+        padding: 4,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    placeholder: {
+        width: 32,
+    },
+    searchBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 16,
+        marginTop: 16,
+        paddingHorizontal: 12,
+        borderRadius: 10,
+        borderWidth: 1,
+    },
+    searchInput: {
+        flex: 1,
+        paddingVertical: 10,
+        marginLeft: 8,
+        fontSize: 15,
+    },
+    countText: {
+        fontSize: 12,
+        marginHorizontal: 16,
+        marginTop: 8,
+    },
+    list: {
+        padding: 16,
+    },
+    stopRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+        elevation: 1,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 2,
+    },
+    stopInfo: {
+        flex: 1,
+        marginLeft: 12,
+    },
+    stopName: {
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    aliases: {
+        fontSize: 12,
+        marginTop: 2,
+    },
+    routeChips: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 6,
+    },
+    routeChip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderRadius: 10,
+        paddingHorizontal: 8,
+        paddingVertical: 2,
+        marginRight: 6,
+        marginBottom: 4,
+    },
+    routeDot: {
+        width: 6,
+        height: 6,
+        borderRadius: 3,
+        marginRight: 4,
+    },
+    routeChipText: {
+        fontSize: 11,
+    },
+    planButton: {
+        padding: 8,
+    },
+    emptyText: {
+        textAlign: 'center',
+        marginTop: 40,
+        fontSize: 14,
+    },
+});
+
+export default StopDirectoryScreen;
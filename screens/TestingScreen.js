@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TextInput, Platform, ScrollView, Image } from 'react-native';
 import { WebView } from 'react-native-webview';
-import * as mqtt from 'mqtt';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useDebug } from '../contexts/DebugContext';
 import { useServerConfig } from '../hooks/useServerConfig';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { getMqttConnectionConfig } from '../config/api';
+import { createMqttConnection, MQTT_STATUS } from '../utils/mqttConnection';
 
 import { ENV } from '../config/env';
 
@@ -33,7 +34,7 @@ const TestingScreen = () => {
   const [fps, setFps] = useState(0);
   const lastFrameTime = React.useRef(0);
   const [qualityScore, setQualityScore] = useState(6); // Scale 1 (Worst) to 6 (Best)
-  const mqttClientRef = React.useRef(null);
+  const mqttConnectionRef = React.useRef(null);
 
   // Sequence Guards to prevent out-of-order frames (Android fix)
   const lastDisplayedSeq = React.useRef(0);
@@ -67,8 +68,9 @@ const TestingScreen = () => {
     // Formula: 63 - (score - 1) * 10
     const espValue = 63 - (newScore - 1) * 10;
 
-    if (mqttClientRef.current && mqttClientRef.current.connected) {
-      mqttClientRef.current.publish('sut/bus/ESP32-CAM-01/quality', espValue.toString());
+    const client = mqttConnectionRef.current?.getClient();
+    if (client && client.connected) {
+      client.publish('sut/bus/ESP32-CAM-01/quality', espValue.toString());
       console.log(`Sent quality update: Score ${newScore} -> Val ${espValue}`);
     }
   };
@@ -101,109 +103,83 @@ const TestingScreen = () => {
 
   // MQTT Logic
   useEffect(() => {
-    const connectMqtt = async () => {
-      if (Platform.OS !== 'web') {
+    if (Platform.OS === 'web') return;
+
+    const STATUS_LABELS = {
+      [MQTT_STATUS.CONNECTING]: ['Connecting', 'Connecting...'],
+      [MQTT_STATUS.CONNECTED]: ['Connected', 'Connected to Real-time Updates'],
+      [MQTT_STATUS.RECONNECTING]: ['Reconnecting', 'Reconnecting...'],
+      [MQTT_STATUS.OFFLINE]: ['Offline', 'MQTT Offline'],
+    };
+
+    const handleMessage = (topic, message) => {
+      if (topic === 'sut/person-detection') {
         try {
-          const mqttUrl = `ws://${serverIp}:9001/`;
-          console.log(`DEBUG: Attempting to connect to MQTT at ${mqttUrl}`);
-
-          if (mqtt && typeof mqtt.connect === 'function') {
-            const options = {
-              clientId: `app_${Math.random().toString(16).slice(2, 10)}`,
-              reconnectPeriod: 5000,
-              keepalive: 60,
-              clean: false,
-              protocolVersion: 4,
-            };
-
-            const client = mqtt.connect(mqttUrl, options);
-            mqttClientRef.current = client;
-
-            client.on('connect', () => {
-              console.log('✅ Connected to MQTT Broker successfully');
-              setMqttStatus('Connected');
-              setStatusMessage('Connected to Real-time Updates');
-              client.subscribe('sut/person-detection', (err) => {
-                if (err) console.error('❌ Subscription error:', err);
-              });
-              client.subscribe('sut/camera/update', (err) => {
-                if (err) console.error('❌ Subscription error (cam):', err);
-              });
-              // Subscribe to Quality Sync
-              client.subscribe('sut/bus/ESP32-CAM-01/quality', (err) => {
-                if (err) console.error('❌ Subscription error (quality):', err);
-              });
-            });
-
-            client.on('reconnect', () => {
-              setMqttStatus('Reconnecting');
-              setStatusMessage('Reconnecting...');
-            });
-
-            client.on('offline', () => {
-              setMqttStatus('Offline');
-              setStatusMessage('MQTT Offline');
-            });
-
-            client.on('message', (topic, message) => {
-              if (topic === 'sut/person-detection') {
-                try {
-                  const data = JSON.parse(message.toString());
-                  // console.log('Received real-time detection:', data); // Reduced logs
-                  setVideoResult(data);
-                  setStatusMessage(`Last update: ${new Date().toLocaleTimeString()}`);
-                } catch (e) {
-                  console.error('Error parsing MQTT message:', e);
-                }
-              }
-              if (topic === 'sut/camera/update') {
-                // Calculate Real FPS based on server events
-                const now = Date.now();
-                if (lastFrameTime.current > 0) {
-                  const delta = now - lastFrameTime.current;
-                  if (delta > 0) {
-                    const currentFps = 1000 / delta;
-                    setFps(prev => (prev * 0.9 + currentFps * 0.1).toFixed(1)); // Moving average
-                  }
-                }
-                lastFrameTime.current = now;
-              }
-              if (topic === 'sut/bus/ESP32-CAM-01/quality') {
-                // Sync Quality State
-                const val = parseInt(message.toString());
-                if (!isNaN(val)) {
-                  // Inverse Formula: val = 63 - (score - 1) * 10
-                  // score - 1 = (63 - val) / 10
-                  // score = 1 + (63 - val) / 10
-                  const syncedScore = Math.round(1 + (63 - val) / 10);
-                  setQualityScore(syncedScore);
-                  console.log(`Synced Quality: Val ${val} -> Score ${syncedScore}`);
-                }
-              }
-            });
-
-            client.on('error', (err) => {
-              console.error('❌ MQTT Error:', err);
-              setMqttStatus('Error');
-              setStatusMessage(`MQTT Error: ${err.message}`);
-            });
-
-            client.on('close', () => {
-              setMqttStatus('Disconnected');
-            });
-          }
+          const data = JSON.parse(message.toString());
+          // console.log('Received real-time detection:', data); // Reduced logs
+          setVideoResult(data);
+          setStatusMessage(`Last update: ${new Date().toLocaleTimeString()}`);
         } catch (e) {
-          console.error("Failed to initialize MQTT:", e);
-          setStatusMessage(`Init Error: ${e.message}`);
+          console.error('Error parsing MQTT message:', e);
+        }
+      }
+      if (topic === 'sut/camera/update') {
+        // Calculate Real FPS based on server events
+        const now = Date.now();
+        if (lastFrameTime.current > 0) {
+          const delta = now - lastFrameTime.current;
+          if (delta > 0) {
+            const currentFps = 1000 / delta;
+            setFps(prev => (prev * 0.9 + currentFps * 0.1).toFixed(1)); // Moving average
+          }
+        }
+        lastFrameTime.current = now;
+      }
+      if (topic === 'sut/bus/ESP32-CAM-01/quality') {
+        // Sync Quality State
+        const val = parseInt(message.toString());
+        if (!isNaN(val)) {
+          // Inverse Formula: val = 63 - (score - 1) * 10
+          // score - 1 = (63 - val) / 10
+          // score = 1 + (63 - val) / 10
+          const syncedScore = Math.round(1 + (63 - val) / 10);
+          setQualityScore(syncedScore);
+          console.log(`Synced Quality: Val ${val} -> Score ${syncedScore}`);
         }
       }
     };
 
-    connectMqtt();
+    try {
+      // Shared resolution (tunnel wss / local ws + credentials), using the IP typed above
+      mqttConnectionRef.current = createMqttConnection({
+        resolveConfig: async () => {
+          const config = await getMqttConnectionConfig(serverIp);
+          console.log(`DEBUG: Attempting to connect to MQTT at ${config.url}`);
+          return config;
+        },
+        clientOptions: {
+          clientId: `app_${Math.random().toString(16).slice(2, 10)}`,
+          keepalive: 60,
+          clean: false,
+          protocolVersion: 4,
+        },
+        topics: ['sut/person-detection', 'sut/camera/update', 'sut/bus/ESP32-CAM-01/quality'],
+        onMessage: handleMessage,
+        onStatusChange: (status) => {
+          const [label, message] = STATUS_LABELS[status] || ['Disconnected', 'Disconnected'];
+          setMqttStatus(label);
+          setStatusMessage(message);
+        },
+      });
+    } catch (e) {
+      console.error("Failed to initialize MQTT:", e);
+      setStatusMessage(`Init Error: ${e.message}`);
+    }
 
     return () => {
-      if (mqttClientRef.current) {
-        mqttClientRef.current.end();
+      if (mqttConnectionRef.current) {
+        mqttConnectionRef.current.end();
+        mqttConnectionRef.current = null;
       }
     };
   }, [serverIp]); // Re-connect if Server IP changes
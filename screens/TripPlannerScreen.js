@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList, TextInput } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { useBusStore } from '../hooks/useBusStore';
+import { getBusStoreState } from '../utils/busStore';
+import { getAllRoutes } from '../utils/routeStorage';
+import { planTrips } from '../utils/tripPlanner';
+import { buildStopDirectory, searchStopDirectory } from '../utils/stopDirectory';
+import { toEtaMinutes } from '../utils/routeEta';
+
+const formatClock = (epochMs) => {
+    const date = new Date(epochMs);
+    return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+const TripPlannerScreen = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    const { theme } = useTheme();
+    const { t } = useLanguage();
+
+    // Only to plan again once the first buses arrive; the fleet itself is read when planning
+    const hasBuses = useBusStore(state => state.buses.length > 0);
+
+    const [origin, setOrigin] = useState(route.params?.origin || null);
+    const [destination, setDestination] = useState(route.params?.destination || null);
+    const [localRoutes, setLocalRoutes] = useState([]);
+    const [query, setQuery] = useState('');
+
+    // Re-plan every 30s with the latest fleet: planning tries every route pair, far
+    // too much to redo on each position fix, and waits still count down
+    const [tick, setTick] = useState(0);
+    useEffect(() => {
+        const interval = setInterval(() => setTick(n => n + 1), 30000);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        getAllRoutes().then(routes => setLocalRoutes(routes.filter(r => r.waypoints && r.waypoints.length > 1)));
+    }, []);
+
+    // MapScreen passes the rider's position; fall back to the last known GPS fix
+    useEffect(() => {
+        if (origin) return;
+        const locate = async () => {
+            try {
+                const { status } = await Location.requestForegroundPermissionsAsync();
+                if (status !== 'granted') return;
+                const location = await Location.getLastKnownPositionAsync({});
+                if (location) setOrigin(location.coords);
+            } catch (e) {
+                console.error('[TripPlanner] Error getting location:', e);
+            }
+        };
+        locate();
+    }, []);
+
+    const directory = useMemo(() => buildStopDirectory(localRoutes), [localRoutes]);
+    const filteredDestinations = useMemo(() => searchStopDirectory(directory, query), [directory, query]);
+
+    const itineraries = useMemo(() => {
+        const { buses, mappings, routeProgress, busMotion } = getBusStoreState();
+        return planTrips(origin, destination, {
+            routes: localRoutes,
+            buses,
+            mappings,
+            progressById: routeProgress,
+            motionById: busMotion,
+        });
+    }, [origin, destination, localRoutes, hasBuses, tick]);
+
+    const showOnMap = (itinerary) => {
+        const firstBusLeg = itinerary.legs.find(leg => leg.type === 'bus');
+        const selectedRoute = firstBusLeg ? localRoutes.find(r => r.routeId === firstBusLeg.route.routeId) : null;
+        navigation.navigate('MainTabs', {
+            screen: 'Map',
+            params: { selectedRoute: selectedRoute || null, focusBus: firstBusLeg?.bus || null },
+        });
+    };
+
+    const renderLeg = (leg, index) => {
+        if (leg.type === 'walk') {
+            return (
+                <View key={`leg-${index}`} style={styles.legRow}>
+                    <Ionicons name="walk" size={18} color={theme.textSecondary} />
+                    <Text style={[styles.legText, styles.walkText, { color: theme.textSecondary }]}>
+                        {t('walkTo', { distance: leg.distance, place: leg.to.name || t('droppedPin') })}
+                        {` (${t('tripMinutes', { minutes: toEtaMinutes(leg.seconds) })})`}
+                    </Text>
+                </View>
+            );
+        }
+
+        return (
+            <View key={`leg-${index}`} style={styles.legRow}>
+                <Ionicons name="bus" size={18} color={leg.route.routeColor} />
+                <View style={styles.legBody}>
+                    <Text style={[styles.legTitle, { color: theme.text }]}>
+                        {t('takeRoute', { route: leg.route.routeName })}
+                    </Text>
+                    <Text style={[styles.legText, { color: leg.bus ? theme.primary : theme.textMuted }]}>
+                        {leg.bus
+                            ? t('busArrivesIn', {
+                                bus: leg.bus.bus_name || leg.bus.id,
+                                minutes: toEtaMinutes(leg.startSeconds + leg.waitSeconds),
+                            })
+                            : t('noLiveBus')}
+                    </Text>
+                    <Text style={[styles.legText, { color: theme.textSecondary }]}>
+                        {t('rideStops', { stops: leg.stops, stop: leg.alight.name })}
+                    </Text>
+                </View>
+            </View>
+        );
+    };
+
+    const renderItinerary = ({ item }) => {
+        const isWalkOnly = item.legs.every(leg => leg.type === 'walk');
+        return (
+            <View style={[styles.card, { backgroundColor: theme.card }]}>
+                <View style={styles.cardHeader}>
+                    <View>
+                        <Text style={[styles.tripTime, { color: theme.text }]}>
+                            {t('tripMinutes', { minutes: toEtaMinutes(item.totalSeconds) })}
+                        </Text>
+                        <Text style={[styles.tripMeta, { color: theme.textSecondary }]}>
+                            {isWalkOnly ? t('walkOnly') : t('arriveAt', { time: formatClock(item.arriveAt) })}
+                            {item.transfers > 0 ? ` · ${t('transferCount', { count: item.transfers })}` : ''}
+                        </Text>
+                    </View>
+                    {!isWalkOnly && (
+                        <TouchableOpacity onPress={() => showOnMap(item)} style={styles.mapButton}>
+                            <Ionicons name="map" size={16} color={theme.primary} />
+                            <Text style={[styles.mapButtonText, { color: theme.primary }]}>{t('showOnMap')}</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+                {item.legs.map(renderLeg)}
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
+            {/* Header */}
+            <View style={[styles.header, { borderBottomColor: theme.border }]}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={24} color={theme.text} />
+                </TouchableOpacity>
+                <Text style={[styles.headerTitle, { color: theme.text }]}>{t('tripPlanner')}</Text>
+                <View style={styles.placeholder} />
+            </View>
+
+            {/* From / To */}
+            <View style={[styles.card, styles.endpoints, { backgroundColor: theme.card }]}>
+                <View style={styles.endpointRow}>
+                    <Ionicons name="locate" size={18} color={theme.primary} />
+                    <Text style={[styles.endpointLabel, { color: theme.textMuted }]}>{t('from')}</Text>
+                    <Text style={[styles.endpointValue, { color: theme.text }]}>
+                        {origin ? t('yourLocation') : t('locationUnavailable')}
+                    </Text>
+                </View>
+                <View style={styles.endpointRow}>
+                    <Ionicons name="flag" size={18} color="#e11d48" />
+                    <Text style={[styles.endpointLabel, { color: theme.textMuted }]}>{t('to')}</Text>
+                    {destination ? (
+                        <>
+                            <Text style={[styles.endpointValue, { color: theme.text }]} numberOfLines={1}>
+                                {destination.name || t('droppedPin')}
+                            </Text>
+                            <TouchableOpacity onPress={() => setDestination(null)}>
+                                <Text style={[styles.changeText, { color: theme.primary }]}>{t('change')}</Text>
+                            </TouchableOpacity>
+                        </>
+                    ) : (
+                        <TextInput
+                            style={[styles.searchInput, { color: theme.text, borderColor: theme.border }]}
+                            placeholder={t('searchStops')}
+                            placeholderTextColor={theme.textMuted}
+                            value={query}
+                            onChangeText={setQuery}
+                            autoCorrect={false}
+                        />
+                    )}
+                </View>
+            </View>
+
+            {destination ? (
+                <FlatList
+                    data={itineraries}
+                    keyExtractor={item => item.id}
+                    renderItem={renderItinerary}
+                    contentContainerStyle={styles.list}
+                    ListEmptyComponent={
+                        <Text style={[styles.emptyText, { color: theme.textMuted }]}>{t('noTripsFound')}</Text>
+                    }
+                />
+            ) : (
+                <FlatList
+                    data={filteredDestinations}
+                    keyExtractor={item => item.id}
+                    keyboardShouldPersistTaps="handled"
+                    contentContainerStyle={styles.list}
+                    renderItem={({ item }) => (
+                        <TouchableOpacity
+                            style={[styles.stopRow, { borderBottomColor: theme.border }]}
+                            onPress={() => setDestination(item)}
+                        >
+                            <Ionicons name="location" size={18} color={theme.primary} />
+                            <View style={styles.legBody}>
+                                <Text style={[styles.legTitle, { color: theme.text }]}>{item.name}</Text>
+                                <Text style={[styles.legText, { color: theme.textMuted }]} numberOfLines={1}>
+                                    {item.routes.map(r => r.routeName).join(', ')}
+                                </Text>
+                            </View>
+                        </TouchableOpacity>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+    },
+    backButton: {
+        padding: 4,
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    placeholder: {
+        width: 32,
+    },
+    list: {
+        padding: 16,
+    },
+    card: {
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 12,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 2,
+        elevation: 1,
+    },
+    endpoints: {
+        marginHorizontal: 16,
+        marginTop: 16,
+        marginBottom: 0,
+    },
+    endpointRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+    },
+    endpointLabel: {
+        width: 48,
+        marginLeft: 8,
+        fontSize: 13,
+    },
+    endpointValue: {
+        flex: 1,
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    changeText: {
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    searchInput: {
+        flex: 1,
+        borderWidth: 1,
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        fontSize: 15,
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 8,
+    },
+    tripTime: {
+        fontSize: 20,
+        fontWeight: 'bold',
+    },
+    tripMeta: {
+        fontSize: 13,
+        marginTop: 2,
+    },
+    mapButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        padding: 4,
+    },
+    mapButtonText: {
+        marginLeft: 4,
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    legRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: 6,
+    },
+    legBody: {
+        flex: 1,
+        marginLeft: 10,
+    },
+    legTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    legText: {
+        fontSize: 13,
+    },
+    walkText: {
+        flex: 1,
+        marginLeft: 10,
+    },
+    stopRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+    },
+    emptyText: {
+        textAlign: 'center',
+        marginTop: 40,
+        fontSize: 14,
+    },
+});
+
+export default TripPlannerScreen;
@@ -0,0 +1,202 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { calculateDistance } from './routeHelpers';
+
+const AIR_QUALITY_ALERTS_STORAGE_KEY = '@sut_air_quality_alerts';
+
+/**
+ * Air Quality Alerts
+ *
+ * Warns a user when a bus reports PM2.5/PM10 above their threshold while
+ * it is the bus they are riding, or while it passes one of their saved
+ * stops (stop alert subscriptions) or watched PM zones. Thresholds come
+ * from a sensitivity profile or are set by hand (custom).
+ *
+ * Against spam, a level must stay above the threshold for
+ * CONSECUTIVE_READINGS sensor readings in a row (one bad reading is ignored;
+ * GPS fixes and status messages in between are not readings),
+ * and each place (or the ridden bus) alerts at most once per COOLDOWN_MS.
+ *
+ * Settings:
+ * {
+ *   enabled: boolean,
+ *   profile: 'standard'|'sensitive'|'asthma'|'custom',
+ *   custom: { pm2_5: number, pm10: number },  // used by the custom profile
+ *   riding: boolean,                           // watch the bus being ridden
+ *   savedStops: boolean,                       // watch buses passing saved stops
+ *   zoneIds: string[],                         // watched PM zones (server)
+ * }
+ */
+
+// µg/m³; the bands match getAirQualityStatus (25 / 50 / 75 for PM2.5)
+export const AIR_QUALITY_PROFILES = {
+    standard: { pm2_5: 75, pm10: 150 },
+    sensitive: { pm2_5: 50, pm10: 100 },
+    asthma: { pm2_5: 25, pm10: 50 },
+};
+
+export const POLLUTANTS = ['pm2_5', 'pm10'];
+
+export const DEFAULT_AIR_QUALITY_SETTINGS = {
+    enabled: false,
+    profile: 'sensitive',
+    custom: { ...AIR_QUALITY_PROFILES.sensitive },
+    riding: true,
+    savedStops: true,
+    zoneIds: [],
+};
+
+const CONSECUTIVE_READINGS = 2;
+const COOLDOWN_MS = 15 * 60 * 1000;
+// A bus this close to a saved stop is passing it
+const STOP_RADIUS_M = 150;
+// Readings older than this are not a bus "reporting" anything
+const READING_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Load saved settings (merged over the defaults)
+ * @returns {Promise<Object>} Settings
+ */
+export const loadAirQualitySettings = async () => {
+    try {
+        const json = await AsyncStorage.getItem(AIR_QUALITY_ALERTS_STORAGE_KEY);
+        return json ? { ...DEFAULT_AIR_QUALITY_SETTINGS, ...JSON.parse(json) } : DEFAULT_AIR_QUALITY_SETTINGS;
+    } catch (error) {
+        console.error('[AirQualityAlerts] Error loading settings:', error);
+        return DEFAULT_AIR_QUALITY_SETTINGS;
+    }
+};
+
+/**
+ * Save settings
+ * @param {Object} settings
+ */
+export const saveAirQualitySettings = async (settings) => {
+    try {
+        await AsyncStorage.setItem(AIR_QUALITY_ALERTS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('[AirQualityAlerts] Error saving settings:', error);
+    }
+};
+
+/**
+ * Thresholds in effect for the settings
+ * @param {Object} settings
+ * @returns {Object} { pm2_5, pm10 }
+ */
+export const getAirQualityThresholds = (settings) => (
+    settings.profile === 'custom'
+        ? { ...AIR_QUALITY_PROFILES.sensitive, ...settings.custom }
+        : AIR_QUALITY_PROFILES[settings.profile] || AIR_QUALITY_PROFILES.sensitive
+);
+
+/**
+ * Normalize PM zones from the server ({ name, points: [[lat, lon]] })
+ * @param {Array} zones - Raw zones
+ * @returns {Array} [{ id, name, polygon: [{ latitude, longitude }] }]
+ */
+export const normalizePmZones = (zones) => (zones || [])
+    .filter(zone => Array.isArray(zone.points) && zone.points.length >= 3)
+    .map(zone => ({
+        id: String(zone.id ?? zone._id ?? zone.name),
+        name: zone.name || 'Zone',
+        polygon: zone.points.map(([latitude, longitude]) => ({ latitude, longitude })),
+    }));
+
+// Ray casting; fine at campus scale without projecting
+const isInsidePolygon = (point, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude)
+            && point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+};
+
+// Places a bus is at: [{ type: 'stop'|'zone', name }]
+const findPlacesAt = (bus, places) => places.filter(place => {
+    const point = { latitude: bus.current_lat, longitude: bus.current_lon };
+    if (place.type === 'zone') return isInsidePolygon(point, place.polygon);
+    return calculateDistance(point.latitude, point.longitude, place.latitude, place.longitude) <= STOP_RADIUS_M;
+});
+
+/**
+ * Places to watch for the settings
+ * @param {Object} settings
+ * @param {Array} stopSubscriptions - Saved stops (see stopSubscriptions)
+ * @param {Object} stopLocations - { 'routeId:waypointIndex': { latitude, longitude } }
+ * @param {Array} zones - From normalizePmZones
+ * @returns {Array} [{ type, name, latitude?, longitude?, polygon? }]
+ */
+export const getWatchedPlaces = (settings, stopSubscriptions, stopLocations, zones) => {
+    const places = [];
+    if (settings.savedStops) {
+        const seen = new Set();
+        stopSubscriptions.forEach(sub => {
+            const location = stopLocations[sub.id];
+            // Several routes often share one physical stop
+            if (!location || seen.has(sub.stopName)) return;
+            seen.add(sub.stopName);
+            places.push({ type: 'stop', name: sub.stopName, ...location });
+        });
+    }
+    zones
+        .filter(zone => settings.zoneIds.includes(zone.id))
+        .forEach(zone => places.push({ type: 'zone', name: zone.name, polygon: zone.polygon }));
+    return places;
+};
+
+/**
+ * Readings that should turn into notifications
+ * @param {Object} settings
+ * @param {Object} context - { buses, ridingBusId, places }
+ * @param {Object} state - { streaks: { busId: { at, pm2_5, pm10 } }, lastAlertAt: { key: epoch ms } }
+ *   (at = the bus's sensors_updated when the streak last moved)
+ * @param {number} now - Epoch ms
+ * @returns {Object} { alerts: [{ key, bus, pollutant, value, threshold, where: { type, name } }], state }
+ */
+export const evaluateAirQualityAlerts = (settings, { buses, ridingBusId, places }, state, now = Date.now()) => {
+    const thresholds = getAirQualityThresholds(settings);
+    const streaks = { ...state.streaks };
+    const lastAlertAt = { ...state.lastAlertAt };
+    const alerts = [];
+
+    buses.forEach(bus => {
+        const readAt = bus.sensors_updated || 0;
+        if (bus.current_lat === null || now - readAt > READING_MAX_AGE_MS) return;
+
+        // Count sensor readings, not evaluations or position updates: the
+        // merged bus keeps the last PM values on fixes that carry none
+        const previous = streaks[bus.id];
+        if (previous && previous.at === readAt) return;
+        const streak = { at: readAt };
+        POLLUTANTS.forEach(pollutant => {
+            const value = bus.sensors?.[pollutant];
+            streak[pollutant] = value !== null && value !== undefined && value > thresholds[pollutant]
+                ? (previous?.[pollutant] || 0) + 1
+                : 0;
+        });
+        streaks[bus.id] = streak;
+
+        const where = [];
+        if (settings.riding && bus.id === ridingBusId) where.push({ type: 'riding', name: bus.bus_name || bus.id });
+        findPlacesAt(bus, places).forEach(place => where.push({ type: place.type, name: place.name }));
+
+        POLLUTANTS.forEach(pollutant => {
+            if (streak[pollutant] < CONSECUTIVE_READINGS) return;
+            where.forEach(place => {
+                // Riding alerts follow the bus; place alerts are shared by every bus passing
+                const key = place.type === 'riding'
+                    ? `riding:${bus.id}:${pollutant}`
+                    : `${place.type}:${place.name}:${pollutant}`;
+                if (lastAlertAt[key] && now - lastAlertAt[key] < COOLDOWN_MS) return;
+                lastAlertAt[key] = now;
+                alerts.push({ key, bus, pollutant, value: bus.sensors[pollutant], threshold: thresholds[pollutant], where: place });
+            });
+        });
+    });
+
+    return { alerts, state: { streaks, lastAlertAt } };
+};
@@ -0,0 +1,181 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setStoreSlice } from './busStore';
+
+const ANNOUNCEMENTS_STORAGE_KEY = '@sut_announcements';
+
+/**
+ * Service Announcements
+ *
+ * "Red route detoured around building F9 today." Admins publish them
+ * (AnnouncementAdminScreen -> REST), the server fans them out on the
+ * MQTT announcements topic, and DataContext also fetches the backlog
+ * on startup/reconnect. Everything lands in mergeAnnouncements, which
+ * keeps a local copy with read/unread state and publishes it to the bus
+ * store (announcements slice).
+ *
+ * Announcement:
+ * {
+ *   id: string,
+ *   title: string,
+ *   message: string,
+ *   severity: 'info'|'warning'|'critical',
+ *   routeIds: string[],     // affected routes (empty = everyone)
+ *   stopNames: string[],    // affected stops (empty = whole route)
+ *   startsAt: number,       // epoch ms
+ *   endsAt: number|null,    // epoch ms, null = until removed
+ *   createdAt: number,
+ *   read: boolean,          // local only
+ * }
+ *
+ * A message with `deleted: true` removes the announcement.
+ */
+
+export const ANNOUNCEMENT_SEVERITY = {
+    INFO: 'info',
+    WARNING: 'warning',
+    CRITICAL: 'critical',
+};
+
+const SEVERITY_ORDER = [ANNOUNCEMENT_SEVERITY.CRITICAL, ANNOUNCEMENT_SEVERITY.WARNING, ANNOUNCEMENT_SEVERITY.INFO];
+const MAX_ANNOUNCEMENTS = 100;
+// Expired announcements stay in the list this long (read history), then go
+const EXPIRED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let announcements = [];
+
+const toTime = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+const toList = (value) => (Array.isArray(value) ? value.map(String).filter(Boolean) : []);
+
+/**
+ * Normalize an announcement from MQTT or REST
+ * @param {Object} raw - Server payload
+ * @returns {Object|null} Announcement (without read state), or null if unusable
+ */
+export const normalizeAnnouncement = (raw) => {
+    if (!raw || (raw.id === undefined && raw._id === undefined)) return null;
+    const createdAt = toTime(raw.created_at ?? raw.createdAt) || Date.now();
+    return {
+        id: String(raw.id ?? raw._id),
+        title: raw.title ? String(raw.title) : '',
+        message: raw.message ? String(raw.message) : '',
+        severity: SEVERITY_ORDER.includes(raw.severity) ? raw.severity : ANNOUNCEMENT_SEVERITY.INFO,
+        routeIds: toList(raw.route_ids ?? raw.routeIds),
+        stopNames: toList(raw.stop_names ?? raw.stopNames),
+        startsAt: toTime(raw.starts_at ?? raw.startsAt) || createdAt,
+        endsAt: toTime(raw.ends_at ?? raw.endsAt),
+        createdAt,
+        deleted: !!raw.deleted,
+    };
+};
+
+const publish = () => {
+    setStoreSlice('announcements', announcements);
+};
+
+const save = async () => {
+    try {
+        await AsyncStorage.setItem(ANNOUNCEMENTS_STORAGE_KEY, JSON.stringify(announcements));
+    } catch (error) {
+        console.error('[Announcements] Error saving announcements:', error);
+    }
+};
+
+const prune = (list, now) => list
+    .filter(a => !a.endsAt || now - a.endsAt < EXPIRED_RETENTION_MS)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, MAX_ANNOUNCEMENTS);
+
+/**
+ * Load saved announcements (call once at startup)
+ */
+export const loadAnnouncements = async () => {
+    try {
+        const json = await AsyncStorage.getItem(ANNOUNCEMENTS_STORAGE_KEY);
+        if (json) {
+            announcements = prune(JSON.parse(json), Date.now());
+            publish();
+        }
+    } catch (error) {
+        console.error('[Announcements] Error loading announcements:', error);
+    }
+};
+
+/**
+ * Add or update announcements (MQTT message or REST backlog)
+ * Read state survives updates unless the text changed; deleted ones are dropped.
+ * @param {Array} rawAnnouncements - Server payloads
+ * @param {Object} options
+ * @param {boolean} options.replace - The list is the full backlog: drop local ones the server no longer has
+ */
+export const mergeAnnouncements = (rawAnnouncements, { replace = false } = {}) => {
+    const incoming = rawAnnouncements.map(normalizeAnnouncement).filter(Boolean);
+    if (incoming.length === 0 && !replace) return;
+
+    const byId = new Map((replace ? [] : announcements).map(a => [a.id, a]));
+    const previousById = new Map(announcements.map(a => [a.id, a]));
+    incoming.forEach(({ deleted, ...announcement }) => {
+        if (deleted) {
+            byId.delete(announcement.id);
+            return;
+        }
+        // An edited announcement is news again
+        const previous = previousById.get(announcement.id);
+        const read = !!previous && previous.read
+            && previous.title === announcement.title && previous.message === announcement.message;
+        byId.set(announcement.id, { ...announcement, read });
+    });
+
+    announcements = prune([...byId.values()], Date.now());
+    console.log(`[Announcements] ${incoming.length} received, ${announcements.length} stored`);
+    publish();
+    save();
+};
+
+/**
+ * Mark announcements as read
+ * @param {string[]} ids - Announcement ids (all when omitted)
+ */
+export const markAnnouncementsRead = (ids) => {
+    const targets = ids ? new Set(ids) : null;
+    let changed = false;
+    announcements = announcements.map(a => {
+        if (a.read || (targets && !targets.has(a.id))) return a;
+        changed = true;
+        return { ...a, read: true };
+    });
+    if (!changed) return;
+    publish();
+    save();
+};
+
+/**
+ * Whether an announcement is in effect
+ * @param {Object} announcement
+ * @param {number} now - Epoch ms
+ */
+export const isAnnouncementActive = (announcement, now = Date.now()) => (
+    announcement.startsAt <= now && (!announcement.endsAt || announcement.endsAt > now)
+);
+
+/**
+ * Active announcements relevant to what the user is looking at, most severe first
+ * Announcements without routes/stops apply to everyone.
+ * @param {Array} list - Announcements (bus store slice)
+ * @param {Object} scope - { routeId?, stopNames? } nothing = every active announcement
+ * @param {number} now - Epoch ms
+ * @returns {Array} Announcements
+ */
+export const getActiveAnnouncements = (list, { routeId, stopNames } = {}, now = Date.now()) => list
+    .filter(a => isAnnouncementActive(a, now))
+    .filter(a => {
+        if (!routeId && !stopNames) return true;
+        if (a.routeIds.length === 0 && a.stopNames.length === 0) return true;
+        if (routeId && a.routeIds.includes(routeId)) return true;
+        return !!stopNames && a.stopNames.some(name => stopNames.includes(name));
+    })
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || b.createdAt - a.createdAt);
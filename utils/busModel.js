@@ -0,0 +1,266 @@
+/**
+ * Bus Model
+ *
+ * Canonical shape for bus data shared by every screen.
+ * The server (REST) and the broker (MQTT) use different field names
+ * (bus_mac, mac_address, id, lat/lon, current_lat/current_lon), so every
+ * payload is normalized here before it reaches DataContext state.
+ *
+ * Normalized bus:
+ * {
+ *   id: string,                 // MAC address, the only identity field
+ *   bus_name: string,
+ *   current_lat: number|null,
+ *   current_lon: number|null,
+ *   last_updated: number,       // epoch ms (0 = never)
+ *   seats_available: number|null,
+ *   route_id: string|null,
+ *   sensors: { pm2_5, pm10, temp, hum },
+ *   sensors_updated: number,    // epoch ms of the last payload with a PM reading (0 = never)
+ *   signal: { rssi, isOnline, lastSignalUpdate },
+ *   source: 'rest' | 'mqtt',
+ * }
+ */
+
+const SENSOR_KEYS = ['pm2_5', 'pm10', 'temp', 'hum'];
+// Position-only fixes and status messages carry none of these
+const PM_KEYS = ['pm2_5', 'pm10'];
+
+const EMPTY_SENSORS = { pm2_5: null, pm10: null, temp: null, hum: null };
+const EMPTY_SIGNAL = { rssi: null, isOnline: false, lastSignalUpdate: 0 };
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Resolve the identity of a raw or normalized bus
+ * @param {Object} bus - Bus payload from REST, MQTT or state
+ * @returns {string|null} Bus MAC address
+ */
+export const getBusId = (bus) => {
+    if (!bus) return null;
+    const id = bus.bus_mac || bus.mac_address || bus.id;
+    return isSet(id) && id !== '' ? String(id) : null;
+};
+
+/**
+ * Check whether two bus objects refer to the same physical bus
+ */
+export const isSameBus = (a, b) => {
+    const idA = getBusId(a);
+    return idA !== null && idA === getBusId(b);
+};
+
+/**
+ * Parse a server timestamp into epoch milliseconds
+ * Naive ISO strings (no Z/offset) are treated as UTC, and
+ * numeric values in seconds are converted to milliseconds.
+ * @param {string|number|Date} value
+ * @returns {number} Epoch ms, or 0 if missing/invalid
+ */
+export const parseTimestamp = (value) => {
+    if (!isSet(value) || value === '') return 0;
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return isNaN(time) ? 0 : time;
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value) || value <= 0) return 0;
+        return value < 1e12 ? Math.round(value * 1000) : value;
+    }
+
+    let dateStr = String(value);
+    if (!dateStr.endsWith('Z') && !/[+-]\d{2}:?\d{2}$/.test(dateStr)) {
+        dateStr += 'Z';
+    }
+    const time = new Date(dateStr).getTime();
+    return isNaN(time) ? 0 : time;
+};
+
+/**
+ * Parse a coordinate, rejecting missing values and 0 (no GPS fix)
+ * @returns {number|null}
+ */
+export const parseCoordinate = (value) => {
+    if (!isSet(value) || value === '') return null;
+    const num = Number(value);
+    if (!isFinite(num) || num === 0) return null;
+    return num;
+};
+
+const parseNumber = (value) => {
+    if (!isSet(value) || value === '') return null;
+    const num = Number(value);
+    return isFinite(num) ? num : null;
+};
+
+/**
+ * Default display name for a bus without one
+ */
+export const getDefaultBusName = (id) => `Bus-${String(id || '').slice(-4)}`;
+
+const isGenericName = (name) => !name || name === 'Bus' || name.startsWith('Bus-');
+
+/**
+ * Normalize a raw REST or MQTT bus payload
+ * @param {Object} raw - Raw payload
+ * @param {Object} options
+ * @param {'rest'|'mqtt'} options.source - Where the payload came from
+ * @param {number} options.receivedAt - Timestamp to use when the payload has none
+ * @returns {Object|null} Normalized bus, or null if the payload has no identity
+ */
+export const normalizeBus = (raw, { source = 'rest', receivedAt } = {}) => {
+    const id = getBusId(raw);
+    if (!id) return null;
+
+    const sensors = {};
+    SENSOR_KEYS.forEach(key => {
+        const value = parseNumber(raw.sensors?.[key] ?? raw[key]);
+        // The server reports 0 when a sensor has no reading yet
+        sensors[key] = source === 'rest' && value === 0 ? null : value;
+    });
+
+    const signal = {
+        rssi: parseNumber(raw.signal?.rssi ?? raw.rssi),
+        isOnline: !!(raw.signal?.isOnline ?? raw.isOnline),
+        lastSignalUpdate: parseTimestamp(raw.signal?.lastSignalUpdate ?? raw.lastSignalUpdate),
+    };
+
+    // Broker messages are live, so they are stamped on arrival
+    const lastUpdated = source === 'mqtt'
+        ? (receivedAt || Date.now())
+        : (parseTimestamp(raw.last_updated) || receivedAt || 0);
+
+    return {
+        id,
+        bus_name: raw.bus_name || getDefaultBusName(id),
+        current_lat: parseCoordinate(raw.current_lat ?? raw.lat),
+        current_lon: parseCoordinate(raw.current_lon ?? raw.lon),
+        last_updated: lastUpdated,
+        seats_available: parseNumber(raw.seats_available),
+        route_id: raw.route_id || raw.routeId || null,
+        sensors,
+        sensors_updated: PM_KEYS.some(key => isSet(sensors[key])) ? lastUpdated : 0,
+        signal,
+        source,
+    };
+};
+
+/**
+ * Merge an incoming normalized bus into the existing one
+ * - Keeps a real name over a generic "Bus-XXXX" one
+ * - Keeps local values when they are fresher than the incoming payload
+ * - Never overwrites known values with missing ones
+ * - Signal data only comes from MQTT status, so it is kept unless provided
+ * @param {Object} existing - Normalized bus currently in state
+ * @param {Object} incoming - Normalized bus from REST or MQTT
+ * @returns {Object} Merged bus
+ */
+export const mergeBus = (existing, incoming) => {
+    if (!existing) return incoming;
+    if (!incoming) return existing;
+
+    const bus_name = !isGenericName(existing.bus_name) && isGenericName(incoming.bus_name)
+        ? existing.bus_name
+        : incoming.bus_name;
+
+    const [older, newer] = (existing.last_updated || 0) > (incoming.last_updated || 0)
+        ? [incoming, existing]
+        : [existing, incoming];
+
+    const pick = (key) => (isSet(newer[key]) ? newer[key] : older[key]);
+
+    const sensors = {};
+    SENSOR_KEYS.forEach(key => {
+        sensors[key] = isSet(newer.sensors?.[key]) ? newer.sensors[key] : (older.sensors?.[key] ?? null);
+    });
+
+    const signal = incoming.signal?.lastSignalUpdate > (existing.signal?.lastSignalUpdate || 0)
+        ? incoming.signal
+        : (existing.signal || EMPTY_SIGNAL);
+
+    return {
+        ...older,
+        ...newer,
+        id: existing.id,
+        bus_name,
+        current_lat: pick('current_lat'),
+        current_lon: pick('current_lon'),
+        seats_available: pick('seats_available'),
+        route_id: pick('route_id'),
+        last_updated: Math.max(existing.last_updated || 0, incoming.last_updated || 0),
+        sensors,
+        sensors_updated: Math.max(existing.sensors_updated || 0, incoming.sensors_updated || 0),
+        signal,
+    };
+};
+
+const isSameBlock = (a, b) => {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+};
+
+// Field-by-field comparison so unchanged buses keep their object identity
+const isSameBusData = (a, b) => {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => (key === 'sensors' || key === 'signal'
+        ? isSameBlock(a[key], b[key])
+        : Object.is(a[key], b[key])));
+};
+
+/**
+ * Insert or merge a normalized bus into a bus list
+ * @param {Array} buses - Current normalized bus list
+ * @param {Object} incoming - Normalized bus
+ * @param {Object} options
+ * @param {boolean} options.allowInsert - Add the bus if it is not in the list yet
+ * @returns {Array} New list (same reference if nothing changed)
+ */
+export const upsertBus = (buses, incoming, { allowInsert = true } = {}) => {
+    if (!incoming) return buses;
+    const idx = buses.findIndex(b => b.id === incoming.id);
+
+    if (idx === -1) {
+        return allowInsert ? [...buses, incoming] : buses;
+    }
+
+    const merged = mergeBus(buses[idx], incoming);
+    if (isSameBusData(buses[idx], merged)) return buses;
+
+    const updated = [...buses];
+    updated[idx] = merged;
+    return updated;
+};
+
+/**
+ * Update the signal block of a bus from an MQTT status message
+ */
+export const applySignal = (bus, rssi, receivedAt = Date.now()) => ({
+    ...bus,
+    signal: {
+        rssi: parseNumber(rssi),
+        isOnline: true,
+        lastSignalUpdate: receivedAt,
+    },
+    last_updated: receivedAt,
+});
+
+/**
+ * Create an empty normalized bus (used for fake/simulated buses)
+ */
+export const createBus = (id, fields = {}) => ({
+    id,
+    bus_name: getDefaultBusName(id),
+    current_lat: null,
+    current_lon: null,
+    last_updated: 0,
+    seats_available: null,
+    route_id: null,
+    sensors_updated: 0,
+    source: 'local',
+    ...fields,
+    sensors: { ...EMPTY_SENSORS, ...fields.sensors },
+    signal: { ...EMPTY_SIGNAL, ...fields.signal },
+});
@@ -0,0 +1,157 @@
+import { calculateDistance } from './routeHelpers';
+
+/**
+ * Bus Motion
+ *
+ * Keeps a short, time-stamped position track per bus and derives
+ * speed, heading, moving/stopped state and distance travelled from it,
+ * so every screen reads motion from the same place instead of keeping
+ * its own "previous position" refs.
+ *
+ * Motion:
+ * {
+ *   track: [{ lat, lon, timestamp }],   // oldest first, bounded
+ *   speedMps: number,                   // 0 when unknown
+ *   heading: number|null,               // degrees, 0 = north, clockwise
+ *   isMoving: boolean,
+ *   distanceTravelled: number,          // meters since tracking started
+ *   lastMovedAt: number,                // epoch ms (0 = never)
+ * }
+ */
+
+const MAX_TRACK_POINTS = 30;
+const MAX_TRACK_AGE_MS = 10 * 60 * 1000;
+// Speed and moving state are measured over this window
+const MOTION_WINDOW_MS = 30000;
+// With sparse updates (REST polling), fall back to the previous fix if it is this recent
+const MAX_FIX_GAP_MS = 2 * 60 * 1000;
+// Bus must have moved at least this far within the window to count as moving
+const MOVING_THRESHOLD_M = 5;
+// Ignore GPS jitter below this distance for heading and odometer
+const MIN_STEP_M = 3;
+
+export const EMPTY_MOTION = {
+    track: [],
+    speedMps: 0,
+    heading: null,
+    isMoving: false,
+    distanceTravelled: 0,
+    lastMovedAt: 0,
+};
+
+/**
+ * Initial bearing from one coordinate to another
+ * @returns {number} Degrees 0-360, 0 = north
+ */
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Smallest angle between two headings
+ * @returns {number} Degrees 0-180
+ */
+export const getHeadingDifference = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+
+const distanceBetween = (a, b) => calculateDistance(a.lat, a.lon, b.lat, b.lon);
+
+/**
+ * Derive speed, heading and moving state from a track
+ */
+const deriveMotion = (track, previous) => {
+    const latest = track[track.length - 1];
+    let windowStart = track.find(p => latest.timestamp - p.timestamp <= MOTION_WINDOW_MS) || latest;
+    const previousFix = track[track.length - 2];
+    if (windowStart === latest && previousFix && latest.timestamp - previousFix.timestamp <= MAX_FIX_GAP_MS) {
+        windowStart = previousFix;
+    }
+
+    const displacement = distanceBetween(windowStart, latest);
+    const elapsedSec = (latest.timestamp - windowStart.timestamp) / 1000;
+    const speedMps = elapsedSec > 0 ? displacement / elapsedSec : 0;
+    const isMoving = displacement >= MOVING_THRESHOLD_M;
+
+    // Heading from the most recent point far enough back to be stable
+    let heading = previous.heading;
+    for (let i = track.length - 2; i >= 0; i--) {
+        if (distanceBetween(track[i], latest) >= MIN_STEP_M) {
+            heading = calculateBearing(track[i].lat, track[i].lon, latest.lat, latest.lon);
+            break;
+        }
+    }
+
+    return {
+        speedMps,
+        heading,
+        isMoving,
+        lastMovedAt: isMoving ? latest.timestamp : previous.lastMovedAt,
+    };
+};
+
+/**
+ * Add a position fix to a bus's motion state
+ * @param {Object} motion - Current motion (or EMPTY_MOTION)
+ * @param {Object} point - { lat, lon, timestamp }
+ * @returns {Object} Updated motion (same reference if the fix was not new)
+ */
+export const addPositionFix = (motion, point) => {
+    const current = motion || EMPTY_MOTION;
+    if (!point || !point.lat || !point.lon || !point.timestamp) return current;
+
+    const last = current.track[current.track.length - 1];
+    if (last) {
+        // Out-of-order or duplicate fix
+        if (point.timestamp <= last.timestamp) return current;
+        if (point.lat === last.lat && point.lon === last.lon && point.timestamp - last.timestamp < 1000) {
+            return current;
+        }
+    }
+
+    const step = last ? distanceBetween(last, point) : 0;
+    const track = [...current.track, { lat: point.lat, lon: point.lon, timestamp: point.timestamp }]
+        .filter(p => point.timestamp - p.timestamp <= MAX_TRACK_AGE_MS)
+        .slice(-MAX_TRACK_POINTS);
+
+    return {
+        ...current,
+        track,
+        distanceTravelled: current.distanceTravelled + (step >= MIN_STEP_M ? step : 0),
+        ...deriveMotion(track, current),
+    };
+};
+
+/**
+ * Update motion for every bus whose position changed
+ * @param {Object} motionById - { busMac: motion }
+ * @param {Array} buses - Normalized buses
+ * @returns {Object} New map (same reference if nothing changed)
+ */
+export const updateMotionFromBuses = (motionById, buses) => {
+    let changed = false;
+    const next = { ...motionById };
+
+    buses.forEach(bus => {
+        if (bus.current_lat === null || bus.current_lon === null) return;
+        const current = motionById[bus.id] || EMPTY_MOTION;
+        const updated = addPositionFix(current, {
+            lat: bus.current_lat,
+            lon: bus.current_lon,
+            timestamp: bus.last_updated,
+        });
+        if (updated !== current) {
+            next[bus.id] = updated;
+            changed = true;
+        }
+    });
+
+    return changed ? next : motionById;
+};
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { API_BASE, getApiHeaders } from '../config/api';
+import { setStoreSlice } from './busStore';
 
 const MAPPING_KEY = '@bus_route_mapping';
 
@@ -9,6 +10,12 @@ const MAPPING_KEY = '@bus_route_mapping';
  * Format: { "BUS_MAC": "routeId", ... }
  */
 
+// Persist mappings and publish them to the bus store so useBusesOnRoute stays current
+const saveMappings = async (mappings) => {
+    await AsyncStorage.setItem(MAPPING_KEY, JSON.stringify(mappings));
+    setStoreSlice('mappings', mappings);
+};
+
 /**
  * Get all bus-route mappings
  * @returns {Promise<Object>} - Map of bus MAC to route ID
@@ -36,7 +43,7 @@ export const assignRouteToBus = async (busMac, routeId) => {
         } else {
             delete mappings[busMac];
         }
-        await AsyncStorage.setItem(MAPPING_KEY, JSON.stringify(mappings));
+        await saveMappings(mappings);
         return true;
     } catch (error) {
         console.error('Error assigning route to bus:', error);
@@ -74,7 +81,7 @@ export const assignRouteToMultipleBuses = async (busMacs, routeId) => {
                 delete mappings[mac];
             }
         });
-        await AsyncStorage.setItem(MAPPING_KEY, JSON.stringify(mappings));
+        await saveMappings(mappings);
         return true;
     } catch (error) {
         console.error('Error bulk assigning routes:', error);
@@ -122,7 +129,7 @@ export const fetchAndSyncMappings = async (serverUrl = API_BASE) => {
             });
         }
 
-        await AsyncStorage.setItem(MAPPING_KEY, JSON.stringify(newMappings));
+        await saveMappings(newMappings);
         await AsyncStorage.setItem(VERSION_KEY, String(data.version));
 
         console.log(`[BusRouteMapping] Updated to v${data.version} with ${Object.keys(newMappings).length} mappings`);
@@ -0,0 +1,104 @@
+/**
+ * Bus Store
+ *
+ * Single in-memory store for live fleet data. DataContext is the only
+ * writer for server data; screens read it through the selector hooks in
+ * hooks/useBusStore.js, so a component only re-renders when the slice it
+ * renders actually changes (not on every unrelated bus update).
+ *
+ * State:
+ * {
+ *   buses: Array,        // normalized buses (see busModel)
+ *   routes: Array,       // server routes with waypoints
+ *   mappings: Object,    // { busMac: routeId } (see busRouteMapping)
+ *   occupancy: Object,   // { busMac: occupancy } (see occupancy)
+ *   busMotion: Object,   // { busMac: motion } (see busMotion)
+ *   routeProgress: Object, // { busMac: progress } (see routeProgress)
+ *   routeDeviation: Object, // { busMac: deviation } (see routeDeviation)
+ *   routeInference: Object, // { busMac: inference } for unmapped buses (see routeInference)
+ *   lastStopEvents: Object, // { busMac: latest arrival/departure } (see stopEvents)
+ *   announcements: Array, // service announcements with read state (see announcements)
+ * }
+ */
+
+let state = {
+    buses: [],
+    routes: [],
+    mappings: {},
+    occupancy: {},
+    busMotion: {},
+    routeProgress: {},
+    routeDeviation: {},
+    routeInference: {},
+    lastStopEvents: {},
+    announcements: [],
+};
+
+const listeners = new Set();
+
+/**
+ * Current store state (treat as read-only)
+ */
+export const getBusStoreState = () => state;
+
+/**
+ * Subscribe to store changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeBusStore = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Merge a partial update into the store
+ * Slices that keep the same reference do not count as a change.
+ * @param {Object|Function} update - Partial state, or (state) => partial state
+ */
+export const setBusStoreState = (update) => {
+    const partial = typeof update === 'function' ? update(state) : update;
+    if (!partial) return;
+
+    const changed = Object.keys(partial).some(key => partial[key] !== state[key]);
+    if (!changed) return;
+
+    state = { ...state, ...partial };
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Update a single slice with a value or an updater (like React's setState)
+ * @param {string} key - Slice name
+ * @param {*|Function} valueOrUpdater
+ */
+export const setStoreSlice = (key, valueOrUpdater) => {
+    setBusStoreState(current => ({
+        [key]: typeof valueOrUpdater === 'function' ? valueOrUpdater(current[key]) : valueOrUpdater,
+    }));
+};
+
+/**
+ * Remove a bus and everything derived from it (e.g. after deleting it on the server)
+ * @param {string} busMac - Bus MAC address
+ */
+export const removeBusFromStore = (busMac) => {
+    setBusStoreState(current => {
+        if (!current.buses.some(b => b.id === busMac)) return null;
+        const { [busMac]: removedOccupancy, ...occupancy } = current.occupancy;
+        const { [busMac]: removedMotion, ...busMotion } = current.busMotion;
+        const { [busMac]: removedProgress, ...routeProgress } = current.routeProgress;
+        const { [busMac]: removedDeviation, ...routeDeviation } = current.routeDeviation;
+        const { [busMac]: removedInference, ...routeInference } = current.routeInference;
+        const { [busMac]: removedStopEvent, ...lastStopEvents } = current.lastStopEvents;
+        return {
+            buses: current.buses.filter(b => b.id !== busMac),
+            occupancy,
+            busMotion,
+            routeProgress,
+            routeDeviation,
+            routeInference,
+            lastStopEvents,
+        };
+    });
+};
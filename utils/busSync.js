@@ -0,0 +1,95 @@
+/**
+ * Bus Sync
+ *
+ * Conditional/delta polling for GET /api/buses, so the REST fallback
+ * only downloads what changed since the last poll.
+ *
+ * - Full requests send If-None-Match / If-Modified-Since; 304 = nothing changed
+ * - Once the server hands out a cursor, polls send ?since=<cursor> and the
+ *   server answers with only the buses that changed (or 304 / an empty list)
+ * - Servers without cursor support keep answering with the full array,
+ *   which is handled exactly like before
+ *
+ * Response bodies:
+ *   [bus, ...]                                  // full list (legacy)
+ *   { buses: [bus, ...], cursor, full? }        // full list or delta
+ *
+ * Sync state:
+ * {
+ *   apiUrl: string|null,        // server the validators belong to
+ *   etag: string|null,
+ *   lastModified: string|null,
+ *   cursor: string|null,
+ *   lastFullSync: number,       // epoch ms of the last full response
+ * }
+ */
+
+// Deltas can miss changes (server restart, cursor expiry); re-download everything this often
+const FULL_RESYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+export const createBusSyncState = (apiUrl = null) => ({
+    apiUrl,
+    etag: null,
+    lastModified: null,
+    cursor: null,
+    lastFullSync: 0,
+});
+
+/**
+ * Build the request for the next poll
+ * @param {Object} sync - Current sync state
+ * @param {Object} options
+ * @param {boolean} options.full - Ignore the cursor and ask for the full list
+ * @returns {Object} { isDelta, params, headers }
+ */
+export const buildBusPollRequest = (sync, { full = false } = {}) => {
+    const resyncDue = Date.now() - sync.lastFullSync > FULL_RESYNC_INTERVAL_MS;
+
+    if (sync.cursor && !full && !resyncDue) {
+        return { isDelta: true, params: { since: sync.cursor }, headers: {} };
+    }
+
+    const headers = {};
+    if (sync.etag) headers['If-None-Match'] = sync.etag;
+    if (sync.lastModified) headers['If-Modified-Since'] = sync.lastModified;
+    return { isDelta: false, params: {}, headers };
+};
+
+/**
+ * Interpret a poll response
+ * @param {Object} sync - Sync state the request was built from
+ * @param {Object} request - Result of buildBusPollRequest
+ * @param {Object} response - axios response (304 must be allowed by validateStatus)
+ * @returns {Object} { notModified, isFull, buses, sync }
+ */
+export const parseBusPollResponse = (sync, request, response) => {
+    if (response.status === 304) {
+        return { notModified: true, isFull: false, buses: [], sync };
+    }
+
+    const data = response.data;
+    const headers = response.headers || {};
+    const body = Array.isArray(data) ? { buses: data } : (data || {});
+    const buses = Array.isArray(body.buses) ? body.buses : [];
+    const cursor = body.cursor ?? body.next_cursor ?? headers['x-next-cursor'] ?? null;
+
+    // A plain array is always the whole fleet, even if we asked for a delta
+    const isFull = !request.isDelta || Array.isArray(data) || body.full === true;
+
+    const nextSync = {
+        ...sync,
+        cursor: cursor !== null && cursor !== '' ? String(cursor) : null,
+    };
+    if (isFull) {
+        nextSync.etag = headers.etag || null;
+        nextSync.lastModified = headers['last-modified'] || null;
+        nextSync.lastFullSync = Date.now();
+    }
+
+    return {
+        notModified: buses.length === 0 && !isFull,
+        isFull,
+        buses,
+        sync: nextSync,
+    };
+};
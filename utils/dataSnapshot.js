@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SNAPSHOT_STORAGE_KEY = '@sut_data_snapshot';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Data Snapshot Utility
+ * Persists the last-known fleet and routes so the app can start
+ * instantly (and stay usable) when the network is slow or down.
+ *
+ * Snapshot:
+ * {
+ *   version: number,
+ *   buses: Array,            // normalized buses (see busModel)
+ *   routes: Array,           // routes as returned by /api/routes (+ waypoints)
+ *   busesUpdatedAt: number,  // epoch ms of the last live bus data
+ *   routesUpdatedAt: number, // epoch ms of the last successful route download
+ *   savedAt: number,
+ * }
+ */
+
+/**
+ * Load the persisted snapshot
+ * @returns {Promise<Object|null>} Snapshot, or null on first install / incompatible version
+ */
+export const loadSnapshot = async () => {
+    try {
+        const json = await AsyncStorage.getItem(SNAPSHOT_STORAGE_KEY);
+        if (!json) return null;
+
+        const snapshot = JSON.parse(json);
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null;
+
+        return {
+            buses: Array.isArray(snapshot.buses) ? snapshot.buses : [],
+            routes: Array.isArray(snapshot.routes) ? snapshot.routes : [],
+            busesUpdatedAt: snapshot.busesUpdatedAt || 0,
+            routesUpdatedAt: snapshot.routesUpdatedAt || 0,
+            savedAt: snapshot.savedAt || 0,
+        };
+    } catch (error) {
+        console.error('[Snapshot] Error loading snapshot:', error);
+        return null;
+    }
+};
+
+/**
+ * Persist the current fleet and routes
+ * @param {Object} data - { buses, routes, busesUpdatedAt, routesUpdatedAt }
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveSnapshot = async ({ buses, routes, busesUpdatedAt, routesUpdatedAt }) => {
+    try {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            // Fake/simulated buses never belong in the cache
+            buses: (buses || []).filter(b => b.source !== 'local'),
+            routes: routes || [],
+            busesUpdatedAt: busesUpdatedAt || 0,
+            routesUpdatedAt: routesUpdatedAt || 0,
+            savedAt: Date.now(),
+        };
+        await AsyncStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+        return true;
+    } catch (error) {
+        console.error('[Snapshot] Error saving snapshot:', error);
+        return false;
+    }
+};
+
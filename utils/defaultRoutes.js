@@ -47,7 +47,8 @@ export const loadDefaultRoutes = async () => {
                     route.routeName,
                     route.waypoints,
                     route.busId || null,
-                    route.routeColor || '#2563eb'
+                    route.routeColor || '#2563eb',
+                    route.schedule || null
                 );
                 console.log(`[DefaultRoutes] Loaded: ${route.routeName}`);
             }
@@ -0,0 +1,194 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { calculateDistance } from './routeHelpers';
+import { getEtaToStop, getRouteGeometry } from './routeEta';
+import { getEtaOptions } from './travelTimes';
+import { SAME_STOP_RADIUS_M } from './stopDirectory';
+
+const FAVORITES_STORAGE_KEY = '@sut_favorites';
+
+/**
+ * Favorites
+ *
+ * Stops and routes the user starred, in the order they arranged them.
+ * The favorites strip (MapScreen, RoutesScreen) shows one card per
+ * favorite with the next live bus and how full it is.
+ *
+ * A stop favorite keeps a copy of its stop directory entry, so it still
+ * shows up when the routes are not loaded yet. Directory entry ids depend
+ * on route order and waypoint indexes, so a starred stop is recognized by
+ * its location instead, and ETAs look the stop up by name; both survive
+ * routes being re-downloaded or edited.
+ *
+ * Favorite:
+ * {
+ *   type: 'stop'|'route',
+ *   id: string,              // 'stop:<lat>,<lon>' or 'route:<routeId>'
+ *   name: string,
+ *   // stop
+ *   latitude, longitude,
+ *   routes: [{ routeId, routeName, routeColor, stopName }],
+ *   // route
+ *   routeId, routeColor,
+ * }
+ */
+
+export const FAVORITE_TYPE = {
+    STOP: 'stop',
+    ROUTE: 'route',
+};
+
+// Buses without an update for this long are not considered
+const BUS_OFFLINE_MS = 60 * 1000;
+
+/**
+ * Load saved favorites
+ * @returns {Promise<Array>} Favorites in display order
+ */
+export const loadFavorites = async () => {
+    try {
+        const json = await AsyncStorage.getItem(FAVORITES_STORAGE_KEY);
+        return json ? JSON.parse(json) : [];
+    } catch (error) {
+        console.error('[Favorites] Error loading favorites:', error);
+        return [];
+    }
+};
+
+/**
+ * Save favorites
+ * @param {Array} favorites - In display order
+ */
+export const saveFavorites = async (favorites) => {
+    try {
+        await AsyncStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch (error) {
+        console.error('[Favorites] Error saving favorites:', error);
+    }
+};
+
+export const getRouteFavoriteId = (routeId) => `${FAVORITE_TYPE.ROUTE}:${routeId}`;
+
+/**
+ * The favorite for the same physical stop as a directory entry
+ * @param {Array} favorites
+ * @param {Object} entry - Stop directory entry (or anything with latitude/longitude)
+ * @returns {Object|null} Stop favorite
+ */
+export const findStopFavorite = (favorites, entry) => favorites.find(f =>
+    f.type === FAVORITE_TYPE.STOP
+    && calculateDistance(f.latitude, f.longitude, entry.latitude, entry.longitude) <= SAME_STOP_RADIUS_M
+) || null;
+
+/**
+ * Build a favorite from a stop directory entry
+ * @param {Object} entry - See stopDirectory
+ */
+export const createStopFavorite = (entry) => ({
+    type: FAVORITE_TYPE.STOP,
+    // Stops closer than SAME_STOP_RADIUS_M are one entry, so this never collides
+    id: `${FAVORITE_TYPE.STOP}:${entry.latitude.toFixed(5)},${entry.longitude.toFixed(5)}`,
+    name: entry.name,
+    latitude: entry.latitude,
+    longitude: entry.longitude,
+    routes: entry.routes.map(r => ({
+        routeId: r.routeId,
+        routeName: r.routeName,
+        routeColor: r.routeColor || '#2563eb',
+        stopName: r.stopName,
+    })),
+});
+
+/**
+ * Build a favorite from a route
+ * @param {Object} route - Local route
+ */
+export const createRouteFavorite = (route) => ({
+    type: FAVORITE_TYPE.ROUTE,
+    id: getRouteFavoriteId(route.routeId),
+    name: route.routeName,
+    routeId: route.routeId,
+    routeColor: route.routeColor || '#2563eb',
+});
+
+/**
+ * Move a favorite to another position
+ * @param {Array} favorites
+ * @param {number} from - Current index
+ * @param {number} to - New index (clamped)
+ * @returns {Array} New list
+ */
+export const moveFavorite = (favorites, from, to) => {
+    const target = Math.max(0, Math.min(favorites.length - 1, to));
+    if (from === target || from < 0 || from >= favorites.length) return favorites;
+    const next = [...favorites];
+    const [moved] = next.splice(from, 1);
+    next.splice(target, 0, moved);
+    return next;
+};
+
+// Soonest live bus of a route to one of its stops
+const findNextBus = (route, stopName, { buses, mappings, routeProgress, busMotion }, now) => {
+    const etaOptions = getEtaOptions(route.routeId, new Date(now));
+    let best = null;
+    buses
+        .filter(bus => (mappings[bus.id] || bus.route_id) === route.routeId)
+        .filter(bus => bus.current_lat !== null && now - (bus.last_updated || 0) <= BUS_OFFLINE_MS)
+        .forEach(bus => {
+            const eta = getEtaToStop(route, {
+                latitude: bus.current_lat,
+                longitude: bus.current_lon,
+                heading: busMotion[bus.id]?.heading,
+            }, stopName, { ...etaOptions, progress: routeProgress[bus.id] });
+            if (eta && (!best || eta.etaSeconds < best.eta.etaSeconds)) best = { bus, eta, route };
+        });
+    return best;
+};
+
+/**
+ * Live status for a favorite card
+ * Stops: the soonest bus on any route serving the stop.
+ * Routes: the soonest bus to the route's stop nearest the user (when the
+ * location is known), plus how many buses are running.
+ * @param {Object} favorite
+ * @param {Object} routesById - { routeId: local route }
+ * @param {Object} fleet - Bus store state { buses, mappings, routeProgress, busMotion, occupancy }
+ * @param {Object|null} userLocation - { latitude, longitude }
+ * @param {number} now - Epoch ms
+ * @returns {Object} { stopName, nextBus: { bus, eta, route }|null, occupancy, liveBuses }
+ */
+export const getFavoriteStatus = (favorite, routesById, fleet, userLocation, now = Date.now()) => {
+    let stopName = null;
+    let nextBus = null;
+    let liveBuses = 0;
+
+    if (favorite.type === FAVORITE_TYPE.STOP) {
+        stopName = favorite.name;
+        favorite.routes.forEach(r => {
+            const route = routesById[r.routeId];
+            if (!route) return;
+            const candidate = findNextBus(route, r.stopName, fleet, now);
+            if (candidate && (!nextBus || candidate.eta.etaSeconds < nextBus.eta.etaSeconds)) nextBus = candidate;
+        });
+    } else {
+        const route = routesById[favorite.routeId];
+        liveBuses = fleet.buses.filter(bus =>
+            (fleet.mappings[bus.id] || bus.route_id) === favorite.routeId && now - (bus.last_updated || 0) <= BUS_OFFLINE_MS
+        ).length;
+        const stops = route ? getRouteGeometry(route)?.stops || [] : [];
+        if (userLocation && stops.length > 0) {
+            const nearest = stops.reduce((best, stop) => {
+                const distance = calculateDistance(userLocation.latitude, userLocation.longitude, stop.latitude, stop.longitude);
+                return !best || distance < best.distance ? { stop, distance } : best;
+            }, null);
+            stopName = nearest.stop.stopName;
+            nextBus = findNextBus(route, stopName, fleet, now);
+        }
+    }
+
+    return {
+        stopName,
+        nextBus,
+        occupancy: nextBus ? fleet.occupancy[nextBus.bus.id] || null : null,
+        liveBuses,
+    };
+};
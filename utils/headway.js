@@ -0,0 +1,185 @@
+import { getNextStopEta, getEtaToStop, getStopToStopEta, getRouteGeometry, projectOntoRoute } from './routeEta';
+import { getEtaOptions } from './travelTimes';
+import { getScheduledHeadway } from './routeSchedule';
+
+/**
+ * Headway Monitoring
+ *
+ * Time gaps between consecutive buses on the same route, from the live
+ * positions and the bus-route mappings. The gap between a bus and the one
+ * ahead of it is measured where riders feel it: at the leader's next stop,
+ * as (follower's ETA there) - (leader's ETA there), using routeEta so
+ * learned travel times apply.
+ *
+ * Each gap is compared with the route's target headway: the scheduled
+ * headway when the route has a timetable (see routeSchedule), otherwise
+ * an even spread of the buses around a loop.
+ *
+ * Report (per route):
+ * {
+ *   routeId: string,
+ *   busIds: [string],          // front to back
+ *   gaps: [{ leaderId, followerId, seconds, status }],
+ *   targetSeconds: number|null,
+ *   targetSource: 'schedule'|'even'|null,
+ *   status: 'ok'|'bunched'|'gap'|'single'|'none',
+ *   worstDeviation: number|null, // largest |gap - target| / target
+ * }
+ */
+
+export const HEADWAY_STATUS = {
+    OK: 'ok',
+    BUNCHED: 'bunched',
+    GAP: 'gap',
+    SINGLE: 'single',
+    NONE: 'none',
+};
+
+// Closer than this share of the target headway = bunched; further than GAP_RATIO = gap
+const BUNCHED_RATIO = 0.3;
+const GAP_RATIO = 1.5;
+// Without a target, buses this close together are still bunched
+const BUNCHED_SECONDS = 2 * 60;
+// Buses without an update for this long are ignored
+const BUS_OFFLINE_MS = 60 * 1000;
+
+const STATUS_SEVERITY = { bunched: 3, gap: 2, ok: 1, single: 0, none: 0 };
+
+const classifyGap = (seconds, targetSeconds) => {
+    if (seconds < BUNCHED_SECONDS) return HEADWAY_STATUS.BUNCHED;
+    if (!targetSeconds) return HEADWAY_STATUS.OK;
+    if (seconds < targetSeconds * BUNCHED_RATIO) return HEADWAY_STATUS.BUNCHED;
+    if (seconds > targetSeconds * GAP_RATIO) return HEADWAY_STATUS.GAP;
+    return HEADWAY_STATUS.OK;
+};
+
+// Time for one lap of a loop route (stop to stop all the way round, including dwell)
+const getLapSeconds = (route, etaOptions) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry || !geometry.isLoop || geometry.stops.length < 2) return null;
+    return geometry.stops.reduce((total, stop, i) => {
+        const next = geometry.stops[(i + 1) % geometry.stops.length];
+        const eta = getStopToStopEta(route, stop.waypointIndex, next.waypointIndex, etaOptions);
+        return total + (eta ? eta.etaSeconds : 0);
+    }, 0);
+};
+
+const getPosition = (bus, motionById) => ({
+    latitude: bus.current_lat,
+    longitude: bus.current_lon,
+    heading: motionById[bus.id]?.heading,
+});
+
+/**
+ * Headway report for one route
+ * @param {Object} route - Local route
+ * @param {Array} buses - Live buses assigned to the route
+ * @param {Object} context - { progressById, motionById, now }
+ * @returns {Object} Report (see top of file)
+ */
+export const computeRouteHeadway = (route, buses, { progressById = {}, motionById = {}, now = Date.now() } = {}) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry) {
+        return { routeId: route.routeId, busIds: [], gaps: [], targetSeconds: null, targetSource: null, status: HEADWAY_STATUS.NONE, worstDeviation: null };
+    }
+    const etaOptions = getEtaOptions(route.routeId, new Date(now));
+    const optionsFor = (bus) => ({ ...etaOptions, progress: progressById[bus.id] });
+
+    // Front to back along the route; buses that can't be placed on it are left out
+    const ordered = buses
+        .map(bus => {
+            const position = getPosition(bus, motionById);
+            const progress = progressById[bus.id];
+            const along = progress?.onRoute && progress.routeId === route.routeId
+                ? progress.distanceAlong
+                : projectOntoRoute(geometry, position)?.distanceAlong;
+            return { bus, along, next: getNextStopEta(route, position, optionsFor(bus)) };
+        })
+        .filter(({ along, next }) => along !== undefined && next)
+        .sort((a, b) => b.along - a.along);
+
+    const lapSeconds = getLapSeconds(route, etaOptions);
+    const scheduledMinutes = getScheduledHeadway(route.schedule, new Date(now));
+    const scheduled = scheduledMinutes ? scheduledMinutes * 60 : null;
+    const targetSeconds = scheduled || (lapSeconds && ordered.length > 0 ? lapSeconds / ordered.length : null);
+    const targetSource = scheduled ? 'schedule' : (targetSeconds ? 'even' : null);
+
+    const gaps = [];
+    const pairCount = lapSeconds ? ordered.length : ordered.length - 1;
+    for (let i = 0; i < pairCount; i++) {
+        const leader = ordered[i];
+        const follower = ordered[(i + 1) % ordered.length];
+
+        let seconds;
+        if (leader === follower) {
+            // Only bus on a loop: it is its own follower, one lap later
+            seconds = lapSeconds;
+        } else {
+            const followerEta = getEtaToStop(route, getPosition(follower.bus, motionById), leader.next.waypointIndex, optionsFor(follower.bus));
+            if (!followerEta) continue;
+            seconds = followerEta.etaSeconds - leader.next.etaSeconds;
+        }
+        if (!(seconds >= 0)) continue;
+
+        gaps.push({
+            leaderId: leader.bus.id,
+            followerId: follower.bus.id,
+            seconds,
+            status: classifyGap(seconds, targetSeconds),
+        });
+    }
+
+    let status = HEADWAY_STATUS.NONE;
+    if (ordered.length === 1 && !lapSeconds) status = HEADWAY_STATUS.SINGLE;
+    else if (gaps.length > 0) {
+        status = gaps.reduce((worst, gap) => (STATUS_SEVERITY[gap.status] > STATUS_SEVERITY[worst] ? gap.status : worst), HEADWAY_STATUS.OK);
+    }
+
+    const worstDeviation = targetSeconds && gaps.length > 0
+        ? Math.max(...gaps.map(gap => Math.abs(gap.seconds - targetSeconds) / targetSeconds))
+        : null;
+
+    return {
+        routeId: route.routeId,
+        busIds: ordered.map(({ bus }) => bus.id),
+        gaps,
+        targetSeconds,
+        targetSource,
+        status,
+        worstDeviation,
+    };
+};
+
+/**
+ * Headway reports for every route
+ * @param {Array} routes - Local routes
+ * @param {Object} data - { buses, mappings, progressById, motionById }
+ * @param {number} now - Epoch ms (default now)
+ * @returns {Object} { [routeId]: report }
+ */
+export const computeHeadways = (routes, { buses = [], mappings = {}, progressById = {}, motionById = {} }, now = Date.now()) => {
+    const liveBuses = buses.filter(bus =>
+        bus.current_lat !== null && bus.current_lon !== null && now - (bus.last_updated || 0) <= BUS_OFFLINE_MS
+    );
+
+    const reports = {};
+    routes.forEach(route => {
+        const onRoute = liveBuses.filter(bus => (mappings[bus.id] || bus.route_id) === route.routeId);
+        reports[route.routeId] = computeRouteHeadway(route, onRoute, { progressById, motionById, now });
+    });
+    return reports;
+};
+
+/**
+ * Gap from a bus to the bus ahead of it on its route
+ * @param {Object} reports - From computeHeadways
+ * @param {string} busId - Bus MAC address
+ * @returns {Object|null} Gap { leaderId, followerId, seconds, status } (the bus is the follower)
+ */
+export const getGapAhead = (reports, busId) => {
+    for (const report of Object.values(reports)) {
+        const gap = report.gaps.find(g => g.followerId === busId && g.leaderId !== busId);
+        if (gap) return gap;
+    }
+    return null;
+};
@@ -0,0 +1,168 @@
+import * as mqtt from 'mqtt';
+import { getMqttConnectionConfig } from '../config/api';
+
+/**
+ * MQTT Connection Utility
+ * Wraps mqtt.js with an explicit connection state machine and
+ * exponential backoff, so callers always know whether live updates
+ * are flowing.
+ *
+ * States:
+ *   connecting   - first connection attempt in progress
+ *   connected    - broker connected and topics subscribed
+ *   reconnecting - connection lost, retrying with backoff
+ *   offline      - several retries failed, still retrying at the max interval
+ */
+
+export const MQTT_STATUS = {
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    OFFLINE: 'offline',
+};
+
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const OFFLINE_AFTER_ATTEMPTS = 5;
+const CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Backoff delay for a reconnect attempt (1s, 2s, 4s ... capped at 30s)
+ * Adds up to 20% jitter so many clients do not reconnect in lockstep.
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in ms
+ */
+export const getBackoffDelay = (attempt) => {
+    const base = Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * Math.pow(2, attempt));
+    return Math.round(base + base * 0.2 * Math.random());
+};
+
+/**
+ * Create a managed MQTT connection
+ * @param {Object} options
+ * @param {Function} options.resolveConfig - async () => { url, options }, defaults to the app config
+ * @param {Object} options.clientOptions - Extra mqtt.js options (clientId, keepalive, ...)
+ * @param {string[]} options.topics - Topics to subscribe to on every connect
+ * @param {Function} options.onMessage - (topic, message) => void
+ * @param {Function} options.onStatusChange - (status, { attempt }) => void
+ * @returns {{ end: Function, reconnectNow: Function, getStatus: Function, getClient: Function }}
+ */
+export const createMqttConnection = ({
+    resolveConfig = getMqttConnectionConfig,
+    clientOptions = {},
+    topics = [],
+    onMessage,
+    onStatusChange,
+}) => {
+    let client = null;
+    let status = null;
+    let attempt = 0;
+    let retryTimer = null;
+    let stopped = false;
+    let resolving = false; // A connect() is awaiting the broker config
+
+    const setStatus = (next) => {
+        if (next === status) return;
+        status = next;
+        if (onStatusChange) onStatusChange(next, { attempt });
+    };
+
+    const closeClient = () => {
+        if (!client) return;
+        client.removeAllListeners();
+        // Swallow late errors from the socket being torn down
+        client.on('error', () => { });
+        client.end(true);
+        client = null;
+    };
+
+    const scheduleReconnect = () => {
+        if (stopped || retryTimer) return;
+        closeClient();
+
+        const delay = getBackoffDelay(attempt);
+        attempt += 1;
+        setStatus(attempt >= OFFLINE_AFTER_ATTEMPTS ? MQTT_STATUS.OFFLINE : MQTT_STATUS.RECONNECTING);
+        console.log(`[MQTT] Reconnect attempt ${attempt} in ${delay}ms`);
+
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            connect();
+        }, delay);
+    };
+
+    const connect = async () => {
+        if (stopped || resolving) return;
+        if (status === null) setStatus(MQTT_STATUS.CONNECTING);
+
+        let config = null;
+        resolving = true;
+        try {
+            config = await resolveConfig();
+        } catch (e) {
+            console.log('[MQTT] Could not resolve broker URL:', e.message);
+        } finally {
+            resolving = false;
+        }
+        if (stopped) return;
+        if (!config?.url) {
+            scheduleReconnect();
+            return;
+        }
+
+        try {
+            // Reconnects are driven by our own backoff, not mqtt.js
+            client = mqtt.connect(config.url, {
+                ...config.options,
+                ...clientOptions,
+                reconnectPeriod: 0,
+                connectTimeout: CONNECT_TIMEOUT_MS,
+            });
+        } catch (e) {
+            console.log('[MQTT] Connect failed:', e.message);
+            scheduleReconnect();
+            return;
+        }
+
+        client.on('connect', () => {
+            attempt = 0;
+            topics.forEach(topic => client.subscribe(topic));
+            setStatus(MQTT_STATUS.CONNECTED);
+        });
+
+        client.on('message', (topic, message) => {
+            if (onMessage) onMessage(topic, message);
+        });
+
+        client.on('error', (err) => {
+            console.log('[MQTT] Error:', err?.message || err);
+            scheduleReconnect();
+        });
+
+        client.on('close', scheduleReconnect);
+        client.on('offline', scheduleReconnect);
+    };
+
+    connect();
+
+    return {
+        end: () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            closeClient();
+        },
+        // Skip the remaining backoff, e.g. when the user pulls to refresh
+        reconnectNow: () => {
+            // An attempt still resolving its config will connect on its own;
+            // starting another would leave two clients delivering every message
+            if (stopped || resolving || status === MQTT_STATUS.CONNECTED) return;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            closeClient();
+            connect();
+        },
+        getStatus: () => status,
+        getClient: () => client,
+    };
+};
@@ -0,0 +1,292 @@
+import { getBusId } from './busModel';
+
+/**
+ * MQTT Payload Validation
+ *
+ * Every broker message is parsed, validated and coerced here before it
+ * reaches DataContext, so a firmware regression on the ESP32 side shows up
+ * as counted rejections (visible in debug mode) instead of silently
+ * corrupting bus state.
+ *
+ * Payloads may carry a schema version in `v` (or `schema_version`);
+ * messages without one are treated as version 1. To support a new
+ * firmware format, add a validator under the next version number.
+ *
+ * Result:
+ *   { ok: true, schema, version, data }      // data is the coerced payload
+ *   { ok: false, schema, reason, detail }
+ *
+ * Rejection reasons:
+ *   invalid_json, not_object, unknown_topic, unsupported_version,
+ *   missing_bus_id, missing_coordinates, invalid_coordinates,
+ *   invalid_field, missing_counts
+ */
+
+export const REJECTION_REASONS = {
+    INVALID_JSON: 'invalid_json',
+    NOT_OBJECT: 'not_object',
+    UNKNOWN_TOPIC: 'unknown_topic',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    MISSING_BUS_ID: 'missing_bus_id',
+    MISSING_COORDINATES: 'missing_coordinates',
+    INVALID_COORDINATES: 'invalid_coordinates',
+    INVALID_FIELD: 'invalid_field',
+    MISSING_COUNTS: 'missing_counts',
+};
+
+const SENSOR_KEYS = ['pm2_5', 'pm10', 'temp', 'hum'];
+const COUNT_KEYS = ['entering', 'exiting', 'count', 'capacity', 'passengers', 'on_board'];
+
+// Log the first rejection of each kind, then every Nth, so a flood does not drown the console
+const LOG_EVERY_N_REJECTIONS = 50;
+
+class ValidationError extends Error {
+    constructor(reason, detail) {
+        super(detail || reason);
+        this.reason = reason;
+        this.detail = detail || null;
+    }
+}
+
+const reject = (reason, detail) => {
+    throw new ValidationError(reason, detail);
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Numbers may arrive as strings from some firmware builds; anything else is invalid
+const coerceNumber = (data, key, { min = -Infinity, max = Infinity } = {}) => {
+    const value = data[key];
+    if (isMissing(value)) return undefined;
+    const num = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN);
+    if (!isFinite(num) || num < min || num > max) {
+        reject(REJECTION_REASONS.INVALID_FIELD, `${key}=${JSON.stringify(value)}`);
+    }
+    return num;
+};
+
+// Copy a coerced field onto the output only when it was present
+const assignNumber = (out, data, key, range) => {
+    const value = coerceNumber(data, key, range);
+    if (value !== undefined) out[key] = value;
+};
+
+const requireBusId = (data) => {
+    const id = getBusId(data);
+    if (!id) reject(REJECTION_REASONS.MISSING_BUS_ID);
+    return id;
+};
+
+/**
+ * Coordinates: both or neither; 0/0 means "no GPS fix" and is allowed
+ * unless required (see busModel.parseCoordinate)
+ */
+const coerceCoordinates = (data, { required = false } = {}) => {
+    const rawLat = data.current_lat ?? data.lat;
+    const rawLon = data.current_lon ?? data.lon;
+
+    if (isMissing(rawLat) && isMissing(rawLon)) {
+        if (required) reject(REJECTION_REASONS.MISSING_COORDINATES);
+        return {};
+    }
+    if (isMissing(rawLat) || isMissing(rawLon)) {
+        reject(REJECTION_REASONS.INVALID_COORDINATES, 'only one of lat/lon present');
+    }
+
+    const lat = Number(rawLat);
+    const lon = Number(rawLon);
+    if (typeof rawLat === 'boolean' || typeof rawLon === 'boolean' || !isFinite(lat) || !isFinite(lon)) {
+        reject(REJECTION_REASONS.INVALID_COORDINATES, `lat=${JSON.stringify(rawLat)} lon=${JSON.stringify(rawLon)}`);
+    }
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        reject(REJECTION_REASONS.INVALID_COORDINATES, `out of range ${lat},${lon}`);
+    }
+    if (required && lat === 0 && lon === 0) {
+        reject(REJECTION_REASONS.MISSING_COORDINATES, 'no GPS fix');
+    }
+    return { lat, lon };
+};
+
+const coerceSensors = (data) => {
+    const sensors = {};
+    SENSOR_KEYS.forEach(key => {
+        const source = data.sensors && !isMissing(data.sensors[key]) ? data.sensors : data;
+        assignNumber(sensors, source, key);
+    });
+    return sensors;
+};
+
+// --- Version 1 validators ---
+
+const validateBusLocationV1 = (data) => {
+    const out = {
+        ...data,
+        bus_mac: requireBusId(data),
+        ...coerceCoordinates(data),
+        ...coerceSensors(data),
+    };
+    delete out.current_lat;
+    delete out.current_lon;
+    delete out.sensors;
+    if (!isMissing(data.bus_name)) out.bus_name = String(data.bus_name);
+    assignNumber(out, data, 'seats_available', { min: 0 });
+    return out;
+};
+
+const validateBusGpsFastV1 = (data) => {
+    const out = {
+        ...data,
+        bus_mac: requireBusId(data),
+        ...coerceCoordinates(data, { required: true }),
+    };
+    delete out.current_lat;
+    delete out.current_lon;
+    return out;
+};
+
+const validateBusStatusV1 = (data, topic) => {
+    // sut/bus/<mac>/status - the bus id is part of the topic
+    const busId = topic.split('/')[2];
+    if (!busId || busId === '+') reject(REJECTION_REASONS.MISSING_BUS_ID);
+
+    const out = { ...data, bus_mac: busId };
+    assignNumber(out, data, 'rssi', { min: -150, max: 0 });
+    assignNumber(out, data, 'uptime', { min: 0 });
+    return out;
+};
+
+const validateAnnouncementV1 = (data) => {
+    if (isMissing(data.id)) reject(REJECTION_REASONS.INVALID_FIELD, 'missing id');
+    const out = { ...data, id: String(data.id) };
+    if (data.deleted) return out;
+
+    if (typeof data.message !== 'string' || !data.message.trim()) {
+        reject(REJECTION_REASONS.INVALID_FIELD, 'missing message');
+    }
+    ['route_ids', 'stop_names'].forEach(key => {
+        if (data[key] !== undefined && !Array.isArray(data[key])) {
+            reject(REJECTION_REASONS.INVALID_FIELD, `${key}=${JSON.stringify(data[key])}`);
+        }
+    });
+    return out;
+};
+
+const validateCounterV1 = (data) => {
+    const out = { ...data };
+    COUNT_KEYS.forEach(key => assignNumber(out, data, key, { min: 0 }));
+
+    const direction = data.direction || data.event || data.type;
+    const hasTotals = out.entering !== undefined || out.exiting !== undefined;
+    if (!hasTotals && !direction) reject(REJECTION_REASONS.MISSING_COUNTS);
+    if (direction !== undefined && typeof direction !== 'string') {
+        reject(REJECTION_REASONS.INVALID_FIELD, `direction=${JSON.stringify(direction)}`);
+    }
+    return out;
+};
+
+/**
+ * Schemas by topic; `match` decides which schema handles a topic
+ */
+const SCHEMAS = [
+    { name: 'bus_location', match: topic => topic === 'sut/app/bus/location' || topic === 'sut/bus/gps', versions: { 1: validateBusLocationV1 } },
+    { name: 'bus_gps_fast', match: topic => topic === 'sut/bus/gps/fast', versions: { 1: validateBusGpsFastV1 } },
+    { name: 'bus_status', match: topic => /^sut\/bus\/[^/]+\/status$/.test(topic), versions: { 1: validateBusStatusV1 } },
+    { name: 'person_detection', match: topic => topic === 'sut/person-detection', versions: { 1: validateCounterV1 } },
+    { name: 'door_count', match: topic => topic === 'bus/door/count', versions: { 1: validateCounterV1 } },
+    { name: 'announcement', match: topic => topic === 'sut/app/announcements', versions: { 1: validateAnnouncementV1 } },
+];
+
+// --- Diagnostics ---
+
+const createStats = () => ({
+    accepted: 0,
+    rejected: 0,
+    bySchema: {},        // { schema: { reason: count } }
+    lastRejection: null, // { topic, schema, reason, detail, payload, at }
+});
+
+let stats = createStats();
+const listeners = new Set();
+
+const recordRejection = (topic, schema, reason, detail, payload) => {
+    const schemaCounts = stats.bySchema[schema] || {};
+    const count = (schemaCounts[reason] || 0) + 1;
+
+    stats = {
+        ...stats,
+        rejected: stats.rejected + 1,
+        bySchema: { ...stats.bySchema, [schema]: { ...schemaCounts, [reason]: count } },
+        lastRejection: {
+            topic,
+            schema,
+            reason,
+            detail,
+            payload: String(payload).slice(0, 200),
+            at: Date.now(),
+        },
+    };
+
+    if (count === 1 || count % LOG_EVERY_N_REJECTIONS === 0) {
+        console.log(`[MQTT Schema] Rejected ${topic} (${reason}${detail ? `: ${detail}` : ''}) x${count}`);
+    }
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Current rejection statistics (treat as read-only)
+ * Accepted messages are counted without notifying listeners.
+ */
+export const getMqttValidationStats = () => stats;
+
+/**
+ * Subscribe to rejection statistics
+ * @param {Function} listener - Called after every rejection or reset
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeMqttValidationStats = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const resetMqttValidationStats = () => {
+    stats = createStats();
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Parse and validate a raw MQTT message
+ * @param {string} topic - Topic the message arrived on
+ * @param {Buffer|string} message - Raw message
+ * @returns {Object} Validation result (see top of file)
+ */
+export const validateMqttMessage = (topic, message) => {
+    const schema = SCHEMAS.find(s => s.match(topic));
+    const schemaName = schema ? schema.name : 'unknown';
+    const text = message?.toString?.() ?? '';
+
+    try {
+        if (!schema) reject(REJECTION_REASONS.UNKNOWN_TOPIC);
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            reject(REJECTION_REASONS.INVALID_JSON, e.message);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            reject(REJECTION_REASONS.NOT_OBJECT);
+        }
+
+        const version = Number(data.v ?? data.schema_version ?? 1);
+        const validate = schema.versions[version];
+        if (!validate) reject(REJECTION_REASONS.UNSUPPORTED_VERSION, `v=${data.v ?? data.schema_version}`);
+
+        const coerced = { ...validate(data, topic), schema_version: version };
+        stats.accepted += 1;
+        return { ok: true, schema: schemaName, version, data: coerced };
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        recordRejection(topic, schemaName, error.reason, error.detail, text);
+        return { ok: false, schema: schemaName, reason: error.reason, detail: error.detail };
+    }
+};
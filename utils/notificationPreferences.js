@@ -0,0 +1,104 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const NOTIFICATION_PREFERENCES_STORAGE_KEY = '@sut_notification_preferences';
+
+/**
+ * Notification Preferences
+ *
+ * What NotificationContext may send on top of the global on/off switch:
+ * one toggle per category and optional quiet hours (nothing is sent
+ * between startHour and endHour, which may wrap past midnight). On Android
+ * each category is its own notification channel, so it can also be tuned
+ * in the system settings.
+ *
+ * Preferences:
+ * {
+ *   categories: { arrivals, ride, airQuality, announcements }, // booleans
+ *   quietHours: { enabled: boolean, startHour: 0-23, endHour: 0-23 },
+ * }
+ */
+
+export const NOTIFICATION_CATEGORY = {
+    ARRIVALS: 'arrivals',           // stop alerts, bus ETAs
+    RIDE: 'ride',                   // approaching / arrived at destination
+    AIR_QUALITY: 'airQuality',
+    ANNOUNCEMENTS: 'announcements',
+};
+
+// Android channel per category; 'high' pops up over other apps
+export const NOTIFICATION_CHANNELS = [
+    { category: NOTIFICATION_CATEGORY.ARRIVALS, importance: 'high' },
+    { category: NOTIFICATION_CATEGORY.RIDE, importance: 'high' },
+    { category: NOTIFICATION_CATEGORY.AIR_QUALITY, importance: 'default' },
+    { category: NOTIFICATION_CATEGORY.ANNOUNCEMENTS, importance: 'default' },
+];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+    categories: Object.fromEntries(Object.values(NOTIFICATION_CATEGORY).map(category => [category, true])),
+    quietHours: { enabled: false, startHour: 22, endHour: 7 },
+};
+
+/**
+ * Load saved preferences (merged over the defaults)
+ * @returns {Promise<Object>} Preferences
+ */
+export const loadNotificationPreferences = async () => {
+    try {
+        const json = await AsyncStorage.getItem(NOTIFICATION_PREFERENCES_STORAGE_KEY);
+        if (!json) return DEFAULT_NOTIFICATION_PREFERENCES;
+        const saved = JSON.parse(json);
+        return {
+            categories: { ...DEFAULT_NOTIFICATION_PREFERENCES.categories, ...saved.categories },
+            quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...saved.quietHours },
+        };
+    } catch (error) {
+        console.error('[NotificationPreferences] Error loading preferences:', error);
+        return DEFAULT_NOTIFICATION_PREFERENCES;
+    }
+};
+
+/**
+ * Save preferences
+ * @param {Object} preferences
+ */
+export const saveNotificationPreferences = async (preferences) => {
+    try {
+        await AsyncStorage.setItem(NOTIFICATION_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.error('[NotificationPreferences] Error saving preferences:', error);
+    }
+};
+
+/**
+ * Whether a time falls inside the quiet hours
+ * @param {Object} quietHours - { enabled, startHour, endHour }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const isInQuietHours = (quietHours, date = new Date()) => {
+    if (!quietHours.enabled || quietHours.startHour === quietHours.endHour) return false;
+    const hour = date.getHours();
+    const { startHour, endHour } = quietHours;
+    // 22 -> 7 wraps past midnight
+    return startHour < endHour
+        ? hour >= startHour && hour < endHour
+        : hour >= startHour || hour < endHour;
+};
+
+/**
+ * Whether a notification of this category may be sent now
+ * @param {Object} preferences
+ * @param {string} category - NOTIFICATION_CATEGORY value (undefined = uncategorized)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const shouldDeliverNotification = (preferences, category, date = new Date()) => {
+    if (category && preferences.categories[category] === false) return false;
+    return !isInQuietHours(preferences.quietHours, date);
+};
+
+/**
+ * "22:00" style label for an hour
+ * @param {number} hour - 0-23
+ */
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
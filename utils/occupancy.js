@@ -0,0 +1,178 @@
+import { getBusId } from './busModel';
+
+/**
+ * Passenger Occupancy
+ *
+ * Per-bus passenger load built from the door counter and the
+ * on-board camera, so every bus shows its own numbers instead of
+ * the single global /count value.
+ *
+ * Sources:
+ *   sut/person-detection - camera totals { entering, exiting } since it started
+ *   bus/door/count       - door events { direction: 'in'|'out', count } or totals
+ *   GET /count           - REST resync { passengers } or { buses: [...] }
+ *
+ * Occupancy:
+ * {
+ *   busId: string,
+ *   entered: number,
+ *   exited: number,
+ *   offset: number,             // REST resync correction on top of entered - exited
+ *   onBoard: number,
+ *   capacity: number,
+ *   percent: number,            // 0-100, onBoard / capacity
+ *   lastUpdated: number,        // epoch ms (0 = never)
+ *   source: 'camera' | 'door' | 'rest' | null,
+ * }
+ */
+
+export const BUS_CAPACITY = 33;
+
+const ENTER_DIRECTIONS = ['in', 'enter', 'entering', 'entry', 'board'];
+const EXIT_DIRECTIONS = ['out', 'exit', 'exiting', 'leave', 'alight'];
+
+const toCount = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return isFinite(num) && num >= 0 ? Math.round(num) : null;
+};
+
+/**
+ * Empty occupancy for a bus
+ */
+export const createOccupancy = (busId, capacity = BUS_CAPACITY) => ({
+    busId,
+    entered: 0,
+    exited: 0,
+    offset: 0,
+    onBoard: 0,
+    capacity,
+    percent: 0,
+    lastUpdated: 0,
+    source: null,
+});
+
+// Recompute derived fields from the counters and the last resync correction
+const finalize = (occupancy) => {
+    const capacity = occupancy.capacity || BUS_CAPACITY;
+    const load = Math.max(0, occupancy.entered - occupancy.exited + (occupancy.offset || 0));
+    return {
+        ...occupancy,
+        capacity,
+        onBoard: load,
+        percent: Math.min(100, Math.round((load / capacity) * 100)),
+    };
+};
+
+/**
+ * Resolve which bus a counter payload belongs to
+ * @param {Object} data - MQTT or REST payload
+ * @returns {string|null} Bus MAC address
+ */
+export const getOccupancyBusId = (data) => {
+    if (!data) return null;
+    const id = getBusId(data) || data.device_id || data.camera_id;
+    return id ? String(id) : null;
+};
+
+/**
+ * Apply a camera detection snapshot (totals since the camera started)
+ * @param {Object} occupancy - Current occupancy
+ * @param {Object} data - { entering, exiting }
+ * @param {number} receivedAt - Epoch ms
+ * @returns {Object} Updated occupancy
+ */
+export const applyDetection = (occupancy, data, receivedAt = Date.now()) => {
+    const entered = toCount(data.entering);
+    const exited = toCount(data.exiting);
+    if (entered === null && exited === null) return occupancy;
+
+    return finalize({
+        ...occupancy,
+        entered: entered ?? occupancy.entered,
+        exited: exited ?? occupancy.exited,
+        capacity: toCount(data.capacity) || occupancy.capacity,
+        lastUpdated: receivedAt,
+        source: 'camera',
+    });
+};
+
+/**
+ * Apply a door counter message
+ * Accepts single events ({ direction, count }) as well as totals ({ entering, exiting }).
+ * @param {Object} occupancy - Current occupancy
+ * @param {Object} data - Door counter payload
+ * @param {number} receivedAt - Epoch ms
+ * @returns {Object} Updated occupancy
+ */
+export const applyDoorEvent = (occupancy, data, receivedAt = Date.now()) => {
+    const direction = String(data.direction || data.event || data.type || '').toLowerCase();
+
+    if (!direction) {
+        const updated = applyDetection(occupancy, data, receivedAt);
+        return updated === occupancy ? occupancy : { ...updated, source: 'door' };
+    }
+
+    const count = toCount(data.count) || 1;
+    let { entered, exited } = occupancy;
+    if (ENTER_DIRECTIONS.includes(direction)) {
+        entered += count;
+    } else if (EXIT_DIRECTIONS.includes(direction)) {
+        exited += count;
+    } else {
+        return occupancy;
+    }
+
+    return finalize({
+        ...occupancy,
+        entered,
+        exited,
+        capacity: toCount(data.capacity) || occupancy.capacity,
+        lastUpdated: receivedAt,
+        source: 'door',
+    });
+};
+
+/**
+ * Apply a REST /count snapshot
+ * The server's passenger count becomes an offset on the counters, so later
+ * door events and camera totals keep counting from the corrected value.
+ * @param {Object} occupancy - Current occupancy
+ * @param {Object} data - { passengers, entering?, exiting?, capacity? }
+ * @param {number} receivedAt - Epoch ms
+ * @returns {Object} Updated occupancy
+ */
+export const applyResync = (occupancy, data, receivedAt = Date.now()) => {
+    const passengers = toCount(data.passengers ?? data.on_board);
+    if (passengers === null) return occupancy;
+
+    const entered = toCount(data.entering) ?? occupancy.entered;
+    const exited = toCount(data.exiting) ?? occupancy.exited;
+    return finalize({
+        ...occupancy,
+        entered,
+        exited,
+        offset: passengers - (entered - exited),
+        capacity: toCount(data.capacity) || occupancy.capacity,
+        lastUpdated: receivedAt,
+        source: 'rest',
+    });
+};
+
+export const OCCUPANCY_COLORS = {
+    unknown: '#9ca3af',
+    low: '#10b981',
+    medium: '#f59e0b',
+    high: '#ef4444',
+};
+
+/**
+ * Crowding level used for colors and labels
+ * @returns {'unknown'|'low'|'medium'|'high'}
+ */
+export const getOccupancyLevel = (occupancy) => {
+    if (!occupancy || !occupancy.lastUpdated) return 'unknown';
+    if (occupancy.percent >= 60) return 'high';
+    if (occupancy.percent >= 30) return 'medium';
+    return 'low';
+};
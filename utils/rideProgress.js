@@ -0,0 +1,110 @@
+import { getStopEtas } from './routeEta';
+import { STOP_EVENT } from './stopEvents';
+
+/**
+ * Ride Progress
+ *
+ * Where a rider is on their trip once they have picked a destination stop
+ * while riding a bus (manually or via auto-board in MapScreen). Built on the
+ * bus's progress along its route (routeProgress), so the ride moves forward
+ * with the bus and never jumps between overlapping parts of the path.
+ *
+ * Phases:
+ *   riding      - destination further ahead
+ *   approaching - destination is the next stop and close (get ready)
+ *   arrived     - the bus reached the destination (stop event or geofence)
+ *
+ * Progress:
+ * {
+ *   phase: 'riding'|'approaching'|'arrived',
+ *   stopsRemaining: number,  // stops until the destination, counting it
+ *   distance: number,        // meters along the route
+ *   etaSeconds: number,
+ *   etaMinutes: number,
+ * }
+ */
+
+export const RIDE_PHASE = {
+    RIDING: 'riding',
+    APPROACHING: 'approaching',
+    ARRIVED: 'arrived',
+};
+
+// "Get ready" once the destination is the next stop and this close
+const APPROACHING_SECONDS = 90;
+const APPROACHING_DISTANCE_M = 400;
+// Same radius stopEvents uses for "at the stop"
+const ARRIVAL_RADIUS_M = 30;
+// Fixes in a row with the destination no longer ahead before it counts as passed
+const PASSED_AFTER_MISSED_FIXES = 3;
+
+/**
+ * Stops a rider can get off at: every stop ahead of the bus, nearest first
+ * @param {Object} route - Route the bus is driving
+ * @param {Object} position - Bus { latitude, longitude, heading? }
+ * @param {Object} options - See getStopEtas (pass the bus's routeProgress as progress)
+ * @returns {Array} ETA list (see routeEta)
+ */
+export const getDestinationChoices = (route, position, options) => {
+    if (!route) return [];
+    // The stop the bus is standing at is not a destination
+    return getStopEtas(route, position, options).filter(eta => eta.distance > ARRIVAL_RADIUS_M);
+};
+
+/**
+ * Progress towards a destination stop
+ * @param {Object} route - Route the bus is driving
+ * @param {Object} position - Bus { latitude, longitude, heading? }
+ * @param {number} destinationIndex - Waypoint index of the destination stop
+ * @param {Object} options - See getStopEtas, plus:
+ * @param {Object} options.lastStopEvent - The bus's latest stop event (bus store)
+ * @param {number} options.startedAt - When the destination was picked (older stop events are ignored)
+ * @returns {Object|null} Progress (see top of file), or null if the bus cannot be placed on the route
+ */
+export const getRideProgress = (route, position, destinationIndex, { lastStopEvent = null, startedAt = 0, ...etaOptions } = {}) => {
+    if (!route) return null;
+
+    const arrivedByEvent = !!lastStopEvent
+        && lastStopEvent.routeId === route.routeId
+        && lastStopEvent.waypointIndex === destinationIndex
+        && lastStopEvent.type === STOP_EVENT.ARRIVAL
+        && lastStopEvent.at >= startedAt;
+
+    const etas = getStopEtas(route, position, etaOptions);
+    const eta = etas.find(e => e.waypointIndex === destinationIndex);
+    if (!eta && !arrivedByEvent) return null;
+
+    const progress = eta
+        ? {
+            stopsRemaining: eta.stopsAway + 1,
+            distance: eta.distance,
+            etaSeconds: eta.etaSeconds,
+            etaMinutes: eta.etaMinutes,
+        }
+        : { stopsRemaining: 0, distance: 0, etaSeconds: 0, etaMinutes: 0 };
+
+    let phase = RIDE_PHASE.RIDING;
+    if (arrivedByEvent || progress.distance <= ARRIVAL_RADIUS_M) {
+        phase = RIDE_PHASE.ARRIVED;
+    } else if (eta.stopsAway === 0 && (eta.etaSeconds <= APPROACHING_SECONDS || eta.distance <= APPROACHING_DISTANCE_M)) {
+        phase = RIDE_PHASE.APPROACHING;
+    }
+
+    return { ...progress, phase };
+};
+
+/**
+ * Whether the bus went past the destination without ever entering its
+ * geofence (GPS gap, stop skipped): the destination was the next stop and
+ * is now a whole loop away, or it stayed gone (one-way route) for several
+ * fixes in a row. A single fix without progress is a glitch, not a pass.
+ * @param {Object|null} previous - Last progress that was not null
+ * @param {Object|null} current - Latest progress
+ * @param {number} missedFixes - Fixes in a row without progress, including this one
+ * @returns {boolean}
+ */
+export const hasPassedDestination = (previous, current, missedFixes = 0) => {
+    if (!previous || previous.stopsRemaining !== 1) return false;
+    if (current) return current.stopsRemaining > previous.stopsRemaining;
+    return missedFixes >= PASSED_AFTER_MISSED_FIXES;
+};
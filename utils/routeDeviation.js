@@ -0,0 +1,223 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getRouteGeometry, projectOntoRoute } from './routeEta';
+
+/**
+ * Route Deviation
+ *
+ * Checks that each bus actually follows the route it is assigned to (see
+ * busRouteMapping). Every new position fix is measured against the route
+ * polyline (cross-track distance); a bus only switches to "off route", or
+ * back, after several fixes in a row agree, so a single GPS jump or a
+ * U-turn in a car park does not raise an alarm. The switches are kept in
+ * a persisted log for the admin screen (detours, wrong route assignments).
+ *
+ * Deviation (per bus):
+ * {
+ *   routeId: string,
+ *   offRoute: boolean,
+ *   offset: number,          // meters from the route at the last fix
+ *   maxOffset: number,       // furthest from the route while off route
+ *   since: number,           // epoch ms the current state was confirmed
+ *   pendingSince: number|null, // first fix disagreeing with the current state
+ *   pendingFixes: number,
+ *   lastFixAt: number,
+ * }
+ *
+ * Event (log entry):
+ * {
+ *   id, type: 'off_route'|'back_on_route', busId, busName, routeId, routeName,
+ *   offset, maxOffset, latitude, longitude, timestamp,
+ *   durationMs,              // back_on_route only: how long the bus was off
+ * }
+ */
+
+const DEVIATION_LOG_STORAGE_KEY = '@sut_route_deviation_log';
+
+// Further than this from the route = off route; closer than BACK_ON = back on (hysteresis)
+const OFF_ROUTE_DISTANCE_M = 100;
+const BACK_ON_ROUTE_DISTANCE_M = 50;
+// A change needs this many fixes in a row, spanning at least this long
+const CONFIRM_FIXES = 3;
+const CONFIRM_MS = 20 * 1000;
+const MAX_LOG_ENTRIES = 200;
+
+export const DEVIATION_EVENT = {
+    OFF_ROUTE: 'off_route',
+    BACK_ON_ROUTE: 'back_on_route',
+};
+
+let log = [];
+
+const startTracking = (route, offset, timestamp) => ({
+    routeId: route.routeId,
+    offRoute: false,
+    offset,
+    maxOffset: 0,
+    since: timestamp,
+    pendingSince: null,
+    pendingFixes: 0,
+    lastFixAt: timestamp,
+});
+
+/**
+ * Advance one bus's deviation state with a new position fix
+ * @param {Object|null} deviation - Previous state (null to start tracking)
+ * @param {Object} route - Assigned route with waypoints
+ * @param {Object} position - { latitude, longitude, heading? }
+ * @param {number} timestamp - Epoch ms of the fix
+ * @returns {Object|null} { deviation, changed } - changed is true when off/on route was just confirmed
+ */
+export const advanceDeviation = (deviation, route, position, timestamp = Date.now()) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry || !position) return null;
+
+    const projection = projectOntoRoute(geometry, position);
+    const offset = projection ? projection.offset : Infinity;
+
+    if (!deviation || deviation.routeId !== route.routeId) {
+        return { deviation: startTracking(route, offset, timestamp), changed: false };
+    }
+
+    const disagrees = deviation.offRoute
+        ? offset < BACK_ON_ROUTE_DISTANCE_M
+        : offset > OFF_ROUTE_DISTANCE_M;
+    const maxOffset = deviation.offRoute ? Math.max(deviation.maxOffset, offset) : deviation.maxOffset;
+
+    if (!disagrees) {
+        return {
+            deviation: { ...deviation, offset, maxOffset, pendingSince: null, pendingFixes: 0, lastFixAt: timestamp },
+            changed: false,
+        };
+    }
+
+    const pendingSince = deviation.pendingSince ?? timestamp;
+    const pendingFixes = deviation.pendingFixes + 1;
+    if (pendingFixes >= CONFIRM_FIXES && timestamp - pendingSince >= CONFIRM_MS) {
+        const offRoute = !deviation.offRoute;
+        return {
+            deviation: {
+                ...deviation,
+                offRoute,
+                offset,
+                maxOffset: offRoute ? offset : 0,
+                // The change happened when the first disagreeing fix came in
+                since: pendingSince,
+                pendingSince: null,
+                pendingFixes: 0,
+                lastFixAt: timestamp,
+            },
+            changed: true,
+        };
+    }
+
+    return {
+        deviation: { ...deviation, offset, maxOffset, pendingSince, pendingFixes, lastFixAt: timestamp },
+        changed: false,
+    };
+};
+
+/**
+ * Update deviation state for every bus whose position changed
+ * @param {Object} deviationById - { busMac: deviation }
+ * @param {Array} buses - Normalized buses
+ * @param {Function} getRoute - (bus) => route the bus is assigned to, or null
+ * @param {Object} motionById - { busMac: motion }
+ * @returns {Object} { deviation: new map (same reference if nothing changed), events: [Event] }
+ */
+export const updateDeviationFromBuses = (deviationById, buses, getRoute, motionById = {}) => {
+    let changed = false;
+    const next = { ...deviationById };
+    const events = [];
+
+    buses.forEach(bus => {
+        const route = getRoute(bus);
+        const current = deviationById[bus.id];
+        if (!route) {
+            if (current) {
+                delete next[bus.id];
+                changed = true;
+            }
+            return;
+        }
+        if (bus.current_lat === null || bus.current_lon === null) return;
+        if (current && current.routeId === route.routeId && current.lastFixAt >= bus.last_updated) return;
+
+        const timestamp = bus.last_updated || Date.now();
+        const result = advanceDeviation(current, route, {
+            latitude: bus.current_lat,
+            longitude: bus.current_lon,
+            heading: motionById[bus.id]?.heading,
+        }, timestamp);
+        if (!result) return;
+
+        next[bus.id] = result.deviation;
+        changed = true;
+
+        if (result.changed) {
+            const { deviation } = result;
+            events.push({
+                id: `${bus.id}-${timestamp}`,
+                type: deviation.offRoute ? DEVIATION_EVENT.OFF_ROUTE : DEVIATION_EVENT.BACK_ON_ROUTE,
+                busId: bus.id,
+                busName: bus.bus_name || bus.id,
+                routeId: route.routeId,
+                routeName: route.routeName || route.routeId,
+                offset: Math.round(deviation.offset),
+                maxOffset: Math.round(deviation.offRoute ? deviation.offset : current.maxOffset),
+                latitude: bus.current_lat,
+                longitude: bus.current_lon,
+                timestamp,
+                durationMs: deviation.offRoute ? undefined : deviation.since - current.since,
+            });
+        }
+    });
+
+    return { deviation: changed ? next : deviationById, events };
+};
+
+/**
+ * Load the deviation log from storage (call once at startup)
+ */
+export const loadDeviationLog = async () => {
+    try {
+        const json = await AsyncStorage.getItem(DEVIATION_LOG_STORAGE_KEY);
+        if (json) log = JSON.parse(json);
+    } catch (error) {
+        console.error('[RouteDeviation] Error loading log:', error);
+    }
+    return log;
+};
+
+/**
+ * Logged events, newest first
+ */
+export const getDeviationLog = () => log;
+
+/**
+ * Add events to the log (newest first, capped) and persist it
+ * @param {Array} events - From updateDeviationFromBuses
+ */
+export const appendDeviationEvents = async (events) => {
+    if (!events || events.length === 0) return;
+    events.forEach(event => {
+        console.log(`[RouteDeviation] ${event.busName} ${event.type} (${event.routeName}, ${event.offset}m)`);
+    });
+    log = [...[...events].reverse(), ...log].slice(0, MAX_LOG_ENTRIES);
+    try {
+        await AsyncStorage.setItem(DEVIATION_LOG_STORAGE_KEY, JSON.stringify(log));
+    } catch (error) {
+        console.error('[RouteDeviation] Error saving log:', error);
+    }
+};
+
+/**
+ * Clear the deviation log
+ */
+export const clearDeviationLog = async () => {
+    log = [];
+    try {
+        await AsyncStorage.removeItem(DEVIATION_LOG_STORAGE_KEY);
+    } catch (error) {
+        console.error('[RouteDeviation] Error clearing log:', error);
+    }
+};
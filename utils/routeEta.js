@@ -0,0 +1,312 @@
+import { calculateDistance } from './routeHelpers';
+import { getHeadingDifference, calculateBearing } from './busMotion';
+
+/**
+ * Route ETA
+ *
+ * The one place bus ETAs are calculated. The bus is projected onto the
+ * route polyline and the remaining distance is measured along the path
+ * (not straight-line) to the target stop, wrapping around on loop routes.
+ * RoutesScreen, MapScreen and notifications all read ETAs from here so a
+ * rider sees the same number for the same bus everywhere. Learned
+ * stop-to-stop times (see travelTimes) replace the constant speed when
+ * there is history for the route and hour.
+ *
+ * Works with both route formats (local waypoints use latitude/longitude,
+ * some server payloads use lat/lon).
+ *
+ * ETA:
+ * {
+ *   stopName: string,
+ *   waypointIndex: number,  // index of the stop in route.waypoints
+ *   distance: number,       // meters along the route
+ *   etaSeconds: number,
+ *   etaMinutes: number,     // rounded, at least 1
+ *   stopsAway: number,      // stops the bus passes before the target (0 = next stop)
+ * }
+ */
+
+// Campus average including slow-downs (25 km/h)
+export const AVERAGE_BUS_SPEED_MPS = 25 * 1000 / 3600;
+
+// Routes whose first and last waypoints are this close are treated as loops
+const LOOP_CLOSE_DISTANCE_M = 50;
+// Projections within this margin of the best one are "equally close"
+// (e.g. both directions of the same road); heading breaks the tie
+const PROJECTION_TIE_MARGIN_M = 15;
+// A stop this close behind the bus still counts as the next stop (GPS jitter at the stop)
+const AT_STOP_TOLERANCE_M = 10;
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+const getLat = (wp) => wp.latitude ?? wp.lat;
+const getLon = (wp) => wp.longitude ?? wp.lon;
+
+const geometryCache = new WeakMap();
+
+/**
+ * Check whether a route runs in a loop
+ * @param {Object} route - Route with waypoints (route.isLoop overrides detection)
+ */
+export const isLoopRoute = (route) => {
+    if (typeof route?.isLoop === 'boolean') return route.isLoop;
+    const waypoints = route?.waypoints;
+    if (!waypoints || waypoints.length < 3) return false;
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+    return calculateDistance(getLat(first), getLon(first), getLat(last), getLon(last)) <= LOOP_CLOSE_DISTANCE_M;
+};
+
+/**
+ * Precompute cumulative distances and stop positions for a route
+ * Cached per waypoints array, so repeated ETA calls are cheap.
+ * @param {Object} route - Route with waypoints
+ * @returns {Object|null} { points, cumulative, totalLength, isLoop, stops }
+ *   stops: [{ stopName, waypointIndex, latitude, longitude, distanceAlong }] in route order
+ */
+export const getRouteGeometry = (route) => {
+    const waypoints = route?.waypoints;
+    if (!waypoints || waypoints.length < 2) return null;
+
+    const isLoop = isLoopRoute(route);
+    const cached = geometryCache.get(waypoints);
+    if (cached && cached.isLoop === isLoop) return cached;
+
+    const points = waypoints
+        .map((wp, index) => ({ lat: Number(getLat(wp)), lon: Number(getLon(wp)), index }))
+        .filter(p => isFinite(p.lat) && isFinite(p.lon) && p.lat !== 0 && p.lon !== 0);
+    if (points.length < 2) return null;
+
+    // Loops get a closing segment back to the start
+    if (isLoop) points.push({ ...points[0], index: points[0].index });
+
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        cumulative.push(cumulative[i - 1] + calculateDistance(prev.lat, prev.lon, points[i].lat, points[i].lon));
+    }
+
+    const distanceByIndex = {};
+    points.forEach((p, i) => {
+        if (distanceByIndex[p.index] === undefined) distanceByIndex[p.index] = cumulative[i];
+    });
+
+    const stops = waypoints
+        .map((wp, index) => ({ wp, index }))
+        .filter(({ wp, index }) => wp.isStop && distanceByIndex[index] !== undefined)
+        .map(({ wp, index }, stopNumber) => ({
+            stopName: wp.stopName || `Stop ${stopNumber + 1}`,
+            waypointIndex: index,
+            latitude: Number(getLat(wp)),
+            longitude: Number(getLon(wp)),
+            distanceAlong: distanceByIndex[index],
+        }));
+
+    const geometry = {
+        points,
+        cumulative,
+        totalLength: cumulative[cumulative.length - 1],
+        isLoop,
+        stops,
+    };
+    geometryCache.set(waypoints, geometry);
+    return geometry;
+};
+
+// Project a point onto one segment using a local flat-earth approximation (fine at campus scale)
+const projectOntoSegment = (lat, lon, a, b) => {
+    const cosLat = Math.cos(a.lat * Math.PI / 180);
+    const bx = (b.lon - a.lon) * cosLat * METERS_PER_DEGREE;
+    const by = (b.lat - a.lat) * METERS_PER_DEGREE;
+    const px = (lon - a.lon) * cosLat * METERS_PER_DEGREE;
+    const py = (lat - a.lat) * METERS_PER_DEGREE;
+
+    const lenSq = bx * bx + by * by;
+    const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lenSq));
+    const dx = px - t * bx;
+    const dy = py - t * by;
+    return { t, offset: Math.sqrt(dx * dx + dy * dy) };
+};
+
+/**
+ * Project a position onto every segment of the route polyline
+ * @param {Object} geometry - From getRouteGeometry
+ * @param {Object} position - { latitude, longitude }
+ * @returns {Array} [{ distanceAlong, offset, segmentIndex }] in route order
+ *   offset = meters between the position and the segment
+ */
+export const getRouteProjections = (geometry, position) => {
+    if (!geometry || !position) return [];
+    const lat = Number(position.latitude ?? position.lat);
+    const lon = Number(position.longitude ?? position.lon);
+    if (!isFinite(lat) || !isFinite(lon) || lat === 0 || lon === 0) return [];
+
+    const projections = [];
+    for (let i = 0; i < geometry.points.length - 1; i++) {
+        const a = geometry.points[i];
+        const b = geometry.points[i + 1];
+        const { t, offset } = projectOntoSegment(lat, lon, a, b);
+        projections.push({
+            segmentIndex: i,
+            offset,
+            distanceAlong: geometry.cumulative[i] + t * (geometry.cumulative[i + 1] - geometry.cumulative[i]),
+        });
+    }
+    return projections;
+};
+
+/**
+ * Project a position onto the route polyline (closest point, heading breaks ties)
+ * Stateless; use routeProgress to follow a bus without backward jumps.
+ * @param {Object} geometry - From getRouteGeometry
+ * @param {Object} position - { latitude, longitude, heading? }
+ * @returns {Object|null} { distanceAlong, offset, segmentIndex }
+ */
+export const projectOntoRoute = (geometry, position) => {
+    const candidates = getRouteProjections(geometry, position);
+    if (candidates.length === 0) return null;
+
+    const bestOffset = Math.min(...candidates.map(c => c.offset));
+    const close = candidates.filter(c => c.offset <= bestOffset + PROJECTION_TIE_MARGIN_M);
+
+    // Overlapping path sections: prefer the segment pointing the way the bus is heading
+    const heading = position.heading;
+    if (close.length > 1 && heading !== null && heading !== undefined) {
+        const headingScore = (c) => {
+            const a = geometry.points[c.segmentIndex];
+            const b = geometry.points[c.segmentIndex + 1];
+            return getHeadingDifference(heading, calculateBearing(a.lat, a.lon, b.lat, b.lon));
+        };
+        return close.reduce((best, c) => (headingScore(c) < headingScore(best) ? c : best));
+    }
+
+    return candidates.reduce((best, c) => (c.offset < best.offset ? c : best));
+};
+
+/**
+ * Distance along the route from one point to another (wraps on loops)
+ * @returns {number|null} Meters, or null if the target is behind on a one-way route
+ */
+export const getDistanceAlongRoute = (geometry, fromDistance, toDistance) => {
+    if (toDistance >= fromDistance - AT_STOP_TOLERANCE_M) {
+        return Math.max(0, toDistance - fromDistance);
+    }
+    return geometry.isLoop ? geometry.totalLength - fromDistance + toDistance : null;
+};
+
+/**
+ * Convert seconds to the minutes shown to riders
+ */
+export const toEtaMinutes = (etaSeconds) => Math.max(1, Math.round(etaSeconds / 60));
+
+// Segment length between two consecutive stops (wraps on loops)
+const getSegmentLength = (geometry, from, to) => getDistanceAlongRoute(geometry, from.distanceAlong, to.distanceAlong);
+
+// The stop right before `stop` in route order (null at the start of a one-way route)
+const getPreviousStop = (geometry, stop) => {
+    const i = geometry.stops.indexOf(stop);
+    if (i > 0) return geometry.stops[i - 1];
+    if (geometry.isLoop && geometry.stops.length > 1) return geometry.stops[geometry.stops.length - 1];
+    return null;
+};
+
+/**
+ * ETAs to every stop ahead of the bus, nearest first
+ * Travel time is summed stop-to-stop: learned segment and dwell times
+ * from options.profile where known (see travelTimes), otherwise distance / speedMps.
+ * @param {Object} route - Route with waypoints
+ * @param {Object} position - Bus { latitude, longitude, heading? }
+ * @param {Object} options
+ * @param {number} options.speedMps - Average speed used without history
+ * @param {Object} options.profile - { getSegmentSeconds(fromIdx, toIdx), getDwellSeconds(stopIdx) },
+ *   waypoint indices in, seconds (or null if unknown) out
+ * @param {Object} options.progress - The bus's routeProgress; used instead of a fresh
+ *   projection when it belongs to this route (no jumps on self-overlapping paths)
+ * @returns {Array} ETA list (empty if the bus cannot be placed on the route)
+ */
+export const getStopEtas = (route, position, { speedMps = AVERAGE_BUS_SPEED_MPS, profile = null, progress = null } = {}) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry) return [];
+
+    const hasProgress = progress && progress.onRoute && progress.routeId === route.routeId;
+    const busDistance = hasProgress ? progress.distanceAlong : projectOntoRoute(geometry, position)?.distanceAlong;
+    if (busDistance === undefined) return [];
+
+    const ahead = geometry.stops
+        .map(stop => ({ stop, distance: getDistanceAlongRoute(geometry, busDistance, stop.distanceAlong) }))
+        .filter(({ distance }) => distance !== null)
+        .sort((a, b) => a.distance - b.distance);
+
+    const segmentSeconds = (from, to, length) => {
+        const learned = profile ? profile.getSegmentSeconds(from.waypointIndex, to.waypointIndex) : null;
+        return learned !== null ? learned : length / speedMps;
+    };
+
+    let etaSeconds = 0;
+    return ahead.map(({ stop, distance }, stopsAway) => {
+        if (stopsAway === 0) {
+            // Partial segment: the share of the previous stop -> this stop segment still ahead
+            const previous = getPreviousStop(geometry, stop);
+            const length = previous && previous !== stop ? getSegmentLength(geometry, previous, stop) : null;
+            etaSeconds = length > 0
+                ? segmentSeconds(previous, stop, length) * Math.min(1, distance / length)
+                : distance / speedMps;
+        } else {
+            const previous = ahead[stopsAway - 1].stop;
+            const dwell = profile ? profile.getDwellSeconds(previous.waypointIndex) : null;
+            etaSeconds += (dwell || 0) + segmentSeconds(previous, stop, distance - ahead[stopsAway - 1].distance);
+        }
+
+        return {
+            stopName: stop.stopName,
+            waypointIndex: stop.waypointIndex,
+            distance: Math.round(distance),
+            etaSeconds,
+            etaMinutes: toEtaMinutes(etaSeconds),
+            stopsAway,
+        };
+    });
+};
+
+/**
+ * ETA to the next stop ahead of the bus
+ * @returns {Object|null} ETA
+ */
+export const getNextStopEta = (route, position, options) => getStopEtas(route, position, options)[0] || null;
+
+/**
+ * ETA to a specific stop
+ * A stop that appears more than once on the route resolves to the nearest occurrence ahead.
+ * @param {Object} route - Route with waypoints
+ * @param {Object} position - Bus { latitude, longitude, heading? }
+ * @param {string|number} target - Stop name, or waypoint index
+ * @param {Object} options - See getStopEtas
+ * @returns {Object|null} ETA, or null if the stop is not ahead / not on the route
+ */
+export const getEtaToStop = (route, position, target, options) => {
+    const matches = typeof target === 'number'
+        ? (eta) => eta.waypointIndex === target
+        : (eta) => eta.stopName === target;
+    return getStopEtas(route, position, options).find(matches) || null;
+};
+
+/**
+ * Ride time between two stops of the same route (for trip planning)
+ * Measured as if a bus were standing at the first stop, so learned segment
+ * and dwell times apply exactly like they do for live buses.
+ * @param {Object} route - Route with waypoints
+ * @param {number} fromIndex - Waypoint index of the boarding stop
+ * @param {number} toIndex - Waypoint index of the alighting stop
+ * @param {Object} options - See getStopEtas (progress is ignored)
+ * @returns {Object|null} ETA (stopsAway = stops ridden, counting the alighting stop),
+ *   or null if the second stop does not come after the first
+ */
+export const getStopToStopEta = (route, fromIndex, toIndex, options = {}) => {
+    const geometry = getRouteGeometry(route);
+    const from = geometry ? geometry.stops.find(s => s.waypointIndex === fromIndex) : null;
+    if (!from || fromIndex === toIndex) return null;
+
+    const atStop = { routeId: route.routeId, onRoute: true, distanceAlong: from.distanceAlong };
+    return getStopEtas(route, from, { ...options, progress: atStop })
+        .find(eta => eta.waypointIndex === toIndex && eta.stopsAway > 0) || null;
+};
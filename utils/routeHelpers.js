@@ -1,7 +1,7 @@
 /**
  * Route Helpers
  * 
- * Utilities for working with routes and finding next stops
+ * Utilities for working with routes (ETAs live in routeEta)
  */
 
 /**
@@ -46,53 +46,6 @@ export const findClosestWaypointIndex = (lat, lon, waypoints) => {
     return closestIndex;
 };
 
-/**
- * Find the next stop along a route from current position
- * Returns { stopName, stopIndex, distance, eta }
- */
-export const findNextStop = (busLat, busLon, waypoints, averageSpeedMps = 8.33) => {
-    if (!waypoints || waypoints.length === 0 || !busLat || !busLon) {
-        return null;
-    }
-
-    // Find current position on route
-    const currentIndex = findClosestWaypointIndex(busLat, busLon, waypoints);
-
-    // Find next stop after current position
-    for (let i = currentIndex; i < waypoints.length; i++) {
-        const wp = waypoints[i];
-        if (wp.isStop) {
-            const wpLat = wp.latitude || wp.lat;
-            const wpLon = wp.longitude || wp.lon;
-            const distance = calculateDistance(busLat, busLon, wpLat, wpLon);
-            const etaSeconds = distance / averageSpeedMps;
-            const etaMinutes = Math.max(1, Math.round(etaSeconds / 60));
-
-            return {
-                stopName: wp.stopName || `Stop ${i + 1}`,
-                stopIndex: i,
-                distance: Math.round(distance),
-                etaMinutes,
-            };
-        }
-    }
-
-    // If no stop found ahead, wrap around to first stop
-    for (let i = 0; i < currentIndex; i++) {
-        const wp = waypoints[i];
-        if (wp.isStop) {
-            return {
-                stopName: wp.stopName || `Stop ${i + 1}`,
-                stopIndex: i,
-                distance: null, // Unknown, wrapping route
-                etaMinutes: null,
-            };
-        }
-    }
-
-    return null;
-};
-
 /**
  * Get all stops from a route's waypoints
  */
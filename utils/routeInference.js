@@ -0,0 +1,153 @@
+import { getRouteGeometry, projectOntoRoute, getDistanceAlongRoute } from './routeEta';
+import { calculateBearing } from './busMotion';
+import { calculateDistance } from './routeHelpers';
+
+/**
+ * Route Inference
+ *
+ * Guesses which route a bus without a mapping (see busRouteMapping) is
+ * driving, by matching its recent GPS trace (busMotion track) against
+ * every stored route polyline. A route matches when most of the trace
+ * lies on it and the bus moves along it in the route's direction. The
+ * result is only a suggestion: admins confirm it in BusRouteAdminScreen,
+ * and screens may show it in the meantime, always labelled "inferred".
+ *
+ * Inference (per bus):
+ * {
+ *   routeId: string,
+ *   routeName: string,
+ *   score: number,            // 0-1, share of the trace on the route in its direction
+ *   runnerUpId: string|null,  // next best route
+ *   ambiguous: boolean,       // runner-up scores almost as well (shared roads)
+ *   provisional: boolean,     // confident enough to display before an admin confirms
+ *   trackAt: number,          // timestamp of the newest fix used
+ * }
+ */
+
+// A trace point this close to the route counts as on it
+const MATCH_DISTANCE_M = 40;
+// Too little movement matches every route that passes the depot
+const MIN_TRACE_POINTS = 5;
+const MIN_TRACE_DISTANCE_M = 300;
+// Below this score no route is suggested
+const MIN_SCORE = 0.6;
+// Shown provisionally only when clearly better than the alternatives
+const PROVISIONAL_SCORE = 0.8;
+const AMBIGUOUS_MARGIN = 0.1;
+
+const traceLength = (track) => track.reduce((total, point, i) => (
+    i === 0 ? 0 : total + calculateDistance(track[i - 1].lat, track[i - 1].lon, point.lat, point.lon)
+), 0);
+
+const hasEnoughTrace = (track) => !!track && track.length >= MIN_TRACE_POINTS && traceLength(track) >= MIN_TRACE_DISTANCE_M;
+
+/**
+ * How well a trace follows one route
+ * @param {Object} route - Route with waypoints
+ * @param {Array} track - [{ lat, lon, timestamp }] oldest first
+ * @returns {number} 0-1
+ */
+export const scoreTraceAgainstRoute = (route, track) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry || track.length < 2) return 0;
+
+    const placed = track.map((point, i) => {
+        const next = track[i + 1] || null;
+        const previous = track[i - 1] || null;
+        // Direction of travel picks the right side where the route uses a road twice
+        const heading = next
+            ? calculateBearing(point.lat, point.lon, next.lat, next.lon)
+            : calculateBearing(previous.lat, previous.lon, point.lat, point.lon);
+        const projection = projectOntoRoute(geometry, { latitude: point.lat, longitude: point.lon, heading });
+        return projection && projection.offset <= MATCH_DISTANCE_M ? projection : null;
+    });
+
+    const matched = placed.filter(Boolean).length;
+    let steps = 0;
+    let forward = 0;
+    for (let i = 1; i < placed.length; i++) {
+        if (!placed[i - 1] || !placed[i]) continue;
+        steps++;
+        const along = getDistanceAlongRoute(geometry, placed[i - 1].distanceAlong, placed[i].distanceAlong);
+        // Wrapping most of a loop between two fixes really means going backwards
+        if (along !== null && along < geometry.totalLength / 2) forward++;
+    }
+
+    const matchedShare = matched / track.length;
+    const forwardShare = steps > 0 ? forward / steps : 0;
+    return matchedShare * forwardShare;
+};
+
+/**
+ * Most likely route for a trace
+ * @param {Array} track - [{ lat, lon, timestamp }] oldest first (busMotion track)
+ * @param {Array} routes - Local routes
+ * @returns {Object|null} Inference (see top of file), or null if nothing matches well enough
+ */
+export const inferRouteFromTrace = (track, routes) => {
+    if (!hasEnoughTrace(track)) return null;
+
+    const ranked = routes
+        .map(route => ({ route, score: scoreTraceAgainstRoute(route, track) }))
+        .sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = ranked;
+    if (!best || best.score < MIN_SCORE) return null;
+
+    const ambiguous = !!runnerUp && best.score - runnerUp.score < AMBIGUOUS_MARGIN;
+    return {
+        routeId: best.route.routeId,
+        routeName: best.route.routeName || best.route.routeId,
+        score: best.score,
+        runnerUpId: runnerUp && runnerUp.score >= MIN_SCORE ? runnerUp.route.routeId : null,
+        ambiguous,
+        provisional: !ambiguous && best.score >= PROVISIONAL_SCORE,
+        trackAt: track[track.length - 1].timestamp,
+    };
+};
+
+/**
+ * Update inferences for buses that have no route assigned
+ * Buses that get a mapping are dropped.
+ * @param {Object} inferenceById - { busMac: inference }
+ * @param {Array} buses - Normalized buses
+ * @param {Array} routes - Local routes
+ * @param {Object} mappings - { busMac: routeId }
+ * @param {Object} motionById - { busMac: motion } (tracks)
+ * @returns {Object} New map (same reference if nothing changed)
+ */
+export const updateInferencesFromBuses = (inferenceById, buses, routes, mappings, motionById) => {
+    let changed = false;
+    const next = { ...inferenceById };
+
+    buses.forEach(bus => {
+        const current = inferenceById[bus.id];
+        if (mappings[bus.id] || bus.route_id) {
+            if (current) {
+                delete next[bus.id];
+                changed = true;
+            }
+            return;
+        }
+
+        const track = motionById[bus.id]?.track || [];
+        const trackAt = track.length > 0 ? track[track.length - 1].timestamp : 0;
+        if (current && current.trackAt >= trackAt) return;
+        // A parked bus keeps its last inference
+        if (!hasEnoughTrace(track)) return;
+
+        const inference = inferRouteFromTrace(track, routes);
+        if (inference) {
+            if (!current || current.routeId !== inference.routeId) {
+                console.log(`[RouteInference] ${bus.bus_name || bus.id} looks like ${inference.routeName} (${Math.round(inference.score * 100)}%)`);
+            }
+            next[bus.id] = inference;
+            changed = true;
+        } else if (current) {
+            // The trace no longer matches anything (e.g. the bus left for the depot)
+            delete next[bus.id];
+            changed = true;
+        }
+    });
+
+    return changed ? next : inferenceById;
+};
@@ -0,0 +1,167 @@
+import { getRouteGeometry, getRouteProjections, projectOntoRoute } from './routeEta';
+
+/**
+ * Route Progress
+ *
+ * Tracks how far a bus has travelled along its route as a cumulative
+ * distance that only moves forward. Picking the globally closest point
+ * on the route makes the bus jump backwards wherever the path uses the
+ * same road twice (e.g. red_routes.json); here each new fix is matched to
+ * the nearest point *ahead* of the last known progress instead.
+ * At the terminus (or after a full loop) the lap counter increases and
+ * progress restarts from the beginning of the route.
+ *
+ * Progress:
+ * {
+ *   routeId: string,
+ *   distanceAlong: number,   // meters from the route start (current lap)
+ *   lap: number,
+ *   offset: number,          // meters between the bus and the route
+ *   onRoute: boolean,
+ *   lastUpdated: number,     // epoch ms of the last accepted fix
+ *   lastFixAt: number,       // epoch ms of the last fix seen (accepted or not)
+ *   misses: number,          // consecutive fixes that could not be placed
+ * }
+ */
+
+// Fixes further than this from the route do not move progress
+const MAX_ROUTE_OFFSET_M = 60;
+// GPS noise: small backward moves are accepted (progress stays put)
+const BACKWARD_TOLERANCE_M = 15;
+// Upper bound for plausible forward movement between fixes
+const MAX_SPEED_MPS = 20;
+const MIN_ADVANCE_WINDOW_M = 150;
+// This close to the end of a one-way route counts as "at the terminus"
+const TERMINUS_RADIUS_M = 60;
+// After this many unplaceable fixes (or this long without one) progress re-locks from scratch
+const MAX_MISSES = 5;
+const RELOCK_AFTER_MS = 2 * 60 * 1000;
+
+const lockProgress = (route, geometry, position, timestamp, lap = 0) => {
+    const projection = projectOntoRoute(geometry, position);
+    const onRoute = !!projection && projection.offset <= MAX_ROUTE_OFFSET_M;
+    return {
+        routeId: route.routeId,
+        distanceAlong: onRoute ? projection.distanceAlong : 0,
+        lap,
+        offset: projection ? projection.offset : Infinity,
+        onRoute,
+        lastUpdated: onRoute ? timestamp : 0,
+        lastFixAt: timestamp,
+        misses: onRoute ? 0 : 1,
+    };
+};
+
+/**
+ * Advance a bus's progress with a new position fix
+ * @param {Object|null} progress - Previous progress (null to start tracking)
+ * @param {Object} route - Route with waypoints
+ * @param {Object} position - { latitude, longitude, heading? }
+ * @param {number} timestamp - Epoch ms of the fix
+ * @returns {Object|null} New progress, or null if the route has no path
+ */
+export const advanceRouteProgress = (progress, route, position, timestamp = Date.now()) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry || !position) return null;
+
+    const isNewTrack = !progress || progress.routeId !== route.routeId || !progress.lastUpdated;
+    const isStale = progress && progress.lastUpdated && (timestamp - progress.lastUpdated) > RELOCK_AFTER_MS;
+    if (isNewTrack || isStale || progress.misses >= MAX_MISSES) {
+        return lockProgress(route, geometry, position, timestamp, progress && !isNewTrack ? progress.lap : 0);
+    }
+
+    const elapsedSec = Math.max(0, (timestamp - progress.lastUpdated) / 1000);
+    const maxAdvance = Math.max(MIN_ADVANCE_WINDOW_M, elapsedSec * MAX_SPEED_MPS);
+    const { totalLength, isLoop } = geometry;
+
+    // Forward distance from the current progress to each candidate (wrapping on loops)
+    let best = null;
+    getRouteProjections(geometry, position).forEach(candidate => {
+        if (candidate.offset > MAX_ROUTE_OFFSET_M) return;
+        let advance = candidate.distanceAlong - progress.distanceAlong;
+        let lapped = false;
+
+        if (isLoop && advance < -BACKWARD_TOLERANCE_M) {
+            advance += totalLength;
+            lapped = true;
+        } else if (!isLoop && advance < -BACKWARD_TOLERANCE_M
+            && progress.distanceAlong >= totalLength - TERMINUS_RADIUS_M) {
+            // One-way route: finished at the terminus, starting over from the first waypoint
+            advance = candidate.distanceAlong;
+            lapped = true;
+        }
+
+        if (advance < -BACKWARD_TOLERANCE_M || advance > maxAdvance) return;
+        if (!best || Math.abs(advance) < Math.abs(best.advance)) {
+            best = { ...candidate, advance, lapped };
+        }
+    });
+
+    if (!best) {
+        return { ...progress, onRoute: false, lastFixAt: timestamp, misses: progress.misses + 1 };
+    }
+
+    // Small backward jitter: stay where we are
+    const distanceAlong = best.advance < 0 ? progress.distanceAlong : best.distanceAlong;
+    return {
+        ...progress,
+        distanceAlong,
+        lap: best.lapped ? progress.lap + 1 : progress.lap,
+        offset: best.offset,
+        onRoute: true,
+        lastUpdated: timestamp,
+        lastFixAt: timestamp,
+        misses: 0,
+    };
+};
+
+/**
+ * Number of named stops the bus has reached on the current lap
+ * (same meaning as MapScreen's stop index: 0 = before the first stop)
+ */
+export const getStopsPassed = (route, progress) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry || !progress || progress.routeId !== route.routeId) return 0;
+    return geometry.stops.filter(stop =>
+        route.waypoints[stop.waypointIndex]?.stopName && stop.distanceAlong <= progress.distanceAlong
+    ).length;
+};
+
+/**
+ * Update progress for every bus whose position changed
+ * @param {Object} progressById - { busMac: progress }
+ * @param {Array} buses - Normalized buses
+ * @param {Function} getRoute - (bus) => route the bus is on, or null
+ * @param {Object} motionById - { busMac: motion } (heading helps the first lock)
+ * @returns {Object} New map (same reference if nothing changed)
+ */
+export const updateProgressFromBuses = (progressById, buses, getRoute, motionById = {}) => {
+    let changed = false;
+    const next = { ...progressById };
+
+    buses.forEach(bus => {
+        const route = getRoute(bus);
+        const current = progressById[bus.id];
+        if (!route) {
+            if (current) {
+                delete next[bus.id];
+                changed = true;
+            }
+            return;
+        }
+        if (bus.current_lat === null || bus.current_lon === null) return;
+        if (current && current.routeId === route.routeId && current.lastFixAt >= bus.last_updated) return;
+
+        const updated = advanceRouteProgress(current, route, {
+            latitude: bus.current_lat,
+            longitude: bus.current_lon,
+            heading: motionById[bus.id]?.heading,
+        }, bus.last_updated || Date.now());
+        if (updated && updated !== current) {
+            next[bus.id] = updated;
+            changed = true;
+        }
+    });
+
+    return changed ? next : progressById;
+};
@@ -0,0 +1,204 @@
+/**
+ * Route Schedule
+ *
+ * When a route runs. Stored on the route as `schedule` (optional; routes
+ * without one are treated as "unknown", not "never"), synced to the
+ * server with the rest of the route, and used to show "next scheduled
+ * departure" / "not in service" when no live bus is reporting.
+ *
+ * Schedule:
+ * {
+ *   periods: [{
+ *     days: [number],            // 0 = Sunday ... 6 = Saturday (Date.getDay)
+ *     start: 'HH:MM',            // service window, local time
+ *     end: 'HH:MM',              // exclusive; '24:00' = midnight
+ *     headwayMinutes: number|null, // a departure every N minutes from start...
+ *     departures: ['HH:MM'],     // ...or fixed departure times (used when no headway)
+ *   }],
+ *   noServiceDates: ['YYYY-MM-DD'], // holidays etc.
+ * }
+ * Departures are from the first stop of the route.
+ */
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+// How far ahead getNextDeparture looks
+const LOOKAHEAD_DAYS = 7;
+
+/**
+ * Parse 'H:MM' / 'HH:MM' into minutes after midnight
+ * @returns {number|null} null if invalid ('24:00' is allowed)
+ */
+export const parseTimeOfDay = (text) => {
+    const match = /^(\d{1,2})[:.](\d{2})$/.exec(String(text || '').trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    if (Number(match[2]) > 59 || minutes > MINUTES_PER_DAY) return null;
+    return minutes;
+};
+
+/**
+ * Minutes after midnight -> 'HH:MM'
+ */
+export const formatTimeOfDay = (minutes) => {
+    const h = Math.floor(minutes / 60);
+    const m = Math.round(minutes % 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+// Local calendar date as 'YYYY-MM-DD'
+const toDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const atMinutes = (day, minutes) => {
+    const date = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    date.setMinutes(minutes);
+    return date;
+};
+
+/**
+ * Validate and clean up a schedule (e.g. from the route editor)
+ * Times may be given as text, departures as an array or a comma-separated string.
+ * @param {Object|null} schedule
+ * @returns {Object} { schedule, errors } - schedule is null when there are no periods
+ */
+export const normalizeSchedule = (schedule) => {
+    const errors = [];
+    const periods = (schedule?.periods || []).map((period, i) => {
+        const label = `Period ${i + 1}`;
+        const days = [...new Set((period.days || []).map(Number))]
+            .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+            .sort((a, b) => a - b);
+        const start = parseTimeOfDay(period.start);
+        const end = parseTimeOfDay(period.end);
+        const headway = period.headwayMinutes === null || period.headwayMinutes === undefined || period.headwayMinutes === ''
+            ? null
+            : Number(period.headwayMinutes);
+        const rawDepartures = Array.isArray(period.departures)
+            ? period.departures
+            : String(period.departures || '').split(/[,\s]+/).filter(Boolean);
+        const departures = rawDepartures.map(parseTimeOfDay);
+
+        if (days.length === 0) errors.push(`${label}: choose at least one day`);
+        if (start === null || end === null) errors.push(`${label}: times must look like 07:30`);
+        else if (end <= start) errors.push(`${label}: end must be after start`);
+        if (headway !== null && (!isFinite(headway) || headway < 1)) errors.push(`${label}: headway must be at least 1 minute`);
+        if (departures.some(d => d === null)) errors.push(`${label}: departure times must look like 07:30`);
+        if (headway === null && departures.length === 0) errors.push(`${label}: set a headway or departure times`);
+
+        return {
+            days,
+            start: start !== null ? formatTimeOfDay(start) : period.start,
+            end: end !== null ? formatTimeOfDay(end) : period.end,
+            headwayMinutes: headway,
+            departures: headway === null
+                ? departures.filter(d => d !== null).sort((a, b) => a - b).map(formatTimeOfDay)
+                : [],
+        };
+    });
+
+    const noServiceDates = (schedule?.noServiceDates || [])
+        .map(d => String(d).trim())
+        .filter(Boolean);
+    if (noServiceDates.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+        errors.push('No-service dates must look like 2025-12-31');
+    }
+
+    return {
+        schedule: periods.length > 0 ? { periods, noServiceDates } : null,
+        errors,
+    };
+};
+
+// Periods that apply on a calendar day
+const getPeriodsOn = (schedule, day) => {
+    if (!schedule?.periods || (schedule.noServiceDates || []).includes(toDateKey(day))) return [];
+    return schedule.periods.filter(p => (p.days || []).includes(day.getDay()));
+};
+
+// Departure times (minutes after midnight) of one period
+const getPeriodDepartures = (period) => {
+    const start = parseTimeOfDay(period.start);
+    const end = parseTimeOfDay(period.end);
+    if (start === null || end === null) return [];
+
+    if (period.headwayMinutes >= 1) {
+        const departures = [];
+        for (let t = start; t < end; t += period.headwayMinutes) departures.push(t);
+        return departures;
+    }
+    return (period.departures || []).map(parseTimeOfDay).filter(t => t !== null && t >= start && t < end);
+};
+
+/**
+ * The service period running at a given time, if any
+ * @returns {Object|null} { period, endsAt: Date }
+ */
+const getActivePeriod = (schedule, date) => {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const period = getPeriodsOn(schedule, date).find(p => {
+        const start = parseTimeOfDay(p.start);
+        const end = parseTimeOfDay(p.end);
+        return start !== null && end !== null && minutes >= start && minutes < end;
+    });
+    return period ? { period, endsAt: atMinutes(date, parseTimeOfDay(period.end)) } : null;
+};
+
+/**
+ * Next scheduled departure after a given time
+ * @param {Object} schedule - Route schedule
+ * @param {Date} date - From when (default now)
+ * @returns {Date|null} null if nothing within the next week
+ */
+export const getNextDeparture = (schedule, date = new Date()) => {
+    if (!schedule) return null;
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        const after = offset === 0 ? date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60 : -1;
+        const next = getPeriodsOn(schedule, day)
+            .flatMap(getPeriodDepartures)
+            .filter(t => t >= after)
+            .sort((a, b) => a - b)[0];
+        if (next !== undefined) return atMinutes(day, next);
+    }
+    return null;
+};
+
+/**
+ * Service status of a route at a given time
+ * @param {Object} route - Route (may carry a schedule)
+ * @param {Date} date - When (default now)
+ * @returns {Object|null} { inService, serviceEndsAt, nextDeparture } or null without a schedule
+ */
+export const getServiceStatus = (route, date = new Date()) => {
+    const schedule = route?.schedule;
+    if (!schedule?.periods?.length) return null;
+
+    const active = getActivePeriod(schedule, date);
+    return {
+        inService: !!active,
+        serviceEndsAt: active ? active.endsAt : null,
+        nextDeparture: getNextDeparture(schedule, date),
+    };
+};
+
+/**
+ * Scheduled headway at a given time
+ * @param {Object} schedule - Route schedule
+ * @param {Date} date - When (default now)
+ * @returns {number|null} Minutes between departures, or null outside a headway-based period
+ */
+export const getScheduledHeadway = (schedule, date = new Date()) => {
+    const active = getActivePeriod(schedule, date);
+    return active && active.period.headwayMinutes >= 1 ? active.period.headwayMinutes : null;
+};
+
+/**
+ * Short text for a departure time: '14:30' today, 'Mon 07:00' on another day
+ */
+export const formatDeparture = (departure, now = new Date()) => {
+    const time = formatTimeOfDay(departure.getHours() * 60 + departure.getMinutes());
+    return toDateKey(departure) === toDateKey(now) ? time : `${DAY_LABELS[departure.getDay()]} ${time}`;
+};
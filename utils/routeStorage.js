@@ -1,6 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
 import { API_BASE, getApiUrl, getApiHeaders } from '../config/api';
+import { normalizeSchedule } from './routeSchedule';
 
 const ROUTES_STORAGE_KEY = '@sut_bus_routes';
 
@@ -9,6 +10,22 @@ const ROUTES_STORAGE_KEY = '@sut_bus_routes';
  * Manages saving, loading, and manipulating bus routes in AsyncStorage
  */
 
+const listeners = new Set();
+
+/**
+ * Get notified whenever a route is saved or deleted (editor, import, server download)
+ * @param {Function} listener - () => void
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeRouteChanges = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const notifyRouteChange = () => {
+    listeners.forEach(listener => listener());
+};
+
 // Generate unique route ID
 export const generateRouteId = () => {
     return `route_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -19,9 +36,10 @@ export const generateRouteId = () => {
  * @param {string} routeId - Unique route identifier
  * @param {string} routeName - Human-readable route name
  * @param {Array} waypoints - Array of {latitude, longitude} objects
+ * @param {Object} schedule - Service periods (see routeSchedule); undefined keeps the existing one, null clears it
  * @returns {Promise<boolean>} Success status
  */
-export const saveRoute = async (routeId, routeName, waypoints, busId = null, routeColor = '#2563eb') => {
+export const saveRoute = async (routeId, routeName, waypoints, busId = null, routeColor = '#2563eb', schedule = undefined) => {
     try {
         const route = {
             routeId,
@@ -29,6 +47,7 @@ export const saveRoute = async (routeId, routeName, waypoints, busId = null, rou
             waypoints,
             busId,
             routeColor,
+            schedule: schedule || null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
         };
@@ -47,6 +66,7 @@ export const saveRoute = async (routeId, routeName, waypoints, busId = null, rou
                 waypoints,
                 busId: busId !== null ? busId : existingRoutes[routeIndex].busId,
                 routeColor: routeColor || existingRoutes[routeIndex].routeColor || '#2563eb',
+                schedule: schedule !== undefined ? schedule : (existingRoutes[routeIndex].schedule || null),
                 updatedAt: new Date().toISOString(),
             };
         } else {
@@ -56,6 +76,7 @@ export const saveRoute = async (routeId, routeName, waypoints, busId = null, rou
 
         // Save back to storage
         await AsyncStorage.setItem(ROUTES_STORAGE_KEY, JSON.stringify(existingRoutes));
+        notifyRouteChange();
         return true;
     } catch (error) {
         console.error('Error saving route:', error);
@@ -103,6 +124,7 @@ export const deleteRoute = async (routeId) => {
         const routes = await getAllRoutes();
         const filteredRoutes = routes.filter(r => r.routeId !== routeId);
         await AsyncStorage.setItem(ROUTES_STORAGE_KEY, JSON.stringify(filteredRoutes));
+        notifyRouteChange();
         return true;
     } catch (error) {
         console.error('Error deleting route:', error);
@@ -153,7 +175,8 @@ export const importRouteFromJSON = async (jsonString) => {
         const newRouteId = generateRouteId();
 
         // Save the imported route
-        await saveRoute(newRouteId, route.routeName, route.waypoints);
+        const { schedule, errors } = normalizeSchedule(route.schedule);
+        await saveRoute(newRouteId, route.routeName, route.waypoints, null, route.routeColor, errors.length === 0 ? schedule : null);
 
         return { routeId: newRouteId, routeName: route.routeName };
     } catch (error) {
@@ -296,13 +319,25 @@ export const downloadRoutesFromServer = async () => {
             // Fetch full route data
             const fullRoute = await fetchRouteFromServer(summary.routeId);
             if (fullRoute) {
+                // undefined (older servers) keeps the local schedule; an invalid one is not stored
+                let schedule;
+                if (fullRoute.schedule !== undefined) {
+                    const normalized = normalizeSchedule(fullRoute.schedule);
+                    if (normalized.errors.length === 0) {
+                        schedule = normalized.schedule;
+                    } else {
+                        console.log(`[RouteSync] Ignoring invalid schedule for ${fullRoute.routeId}:`, normalized.errors.join('; '));
+                    }
+                }
+
                 // Save to local storage
                 await saveRoute(
                     fullRoute.routeId,
                     fullRoute.routeName,
                     fullRoute.waypoints,
                     fullRoute.busId,
-                    fullRoute.routeColor
+                    fullRoute.routeColor,
+                    schedule
                 );
                 downloaded++;
             }
@@ -0,0 +1,197 @@
+import { calculateDistance } from './routeHelpers';
+import { getRouteGeometry } from './routeEta';
+
+/**
+ * Stop Directory
+ *
+ * Every named stop across the stored routes, searchable by name. Stops
+ * only exist as isStop waypoints inside each route, so the same shelter
+ * served by three routes appears three times (often with slightly
+ * different names, e.g. "Main Gate (Red)" / "Main Gate (Blue)"); here
+ * stops within a few meters of each other are merged into one entry.
+ *
+ * Search is forgiving for both scripts: case, spaces, punctuation, Thai
+ * tone marks and Thai digits are ignored, and small typos still match.
+ *
+ * Entry:
+ * {
+ *   id: string,
+ *   name: string,            // shortest of the names below
+ *   names: [string],         // every name the stop has on some route
+ *   latitude, longitude,
+ *   routes: [{ routeId, routeName, routeColor, waypointIndex, stopName }],
+ * }
+ */
+
+// Stops of different routes this close together are the same physical stop
+export const SAME_STOP_RADIUS_M = 25;
+// Subsequence matching needs a few characters to mean anything
+const MIN_FUZZY_QUERY_LENGTH = 3;
+
+// Thai tone marks, mai taikhu and thanthakhat are often left out when typing
+const THAI_OPTIONAL_MARKS = /[\u0E47-\u0E4C]/g;
+const THAI_DIGIT_ZERO = 0x0E50;
+
+/**
+ * Normalize text for matching: lowercase, Thai digits -> 0-9,
+ * no tone marks, only letters and digits
+ */
+export const normalizeSearchText = (text) => String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\u0E50-\u0E59]/g, d => String(d.charCodeAt(0) - THAI_DIGIT_ZERO))
+    .replace(THAI_OPTIONAL_MARKS, '')
+    .replace(/[^a-z0-9\u0E00-\u0E7F]/g, '');
+
+const tokenize = (text) => String(text || '')
+    .split(/[\s,./()\-_]+/)
+    .map(normalizeSearchText)
+    .filter(Boolean);
+
+const isSubsequence = (query, text) => {
+    let i = 0;
+    for (let j = 0; j < text.length && i < query.length; j++) {
+        if (text[j] === query[i]) i++;
+    }
+    return i === query.length;
+};
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Best edit distance between the query and any same-length slice of the text
+const typoDistance = (query, text, max) => {
+    if (text.length <= query.length) return editDistance(query, text, max);
+    let best = max + 1;
+    for (let start = 0; start + query.length <= text.length && best > 0; start++) {
+        best = Math.min(best, editDistance(query, text.slice(start, start + query.length), max));
+    }
+    return best;
+};
+
+/**
+ * How well a query matches a text (0 = no match, 1 = exact)
+ * @param {string} query - What the user typed
+ * @param {string} text - Stop or route name
+ */
+export const scoreSearchMatch = (query, text) => {
+    const q = normalizeSearchText(query);
+    const n = normalizeSearchText(text);
+    if (!q || !n) return 0;
+
+    if (n === q) return 1;
+    if (n.startsWith(q)) return 0.9;
+    if (n.includes(q)) return 0.8;
+
+    const tokens = tokenize(query);
+    if (tokens.length > 1 && tokens.every(token => n.includes(token))) return 0.7;
+
+    if (q.length >= MIN_FUZZY_QUERY_LENGTH && isSubsequence(q, n)) return 0.5;
+
+    const maxTypos = q.length >= 8 ? 2 : (q.length >= 4 ? 1 : 0);
+    if (maxTypos > 0 && typoDistance(q, n, maxTypos) <= maxTypos) return 0.4;
+
+    return 0;
+};
+
+/**
+ * Build the directory from routes (local routeStorage format)
+ * @param {Array} routes - Routes with waypoints
+ * @returns {Array} Entries sorted by name
+ */
+export const buildStopDirectory = (routes) => {
+    const entries = [];
+
+    routes.forEach(route => {
+        const geometry = getRouteGeometry(route);
+        if (!geometry) return;
+
+        geometry.stops.forEach(stop => {
+            if (!route.waypoints[stop.waypointIndex]?.stopName) return;
+
+            const servedBy = {
+                routeId: route.routeId,
+                routeName: route.routeName,
+                routeColor: route.routeColor || '#2563eb',
+                waypointIndex: stop.waypointIndex,
+                stopName: stop.stopName,
+            };
+
+            const entry = entries.find(e =>
+                calculateDistance(e.latitude, e.longitude, stop.latitude, stop.longitude) <= SAME_STOP_RADIUS_M
+            );
+            if (!entry) {
+                entries.push({
+                    id: `${route.routeId}:${stop.waypointIndex}`,
+                    name: stop.stopName,
+                    names: [stop.stopName],
+                    latitude: stop.latitude,
+                    longitude: stop.longitude,
+                    routes: [servedBy],
+                });
+                return;
+            }
+
+            if (!entry.names.includes(stop.stopName)) {
+                entry.names.push(stop.stopName);
+                if (stop.stopName.length < entry.name.length) entry.name = stop.stopName;
+            }
+            // A route passing the same stop twice is listed once
+            if (!entry.routes.some(r => r.routeId === route.routeId)) entry.routes.push(servedBy);
+        });
+    });
+
+    return entries.sort((a, b) => a.name.localeCompare(b.name, 'th'));
+};
+
+/**
+ * Directory entry nearest to a point (e.g. a long-press on the map)
+ * @param {Array} directory - From buildStopDirectory
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} maxDistance - Meters
+ * @returns {Object|null} Entry within maxDistance, or null
+ */
+export const findNearestStop = (directory, point, maxDistance) => {
+    let best = null;
+    directory.forEach(entry => {
+        const distance = calculateDistance(point.latitude, point.longitude, entry.latitude, entry.longitude);
+        if (distance <= maxDistance && (!best || distance < best.distance)) best = { entry, distance };
+    });
+    return best ? best.entry : null;
+};
+
+/**
+ * Search the directory
+ * Stop names count more than the names of the routes serving the stop.
+ * @param {Array} directory - From buildStopDirectory
+ * @param {string} query - What the user typed (empty = everything)
+ * @returns {Array} Matching entries, best first
+ */
+export const searchStopDirectory = (directory, query) => {
+    if (!normalizeSearchText(query)) return directory;
+
+    return directory
+        .map(entry => {
+            const nameScore = Math.max(...entry.names.map(name => scoreSearchMatch(query, name)));
+            const routeScore = Math.max(...entry.routes.map(r => scoreSearchMatch(query, r.routeName))) * 0.5;
+            return { entry, score: Math.max(nameScore, routeScore) };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ entry }) => entry);
+};
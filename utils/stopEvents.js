@@ -0,0 +1,199 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { calculateDistance } from './routeHelpers';
+import { getRouteGeometry, projectOntoRoute } from './routeEta';
+import { setStoreSlice } from './busStore';
+
+const STOP_EVENTS_STORAGE_KEY = '@sut_stop_events';
+
+/**
+ * Stop Events
+ *
+ * Turns the stream of bus positions into "bus 01 arrived at
+ * ครัวท่านท้าว at 10:02, left at 10:03". Each stop of the bus's route has
+ * a small geofence; entering it is an arrival, leaving it a departure
+ * (with the dwell time). Events are kept in a local log and the latest
+ * one per bus is published to the bus store (lastStopEvents slice).
+ * travelTimes learns stop-to-stop and dwell times from the same events.
+ *
+ * Event:
+ * {
+ *   id: string,
+ *   type: 'arrival'|'departure',
+ *   busId, routeId, waypointIndex, stopName,
+ *   at: number,                 // epoch ms
+ *   arrivedAt?: number,         // departure: when the bus arrived
+ *   dwellSeconds?: number,      // departure: time spent at the stop
+ *   previousStop?: { waypointIndex, departedAt } | null, // arrival: last stop left
+ * }
+ */
+
+// A bus within this distance of a stop is "at" the stop
+const STOP_RADIUS_M = 30;
+// Positions further than this from the route are ignored (detours, depot)
+const MAX_ROUTE_OFFSET_M = 100;
+const MAX_LOG_ENTRIES = 500;
+const SAVE_DELAY_MS = 30000;
+
+export const STOP_EVENT = {
+    ARRIVAL: 'arrival',
+    DEPARTURE: 'departure',
+};
+
+// Per-bus visit state: { routeId, atStop, arrivedAt, lastDeparture: { waypointIndex, at } }
+const visits = {};
+let log = [];
+let saveTimer = null;
+
+// Stop the bus is at, if any; overlapping stops resolve to the one nearest along the route
+const findStopAt = (geometry, distanceAlong, position) => {
+    let best = null;
+    geometry.stops.forEach(stop => {
+        const distance = calculateDistance(position.latitude, position.longitude, stop.latitude, stop.longitude);
+        if (distance > STOP_RADIUS_M) return;
+        const alongGap = Math.abs(stop.distanceAlong - distanceAlong);
+        if (!best || alongGap < best.alongGap) best = { stop, alongGap };
+    });
+    return best ? best.stop : null;
+};
+
+const getStopName = (route, waypointIndex) => route.waypoints[waypointIndex]?.stopName || `Stop ${waypointIndex + 1}`;
+
+/**
+ * Feed a new bus position and get the stop events it causes
+ * @param {string} busId - Bus MAC address
+ * @param {Object} route - Local route the bus is assigned to
+ * @param {Object} position - { latitude, longitude, heading?, distanceAlong?, timestamp }
+ *   distanceAlong (from routeProgress) avoids mixing up stops where the path overlaps itself
+ * @returns {Array} Events, oldest first (a departure can be followed by an arrival)
+ */
+export const detectStopEvents = (busId, route, position) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry) return [];
+    const projection = projectOntoRoute(geometry, position);
+    const at = position.timestamp;
+
+    let visit = visits[busId];
+    if (!visit || visit.routeId !== route.routeId) {
+        visit = { routeId: route.routeId, atStop: null, arrivedAt: 0, lastDeparture: null };
+    }
+
+    // Off the route: whatever the bus is doing, it is not a normal trip
+    if (!projection || projection.offset > MAX_ROUTE_OFFSET_M || !at) {
+        visits[busId] = { ...visit, atStop: null, lastDeparture: null };
+        return [];
+    }
+
+    const stop = findStopAt(geometry, position.distanceAlong ?? projection.distanceAlong, position);
+    const stopIndex = stop ? stop.waypointIndex : null;
+    const events = [];
+    const base = { busId, routeId: route.routeId };
+
+    // Departure
+    if (visit.atStop !== null && visit.atStop !== stopIndex) {
+        events.push({
+            ...base,
+            id: `${busId}-${at}-d`,
+            type: STOP_EVENT.DEPARTURE,
+            waypointIndex: visit.atStop,
+            stopName: getStopName(route, visit.atStop),
+            at,
+            arrivedAt: visit.arrivedAt,
+            dwellSeconds: (at - visit.arrivedAt) / 1000,
+        });
+        visit = { ...visit, atStop: null, lastDeparture: { waypointIndex: visit.atStop, at } };
+    }
+
+    // Arrival
+    if (stopIndex !== null && visit.atStop === null) {
+        events.push({
+            ...base,
+            id: `${busId}-${at}-a`,
+            type: STOP_EVENT.ARRIVAL,
+            waypointIndex: stopIndex,
+            stopName: getStopName(route, stopIndex),
+            at,
+            previousStop: visit.lastDeparture
+                ? { waypointIndex: visit.lastDeparture.waypointIndex, departedAt: visit.lastDeparture.at }
+                : null,
+        });
+        visit = { ...visit, atStop: stopIndex, arrivedAt: at };
+    }
+
+    visits[busId] = visit;
+    return events;
+};
+
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            await AsyncStorage.setItem(STOP_EVENTS_STORAGE_KEY, JSON.stringify(log));
+        } catch (error) {
+            console.error('[StopEvents] Error saving log:', error);
+        }
+    }, SAVE_DELAY_MS);
+};
+
+// Latest event per bus, for the bus store
+const latestByBus = (events) => {
+    const latest = {};
+    events.forEach(event => {
+        if (!latest[event.busId] || event.at >= latest[event.busId].at) latest[event.busId] = event;
+    });
+    return latest;
+};
+
+/**
+ * Load the event log from storage (call once at startup)
+ */
+export const loadStopEvents = async () => {
+    try {
+        const json = await AsyncStorage.getItem(STOP_EVENTS_STORAGE_KEY);
+        if (json) {
+            log = JSON.parse(json);
+            setStoreSlice('lastStopEvents', latestByBus(log));
+        }
+    } catch (error) {
+        console.error('[StopEvents] Error loading log:', error);
+    }
+};
+
+/**
+ * Add events to the log (newest first, capped) and publish the latest per bus
+ * @param {Array} events - From detectStopEvents
+ */
+export const recordStopEvents = (events) => {
+    if (!events || events.length === 0) return;
+    log = [...[...events].reverse(), ...log].slice(0, MAX_LOG_ENTRIES);
+    setStoreSlice('lastStopEvents', prev => ({ ...prev, ...latestByBus(events) }));
+    scheduleSave();
+};
+
+/**
+ * Logged events, newest first
+ * @param {Object} filter - { busId?, routeId?, waypointIndex?, type?, limit? }
+ * @returns {Array} Events
+ */
+export const getStopEvents = ({ busId, routeId, waypointIndex, type, limit } = {}) => {
+    const events = log.filter(event =>
+        (busId === undefined || event.busId === busId)
+        && (routeId === undefined || event.routeId === routeId)
+        && (waypointIndex === undefined || event.waypointIndex === waypointIndex)
+        && (type === undefined || event.type === type)
+    );
+    return limit ? events.slice(0, limit) : events;
+};
+
+/**
+ * Clear the event log
+ */
+export const clearStopEvents = async () => {
+    log = [];
+    setStoreSlice('lastStopEvents', {});
+    try {
+        await AsyncStorage.removeItem(STOP_EVENTS_STORAGE_KEY);
+    } catch (error) {
+        console.error('[StopEvents] Error clearing log:', error);
+    }
+};
@@ -0,0 +1,118 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getEtaToStop } from './routeEta';
+import { getEtaOptions } from './travelTimes';
+
+const STOP_SUBSCRIPTIONS_STORAGE_KEY = '@sut_stop_subscriptions';
+
+/**
+ * Stop Subscriptions
+ *
+ * "Notify me when a bus on this route is N minutes from this stop."
+ * Riders create them by long-pressing a stop; NotificationContext checks
+ * them against the live ETAs whenever buses move and sends one
+ * notification per approaching bus. A bus can trigger again only after
+ * it has passed the stop (its ETA jumps back up or disappears).
+ *
+ * Subscription:
+ * {
+ *   id: string,
+ *   routeId, routeName, routeColor,
+ *   waypointIndex: number,   // the stop in route.waypoints
+ *   stopName: string,
+ *   minutes: number,         // notify when a bus is this close
+ *   createdAt: number,
+ * }
+ */
+
+export const ALERT_LEAD_MINUTES = [2, 5, 10];
+
+// Buses without an update for this long are not considered
+const BUS_OFFLINE_MS = 60 * 1000;
+// A notified bus re-arms once its ETA is this much above the threshold (it passed the stop)
+const REARM_MARGIN_SECONDS = 2 * 60;
+
+/**
+ * Load saved subscriptions
+ * @returns {Promise<Array>} Subscriptions
+ */
+export const loadStopSubscriptions = async () => {
+    try {
+        const json = await AsyncStorage.getItem(STOP_SUBSCRIPTIONS_STORAGE_KEY);
+        return json ? JSON.parse(json) : [];
+    } catch (error) {
+        console.error('[StopSubscriptions] Error loading subscriptions:', error);
+        return [];
+    }
+};
+
+/**
+ * Save subscriptions
+ * @param {Array} subscriptions
+ */
+export const saveStopSubscriptions = async (subscriptions) => {
+    try {
+        await AsyncStorage.setItem(STOP_SUBSCRIPTIONS_STORAGE_KEY, JSON.stringify(subscriptions));
+    } catch (error) {
+        console.error('[StopSubscriptions] Error saving subscriptions:', error);
+    }
+};
+
+/**
+ * Build a subscription for a stop of a route
+ * @param {Object} stop - { routeId, routeName, routeColor, waypointIndex, stopName }
+ * @param {number} minutes - Lead time
+ */
+export const createStopSubscription = (stop, minutes) => ({
+    id: `${stop.routeId}:${stop.waypointIndex}`,
+    routeId: stop.routeId,
+    routeName: stop.routeName,
+    routeColor: stop.routeColor || '#2563eb',
+    waypointIndex: stop.waypointIndex,
+    stopName: stop.stopName,
+    minutes,
+    createdAt: Date.now(),
+});
+
+/**
+ * Buses that have just come within a subscription's lead time
+ * @param {Array} subscriptions
+ * @param {Object} routesById - { routeId: local route }
+ * @param {Object} fleet - Bus store state { buses, mappings, routeProgress, busMotion }
+ * @param {Object} notified - { 'subscriptionId:busId': epoch ms } buses already notified
+ * @param {number} now - Epoch ms
+ * @returns {Object} { due: [{ subscription, bus, eta }], notified: updated map }
+ */
+export const findDueStopAlerts = (subscriptions, routesById, { buses, mappings, routeProgress, busMotion }, notified, now = Date.now()) => {
+    const due = [];
+    const nextNotified = { ...notified };
+
+    subscriptions.forEach(subscription => {
+        const route = routesById[subscription.routeId];
+        if (!route) return;
+        const etaOptions = getEtaOptions(route.routeId, new Date(now));
+        const threshold = subscription.minutes * 60;
+
+        buses
+            .filter(bus => (mappings[bus.id] || bus.route_id) === subscription.routeId)
+            .filter(bus => bus.current_lat !== null && now - (bus.last_updated || 0) <= BUS_OFFLINE_MS)
+            .forEach(bus => {
+                const key = `${subscription.id}:${bus.id}`;
+                const eta = getEtaToStop(route, {
+                    latitude: bus.current_lat,
+                    longitude: bus.current_lon,
+                    heading: busMotion[bus.id]?.heading,
+                }, subscription.waypointIndex, { ...etaOptions, progress: routeProgress[bus.id] });
+
+                if (nextNotified[key]) {
+                    if (!eta || eta.etaSeconds > threshold + REARM_MARGIN_SECONDS) delete nextNotified[key];
+                    return;
+                }
+                if (eta && eta.etaSeconds <= threshold) {
+                    due.push({ subscription, bus, eta });
+                    nextNotified[key] = now;
+                }
+            });
+    });
+
+    return { due, notified: nextNotified };
+};
@@ -0,0 +1,166 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getRouteGeometry } from './routeEta';
+import { STOP_EVENT } from './stopEvents';
+
+const TRAVEL_TIMES_STORAGE_KEY = '@sut_travel_times';
+const TRAVEL_TIMES_VERSION = 1;
+
+/**
+ * Learned Travel Times
+ *
+ * Records how long buses actually take between consecutive stops and how
+ * long they dwell at each stop, per route and hour of the week, from the
+ * stop arrival/departure events (see stopEvents). routeEta uses these
+ * instead of a constant speed, so ETAs slow down at class-change times
+ * and speed up at night. Without enough history it falls back to the default speed.
+ *
+ * Stored data:
+ * {
+ *   version: number,
+ *   routes: {
+ *     [routeId]: {
+ *       segments: { ['fromIdx-toIdx']: { [hourOfWeek|'all']: { mean, count } } },
+ *       dwell:    { [stopIdx]:          { [hourOfWeek|'all']: { mean, count } } },
+ *     },
+ *   },
+ * }
+ * Indices are waypoint indices of the stops in the local route.
+ */
+
+// Longer observations are breaks or layovers, not travel
+const MAX_SEGMENT_SECONDS = 30 * 60;
+const MAX_DWELL_SECONDS = 10 * 60;
+// Samples needed before a bucket is trusted
+const MIN_SAMPLES = 2;
+// Running mean weighs roughly the last N samples, so old patterns fade out
+const MAX_SAMPLE_WEIGHT = 20;
+const SAVE_DELAY_MS = 30000;
+
+let data = { routes: {} };
+let saveTimer = null;
+
+/**
+ * Hour of the week in local time (0 = Sunday 00:00-00:59, 167 = Saturday 23:00)
+ */
+export const getHourOfWeek = (date = new Date()) => date.getDay() * 24 + date.getHours();
+
+/**
+ * Load learned travel times from storage (call once at startup)
+ */
+export const loadTravelTimes = async () => {
+    try {
+        const json = await AsyncStorage.getItem(TRAVEL_TIMES_STORAGE_KEY);
+        if (!json) return;
+        const stored = JSON.parse(json);
+        if (stored && stored.version === TRAVEL_TIMES_VERSION && stored.routes) {
+            data = { routes: stored.routes };
+        }
+    } catch (error) {
+        console.error('[TravelTimes] Error loading travel times:', error);
+    }
+};
+
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            await AsyncStorage.setItem(TRAVEL_TIMES_STORAGE_KEY, JSON.stringify({
+                version: TRAVEL_TIMES_VERSION,
+                routes: data.routes,
+            }));
+        } catch (error) {
+            console.error('[TravelTimes] Error saving travel times:', error);
+        }
+    }, SAVE_DELAY_MS);
+};
+
+const addSample = (bucket, value) => {
+    const count = (bucket?.count || 0) + 1;
+    const mean = bucket ? bucket.mean + (value - bucket.mean) / Math.min(count, MAX_SAMPLE_WEIGHT) : value;
+    return { mean, count };
+};
+
+const recordSample = (routeId, kind, key, seconds, at) => {
+    const route = data.routes[routeId] || { segments: {}, dwell: {} };
+    const buckets = route[kind][key] || {};
+    const hour = getHourOfWeek(new Date(at));
+
+    data.routes[routeId] = {
+        ...route,
+        [kind]: {
+            ...route[kind],
+            [key]: {
+                ...buckets,
+                [hour]: addSample(buckets[hour], seconds),
+                all: addSample(buckets.all, seconds),
+            },
+        },
+    };
+    scheduleSave();
+};
+
+// Same hour, then the neighbouring hours, then any time of the week
+const lookup = (buckets, hour) => {
+    if (!buckets) return null;
+    const candidates = [buckets[hour], buckets[(hour + 1) % 168], buckets[(hour + 167) % 168], buckets.all];
+    const match = candidates.find(b => b && b.count >= MIN_SAMPLES);
+    return match ? match.mean : null;
+};
+
+/**
+ * Learned times for one route at a given time, in the shape routeEta expects
+ * @param {string} routeId - Local route id
+ * @param {Date} date - When the trip happens (default now)
+ * @returns {Object|null} { getSegmentSeconds(fromIdx, toIdx), getDwellSeconds(stopIdx) }
+ */
+export const getTravelTimeProfile = (routeId, date = new Date()) => {
+    const route = routeId ? data.routes[routeId] : null;
+    if (!route) return null;
+
+    const hour = getHourOfWeek(date);
+    return {
+        getSegmentSeconds: (fromIdx, toIdx) => lookup(route.segments[`${fromIdx}-${toIdx}`], hour),
+        getDwellSeconds: (stopIdx) => lookup(route.dwell[stopIdx], hour),
+    };
+};
+
+/**
+ * ETA options for a route (pass to the routeEta functions)
+ */
+export const getEtaOptions = (routeId, date) => ({ profile: getTravelTimeProfile(routeId, date) });
+
+const getNextStopIndex = (geometry, waypointIndex) => {
+    const i = geometry.stops.findIndex(s => s.waypointIndex === waypointIndex);
+    if (i === -1) return null;
+    if (i < geometry.stops.length - 1) return geometry.stops[i + 1].waypointIndex;
+    return geometry.isLoop ? geometry.stops[0].waypointIndex : null;
+};
+
+/**
+ * Learn from a bus's stop events (DataContext calls this for every fix that caused events)
+ * Dwell comes from departures, travel time from arrivals at the stop after the one last left.
+ * @param {Object} route - Local route the bus is assigned to
+ * @param {Array} events - From stopEvents.detectStopEvents
+ */
+export const learnFromStopEvents = (route, events) => {
+    const geometry = getRouteGeometry(route);
+    if (!geometry) return;
+
+    events.forEach(event => {
+        if (event.type === STOP_EVENT.DEPARTURE) {
+            if (event.dwellSeconds > 0 && event.dwellSeconds <= MAX_DWELL_SECONDS) {
+                recordSample(route.routeId, 'dwell', event.waypointIndex, event.dwellSeconds, event.arrivedAt);
+            }
+            return;
+        }
+
+        const previous = event.previousStop;
+        if (previous && getNextStopIndex(geometry, previous.waypointIndex) === event.waypointIndex) {
+            const travelSeconds = (event.at - previous.departedAt) / 1000;
+            if (travelSeconds > 0 && travelSeconds <= MAX_SEGMENT_SECONDS) {
+                recordSample(route.routeId, 'segments', `${previous.waypointIndex}-${event.waypointIndex}`, travelSeconds, previous.departedAt);
+            }
+        }
+    });
+};
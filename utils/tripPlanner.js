@@ -0,0 +1,248 @@
+import { calculateDistance } from './routeHelpers';
+import { getRouteGeometry, getEtaToStop, getStopToStopEta, AVERAGE_BUS_SPEED_MPS } from './routeEta';
+import { getEtaOptions } from './travelTimes';
+
+/**
+ * Trip Planner
+ *
+ * Plans a campus trip from the rider's position to a destination stop (or
+ * any point, e.g. a building picked on the map): walk to a boarding stop,
+ * ride a route, optionally change to a second route, walk to the
+ * destination. Uses every stored route and the live buses on them, so the
+ * wait for the bus and the arrival time are real rather than timetabled.
+ * Bus and ride times come from routeEta, so they match the rest of the app.
+ *
+ * Itinerary:
+ * {
+ *   id: string,
+ *   legs: [
+ *     { type: 'walk', from: Place, to: Place, distance, seconds, startSeconds },
+ *     { type: 'bus', route: { routeId, routeName, routeColor }, bus: Object|null,
+ *       board: Place, alight: Place, stops, waitSeconds, rideSeconds, startSeconds },
+ *   ],
+ *   transfers: number,
+ *   walkDistance: number,    // meters, all walking legs
+ *   totalSeconds: number,    // from now until arrival
+ *   arriveAt: number,        // epoch ms
+ *   hasLiveBus: boolean,     // false = walking only, or a bus leg has no live bus to catch
+ * }
+ * Place: { name, latitude, longitude, waypointIndex? }
+ * startSeconds = seconds from now when the leg starts.
+ */
+
+// Campus footpaths are not straight lines
+const WALK_SPEED_MPS = 1.2;
+const WALK_DETOUR_FACTOR = 1.3;
+// Stops further than this from the start or destination are not considered
+const MAX_WALK_M = 800;
+// Candidate stops per route near the start and near the destination
+const STOPS_PER_ROUTE = 3;
+// Changing routes: the two stops must be this close (usually the same shelter)
+const MAX_TRANSFER_WALK_M = 150;
+const MAX_TRANSFERS = 1;
+// Buses without an update for this long are not offered
+const BUS_OFFLINE_MS = 60 * 1000;
+const MAX_RESULTS = 5;
+
+const getWalkSeconds = (distance) => (distance * WALK_DETOUR_FACTOR) / WALK_SPEED_MPS;
+
+const toPlace = (stop) => ({
+    name: stop.stopName,
+    latitude: stop.latitude,
+    longitude: stop.longitude,
+    waypointIndex: stop.waypointIndex,
+});
+
+const distanceBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+const walkLeg = (from, to, startSeconds) => {
+    const distance = Math.round(distanceBetween(from, to));
+    return { type: 'walk', from, to, distance, seconds: getWalkSeconds(distance), startSeconds };
+};
+
+// Nearest stops of one route to a point, within walking distance
+const getNearbyStops = (geometry, point) => geometry.stops
+    .map(stop => ({ stop, distance: distanceBetween(point, stop) }))
+    .filter(({ distance }) => distance <= MAX_WALK_M)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, STOPS_PER_ROUTE)
+    .map(({ stop }) => stop);
+
+/**
+ * First live bus on the route that reaches the stop after the rider does
+ * On loop routes a bus that has just left comes back after one lap.
+ * @returns {Object|null} { bus, etaSeconds }
+ */
+const findBusToCatch = (entry, stop, readySeconds, context) => {
+    let best = null;
+    entry.buses.forEach(bus => {
+        const eta = getEtaToStop(entry.route, {
+            latitude: bus.current_lat,
+            longitude: bus.current_lon,
+            heading: context.motionById[bus.id]?.heading,
+        }, stop.waypointIndex, { ...entry.etaOptions, progress: context.progressById[bus.id] });
+        if (!eta) return;
+
+        let etaSeconds = eta.etaSeconds;
+        if (etaSeconds < readySeconds && entry.geometry.isLoop) {
+            etaSeconds += entry.lapSeconds;
+        }
+        if (etaSeconds < readySeconds) return;
+        if (!best || etaSeconds < best.etaSeconds) best = { bus, etaSeconds };
+    });
+    return best;
+};
+
+// Bus leg starting when the rider is ready at the boarding stop (null if the ride is impossible)
+const busLeg = (entry, board, alight, readySeconds, context) => {
+    const ride = getStopToStopEta(entry.route, board.waypointIndex, alight.waypointIndex, entry.etaOptions);
+    if (!ride) return null;
+
+    const caught = findBusToCatch(entry, board, readySeconds, context);
+    return {
+        type: 'bus',
+        route: {
+            routeId: entry.route.routeId,
+            routeName: entry.route.routeName,
+            routeColor: entry.route.routeColor || '#2563eb',
+        },
+        bus: caught ? caught.bus : null,
+        board: toPlace(board),
+        alight: toPlace(alight),
+        stops: ride.stopsAway,
+        // Unknown without a live bus; the plan then assumes no wait
+        waitSeconds: caught ? caught.etaSeconds - readySeconds : 0,
+        rideSeconds: ride.etaSeconds,
+        startSeconds: readySeconds,
+    };
+};
+
+const legEndSeconds = (leg) => leg.startSeconds + (leg.type === 'walk' ? leg.seconds : leg.waitSeconds + leg.rideSeconds);
+
+const buildItinerary = (legs, now) => {
+    const totalSeconds = legEndSeconds(legs[legs.length - 1]);
+    const busLegs = legs.filter(leg => leg.type === 'bus');
+    return {
+        id: legs.map(leg => (leg.type === 'bus'
+            ? `${leg.route.routeId}:${leg.board.waypointIndex}-${leg.alight.waypointIndex}`
+            : 'walk')).join('|'),
+        legs,
+        transfers: Math.max(0, busLegs.length - 1),
+        walkDistance: legs.filter(leg => leg.type === 'walk').reduce((sum, leg) => sum + leg.distance, 0),
+        totalSeconds,
+        arriveAt: now + totalSeconds * 1000,
+        // [].every is true: walking only must not outrank bus plans on this
+        hasLiveBus: busLegs.length > 0 && busLegs.every(leg => leg.bus),
+    };
+};
+
+// Walk to the stop, then ride; returns the legs so far or null
+const startWithBus = (entry, origin, board, alight, context) => {
+    const walk = walkLeg(origin, toPlace(board), 0);
+    const ride = busLeg(entry, board, alight, walk.seconds, context);
+    return ride ? [walk, ride] : null;
+};
+
+// Ride legs end with a walk to the destination (skipped when already there)
+const finish = (legs, destination, now) => {
+    const last = legs[legs.length - 1];
+    const walk = walkLeg(last.alight, destination, legEndSeconds(last));
+    return buildItinerary(walk.distance > 0 ? [...legs, walk] : legs, now);
+};
+
+// Live-bus plans first, then by arrival time, then by less walking
+const compareItineraries = (a, b) => (Number(b.hasLiveBus) - Number(a.hasLiveBus))
+    || (a.totalSeconds - b.totalSeconds)
+    || (a.walkDistance - b.walkDistance);
+
+// Keep the best itinerary per sequence of routes
+const dedupeByRoutes = (itineraries) => {
+    const seen = new Set();
+    return itineraries.filter(itinerary => {
+        const key = itinerary.legs.filter(leg => leg.type === 'bus').map(leg => leg.route.routeId).join('>') || 'walk';
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Plan trips from a start point to a destination
+ * @param {Object} origin - { latitude, longitude } (the rider)
+ * @param {Object} destination - { name, latitude, longitude }
+ * @param {Object} data
+ * @param {Array} data.routes - Local routes (routeStorage format)
+ * @param {Array} data.buses - Normalized buses from the store
+ * @param {Object} data.mappings - { busMac: routeId }
+ * @param {Object} data.progressById - routeProgress slice
+ * @param {Object} data.motionById - busMotion slice
+ * @param {number} now - Epoch ms the plan starts (default now)
+ * @returns {Array} Itineraries, best first (walking only is always included)
+ */
+export const planTrips = (origin, destination, { routes = [], buses = [], mappings = {}, progressById = {}, motionById = {} }, now = Date.now()) => {
+    if (!origin || !destination) return [];
+
+    const start = { name: null, latitude: origin.latitude, longitude: origin.longitude };
+    const context = { progressById, motionById };
+
+    const liveBuses = buses.filter(bus =>
+        bus.current_lat !== null && bus.current_lon !== null && now - (bus.last_updated || 0) <= BUS_OFFLINE_MS
+    );
+
+    const entries = routes
+        .map(route => ({ route, geometry: getRouteGeometry(route) }))
+        .filter(({ geometry }) => geometry && geometry.stops.length > 1)
+        .map(({ route, geometry }) => ({
+            route,
+            geometry,
+            etaOptions: getEtaOptions(route.routeId, new Date(now)),
+            lapSeconds: geometry.totalLength / AVERAGE_BUS_SPEED_MPS,
+            buses: liveBuses.filter(bus => (mappings[bus.id] || bus.route_id) === route.routeId),
+            boardStops: getNearbyStops(geometry, start),
+            alightStops: getNearbyStops(geometry, destination),
+        }));
+
+    const itineraries = [buildItinerary([walkLeg(start, destination, 0)], now)];
+
+    // Direct: one route
+    entries.forEach(entry => {
+        entry.boardStops.forEach(board => entry.alightStops.forEach(alight => {
+            const legs = startWithBus(entry, start, board, alight, context);
+            if (legs) itineraries.push(finish(legs, destination, now));
+        }));
+    });
+
+    // One change between two routes at stops within a short walk of each other
+    if (MAX_TRANSFERS > 0) {
+        entries.forEach(first => entries.forEach(second => {
+            if (first === second || first.boardStops.length === 0 || second.alightStops.length === 0) return;
+
+            first.geometry.stops.forEach(changeFrom => second.geometry.stops.forEach(changeTo => {
+                if (distanceBetween(changeFrom, changeTo) > MAX_TRANSFER_WALK_M) return;
+
+                first.boardStops.forEach(board => {
+                    const firstLegs = startWithBus(first, start, board, changeFrom, context);
+                    if (!firstLegs) return;
+
+                    const change = walkLeg(toPlace(changeFrom), toPlace(changeTo), legEndSeconds(firstLegs[1]));
+                    second.alightStops.forEach(alight => {
+                        const secondRide = busLeg(second, changeTo, alight, legEndSeconds(change), context);
+                        if (!secondRide) return;
+                        const legs = change.distance > 0
+                            ? [...firstLegs, change, secondRide]
+                            : [...firstLegs, secondRide];
+                        itineraries.push(finish(legs, destination, now));
+                    });
+                });
+            }));
+        }));
+    }
+
+    const sorted = dedupeByRoutes(itineraries.sort(compareItineraries));
+
+    // A change is only worth suggesting if it beats every direct option
+    const bestDirect = sorted.find(itinerary => itinerary.transfers === 0 && itinerary.hasLiveBus);
+    return sorted
+        .filter(itinerary => itinerary.transfers === 0 || !bestDirect || itinerary.totalSeconds < bestDirect.totalSeconds)
+        .slice(0, MAX_RESULTS);
+};